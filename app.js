@@ -6,645 +6,6404 @@
 const CONFIG = {
     CONFIDENCE_THRESHOLD: 0.75,
     SMOOTHING_FRAMES: 8, // Number of consecutive frames required for stable detection
-    TARGETS_FILE: './target.mind', // MindAR targets file (single target)
-    MOCK_MODE: false, // Set to true for testing without camera
+    STABLE_AGREEMENT: 0.6, // Share of the SMOOTHING_FRAMES that has to agree on a cube's mood
+    COMBO_DWELL_TIME: 0.5, // Seconds a new mood combo has to hold before the music switches
+    LOSS_GRACE_PERIOD: 1.5, // Seconds a cube's mood is kept after the cube leaves the view (e.g. a hand passing in front)
+    KEEP_LAST_COMBO: false, // Keep the music when every cube leaves the view, instead of going back to DEFAULT
+    SWITCH_AT_TRACK_END: false, // Let the current track finish before switching to the new combo's playlist
+    TARGETS_FILE: './target.mind', // MindAR targets file (build with tools/compile-targets.mjs)
+    PLAYLISTS_FILE: './playlists.json', // Playlist manifest (moods, targets and combo playlists)
+    READ_TAGS: true, // Read title, artist, album, duration and cover art from the track files (manifest values win)
+    MOOD_PLAYLIST_LENGTH: 10, // Tracks picked by mood vectors for combos without a playlist of their own
+    DEEZER_API_URL: 'https://api.deezer.com', // Deezer catalogue for "deezer" playlist sources, null to play local tracks only
+    DEEZER_TRANSPORT: 'jsonp', // 'jsonp' (the Deezer API sends no CORS headers) or 'fetch' (local mock or CORS proxy)
+    DEEZER_TRACK_LIMIT: 25, // Tracks taken from each Deezer playlist, album or search
+    CROSSFADE_DURATION: 2.0, // Seconds to crossfade when the mood combo changes
+    QUEUE_LENGTH: 5, // Upcoming tracks shown in the queue list
+    SKIP_FADE_DURATION: 0.3, // Seconds to fade on manual next/prev
+    DETECTION_FPS: 30, // Detection loop and overlay rate
+    LOW_POWER_FPS: 5, // AR processing, rendering and detection rate in low power mode
+    LOW_POWER_CAMERA_WIDTH: 640, // Camera width in low power mode (aspect ratio is kept)
+    LOW_POWER_BATTERY_LEVEL: 0.2, // Turn on low power mode automatically below this battery level (0-1)
+    MOCK_MODE: false, // Set to true for testing without camera (same as DETECTOR: 'mock')
+    DETECTOR: 'mindar', // Detection backend: 'mindar' (image targets), 'tfjs' (classifier), 'mock' or 'replay'
+    MODEL_PATH: './emoji-model/model.json', // TF.js classifier model (Teachable Machine export)
+    MODEL_LABELS: null, // Classifier class labels, null to read them from metadata.json next to the model
+    TFJS_URL: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@3.21.0/dist/tf.min.js', // Loaded only for the classifier
+    CLASSIFIER_FPS: 10, // Classifier predictions per second
+    CLASSIFIER_REGIONS: 2, // Frame is split into this many side by side regions, one per cube
+    CLASSIFIER_INPUT_RANGE: [-1, 1], // Pixel range the classifier expects (Teachable Machine uses [-1, 1])
+    RECORD_SESSION: false, // Record detection and player events, saved with the Save Recording button
+    REPLAY_FILE: null, // Session recording played back by the 'replay' detector
+    SERVICE_WORKER_FILE: './sw.js', // Offline support (see sw.js), null to turn it off
+    SAVE_STATE: true, // Remember the mood, track position and settings across reloads and offer to resume
+    STATE_SAVE_INTERVAL: 5, // Seconds between saves of the playback position while playing
+    LOG_LEVEL: null, // Lowest level printed to the console ('debug', 'info', 'warn', 'error'), null for 'debug' on localhost and 'warn' elsewhere
+    EMBED_ORIGINS: [], // Pages allowed to embed the app in an iframe and control it (e.g. 'https://partner.example'), see EmbedBridge
 };
 
-// Target Labels - Mapping target indices to display names
-// MindAR target.mind file contains 1 image target (index 0)
-const TARGET_LABELS = {
-    0: "Chill",
-    1: "Confused",
-    2: "Dreamy",
-    3: "Energy",
-    4: "Happy",
-    5: "Sad"
-};
+// Target Labels - Mapping target indices to mood ids
+// Filled from the playlist manifest (see PlaylistManifest)
+const TARGET_LABELS = {};
 
-// Playlist mapping: emoji combinations -> tracks
-// Normalize combos by sorting emojis alphabetically
-const COMBO_PLAYLISTS = {
-    // Example: Happy + Devil combo (order-independent)
-    '😄|😈': [
-        { title: 'Track A', artist: 'Artist A', src: './assets/audio/track-a.mp3' },
-        { title: 'Track B', artist: 'Artist B', src: './assets/audio/track-b.mp3' },
-    ],
-    '😈|😄': [], // Will use same as 😄|😈 (normalized)
-    
-    // Single emoji playlists
-    '😄|—': [
-        { title: 'Happy Track 1', artist: 'Happy Artist', src: './assets/audio/happy-1.mp3' },
-    ],
-    '😈|—': [
-        { title: 'Devil Track 1', artist: 'Devil Artist', src: './assets/audio/devil-1.mp3' },
-    ],
-    
-    // Default fallback playlist
-    'DEFAULT': [
-        { title: 'Default Track', artist: 'Default Artist', src: './assets/audio/default.mp3' },
-    ],
-};
+// Target Cubes - Mapping target indices to the id of the physical cube the face belongs to
+// Filled from the playlist manifest
+const TARGET_CUBES = {};
+const MAX_CUBES = 2; // Combos are made from two cubes
+
+// Playlist mapping: mood combinations -> tracks
+// Filled from the playlist manifest, keys are normalized by sorting moods alphabetically
+const COMBO_PLAYLISTS = {};
+
+// Lock screen artwork: mood id, normalized combo key or 'DEFAULT' -> image URL
+// Filled from the optional "artwork" section of the playlist manifest
+const MOOD_ARTWORK = {};
+
+// Mood vectors: mood id -> {energy, valence, tempo: [min BPM, max BPM]}
+// Filled from the optional "vectors" section of the playlist manifest (see MoodMatcher)
+const MOOD_VECTORS = {};
+
+// Tracks with mood attributes (energy, valence, optional tempo) that MoodMatcher picks from
+// Filled from the manifest "library" section and every playlist track that has attributes
+const TRACK_LIBRARY = [];
+
+// Deezer catalogue sources: normalized combo key -> {playlist|album|search, limit}
+// Filled from the optional "deezer" field of manifest playlists, resolved by DeezerCatalogue
+const CATALOGUE_SOURCES = {};
+
+// Playlist names shown in the detection HUD: normalized combo key or 'DEFAULT' -> name
+// Filled from the optional "name" field of manifest playlists
+const PLAYLIST_NAMES = {};
 
 // ============================================================================
-// MindAR Image Tracking Adapter
+// Logging
 // ============================================================================
 
-class EmojiModelAdapter {
+// Every message goes into a ring buffer for the diagnostics panel and its log
+// export; messages at the log level or above are also printed to the console
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_BUFFER_SIZE = 500; // Messages kept for the diagnostics panel and export
+const DEV_HOSTNAMES = ['localhost', '127.0.0.1', '']; // '' is a page opened from a file
+
+// info goes to console.log, which every browser shows by default
+const LOG_CONSOLE_METHODS = { debug: 'debug', info: 'log', warn: 'warn', error: 'error' };
+
+class Logger {
     constructor() {
-        this.scene = null;
-        this.mindarSystem = null;
-        this.isLoaded = false;
-        this.targetsCreated = false; // Track if targets have been created to prevent duplicates
+        this.entries = []; // {time, level, message}, oldest first
+        this.listeners = new Set();
     }
 
     /**
-     * Load MindAR scene and start tracking
+     * Lowest level printed to the console: CONFIG.LOG_LEVEL if set, otherwise
+     * 'debug' on localhost or with ?debug in the URL and 'warn' in production
      */
-    async loadModel() {
+    get level() {
+        if (CONFIG.LOG_LEVEL) return CONFIG.LOG_LEVEL;
+        return DEV_HOSTNAMES.includes(window.location.hostname) || hasUrlFlag('debug') ? 'debug' : 'warn';
+    }
+
+    debug(...args) {
+        this.write('debug', args);
+    }
+
+    info(...args) {
+        this.write('info', args);
+    }
+
+    warn(...args) {
+        this.write('warn', args);
+    }
+
+    error(...args) {
+        this.write('error', args);
+    }
+
+    /**
+     * @param {string} level - One of LOG_LEVELS
+     * @param {Array} args - Console-style arguments
+     */
+    write(level, args) {
+        const entry = { time: Date.now(), level, message: args.map(Logger.format).join(' ') };
+        this.entries.push(entry);
+        if (this.entries.length > LOG_BUFFER_SIZE) {
+            this.entries.shift();
+        }
+
+        if (LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level)) {
+            console[LOG_CONSOLE_METHODS[level]](...args);
+        }
+        this.listeners.forEach(listener => listener(entry));
+    }
+
+    /**
+     * Call a listener with every new entry
+     * @param {Function} listener
+     * @returns {Function} Removes the listener again
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * The buffer as text, one "time LEVEL message" line per entry
+     */
+    toText() {
+        return this.entries
+            .map(({ time, level, message }) => `${new Date(time).toISOString()} ${level.toUpperCase().padEnd(5)} ${message}`)
+            .join('\n');
+    }
+
+    /**
+     * One log argument as text, like the console would show it
+     */
+    static format(value) {
+        if (typeof value === 'string') return value;
+        if (value instanceof Error) return `${value.name}: ${value.message}`;
+        if (value && value.tagName) return `<${value.tagName.toLowerCase()}${value.id ? `#${value.id}` : ''}>`;
         try {
-            if (CONFIG.MOCK_MODE) {
-                console.log('Model loading skipped (MOCK_MODE enabled)');
-                this.isLoaded = false;
-                return true;
+            const json = JSON.stringify(value);
+            return json === undefined ? String(value) : json;
+        } catch (error) {
+            return String(value); // Circular
+        }
+    }
+}
+
+const logger = new Logger();
+
+/**
+ * @param {string} name - URL query parameter
+ * @returns {boolean} True if the page URL has it, with or without a value
+ */
+function hasUrlFlag(name) {
+    return new URLSearchParams(window.location.search).has(name);
+}
+
+/**
+ * Save a file through a temporary download link
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ============================================================================
+// Events
+// ============================================================================
+
+// Named events with plain data; a listener that throws is logged and does not
+// stop the others or the code that emitted the event
+class EventEmitter {
+    constructor() {
+        this.eventListeners = new Map(); // type -> Set of listeners
+    }
+
+    /**
+     * @param {string} type - Event name
+     * @param {Function} listener - Called with the event's detail
+     * @returns {Function} Removes the listener again
+     */
+    on(type, listener) {
+        if (!this.eventListeners.has(type)) {
+            this.eventListeners.set(type, new Set());
+        }
+        this.eventListeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        const listeners = this.eventListeners.get(type);
+        if (listeners) listeners.delete(listener);
+    }
+
+    /**
+     * @param {string} type - Event name
+     * @param {*} detail - Passed to every listener
+     */
+    emit(type, detail) {
+        const listeners = this.eventListeners.get(type);
+        if (!listeners) return;
+        [...listeners].forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                logger.error(`${type} listener failed:`, error);
             }
+        });
+    }
+}
 
-            console.log('Step 1: Checking A-Frame...');
-            // Wait for A-Frame to be ready
-            if (typeof AFRAME === 'undefined') {
-                console.error('A-Frame is not defined! Check script loading order.');
-                throw new Error('A-Frame not loaded. Make sure script tag is present.');
+// ============================================================================
+// App Errors
+// ============================================================================
+
+// Failures the user can do something about, each has a recovery screen (see ERROR_SCREENS)
+const APP_ERROR_TYPES = ['permissionDenied', 'noCamera', 'insecureContext', 'targetsFailed', 'libraryMissing', 'trackFailed'];
+
+// getUserMedia() error names -> AppError type, other names count as noCamera
+const CAMERA_ERROR_TYPES = {
+    NotAllowedError: 'permissionDenied',
+    SecurityError: 'permissionDenied',
+    NotFoundError: 'noCamera',
+    OverconstrainedError: 'noCamera',
+    NotReadableError: 'noCamera', // In use by another app
+};
+
+class AppError extends Error {
+    /**
+     * @param {string} type - One of APP_ERROR_TYPES
+     * @param {string} message - Technical details, for the log and the recovery screen
+     * @param {Error} [cause]
+     */
+    constructor(type, message, cause = null) {
+        super(message);
+        this.name = 'AppError';
+        this.type = type;
+        this.cause = cause;
+    }
+
+    /**
+     * @param {Error} error - Any error, AppErrors are returned as they are
+     * @param {string} type - Type for other errors
+     * @returns {AppError}
+     */
+    static from(error, type) {
+        return error instanceof AppError ? error : new AppError(type, error.message, error);
+    }
+}
+
+/**
+ * Open the rear camera
+ * @returns {Promise<MediaStream>}
+ * @throws {AppError} insecureContext, noCamera or permissionDenied
+ */
+async function requestCamera() {
+    if (window.isSecureContext === false) {
+        throw new AppError('insecureContext', `The camera needs HTTPS, this page is ${window.location.protocol}`);
+    }
+    if (!navigator.mediaDevices || typeof navigator.mediaDevices.getUserMedia !== 'function') {
+        throw new AppError('noCamera', 'This browser has no getUserMedia()');
+    }
+
+    try {
+        return await navigator.mediaDevices.getUserMedia({
+            audio: false,
+            video: { facingMode: 'environment' }
+        });
+    } catch (error) {
+        throw new AppError(CAMERA_ERROR_TYPES[error.name] || 'noCamera', `Camera: ${error.name}: ${error.message}`, error);
+    }
+}
+
+// ============================================================================
+// Playlist Manifest
+// ============================================================================
+
+const MANIFEST_VERSION = 1;
+const SINGLE_MOOD_PLACEHOLDER = '—'; // Second half of a single-mood combo key ('Happy|—')
+
+class PlaylistManifest {
+    constructor(data) {
+        this.data = data;
+        this.errors = [];
+    }
+
+    /**
+     * Fetch and validate the manifest file
+     * Fetch and parse failures are reported as validation errors so they show up on screen
+     * @param {string} url - Manifest URL
+     * @returns {Promise<PlaylistManifest>}
+     */
+    static async load(url) {
+        let data = null;
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
-            console.log('✓ A-Frame is available');
+            data = await response.json();
+        } catch (error) {
+            const manifest = new PlaylistManifest(null);
+            manifest.errors.push(`Could not load ${url}: ${error.message}`);
+            return manifest;
+        }
 
-            console.log('Step 2: Waiting for document ready...');
-            await new Promise(resolve => {
-                if (document.readyState === 'complete') {
-                    resolve();
+        const manifest = new PlaylistManifest(data);
+        manifest.validate();
+        return manifest;
+    }
+
+    get isValid() {
+        return this.errors.length === 0;
+    }
+
+    /**
+     * Validate manifest structure, mood references, combo keys and tracks
+     * @returns {Array<string>} Validation errors (empty if valid)
+     */
+    validate() {
+        this.errors = [];
+        const data = this.data;
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            this.errors.push('Manifest must be a JSON object');
+            return this.errors;
+        }
+
+        if (data.version !== MANIFEST_VERSION) {
+            this.errors.push(`Unsupported manifest version ${JSON.stringify(data.version)} (expected ${MANIFEST_VERSION})`);
+        }
+
+        // Moods
+        const moods = new Set();
+        if (!Array.isArray(data.moods) || data.moods.length === 0) {
+            this.errors.push('"moods" must be a non-empty array');
+        } else {
+            data.moods.forEach((mood, i) => {
+                if (typeof mood !== 'string' || mood.trim() === '') {
+                    this.errors.push(`moods[${i}]: mood id must be a non-empty string`);
+                } else if (mood.includes('|') || mood === SINGLE_MOOD_PLACEHOLDER || mood === 'DEFAULT') {
+                    this.errors.push(`moods[${i}]: "${mood}" is not a valid mood id`);
+                } else if (moods.has(mood)) {
+                    this.errors.push(`moods[${i}]: duplicate mood "${mood}"`);
                 } else {
-                    window.addEventListener('load', resolve);
+                    moods.add(mood);
                 }
             });
-            console.log('✓ Document is ready');
+        }
 
-            console.log('Step 3: Finding AR scene element...');
-            const sceneEl = document.getElementById('arScene');
-            if (!sceneEl) {
-                console.error('AR scene element not found in DOM!');
-                console.error('Available elements with id:', Array.from(document.querySelectorAll('[id]')).map(el => el.id));
-                throw new Error('AR scene element not found');
-            }
-            console.log('✓ AR scene element found');
-            console.log('Scene parent:', sceneEl.parentElement);
-            console.log('Scene visibility:', window.getComputedStyle(sceneEl.parentElement).display);
+        // Targets
+        if (!data.targets || typeof data.targets !== 'object' || Array.isArray(data.targets)) {
+            this.errors.push('"targets" must be an object mapping target indices to mood ids');
+        } else {
+            Object.entries(data.targets).forEach(([index, mood]) => {
+                if (!/^\d+$/.test(index)) {
+                    this.errors.push(`targets["${index}"]: target index must be a non-negative integer`);
+                }
+                if (!moods.has(mood)) {
+                    this.errors.push(`targets["${index}"]: unknown mood "${mood}"`);
+                }
+            });
+        }
 
-            this.scene = sceneEl;
-            
-            // Ensure scene is attached and visible
-            if (!this.scene.parentElement || this.scene.parentElement.classList.contains('hidden')) {
-                console.warn('Scene parent is hidden, this may cause initialization issues');
+        // Cubes
+        if (!data.cubes || typeof data.cubes !== 'object' || Array.isArray(data.cubes)) {
+            this.errors.push('"cubes" must be an object mapping cube ids to target indices');
+        } else {
+            const cubeIds = Object.keys(data.cubes);
+            if (cubeIds.length === 0 || cubeIds.length > MAX_CUBES) {
+                this.errors.push(`"cubes" must define 1 to ${MAX_CUBES} cubes`);
             }
-            
-            console.log('Step 4: Waiting for scene to load...');
-            // Wait for scene to be ready
-            await new Promise((resolve, reject) => {
-                const timeout = setTimeout(() => {
-                    reject(new Error('Scene loaded timeout after 5 seconds'));
-                }, 5000);
-                
-                if (this.scene.hasLoaded) {
-                    console.log('Scene already loaded');
-                    clearTimeout(timeout);
-                    resolve();
-                } else {
-                    console.log('Waiting for scene loaded event...');
-                    this.scene.addEventListener('loaded', () => {
-                        console.log('Scene loaded event fired');
-                        clearTimeout(timeout);
-                        resolve();
-                    }, { once: true });
+
+            const targetCubes = new Map(); // target index -> cube id
+            cubeIds.forEach(cubeId => {
+                const targets = data.cubes[cubeId];
+                if (!Array.isArray(targets) || targets.length === 0) {
+                    this.errors.push(`cubes["${cubeId}"]: must be a non-empty array of target indices`);
+                    return;
                 }
+                targets.forEach(index => {
+                    const key = String(index);
+                    if (!data.targets || !(key in data.targets)) {
+                        this.errors.push(`cubes["${cubeId}"]: unknown target ${JSON.stringify(index)}`);
+                    } else if (targetCubes.has(key)) {
+                        this.errors.push(`cubes["${cubeId}"]: target ${key} already belongs to cube "${targetCubes.get(key)}"`);
+                    } else {
+                        targetCubes.set(key, cubeId);
+                    }
+                });
             });
-            console.log('✓ Scene is loaded');
 
-            console.log('Step 5: Getting MindAR system...');
-            
-            // Check if mindar-image component is registered
-            const mindarComponents = Object.keys(AFRAME.components).filter(k => k.includes('mindar'));
-            console.log('Available MindAR components:', mindarComponents);
-            
-            if (!mindarComponents.includes('mindar-image')) {
-                console.warn('mindar-image component not found yet, but continuing...');
-                // Don't throw error - let it initialize naturally
-            } else {
-                console.log('✓ MindAR component is registered');
+            if (data.targets && typeof data.targets === 'object') {
+                Object.keys(data.targets).forEach(index => {
+                    if (!targetCubes.has(index)) {
+                        this.errors.push(`targets["${index}"]: target is not assigned to a cube`);
+                    }
+                });
             }
-            
-            // Get the system - wait for it to be available
-            // MindAR system becomes available after the scene fully initializes
-            let attempts = 0;
-            while (!this.mindarSystem && attempts < 50) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-                
-                // Try to get the system from the scene - system name is 'mindar-image-system'
-                this.mindarSystem = this.scene.systems['mindar-image-system'] || this.scene.systems['mindar-image'];
-                
-                attempts++;
-                if (!this.mindarSystem && attempts % 10 === 0) {
-                    console.log(`Waiting for MindAR system... attempt ${attempts}/50`);
-                    console.log('Current systems:', Object.keys(this.scene.systems));
-                }
+        }
+
+        // Artwork (optional)
+        if (data.artwork !== undefined) {
+            if (!data.artwork || typeof data.artwork !== 'object' || Array.isArray(data.artwork)) {
+                this.errors.push('"artwork" must be an object mapping moods or combos to image URLs');
+            } else {
+                Object.entries(data.artwork).forEach(([key, src]) => {
+                    const where = `artwork["${key}"]`;
+                    if (typeof src !== 'string' || src.trim() === '') {
+                        this.errors.push(`${where}: image URL must be a non-empty string`);
+                    }
+                    if (!key.includes('|') && key !== 'DEFAULT' && !moods.has(key)) {
+                        this.errors.push(`${where}: unknown mood "${key}"`);
+                    } else if (key.includes('|')) {
+                        this.validateCombo(key, moods, where);
+                    }
+                });
             }
-            
-            if (this.mindarSystem) {
-                console.log('✓ MindAR system found');
+        }
+
+        // Mood vectors (optional)
+        if (data.vectors !== undefined) {
+            if (!data.vectors || typeof data.vectors !== 'object' || Array.isArray(data.vectors)) {
+                this.errors.push('"vectors" must be an object mapping mood ids to mood vectors');
             } else {
-                console.warn('MindAR system not found after waiting, but camera should still work');
-                console.log('Available systems:', Object.keys(this.scene.systems));
-                // Don't throw error - camera will still work, just no AR tracking
-                // Return true to continue
-                return true;
+                Object.entries(data.vectors).forEach(([mood, vector]) => {
+                    const where = `vectors["${mood}"]`;
+                    if (!moods.has(mood)) {
+                        this.errors.push(`${where}: unknown mood "${mood}"`);
+                    }
+                    this.validateMoodVector(vector, where);
+                });
             }
+        }
 
-            if (this.mindarSystem) {
-                console.log('Step 6: Setting up event listeners...');
-                // Set up event listeners for target detection
-                // Targets will be created inside arReady event handler
-                this.setupMindAREvents();
-                console.log('✓ Event listeners set up');
-
-                console.log('Step 7: Starting MindAR tracking...');
-                // Try to start MindAR explicitly
-                try {
-                    if (typeof this.mindarSystem.start === 'function') {
-                        console.log('Calling mindarSystem.start()...');
-                        await this.mindarSystem.start();
-                        console.log('✓ MindAR started');
-                    } else {
-                        console.log('start() method not available, waiting for auto-start...');
-                        // Wait a bit for auto-initialization
-                        await new Promise(resolve => setTimeout(resolve, 1000));
+        // Track library (optional)
+        if (data.library !== undefined) {
+            if (!Array.isArray(data.library)) {
+                this.errors.push('"library" must be an array of tracks');
+            } else {
+                data.library.forEach((track, i) => {
+                    const where = `library[${i}]`;
+                    if (!track || typeof track.src !== 'string' || track.src.trim() === '') {
+                        this.errors.push(`${where}: missing "src"`);
+                        return;
                     }
-                } catch (startError) {
-                    console.warn('Error starting MindAR (may auto-start anyway):', startError.message);
+                    this.validateTrackAttributes(track, where, true);
+                });
+            }
+        }
+
+        // Playlists
+        if (!Array.isArray(data.playlists)) {
+            this.errors.push('"playlists" must be an array');
+            return this.errors;
+        }
+
+        const seen = new Map(); // normalized key -> original combo
+        data.playlists.forEach((entry, i) => {
+            const where = `playlists[${i}]`;
+            if (!entry || typeof entry !== 'object') {
+                this.errors.push(`${where}: playlist must be an object`);
+                return;
+            }
+            if (typeof entry.combo !== 'string') {
+                this.errors.push(`${where}: missing "combo"`);
+                return;
+            }
+
+            const key = this.validateCombo(entry.combo, moods, where);
+            if (key) {
+                if (seen.has(key)) {
+                    const previous = seen.get(key);
+                    this.errors.push(previous === entry.combo
+                        ? `${where}: duplicate combo "${entry.combo}"`
+                        : `${where}: combo "${entry.combo}" is the reverse of "${previous}"`);
+                } else {
+                    seen.set(key, entry.combo);
                 }
-            } else {
-                console.log('Skipping MindAR setup - system not available, but scene should still show camera');
             }
 
-            this.isLoaded = true;
-            console.log('✓ MindAR loaded and started successfully');
-            
-            return true;
-        } catch (error) {
-            console.error('❌ Error loading MindAR:', error);
-            console.error('Error stack:', error.stack);
-            this.isLoaded = false;
-            return false;
+            if (entry.name !== undefined && (typeof entry.name !== 'string' || entry.name.trim() === '')) {
+                this.errors.push(`${where}: "name" must be a non-empty string`);
+            }
+            if (entry.deezer !== undefined) {
+                this.validateCatalogueSource(entry.deezer, `${where}.deezer`);
+            }
+
+            // Local tracks are optional with a Deezer source (they play until it loads, or offline)
+            if (entry.tracks === undefined && entry.deezer !== undefined) {
+                return;
+            }
+            if (!Array.isArray(entry.tracks) || entry.tracks.length === 0) {
+                this.errors.push(`${where}: playlist "${entry.combo}" is empty`);
+                return;
+            }
+            entry.tracks.forEach((track, j) => {
+                if (!track || typeof track.src !== 'string' || track.src.trim() === '') {
+                    this.errors.push(`${where}.tracks[${j}]: missing "src"`);
+                    return;
+                }
+                this.validateTrackAttributes(track, `${where}.tracks[${j}]`, false);
+            });
+        });
+
+        if (!seen.has('DEFAULT')) {
+            this.errors.push('Missing "DEFAULT" playlist');
         }
+
+        return this.errors;
     }
 
     /**
-     * Set up MindAR event listeners for target tracking
-     * Targets are created only once, inside the arReady event handler
+     * Validate a single combo key and return its normalized form
+     * @returns {string|null} Normalized key, or null if invalid
      */
-    setupMindAREvents() {
-        console.log('Setting up MindAR event listeners...');
-        
-        // Listen for arReady event (fires when camera is ready)
-        // This is the ONLY place where targets should be created
-        this.scene.addEventListener('arReady', () => {
-            console.log('✓ MindAR arReady event fired - camera should be active');
-            
-            // Create target entities only once, inside arReady event
-            if (!this.targetsCreated) {
-                this.createTargetEntities();
-                this.targetsCreated = true;
+    validateCombo(combo, moods, where) {
+        if (combo === 'DEFAULT') return combo;
+
+        const parts = combo.split('|');
+        if (parts.length !== 2) {
+            this.errors.push(`${where}: combo "${combo}" must be "Mood|Mood", "Mood|${SINGLE_MOOD_PLACEHOLDER}" or "DEFAULT"`);
+            return null;
+        }
+
+        let valid = true;
+        parts.forEach((part, index) => {
+            if (part === SINGLE_MOOD_PLACEHOLDER && index === 1) return;
+            if (!moods.has(part)) {
+                this.errors.push(`${where}: unknown mood "${part}" in combo "${combo}"`);
+                valid = false;
             }
-        }, { once: true });
-        
-        // Listen for arError event
-        this.scene.addEventListener('arError', (event) => {
-            console.error('❌ MindAR error:', event.detail);
         });
+        if (parts[0] === parts[1]) {
+            this.errors.push(`${where}: combo "${combo}" repeats the same mood`);
+            valid = false;
+        }
+
+        return valid ? PlaylistManifest.normalizeCombo(parts) : null;
     }
-    
+
     /**
-     * Create exactly 6 mindar-image-target entities (indices 0-5)
-     * Each target gets a floating text label that appears above it when detected
-     * This function is called only once, inside the arReady event handler
+     * Validate a "deezer" playlist source: exactly one of playlist, album (ids) or search (query)
      */
-    createTargetEntities() {
-        console.log('Creating 6 target entities (indices 0-5) for MindAR tracking');
-        
-        // Verify no targets exist yet (safety check)
-        const existingTargets = this.scene.querySelectorAll('a-mindar-image-target');
-        if (existingTargets.length > 0) {
-            console.warn('Target entities already exist! Removing duplicates.');
-            existingTargets.forEach(el => el.remove());
+    validateCatalogueSource(source, where) {
+        if (!source || typeof source !== 'object' || Array.isArray(source)) {
+            this.errors.push(`${where}: must be an object with "playlist", "album" or "search"`);
+            return;
         }
-        
-        // Create exactly 6 target entities (one for each target in targets.mind)
-        for (let targetIndex = 0; targetIndex < 6; targetIndex++) {
-            const labelText = TARGET_LABELS[targetIndex] || `Target ${targetIndex}`;
-            
-            // Create the mindar-image-target entity
-            const targetEl = document.createElement('a-mindar-image-target');
-            targetEl.setAttribute('targetIndex', targetIndex);
-            targetEl.id = `target-${targetIndex}`;
-            
-            // Create a floating text label entity as a child of the target
-            // The text will be positioned slightly above the target (0 0.6 0 relative position)
-            const textEl = document.createElement('a-text');
-            textEl.setAttribute('value', labelText);
-            textEl.setAttribute('align', 'center'); // Center the text
-            textEl.setAttribute('color', '#FFFFFF'); // White text
-            textEl.setAttribute('position', '0 0.6 0'); // Position above target
-            textEl.setAttribute('scale', '2 2 2'); // Make text readable
-            textEl.setAttribute('look-at', '[camera]'); // Text always faces camera
-            textEl.id = `label-${targetIndex}`;
-            textEl.setAttribute('visible', false); // Hidden by default, shown when target found
-            
-            // Add text as child of target entity
-            targetEl.appendChild(textEl);
-            
-            // Handle targetFound event: show the text label
-            targetEl.addEventListener('targetFound', () => {
-                console.log(`🎯 Target ${targetIndex} (${labelText}) FOUND!`);
-                textEl.setAttribute('visible', true);
+
+        const kinds = DEEZER_SOURCE_KINDS.filter(kind => source[kind] !== undefined);
+        if (kinds.length !== 1) {
+            this.errors.push(`${where}: needs exactly one of ${DEEZER_SOURCE_KINDS.map(kind => `"${kind}"`).join(', ')}`);
+            return;
+        }
+
+        const value = source[kinds[0]];
+        if (kinds[0] === 'search') {
+            if (typeof value !== 'string' || value.trim() === '') {
+                this.errors.push(`${where}: "search" must be a non-empty string`);
+            }
+        } else if (!/^[1-9]\d*$/.test(String(value))) {
+            this.errors.push(`${where}: "${kinds[0]}" must be a Deezer id (positive integer)`);
+        }
+
+        if (source.limit !== undefined && !(Number.isInteger(source.limit) && source.limit >= 1 && source.limit <= 100)) {
+            this.errors.push(`${where}: "limit" must be an integer from 1 to 100`);
+        }
+    }
+
+    /**
+     * Validate a mood vector: energy and valence from 0 to 1, optional [min, max] tempo in BPM
+     */
+    validateMoodVector(vector, where) {
+        if (!vector || typeof vector !== 'object' || Array.isArray(vector)) {
+            this.errors.push(`${where}: must be an object with ${MOOD_DIMENSIONS.map(dimension => `"${dimension}"`).join(', ')}`);
+            return;
+        }
+
+        MOOD_DIMENSIONS.forEach(dimension => {
+            if (!isUnitValue(vector[dimension])) {
+                this.errors.push(`${where}: "${dimension}" must be a number from 0 to 1`);
+            }
+        });
+
+        if (vector.tempo !== undefined) {
+            const tempo = vector.tempo;
+            if (!Array.isArray(tempo) || tempo.length !== 2 || !tempo.every(isTempo) || tempo[0] > tempo[1]) {
+                this.errors.push(`${where}: "tempo" must be a [min, max] range in BPM`);
+            }
+        }
+    }
+
+    /**
+     * Validate the mood attributes of a track
+     * Attributes are optional on playlist tracks, but a track with one needs both energy and valence
+     * @param {boolean} required - Library tracks must have them
+     */
+    validateTrackAttributes(track, where, required) {
+        const hasAttributes = required || MOOD_DIMENSIONS.some(dimension => track[dimension] !== undefined);
+        if (hasAttributes) {
+            MOOD_DIMENSIONS.forEach(dimension => {
+                if (!isUnitValue(track[dimension])) {
+                    this.errors.push(`${where}: "${dimension}" must be a number from 0 to 1`);
+                }
             });
-            
-            // Handle targetLost event: hide the text label
-            targetEl.addEventListener('targetLost', () => {
-                console.log(`❌ Target ${targetIndex} (${labelText}) LOST`);
-                textEl.setAttribute('visible', false);
+        }
+        if (track.tempo !== undefined && !isTempo(track.tempo)) {
+            this.errors.push(`${where}: "tempo" must be a positive number (BPM)`);
+        }
+    }
+
+    /**
+     * Normalize combo parts the same way DetectionState.getComboKey() does
+     */
+    static normalizeCombo(parts) {
+        if (parts[1] === SINGLE_MOOD_PLACEHOLDER) {
+            return parts.join('|');
+        }
+        return [...parts].sort().join('|');
+    }
+
+    /**
+     * @param {string} comboKey - Combo key or 'DEFAULT'
+     * @returns {string[]} Its moods, none for DEFAULT
+     */
+    static comboMoods(comboKey) {
+        if (!comboKey || comboKey === 'DEFAULT') return [];
+        return comboKey.split('|').filter(mood => mood !== SINGLE_MOOD_PLACEHOLDER);
+    }
+
+    /**
+     * Replace TARGET_LABELS, TARGET_CUBES, COMBO_PLAYLISTS, MOOD_ARTWORK, MOOD_VECTORS, TRACK_LIBRARY,
+     * CATALOGUE_SOURCES and PLAYLIST_NAMES with the manifest contents
+     */
+    apply() {
+        if (!this.isValid) {
+            throw new Error('Cannot apply an invalid playlist manifest');
+        }
+
+        Object.keys(TARGET_LABELS).forEach(key => delete TARGET_LABELS[key]);
+        Object.keys(TARGET_CUBES).forEach(key => delete TARGET_CUBES[key]);
+        Object.keys(COMBO_PLAYLISTS).forEach(key => delete COMBO_PLAYLISTS[key]);
+        Object.keys(MOOD_ARTWORK).forEach(key => delete MOOD_ARTWORK[key]);
+        Object.keys(MOOD_VECTORS).forEach(key => delete MOOD_VECTORS[key]);
+        Object.keys(MOOD_PLAYLISTS).forEach(key => delete MOOD_PLAYLISTS[key]);
+        Object.keys(CATALOGUE_SOURCES).forEach(key => delete CATALOGUE_SOURCES[key]);
+        Object.keys(PLAYLIST_NAMES).forEach(key => delete PLAYLIST_NAMES[key]);
+        TRACK_LIBRARY.length = 0;
+
+        Object.entries(this.data.targets).forEach(([index, mood]) => {
+            TARGET_LABELS[Number(index)] = mood;
+        });
+        Object.entries(this.data.cubes).forEach(([cubeId, targets]) => {
+            targets.forEach(index => {
+                TARGET_CUBES[Number(index)] = cubeId;
+            });
+        });
+        this.data.playlists.forEach(entry => {
+            const key = entry.combo === 'DEFAULT' ? 'DEFAULT' : PlaylistManifest.normalizeCombo(entry.combo.split('|'));
+            COMBO_PLAYLISTS[key] = entry.tracks || [];
+            if (entry.deezer) {
+                CATALOGUE_SOURCES[key] = entry.deezer;
+            }
+            if (entry.name) {
+                PLAYLIST_NAMES[key] = entry.name.trim();
+            }
+        });
+        Object.entries(this.data.artwork || {}).forEach(([key, src]) => {
+            MOOD_ARTWORK[key.includes('|') ? PlaylistManifest.normalizeCombo(key.split('|')) : key] = src;
+        });
+        Object.assign(MOOD_VECTORS, this.data.vectors || {});
+
+        // A track listed in several playlists is only picked once
+        const libraryIds = new Set();
+        const tracks = [...(this.data.library || []), ...this.data.playlists.flatMap(entry => entry.tracks || [])];
+        tracks.forEach(track => {
+            const id = track.id || track.src;
+            if (MoodMatcher.hasAttributes(track) && !libraryIds.has(id)) {
+                libraryIds.add(id);
+                TRACK_LIBRARY.push(track);
+            }
+        });
+    }
+}
+
+function isUnitValue(value) {
+    return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+function isTempo(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+// ============================================================================
+// Mood Vectors
+// ============================================================================
+//
+// Combos without a playlist of their own get one picked from TRACK_LIBRARY: the
+// vectors of the combo's moods are averaged and the closest tracks are played.
+// Explicit combo playlists in the manifest always win.
+
+const MOOD_DIMENSIONS = ['energy', 'valence']; // 0-1 values of every mood vector and library track
+const TEMPO_TOLERANCE = 40; // BPM outside a mood's tempo range that count as much as the whole energy scale
+
+// Picked playlists: normalized combo key -> tracks, closest first
+// Kept so a combo continues its queue when it comes back, cleared when a manifest is applied
+const MOOD_PLAYLISTS = {};
+
+class MoodMatcher {
+    /**
+     * Average the vectors of the given moods
+     * @param {Array<string>} moods - Mood ids
+     * @returns {{energy: number, valence: number, tempo: Array<number>|null}|null} null if a mood has no vector
+     */
+    static blend(moods) {
+        const vectors = moods.map(mood => MOOD_VECTORS[mood]);
+        if (vectors.length === 0 || vectors.some(vector => !vector)) {
+            return null;
+        }
+
+        const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const blended = {};
+        MOOD_DIMENSIONS.forEach(dimension => {
+            blended[dimension] = average(vectors.map(vector => vector[dimension]));
+        });
+
+        // Moods without a tempo range do not narrow the blended one
+        const tempos = vectors.filter(vector => vector.tempo).map(vector => vector.tempo);
+        blended.tempo = tempos.length > 0
+            ? [average(tempos.map(range => range[0])), average(tempos.map(range => range[1]))]
+            : null;
+        return blended;
+    }
+
+    /**
+     * Distance from a track to a mood vector
+     * Energy and valence count as they are; tempo only counts when the track is outside the
+     * range, and tracks without a tempo are not penalized
+     * @returns {number}
+     */
+    static distance(track, vector) {
+        let sum = 0;
+        MOOD_DIMENSIONS.forEach(dimension => {
+            sum += (track[dimension] - vector[dimension]) ** 2;
+        });
+
+        if (vector.tempo && typeof track.tempo === 'number') {
+            const [min, max] = vector.tempo;
+            const outside = Math.max(min - track.tempo, track.tempo - max, 0);
+            sum += Math.min(outside / TEMPO_TOLERANCE, 1) ** 2;
+        }
+        return Math.sqrt(sum);
+    }
+
+    static hasAttributes(track) {
+        return MOOD_DIMENSIONS.every(dimension => typeof track[dimension] === 'number');
+    }
+
+    /**
+     * Playlist for a combo from its moods: the CONFIG.MOOD_PLAYLIST_LENGTH closest library tracks
+     * @param {string} comboKey - Combo key, in either mood order
+     * @returns {Array<Object>|null} null for DEFAULT, moods without a vector or an empty library
+     */
+    static playlistFor(comboKey) {
+        const parts = comboKey.split('|');
+        if (parts.length !== 2) {
+            return null;
+        }
+
+        const key = PlaylistManifest.normalizeCombo(parts);
+        if (MOOD_PLAYLISTS[key]) {
+            return MOOD_PLAYLISTS[key];
+        }
+
+        const vector = MoodMatcher.blend(parts.filter(part => part !== SINGLE_MOOD_PLACEHOLDER));
+        if (!vector || TRACK_LIBRARY.length === 0) {
+            return null;
+        }
+
+        // Array.prototype.sort is stable, so equally close tracks keep the library order
+        MOOD_PLAYLISTS[key] = TRACK_LIBRARY
+            .map(track => ({ track, distance: MoodMatcher.distance(track, vector) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, CONFIG.MOOD_PLAYLIST_LENGTH)
+            .map(entry => entry.track);
+        logger.info(`Picked ${MOOD_PLAYLISTS[key].length} tracks for ${key} by mood`);
+        return MOOD_PLAYLISTS[key];
+    }
+}
+
+// ============================================================================
+// Deezer Catalogue
+// ============================================================================
+
+const DEEZER_RATE_LIMIT = 50; // Requests per DEEZER_RATE_WINDOW, the public API allows 50 per 5 seconds
+const DEEZER_RATE_WINDOW = 5000; // ms
+const DEEZER_TIMEOUT = 8000; // ms per request
+const DEEZER_MAX_RETRIES = 3;
+const DEEZER_RETRY_CODES = [4, 700]; // Quota exceeded, service busy
+const DEEZER_SOURCE_KINDS = ['playlist', 'album', 'search']; // Keys of a manifest "deezer" source
+
+// Error reported by the Deezer API (HTTP 200 with an "error" object) or by the transport
+class DeezerApiError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} details
+     * @param {number} [details.code] - Deezer error code, or HTTP status for transport errors
+     * @param {string} [details.type] - Deezer error type (e.g. "DataException")
+     * @param {boolean} [details.retryable] - Worth trying again later
+     */
+    constructor(message, { code = 0, type = 'TransportError', retryable = false } = {}) {
+        super(message);
+        this.name = 'DeezerApiError';
+        this.code = code;
+        this.type = type;
+        this.retryable = retryable;
+    }
+}
+
+// Resolves "deezer" playlist sources to tracks with 30 second preview URLs
+// Requests are spaced to stay under the rate limit and retried on quota and
+// network errors
+class DeezerCatalogue {
+    /**
+     * @param {Object} options
+     * @param {string} [options.baseUrl] - API root (CONFIG.DEEZER_API_URL)
+     * @param {string} [options.transport] - 'jsonp' or 'fetch' (CONFIG.DEEZER_TRANSPORT)
+     */
+    constructor({ baseUrl = CONFIG.DEEZER_API_URL, transport = CONFIG.DEEZER_TRANSPORT } = {}) {
+        this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+        this.transport = transport;
+        this.requestTimes = []; // Start times of requests in the current rate window
+        this.lastSlot = Promise.resolve();
+        // JSONP callback names differ between page loads, so a cached script from an
+        // earlier visit can never answer a request of this one
+        this.callbackPrefix = `deezerCallback_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}_`;
+        this.callbackCount = 0;
+    }
+
+    get isEnabled() {
+        return this.baseUrl !== null;
+    }
+
+    /**
+     * Fetch the tracks of a manifest source
+     * @param {{playlist?: number, album?: number, search?: string, limit?: number}} source
+     * @returns {Promise<Array<Object>>} Playable tracks (tracks without a preview are left out)
+     */
+    async resolve(source) {
+        const limit = source.limit || CONFIG.DEEZER_TRACK_LIMIT;
+
+        if (source.playlist !== undefined) {
+            const data = await this.request(`/playlist/${source.playlist}/tracks`, { limit });
+            return DeezerCatalogue.toTracks(data.data);
+        }
+        if (source.album !== undefined) {
+            // Album tracks do not repeat the album, so the cover comes from the album itself
+            const album = await this.request(`/album/${source.album}`);
+            return DeezerCatalogue.toTracks(((album.tracks && album.tracks.data) || []).slice(0, limit), album);
+        }
+        if (source.search !== undefined) {
+            const data = await this.request('/search', { q: source.search, limit });
+            return DeezerCatalogue.toTracks(data.data);
+        }
+        throw new Error('Deezer source needs "playlist", "album" or "search"');
+    }
+
+    /**
+     * Call the API, waiting for the rate limit and retrying temporary failures
+     * @param {string} path - e.g. '/playlist/123/tracks'
+     * @param {Object} params - Query parameters
+     * @returns {Promise<Object>} Response body
+     */
+    async request(path, params = {}) {
+        if (!this.isEnabled) {
+            throw new Error('Deezer catalogue is turned off (DEEZER_API_URL is null)');
+        }
+
+        const query = Object.entries(params)
+            .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+            .join('&');
+        const url = `${this.baseUrl}${path}${query ? `?${query}` : ''}`;
+
+        for (let attempt = 0; ; attempt++) {
+            await this.waitForSlot();
+            try {
+                const data = await (this.transport === 'fetch' ? this.withTimeout(this.fetchJSON(url), url) : this.jsonp(url));
+                if (data && data.error) {
+                    const { code = 0, type = 'Exception', message = 'Unknown error' } = data.error;
+                    throw new DeezerApiError(`Deezer ${type} ${code}: ${message}`, {
+                        code,
+                        type,
+                        retryable: DEEZER_RETRY_CODES.includes(code),
+                    });
+                }
+                return data;
+            } catch (error) {
+                if (!error.retryable || attempt >= DEEZER_MAX_RETRIES) {
+                    throw error;
+                }
+                // Over quota: the whole window has to pass, otherwise back off exponentially
+                const delay = error.code === 4 ? DEEZER_RATE_WINDOW : 1000 * 2 ** attempt;
+                logger.warn(`${error.message}, retrying ${path} in ${delay / 1000}s`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Wait until a request fits in the rate window
+     * Slots are handed out in order, so parallel requests cannot overtake each other
+     */
+    waitForSlot() {
+        const slot = this.lastSlot.then(async () => {
+            const now = performance.now();
+            this.requestTimes = this.requestTimes.filter(time => now - time < DEEZER_RATE_WINDOW);
+            if (this.requestTimes.length >= DEEZER_RATE_LIMIT) {
+                await new Promise(resolve => setTimeout(resolve, this.requestTimes[0] + DEEZER_RATE_WINDOW - now));
+            }
+            this.requestTimes.push(performance.now());
+        });
+        this.lastSlot = slot;
+        return slot;
+    }
+
+    withTimeout(promise, url) {
+        let timer = null;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                reject(new DeezerApiError(`Deezer request timed out: ${url}`, { retryable: true }));
+            }, DEEZER_TIMEOUT);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    async fetchJSON(url) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw new DeezerApiError(`Deezer request failed: ${error.message}`, { retryable: true });
+        }
+        if (!response.ok) {
+            throw new DeezerApiError(`Deezer request failed: HTTP ${response.status}`, {
+                code: response.status,
+                retryable: response.status === 429 || response.status >= 500,
+            });
+        }
+        return response.json();
+    }
+
+    /**
+     * Load a URL as a script with a callback (the API supports output=jsonp)
+     * Times out on its own, since the script and its callback have to be cleaned up too
+     */
+    jsonp(url) {
+        return new Promise((resolve, reject) => {
+            const callback = `${this.callbackPrefix}${++this.callbackCount}`;
+            const script = document.createElement('script');
+            let isSettled = false;
+
+            // Shared by the callback, the error and the timeout, whichever comes first
+            const settle = (error, data, isLoading = false) => {
+                if (isSettled) return;
+                isSettled = true;
+                clearTimeout(timer);
+                script.remove();
+                if (isLoading) {
+                    // A removed script still loads and runs, so a late answer has to find a no-op
+                    window[callback] = () => {};
+                    const forget = () => delete window[callback];
+                    script.addEventListener('load', forget);
+                    script.addEventListener('error', forget);
+                } else {
+                    delete window[callback];
+                }
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(data);
+                }
+            };
+
+            window[callback] = data => settle(null, data);
+            script.addEventListener('error', () => {
+                settle(new DeezerApiError(`Deezer request failed: ${url}`, { retryable: true }));
+            });
+            const timer = setTimeout(() => {
+                settle(new DeezerApiError(`Deezer request timed out: ${url}`, { retryable: true }), null, true);
+            }, DEEZER_TIMEOUT);
+            script.src = `${url}${url.includes('?') ? '&' : '?'}output=jsonp&callback=${callback}`;
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Convert API tracks to player tracks
+     * @param {Array<Object>} items - Deezer track objects
+     * @param {Object} album - Album the tracks belong to, when the items do not say
+     */
+    static toTracks(items = [], album = null) {
+        return items
+            .filter(item => item && item.preview && item.readable !== false)
+            .map(item => {
+                const itemAlbum = item.album || album || {};
+                return {
+                    id: `deezer:${item.id}`,
+                    title: item.title_short || item.title,
+                    artist: item.artist ? item.artist.name : '',
+                    album: itemAlbum.title || '',
+                    artwork: itemAlbum.cover_xl || itemAlbum.cover_big || itemAlbum.cover_medium || null,
+                    src: item.preview,
+                    link: item.link || null,
+                };
+            });
+    }
+}
+
+// ============================================================================
+// Detector Backends
+// ============================================================================
+
+// Every backend loads with load() and reports what it currently sees through
+// getDetections() as {label, confidence, cubeId} objects, which go through the
+// same DetectionState pipeline whatever the backend. Backends emit:
+//   error {AppError} - a failure after load(), e.g. the camera stopping
+//   targetevent {type, targetIndex, label, cubeId} - a target was found or lost
+
+class DetectorBackend extends EventEmitter {
+    constructor() {
+        super();
+        this.isLoaded = false;
+        this.loadError = null; // AppError from the last load() that failed
+    }
+
+    /**
+     * Load the backend and start detecting
+     * @returns {Promise<boolean>} True if detection runs, otherwise loadError says why
+     */
+    async load() {
+        this.isLoaded = true;
+        return true;
+    }
+
+    /**
+     * Show a failure that happens after load(), e.g. the camera stopping
+     * @param {AppError} error
+     */
+    reportError(error) {
+        this.emit('error', error);
+    }
+
+    /**
+     * @returns {Array<{label: string, confidence: number, cubeId: string}>} Current detections
+     */
+    getDetections() {
+        return [];
+    }
+
+    setLowPower(enabled) {}
+
+    pauseTracking() {}
+
+    resumeTracking() {}
+}
+
+// Base for backends that report image targets through targetFound/targetLost events
+class ImageTargetDetector extends DetectorBackend {
+    constructor() {
+        super();
+        this.trackedTargets = new Map(); // targetIndex -> detection, for currently tracked targets
+    }
+
+    /**
+     * Mark a target as currently tracked
+     * MindAR does not report a confidence score, so a tracked target counts as fully confident
+     * @param {number} targetIndex - Index of the target in the targets file
+     */
+    handleTargetFound(targetIndex) {
+        const detection = {
+            label: TARGET_LABELS[targetIndex] || `Target ${targetIndex}`,
+            confidence: 1.0,
+            targetIndex: targetIndex,
+            cubeId: TARGET_CUBES[targetIndex],
+            foundAt: Date.now()
+        };
+        this.trackedTargets.set(targetIndex, detection);
+        this.recordTargetEvent('targetFound', detection);
+    }
+
+    /**
+     * Mark a target as no longer tracked
+     * @param {number} targetIndex - Index of the target in the targets file
+     */
+    handleTargetLost(targetIndex) {
+        const detection = this.trackedTargets.get(targetIndex);
+        this.trackedTargets.delete(targetIndex);
+        this.recordTargetEvent('targetLost', detection || {
+            label: TARGET_LABELS[targetIndex],
+            targetIndex: targetIndex,
+            cubeId: TARGET_CUBES[targetIndex]
+        });
+    }
+
+    recordTargetEvent(type, { label, targetIndex, cubeId }) {
+        this.emit('targetevent', { type, targetIndex, label, cubeId });
+    }
+
+    /**
+     * Get current detections from tracked targets
+     * Ordered by the time each target was found, so the first cube seen stays first
+     * @returns {Array<{label: string, confidence: number, targetIndex: number, cubeId: string}>} Currently tracked targets
+     */
+    getDetections() {
+        return Array.from(this.trackedTargets.values())
+            .sort((a, b) => a.foundAt - b.foundAt);
+    }
+
+}
+
+// ============================================================================
+// MindAR Image Tracking Backend
+// ============================================================================
+
+class MindARDetector extends ImageTargetDetector {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.getAudioLevels] - Returns the current audio levels for the visuals, or null for silence
+     */
+    constructor({ getAudioLevels = () => null } = {}) {
+        super();
+        this.scene = null;
+        this.mindarSystem = null;
+        this.targetsCreated = false; // Track if targets have been created to prevent duplicates
+        this.eventsSetUp = false;
+
+        // Low power state
+        this.lowPower = false;
+        this.processingInterval = 0; // Minimum ms between MindAR processing frames (0 = unthrottled)
+        this.trackingPaused = false;
+        this.fullCameraSettings = null; // Camera size before switching to low resolution
+
+        // Mood visuals on found targets, animated from the music
+        this.visuals = new ARVisuals(getAudioLevels);
+    }
+
+    /**
+     * Load MindAR scene and start tracking
+     * Checks the camera and the targets file first, MindAR itself only reports them as
+     * a generic arError or an unhandled rejection
+     */
+    async load() {
+        this.loadError = null;
+        try {
+            logger.debug('Step 1: Checking A-Frame...');
+            // Wait for A-Frame to be ready
+            if (typeof AFRAME === 'undefined') {
+                logger.error('A-Frame is not defined! Check script loading order.');
+                throw new AppError('libraryMissing', 'A-Frame not loaded. Make sure script tag is present.');
+            }
+            logger.debug('✓ A-Frame is available');
+
+            logger.debug('Step 2: Waiting for document ready...');
+            await new Promise(resolve => {
+                if (document.readyState === 'complete') {
+                    resolve();
+                } else {
+                    window.addEventListener('load', resolve);
+                }
+            });
+            logger.debug('✓ Document is ready');
+
+            logger.debug('Step 3: Finding AR scene element...');
+            const sceneEl = document.getElementById('arScene');
+            if (!sceneEl) {
+                logger.error('AR scene element not found in DOM!');
+                logger.error('Available elements with id:', Array.from(document.querySelectorAll('[id]')).map(el => el.id));
+                throw new Error('AR scene element not found');
+            }
+            logger.debug('✓ AR scene element found');
+            logger.debug('Scene parent:', sceneEl.parentElement);
+            logger.debug('Scene visibility:', window.getComputedStyle(sceneEl.parentElement).display);
+
+            this.scene = sceneEl;
+            
+            // Ensure scene is attached and visible
+            if (!this.scene.parentElement || this.scene.parentElement.classList.contains('hidden')) {
+                logger.warn('Scene parent is hidden, this may cause initialization issues');
+            }
+            
+            logger.debug('Step 4: Waiting for scene to load...');
+            // Wait for scene to be ready
+            await new Promise((resolve, reject) => {
+                const timeout = setTimeout(() => {
+                    reject(new AppError('libraryMissing', 'Scene loaded timeout after 5 seconds'));
+                }, 5000);
+                
+                if (this.scene.hasLoaded) {
+                    logger.debug('Scene already loaded');
+                    clearTimeout(timeout);
+                    resolve();
+                } else {
+                    logger.debug('Waiting for scene loaded event...');
+                    this.scene.addEventListener('loaded', () => {
+                        logger.debug('Scene loaded event fired');
+                        clearTimeout(timeout);
+                        resolve();
+                    }, { once: true });
+                }
+            });
+            logger.debug('✓ Scene is loaded');
+
+            logger.debug('Step 5: Getting MindAR system...');
+            
+            // Check if mindar-image component is registered
+            const mindarComponents = Object.keys(AFRAME.components).filter(k => k.includes('mindar'));
+            logger.debug('Available MindAR components:', mindarComponents);
+            
+            if (!mindarComponents.includes('mindar-image')) {
+                logger.warn('mindar-image component not found yet, but continuing...');
+                // Don't throw error - let it initialize naturally
+            } else {
+                logger.debug('✓ MindAR component is registered');
+            }
+            
+            // Get the system - wait for it to be available
+            // MindAR system becomes available after the scene fully initializes
+            let attempts = 0;
+            while (!this.mindarSystem && attempts < 50) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+                
+                // Try to get the system from the scene - system name is 'mindar-image-system'
+                this.mindarSystem = this.scene.systems['mindar-image-system'] || this.scene.systems['mindar-image'];
+                
+                attempts++;
+                if (!this.mindarSystem && attempts % 10 === 0) {
+                    logger.debug(`Waiting for MindAR system... attempt ${attempts}/50`);
+                    logger.debug('Current systems:', Object.keys(this.scene.systems));
+                }
+            }
+            
+            if (this.mindarSystem) {
+                logger.debug('✓ MindAR system found');
+            } else {
+                // MindAR starts the camera, so without it there is nothing to show
+                logger.debug('Available systems:', Object.keys(this.scene.systems));
+                throw new AppError('libraryMissing', 'MindAR system not found after waiting, check the mindar-image-aframe script');
+            }
+
+            logger.debug('Step 6: Checking camera and targets file...');
+            const stream = await requestCamera();
+            stream.getTracks().forEach(track => track.stop()); // MindAR opens its own stream
+            await this.checkTargetsFile();
+            logger.debug('✓ Camera and targets file are available');
+
+            logger.debug('Step 7: Setting up event listeners...');
+            // Set up event listeners for target detection
+            // Targets will be created inside arReady event handler
+            this.setupMindAREvents();
+            logger.debug('✓ Event listeners set up');
+
+            logger.debug('Step 8: Starting MindAR tracking...');
+            // The scene's imageTargetSrc only counts until MindAR starts, so TARGETS_FILE can change it
+            this.mindarSystem.imageTargetSrc = CONFIG.TARGETS_FILE;
+            // Try to start MindAR explicitly
+            try {
+                if (typeof this.mindarSystem.start === 'function') {
+                    logger.debug('Calling mindarSystem.start()...');
+                    await this.mindarSystem.start();
+                    logger.debug('✓ MindAR started');
+                } else {
+                    logger.debug('start() method not available, waiting for auto-start...');
+                    // Wait a bit for auto-initialization
+                    await new Promise(resolve => setTimeout(resolve, 1000));
+                }
+            } catch (startError) {
+                logger.warn('Error starting MindAR (may auto-start anyway):', startError.message);
+            }
+
+            this.isLoaded = true;
+            logger.info('✓ MindAR loaded and started successfully');
+            
+            return true;
+        } catch (error) {
+            logger.error('❌ Error loading MindAR:', error);
+            logger.error('Error stack:', error.stack);
+            this.isLoaded = false;
+            this.loadError = AppError.from(error, 'libraryMissing');
+            return false;
+        }
+    }
+
+    /**
+     * Make sure the targets file loads before MindAR tries
+     * Loaded with a normal request, so MindAR gets it from the cache
+     */
+    async checkTargetsFile() {
+        let response;
+        try {
+            response = await fetch(CONFIG.TARGETS_FILE);
+        } catch (error) {
+            throw new AppError('targetsFailed', `Could not load ${CONFIG.TARGETS_FILE}: ${error.message}`, error);
+        }
+        if (!response.ok) {
+            throw new AppError('targetsFailed', `Could not load ${CONFIG.TARGETS_FILE} (HTTP ${response.status})`);
+        }
+    }
+
+    /**
+     * Set up MindAR event listeners for target tracking
+     * Targets are created only once, inside the arReady event handler
+     */
+    setupMindAREvents() {
+        if (this.eventsSetUp) return;
+        this.eventsSetUp = true;
+        logger.debug('Setting up MindAR event listeners...');
+        
+        // Listen for arReady event (fires when camera is ready)
+        // This is the ONLY place where targets should be created
+        this.scene.addEventListener('arReady', () => {
+            logger.debug('✓ MindAR arReady event fired - camera should be active');
+            
+            // Create target entities only once, inside arReady event
+            if (!this.targetsCreated) {
+                this.createTargetEntities();
+                this.targetsCreated = true;
+            }
+
+            // The MindAR controller only exists from here on
+            this.installProcessingThrottle();
+            this.setLowPower(this.lowPower);
+        }, { once: true });
+        
+        // Listen for arError event (MindAR 1.1.4 only sends VIDEO_FAIL, when the camera does not start)
+        this.scene.addEventListener('arError', (event) => {
+            logger.error('❌ MindAR error:', event.detail);
+            this.isLoaded = false;
+            this.reportError(new AppError('noCamera', `MindAR error: ${Logger.format(event.detail)}`));
+        });
+    }
+    
+    /**
+     * Create one mindar-image-target entity per target in TARGET_LABELS
+     * Each target gets a floating text label that appears above it when detected,
+     * and its mood's visual (see ARVisuals)
+     * This function is called only once, inside the arReady event handler
+     * MindAR 1.1.4 has no a-mindar-image-target primitive, so targets are a-entity elements
+     * with the mindar-image-target component
+     */
+    createTargetEntities() {
+        const targetIndices = Object.keys(TARGET_LABELS).map(Number);
+        logger.debug(`Creating ${targetIndices.length} target entities (indices ${targetIndices.join(', ')}) for MindAR tracking`);
+        
+        // Verify no targets exist yet (safety check)
+        const existingTargets = this.scene.querySelectorAll('[mindar-image-target]');
+        if (existingTargets.length > 0) {
+            logger.warn('Target entities already exist! Removing duplicates.');
+            existingTargets.forEach(el => el.remove());
+        }
+        
+        // Create one target entity per target in the manifest
+        targetIndices.forEach(targetIndex => {
+            const labelText = TARGET_LABELS[targetIndex] || `Target ${targetIndex}`;
+            
+            // Create the mindar-image-target entity
+            const targetEl = document.createElement('a-entity');
+            targetEl.setAttribute('mindar-image-target', `targetIndex: ${targetIndex}`);
+            targetEl.id = `target-${targetIndex}`;
+            
+            // Create a floating text label entity as a child of the target
+            // The text will be positioned slightly above the target (0 0.6 0 relative position)
+            const textEl = document.createElement('a-text');
+            textEl.setAttribute('value', labelText);
+            textEl.setAttribute('align', 'center'); // Center the text
+            textEl.setAttribute('color', '#FFFFFF'); // White text
+            textEl.setAttribute('position', '0 0.6 0'); // Position above target
+            textEl.setAttribute('scale', '2 2 2'); // Make text readable
+            textEl.setAttribute('look-at', '[camera]'); // Text always faces camera
+            textEl.id = `label-${targetIndex}`;
+            textEl.setAttribute('visible', false); // Hidden by default, shown when target found
+            
+            // Add text as child of target entity
+            targetEl.appendChild(textEl);
+            this.visuals.attach(targetEl, targetIndex);
+            
+            // Handle targetFound event: show the text label and visual and start tracking
+            targetEl.addEventListener('targetFound', () => {
+                logger.debug(`🎯 Target ${targetIndex} (${labelText}) FOUND!`);
+                textEl.setAttribute('visible', true);
+                this.visuals.show(targetIndex);
+                this.handleTargetFound(targetIndex);
+            });
+            
+            // Handle targetLost event: hide the text label, fade out the visual and stop tracking
+            targetEl.addEventListener('targetLost', () => {
+                logger.debug(`❌ Target ${targetIndex} (${labelText}) LOST`);
+                textEl.setAttribute('visible', false);
+                this.visuals.hide(targetIndex);
+                this.handleTargetLost(targetIndex);
+            });
+            
+            // MindAR sizes its anchors before arReady, so targets created here
+            // need their marker set up from the loaded target dimensions
+            targetEl.addEventListener('loaded', () => {
+                this.setupTargetMarker(targetEl, targetIndex);
+            }, { once: true });
+            
+            // Add target entity to scene
+            this.scene.appendChild(targetEl);
+            logger.debug(`✓ Created target entity ${targetIndex} (${labelText}) with floating label`);
+        });
+        
+        // Verify all targets were created
+        const allTargets = this.scene.querySelectorAll('[mindar-image-target]');
+        logger.debug(`✓ All ${allTargets.length} target entities created and added to scene`);
+    }
+
+    /**
+     * Size a target anchor to its image target (1 unit = target width)
+     * @param {Element} targetEl - Entity with the mindar-image-target component
+     * @param {number} targetIndex - Index of the target in the targets file
+     */
+    setupTargetMarker(targetEl, targetIndex) {
+        const controller = this.mindarSystem && this.mindarSystem.controller;
+        const dimensions = controller && controller.markerDimensions;
+        const target = targetEl.components && targetEl.components['mindar-image-target'];
+        if (!dimensions || !target) return;
+
+        if (targetIndex < dimensions.length) {
+            target.setupMarker(dimensions[targetIndex]);
+        } else {
+            logger.warn(`Target ${targetIndex} is not in ${CONFIG.TARGETS_FILE} (${dimensions.length} targets)`);
+        }
+    }
+
+    /**
+     * Throttle MindAR processing to at most one frame per processingInterval
+     * MindAR has no frame rate option, so the first detect/track call of each
+     * processing frame waits until the interval has passed
+     */
+    installProcessingThrottle() {
+        const controller = this.mindarSystem && this.mindarSystem.controller;
+        if (!controller || controller.processingThrottled) return;
+
+        let frameStarted = true;
+        let lastFrameTime = 0;
+        const waitForNextFrame = async () => {
+            if (!frameStarted) return;
+            frameStarted = false;
+            const wait = lastFrameTime + this.processingInterval - performance.now();
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+            lastFrameTime = performance.now();
+        };
+
+        const onUpdate = controller.onUpdate;
+        controller.onUpdate = (data) => {
+            if (data.type === 'processDone') {
+                frameStarted = true;
+            }
+            if (onUpdate) onUpdate(data);
+        };
+
+        // Every processing frame awaits at least one of these
+        ['_detectAndMatch', '_trackAndUpdate'].forEach(name => {
+            const original = controller[name].bind(controller);
+            controller[name] = async (...args) => {
+                await waitForNextFrame();
+                return original(...args);
+            };
+        });
+
+        controller.processingThrottled = true;
+    }
+
+    /**
+     * Turn low power mode on or off
+     * Throttles MindAR processing and scene rendering and lowers the camera resolution
+     * @param {boolean} enabled
+     */
+    setLowPower(enabled) {
+        this.lowPower = enabled;
+        this.processingInterval = enabled ? 1000 / CONFIG.LOW_POWER_FPS : 0;
+        this.visuals.setLowPower(enabled);
+
+        if (!this.trackingPaused) {
+            this.setRenderFps(enabled ? CONFIG.LOW_POWER_FPS : 0);
+        }
+        this.setCameraLowResolution(enabled);
+    }
+
+    /**
+     * Limit the A-Frame render loop
+     * @param {number} fps - Maximum frames per second (0 = every animation frame)
+     */
+    setRenderFps(fps) {
+        const renderer = this.scene && this.scene.renderer;
+        if (!renderer || !this.scene.renderStarted) return;
+
+        if (!fps) {
+            renderer.setAnimationLoop(this.scene.render);
+            return;
+        }
+
+        const interval = 1000 / fps;
+        let lastRenderTime = 0;
+        renderer.setAnimationLoop((time, frame) => {
+            if (time - lastRenderTime < interval) return;
+            lastRenderTime = time;
+            this.scene.render(time, frame);
+        });
+    }
+
+    /**
+     * Switch the camera stream to a lower resolution, keeping its aspect ratio
+     * MindAR scales every frame to its fixed input size, so tracking keeps working
+     * @param {boolean} enabled
+     */
+    setCameraLowResolution(enabled) {
+        const video = this.mindarSystem && this.mindarSystem.video;
+        const track = video && video.srcObject && video.srcObject.getVideoTracks()[0];
+        if (!track || typeof track.applyConstraints !== 'function') return;
+
+        let constraints = null;
+        if (enabled && !this.fullCameraSettings) {
+            const { width, height } = track.getSettings();
+            if (!width || !height || width <= CONFIG.LOW_POWER_CAMERA_WIDTH) return;
+            this.fullCameraSettings = { width, height };
+            constraints = {
+                width: { ideal: CONFIG.LOW_POWER_CAMERA_WIDTH },
+                height: { ideal: Math.round(height * CONFIG.LOW_POWER_CAMERA_WIDTH / width) },
+            };
+        } else if (!enabled && this.fullCameraSettings) {
+            const { width, height } = this.fullCameraSettings;
+            this.fullCameraSettings = null;
+            constraints = { width: { ideal: width }, height: { ideal: height } };
+        }
+
+        if (constraints) {
+            track.applyConstraints({ facingMode: 'environment', ...constraints }).catch(error => {
+                logger.warn('Could not change camera resolution:', error.message);
+            });
+        }
+    }
+
+    /**
+     * Stop tracking and rendering completely (e.g. while the page is hidden)
+     * Tracked targets are reported as lost, since MindAR restarts tracking from scratch on resume
+     */
+    pauseTracking() {
+        if (this.trackingPaused || !this.mindarSystem || !this.mindarSystem.controller) return;
+
+        this.scene.querySelectorAll('[mindar-image-target]').forEach(targetEl => {
+            const target = targetEl.components && targetEl.components['mindar-image-target'];
+            if (target && targetEl.object3D.visible) {
+                target.updateWorldMatrix(null); // Emits targetLost
+            }
+        });
+
+        this.mindarSystem.pause();
+        if (this.scene.renderer) {
+            this.scene.renderer.setAnimationLoop(null);
+        }
+        this.trackingPaused = true;
+        logger.info('AR tracking paused');
+    }
+
+    /**
+     * Resume tracking and rendering after pauseTracking()
+     */
+    resumeTracking() {
+        if (!this.trackingPaused) return;
+
+        this.trackingPaused = false;
+        this.mindarSystem.unpause();
+        this.setRenderFps(this.lowPower ? CONFIG.LOW_POWER_FPS : 0);
+        logger.info('AR tracking resumed');
+    }
+
+}
+
+// ============================================================================
+// AR Visuals
+// ============================================================================
+
+// Audio-reactive A-Frame content anchored to each tracked cube face. Every mood
+// declares its visual in MOOD_VISUALS, visual types live in VISUAL_TYPES, and
+// each visual fades in on targetFound and out on targetLost.
+
+const VISUAL_FADE_DURATION = 400; // ms to fade a visual in or out
+
+// Levels used while no audio is analysed (before Tap to Start, or without Web Audio)
+const SILENT_LEVELS = { level: 0, bass: 0, mid: 0, treble: 0, bands: [] };
+
+// Visual types: name -> {build(root, theme), update(parts, levels, seconds, opacity, theme)}
+// build() creates the entities under the target's visual root and returns what
+// update() animates every frame from the audio levels (0-1, see MusicPlayer.getAudioLevels())
+const VISUAL_TYPES = {
+    // A sphere that swells with the bass inside a ring that grows with the mids
+    pulse: {
+        build(root, theme) {
+            return {
+                core: createVisualEntity(root, 'a-sphere', { radius: 0.12, position: '0 0 0.12' }),
+                ring: createVisualEntity(root, 'a-ring', { 'radius-inner': 0.28, 'radius-outer': 0.32, position: '0 0 0.02' }),
+            };
+        },
+        update({ core, ring }, levels, seconds, opacity, theme) {
+            setVisualScale(core, 1 + levels.bass * 0.9);
+            setVisualMaterial(core, theme.color, opacity);
+            setVisualScale(ring, 1 + levels.mid * 0.6);
+            ring.setAttribute('rotation', `0 0 ${(seconds * 20) % 360}`);
+            setVisualMaterial(ring, theme.accent, opacity * (0.4 + levels.level * 0.6));
+        },
+    },
+
+    // An equalizer of bars standing up around the face, one per spectrum band
+    bars: {
+        build(root, theme) {
+            return {
+                bars: Array.from({ length: SPECTRUM_BANDS }, (_, i) => {
+                    const angle = (i / SPECTRUM_BANDS) * Math.PI * 2;
+                    const x = (Math.cos(angle) * 0.42).toFixed(3);
+                    const y = (Math.sin(angle) * 0.42).toFixed(3);
+                    const el = createVisualEntity(root, 'a-box', { width: 0.07, height: 0.07, depth: 1, position: `${x} ${y} 0` });
+                    return { el, x, y };
+                }),
+            };
+        },
+        update({ bars }, levels, seconds, opacity, theme) {
+            bars.forEach(({ el, x, y }, i) => {
+                // Boxes are 1 deep, so scaling z gives the bar height above the face
+                const height = 0.02 + (levels.bands[i] || 0) * 0.5;
+                el.setAttribute('scale', `1 1 ${height.toFixed(3)}`);
+                el.setAttribute('position', `${x} ${y} ${(height / 2).toFixed(3)}`);
+                setVisualMaterial(el, i % 2 ? theme.accent : theme.color, opacity);
+            });
+        },
+    },
+
+    // Small spheres orbiting the face, faster with louder music and lifted by the treble
+    particles: {
+        build(root, theme) {
+            return {
+                angle: 0,
+                lastSeconds: null,
+                particles: Array.from({ length: 12 }, (_, i) => createVisualEntity(root, 'a-sphere', {
+                    radius: i % 3 ? 0.025 : 0.04,
+                    'segments-width': 8,
+                    'segments-height': 6,
+                })),
+            };
+        },
+        update(parts, levels, seconds, opacity, theme) {
+            const elapsed = parts.lastSeconds === null ? 0 : seconds - parts.lastSeconds;
+            parts.lastSeconds = seconds;
+            parts.angle += elapsed * (0.4 + levels.level * 2.5); // Radians per second
+
+            parts.particles.forEach((particle, i) => {
+                const angle = parts.angle * (i % 2 ? 1 : -0.7) + (i / parts.particles.length) * Math.PI * 2;
+                const radius = 0.3 + (i % 3) * 0.08;
+                const z = 0.08 + levels.treble * 0.3 * (1 + Math.sin(seconds * 3 + i)) / 2;
+                particle.setAttribute('position',
+                    `${(Math.cos(angle) * radius).toFixed(3)} ${(Math.sin(angle) * radius).toFixed(3)} ${z.toFixed(3)}`);
+                setVisualMaterial(particle, i % 3 ? theme.color : theme.accent, opacity);
+            });
+        },
+    },
+};
+
+// Mood id -> {type: key of VISUAL_TYPES, color, accent}
+// Moods without an entry (e.g. new moods in the manifest) get DEFAULT
+const MOOD_VISUALS = {
+    Chill: { type: 'pulse', color: '#3DD6C4', accent: '#B5F5EC' },
+    Confused: { type: 'bars', color: '#FF9F1C', accent: '#FFE066' },
+    Dreamy: { type: 'particles', color: '#C59BFF', accent: '#FFFFFF' },
+    Energy: { type: 'bars', color: '#FF3D71', accent: '#A238FF' },
+    Happy: { type: 'particles', color: '#FFD23F', accent: '#FF8A3D' },
+    Sad: { type: 'pulse', color: '#4A7BD0', accent: '#A3C4F3' },
+    DEFAULT: { type: 'pulse', color: '#A238FF', accent: '#FFFFFF' },
+};
+
+function createVisualEntity(parent, tag, attributes) {
+    const el = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+    parent.appendChild(el);
+    return el;
+}
+
+function setVisualScale(el, scale) {
+    const value = scale.toFixed(3);
+    el.setAttribute('scale', `${value} ${value} ${value}`);
+}
+
+function setVisualMaterial(el, color, opacity) {
+    el.setAttribute('material', `shader: flat; color: ${color}; transparent: true; opacity: ${opacity.toFixed(3)}`);
+}
+
+// Visual of one target: an entity under the target with the mood's visual type
+class TargetVisual {
+    /**
+     * @param {string} mood - Mood id of the target
+     */
+    constructor(mood) {
+        this.theme = MOOD_VISUALS[mood] || MOOD_VISUALS.DEFAULT;
+        this.type = VISUAL_TYPES[this.theme.type];
+        if (!this.type) {
+            logger.warn(`Unknown visual "${this.theme.type}" for ${mood}, using ${MOOD_VISUALS.DEFAULT.type}`);
+            this.theme = { ...this.theme, type: MOOD_VISUALS.DEFAULT.type };
+            this.type = VISUAL_TYPES[this.theme.type];
+        }
+
+        this.el = document.createElement('a-entity');
+        this.el.dataset.visual = this.theme.type;
+        this.el.setAttribute('visible', false);
+        this.parts = this.type.build(this.el, this.theme);
+
+        this.opacity = 0;
+        this.targetOpacity = 0;
+    }
+
+    /**
+     * @returns {boolean} True while shown or fading
+     */
+    get isActive() {
+        return this.opacity > 0 || this.targetOpacity > 0;
+    }
+
+    show() {
+        this.targetOpacity = 1;
+        this.el.setAttribute('visible', true);
+    }
+
+    hide() {
+        this.targetOpacity = 0;
+    }
+
+    /**
+     * Advance the fade and animate the visual
+     * @param {Object} levels - Audio levels
+     * @param {number} time - Animation frame time in ms
+     * @param {number} elapsed - ms since the previous frame
+     */
+    render(levels, time, elapsed) {
+        const step = elapsed / VISUAL_FADE_DURATION;
+        this.opacity = this.targetOpacity > this.opacity
+            ? Math.min(this.targetOpacity, this.opacity + step)
+            : Math.max(this.targetOpacity, this.opacity - step);
+
+        if (!this.isActive) {
+            this.el.setAttribute('visible', false);
+            return;
+        }
+        this.type.update(this.parts, levels, time / 1000, this.opacity, this.theme);
+    }
+}
+
+/**
+ * @returns {boolean} True if the user asked the system for less motion
+ */
+function prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// Runs the visuals of all targets from one animation loop, which only runs
+// while a visual is shown or fading
+class ARVisuals {
+    /**
+     * @param {Function} getLevels - Returns the current audio levels, or null for silence
+     */
+    constructor(getLevels) {
+        this.getLevels = getLevels;
+        this.visuals = new Map(); // targetIndex -> TargetVisual
+        this.frame = null; // Pending requestAnimationFrame id
+        this.lastFrameTime = null;
+        this.frameInterval = 0; // Minimum ms between frames (0 = every animation frame)
+    }
+
+    /**
+     * Add the visual of a target's mood to its target entity
+     * @param {Element} targetEl - Entity with the mindar-image-target component
+     * @param {number} targetIndex - Index of the target in the targets file
+     */
+    attach(targetEl, targetIndex) {
+        const visual = new TargetVisual(TARGET_LABELS[targetIndex]);
+        visual.el.id = `visual-${targetIndex}`;
+        targetEl.appendChild(visual.el);
+        this.visuals.set(targetIndex, visual);
+    }
+
+    show(targetIndex) {
+        const visual = this.visuals.get(targetIndex);
+        if (!visual) return;
+        visual.show();
+        this.requestFrame();
+    }
+
+    hide(targetIndex) {
+        const visual = this.visuals.get(targetIndex);
+        if (!visual) return;
+        visual.hide();
+        this.requestFrame();
+    }
+
+    /**
+     * Animate at most LOW_POWER_FPS frames per second, like the scene render loop
+     * @param {boolean} enabled
+     */
+    setLowPower(enabled) {
+        this.frameInterval = enabled ? 1000 / CONFIG.LOW_POWER_FPS : 0;
+    }
+
+    requestFrame() {
+        if (this.frame === null) {
+            this.frame = requestAnimationFrame(time => this.renderFrame(time));
+        }
+    }
+
+    /**
+     * With reduced motion, visuals appear and disappear without a fade and stand still,
+     * so show() and hide() draw one frame each
+     * @param {number} time - requestAnimationFrame timestamp
+     */
+    renderFrame(time) {
+        this.frame = null;
+        if (prefersReducedMotion()) {
+            this.visuals.forEach(visual => visual.render(SILENT_LEVELS, 0, VISUAL_FADE_DURATION));
+            this.lastFrameTime = null;
+            return;
+        }
+
+        const elapsed = this.lastFrameTime === null ? 0 : time - this.lastFrameTime;
+        if (elapsed > 0 && elapsed < this.frameInterval) {
+            this.requestFrame();
+            return;
+        }
+        this.lastFrameTime = time;
+
+        const levels = this.getLevels() || SILENT_LEVELS;
+        this.visuals.forEach(visual => visual.render(levels, time, elapsed));
+
+        if (Array.from(this.visuals.values()).some(visual => visual.isActive)) {
+            this.requestFrame();
+        } else {
+            this.lastFrameTime = null; // The next fade starts from its first frame
+        }
+    }
+}
+
+// ============================================================================
+// Mock Backend
+// ============================================================================
+
+// Targets are found and lost by the mock control panel instead of a camera
+class MockDetector extends ImageTargetDetector {
+    async load() {
+        logger.info('Camera skipped (mock detector), use the mock panel to fake targets');
+        this.isLoaded = true;
+        return true;
+    }
+}
+
+// ============================================================================
+// TensorFlow.js Classifier Backend
+// ============================================================================
+
+class TFJSClassifierDetector extends DetectorBackend {
+    constructor() {
+        super();
+        this.model = null;
+        this.labels = [];
+        this.inputSize = [224, 224]; // [height, width], read from the model when loaded
+        this.video = null;
+        this.detections = [];
+        this.fps = CONFIG.CLASSIFIER_FPS;
+        this.classifyTimer = null;
+        this.isPaused = false;
+    }
+
+    /**
+     * Load TF.js, the classifier model and its labels, then start the camera
+     */
+    async load() {
+        this.loadError = null;
+        try {
+            if (typeof tf === 'undefined') {
+                logger.debug('Loading TensorFlow.js...');
+                await loadScript(CONFIG.TFJS_URL).catch(error => {
+                    throw new AppError('libraryMissing', error.message, error);
+                });
+            }
+
+            logger.debug(`Loading classifier from ${CONFIG.MODEL_PATH}...`);
+            try {
+                this.model = await tf.loadLayersModel(CONFIG.MODEL_PATH);
+                this.labels = CONFIG.MODEL_LABELS || await this.loadLabels();
+            } catch (error) {
+                throw new AppError('targetsFailed', `Classifier: ${error.message}`, error);
+            }
+            const inputShape = this.model.inputs[0].shape;
+            if (inputShape[1] && inputShape[2]) {
+                this.inputSize = [inputShape[1], inputShape[2]];
+            }
+
+            const moods = Object.values(TARGET_LABELS);
+            const unknown = this.labels.filter(label => !moods.includes(label));
+            if (unknown.length > 0) {
+                logger.warn('Classifier labels that are not moods will be ignored:', unknown);
+            }
+            logger.info(`✓ Classifier loaded (${this.labels.length} labels, input ${this.inputSize.join('x')})`);
+
+            await this.startCamera();
+            this.scheduleClassification();
+
+            this.isLoaded = true;
+            return true;
+        } catch (error) {
+            logger.error('❌ Error loading classifier:', error);
+            this.isLoaded = false;
+            this.loadError = AppError.from(error, 'libraryMissing');
+            return false;
+        }
+    }
+
+    /**
+     * Read class labels from the Teachable Machine metadata.json next to the model
+     */
+    async loadLabels() {
+        const metadataUrl = CONFIG.MODEL_PATH.replace(/[^/]*$/, 'metadata.json');
+        const response = await fetch(metadataUrl);
+        if (!response.ok) {
+            throw new Error(`No labels: set CONFIG.MODEL_LABELS or add ${metadataUrl} (HTTP ${response.status})`);
+        }
+        const metadata = await response.json();
+        if (!Array.isArray(metadata.labels)) {
+            throw new Error(`${metadataUrl} has no "labels" array`);
+        }
+        return metadata.labels;
+    }
+
+    async startCamera() {
+        const stream = await requestCamera();
+
+        this.video = document.createElement('video');
+        this.video.setAttribute('autoplay', '');
+        this.video.setAttribute('muted', '');
+        this.video.setAttribute('playsinline', '');
+        this.video.srcObject = stream;
+
+        const container = document.getElementById('app') || document.body;
+        container.appendChild(this.video);
+        await this.video.play();
+    }
+
+    scheduleClassification() {
+        clearTimeout(this.classifyTimer);
+        this.classifyTimer = setTimeout(async () => {
+            if (this.isPaused) return;
+            try {
+                await this.classify();
+            } catch (error) {
+                // A failed frame (e.g. while the video resizes) must not stop classification
+                logger.error('Classification failed:', error);
+            }
+            this.scheduleClassification();
+        }, 1000 / this.fps);
+    }
+
+    /**
+     * Classify each region of the current frame, one region per cube
+     */
+    async classify() {
+        if (!this.video || this.video.readyState < 2) return;
+
+        const regions = Math.max(1, CONFIG.CLASSIFIER_REGIONS);
+        const scores = tf.tidy(() => {
+            const frame = tf.browser.fromPixels(this.video);
+            const [height, width] = frame.shape;
+            const regionWidth = Math.floor(width / regions);
+            const batch = [];
+            for (let i = 0; i < regions; i++) {
+                batch.push(this.preprocess(frame.slice([0, i * regionWidth, 0], [height, regionWidth, 3])));
+            }
+            return this.model.predict(tf.stack(batch));
+        });
+        const data = await scores.array();
+        scores.dispose();
+
+        this.detections = data.map((classScores, region) => {
+            let best = 0;
+            classScores.forEach((score, i) => {
+                if (score > classScores[best]) best = i;
+            });
+            return {
+                label: this.labels[best],
+                confidence: classScores[best],
+                cubeId: `region-${region}`
+            };
+        }).filter(detection => Object.values(TARGET_LABELS).includes(detection.label));
+    }
+
+    /**
+     * Resize an image tensor to the model input size and scale pixels to CLASSIFIER_INPUT_RANGE
+     */
+    preprocess(image) {
+        const [min, max] = CONFIG.CLASSIFIER_INPUT_RANGE;
+        return tf.image.resizeBilinear(image, this.inputSize)
+            .toFloat()
+            .div(255)
+            .mul(max - min)
+            .add(min);
+    }
+
+    getDetections() {
+        return this.detections;
+    }
+
+    setLowPower(enabled) {
+        this.fps = enabled ? Math.min(CONFIG.LOW_POWER_FPS, CONFIG.CLASSIFIER_FPS) : CONFIG.CLASSIFIER_FPS;
+    }
+
+    pauseTracking() {
+        this.isPaused = true;
+        clearTimeout(this.classifyTimer);
+        this.detections = [];
+        if (this.video) this.video.pause();
+    }
+
+    resumeTracking() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        if (this.video) this.video.play();
+        if (this.isLoaded) this.scheduleClassification();
+    }
+}
+
+/**
+ * Load a classic script once
+ * @param {string} src
+ * @returns {Promise<void>}
+ */
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.async = true;
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error(`Failed to load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+// ============================================================================
+// Session Recording and Replay
+// ============================================================================
+
+const SESSION_FORMAT_VERSION = 1;
+// Recorded settings that SessionRecorder.replay() puts back while it replays
+const SESSION_REPLAY_SETTINGS = [
+    'CONFIDENCE_THRESHOLD', 'SMOOTHING_FRAMES', 'STABLE_AGREEMENT',
+    'COMBO_DWELL_TIME', 'LOSS_GRACE_PERIOD', 'KEEP_LAST_COMBO', 'SWITCH_AT_TRACK_END',
+];
+
+// Records target events, detector input, smoothing output and player actions
+// with timestamps, so field reports can be replayed without a camera
+//
+// Event types (t = ms since recording started, f = DetectionState frame number):
+//   targetFound / targetLost  {t, targetIndex, label, cubeId}
+//   detections                {t, f, detections}   detector output, only when it changed
+//   stable                    {t, f, moods, combo} stable moods per cube after smoothing
+//   player                    {t, action, ...}     MusicPlayer actions
+class SessionRecorder {
+    constructor() {
+        this.events = [];
+        this.isRecording = false;
+        this.startTime = 0;
+        this.startedAt = null;
+        this.lastDetectionsKey = null;
+    }
+
+    start() {
+        this.events = [];
+        this.isRecording = true;
+        this.startTime = performance.now();
+        this.startedAt = new Date().toISOString();
+        this.lastDetectionsKey = null;
+        logger.info('⏺ Session recording started');
+    }
+
+    stop() {
+        this.isRecording = false;
+    }
+
+    /**
+     * Add an event (ignored when not recording)
+     * @param {string} type - Event type
+     * @param {Object} data - Event data
+     */
+    record(type, data = {}) {
+        if (!this.isRecording) return;
+        this.events.push({ t: Math.round(performance.now() - this.startTime), type, ...data });
+    }
+
+    /**
+     * Record the detector output fed to DetectionState in a frame
+     * Only changes are stored, replay repeats the last detections until the next change
+     * @param {number} frame - DetectionState frame number
+     * @param {Array<{label: string, confidence: number, cubeId: string}>} detections
+     */
+    recordDetections(frame, detections) {
+        if (!this.isRecording) return;
+
+        const compact = detections.map(({ label, confidence, cubeId, targetIndex }) => ({ label, confidence, cubeId, targetIndex }));
+        const key = JSON.stringify(compact);
+        if (key === this.lastDetectionsKey) return;
+        this.lastDetectionsKey = key;
+
+        this.record('detections', { f: frame, detections: compact });
+    }
+
+    /**
+     * Recording as a JSON-serializable object
+     * The smoothing and switching settings are included so replay checks use the same ones
+     */
+    toJSON() {
+        return {
+            version: SESSION_FORMAT_VERSION,
+            recordedAt: this.startedAt,
+            userAgent: navigator.userAgent,
+            config: {
+                DETECTOR: CONFIG.MOCK_MODE ? 'mock' : CONFIG.DETECTOR,
+                CONFIDENCE_THRESHOLD: CONFIG.CONFIDENCE_THRESHOLD,
+                SMOOTHING_FRAMES: CONFIG.SMOOTHING_FRAMES,
+                DETECTION_FPS: CONFIG.DETECTION_FPS,
+                STABLE_AGREEMENT: CONFIG.STABLE_AGREEMENT,
+                COMBO_DWELL_TIME: CONFIG.COMBO_DWELL_TIME,
+                LOSS_GRACE_PERIOD: CONFIG.LOSS_GRACE_PERIOD,
+                KEEP_LAST_COMBO: CONFIG.KEEP_LAST_COMBO,
+                SWITCH_AT_TRACK_END: CONFIG.SWITCH_AT_TRACK_END,
+            },
+            events: this.events,
+        };
+    }
+
+    /**
+     * Save the recording as a JSON file
+     */
+    download() {
+        const filename = `session-${(this.startedAt || new Date().toISOString()).replace(/[:.]/g, '-')}.json`;
+        downloadFile(filename, JSON.stringify(this.toJSON(), null, 2), 'application/json');
+        logger.info(`Saved session recording (${this.events.length} events)`);
+    }
+
+    /**
+     * Fetch and check a recording
+     * @param {string} url - Recording URL
+     * @returns {Promise<Object>} Recorded session
+     */
+    static async load(url) {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Could not load ${url}: HTTP ${response.status}`);
+        }
+        const session = await response.json();
+        if (!session || session.version !== SESSION_FORMAT_VERSION || !Array.isArray(session.events)) {
+            throw new Error(`${url} is not a session recording (expected version ${SESSION_FORMAT_VERSION} with an events array)`);
+        }
+        return session;
+    }
+
+    /**
+     * Replay the recorded detector output through a fresh DetectionState and
+     * SwitchingPolicy, frame by frame
+     * Uses the recorded smoothing and switching settings and compares the result with
+     * the recorded smoothing output, so a recording doubles as a regression test
+     * @param {Object} session - Recorded session
+     * @returns {{stable: Array<{f: number, moods: Object, combo: string}>, switches: Array<{f: number, combo: string}>,
+     *   mismatches: Array<string>}} switches are the combos the policy accepted, at DETECTION_FPS frame times
+     */
+    static replay(session) {
+        const frames = session.events.filter(event => event.type === 'detections');
+        const recorded = session.events.filter(event => event.type === 'stable');
+        const lastFrame = Math.max(0, ...session.events.filter(event => event.f !== undefined).map(event => event.f));
+
+        const savedConfig = { ...CONFIG };
+        const settings = session.config || {};
+        SESSION_REPLAY_SETTINGS.forEach(key => {
+            if (settings[key] !== undefined) CONFIG[key] = settings[key];
+        });
+
+        const stable = [];
+        const switches = [];
+        try {
+            const state = new DetectionState();
+            const policy = new SwitchingPolicy();
+            const frameTime = 1000 / (settings.DETECTION_FPS || CONFIG.DETECTION_FPS);
+            let cursor = 0;
+            let detections = [];
+            for (let frame = 1; frame <= lastFrame; frame++) {
+                while (cursor < frames.length && frames[cursor].f <= frame) {
+                    detections = frames[cursor].detections;
+                    cursor++;
+                }
+                if (state.update(detections)) {
+                    stable.push({ f: frame, moods: Object.fromEntries(state.cubeMoods), combo: state.getComboKey() });
+                }
+                const combo = policy.update(state.cubeMoods, frame * frameTime);
+                if (combo !== null) {
+                    switches.push({ f: frame, combo });
+                }
+            }
+        } finally {
+            Object.assign(CONFIG, savedConfig);
+        }
+
+        const mismatches = [];
+        for (let i = 0; i < Math.max(stable.length, recorded.length); i++) {
+            const expected = recorded[i];
+            const actual = stable[i];
+            if (!expected) {
+                mismatches.push(`Extra change at frame ${actual.f}: ${actual.combo}`);
+            } else if (!actual) {
+                mismatches.push(`Missing change at frame ${expected.f}: ${expected.combo}`);
+            } else if (actual.f !== expected.f || actual.combo !== expected.combo ||
+                JSON.stringify(actual.moods) !== JSON.stringify(expected.moods)) {
+                mismatches.push(`Frame ${expected.f}: recorded ${expected.combo}, replay gave ${actual.combo} at frame ${actual.f}`);
+            }
+        }
+
+        return { stable, switches, mismatches };
+    }
+}
+
+// Feeds a recorded session back through the app instead of a camera
+// Every getDetections() call is one DetectionState frame, so the smoothing sees the
+// same input frames as during the recording whatever the frame rate
+class ReplayDetector extends DetectorBackend {
+    constructor() {
+        super();
+        this.session = null;
+        this.frames = []; // Recorded 'detections' events
+        this.cursor = 0;
+        this.frame = 0;
+        this.current = [];
+        this.isFinished = false;
+    }
+
+    async load() {
+        this.loadError = null;
+        if (!CONFIG.REPLAY_FILE) {
+            logger.error('Replay detector needs CONFIG.REPLAY_FILE');
+            this.loadError = new AppError('targetsFailed', 'Replay detector needs CONFIG.REPLAY_FILE');
+            return false;
+        }
+
+        try {
+            this.session = await SessionRecorder.load(CONFIG.REPLAY_FILE);
+        } catch (error) {
+            logger.error('Failed to load session recording:', error);
+            this.loadError = AppError.from(error, 'targetsFailed');
+            return false;
+        }
+
+        this.frames = this.session.events.filter(event => event.type === 'detections');
+        logger.info(`Replaying ${CONFIG.REPLAY_FILE}: ${this.frames.length} detection changes, recorded ${this.session.recordedAt}`);
+
+        const { stable, mismatches } = SessionRecorder.replay(this.session);
+        if (mismatches.length === 0) {
+            logger.info(`✓ Replay check: smoothing output matches the recording (${stable.length} changes)`);
+        } else {
+            logger.warn(`Replay check: ${mismatches.length} difference${mismatches.length === 1 ? '' : 's'} from the recording`, mismatches);
+        }
+
+        this.isLoaded = true;
+        return true;
+    }
+
+    getDetections() {
+        this.frame++;
+        while (this.cursor < this.frames.length && this.frames[this.cursor].f <= this.frame) {
+            this.current = this.frames[this.cursor].detections;
+            this.cursor++;
+        }
+
+        if (!this.isFinished && this.cursor >= this.frames.length) {
+            this.isFinished = true;
+            logger.info(`Replay finished at frame ${this.frame}, holding the last detections`);
+        }
+        return this.current;
+    }
+}
+
+// ============================================================================
+// Detector Adapter
+// ============================================================================
+
+const DETECTOR_BACKENDS = {
+    mindar: MindARDetector,
+    tfjs: TFJSClassifierDetector,
+    mock: MockDetector,
+    replay: ReplayDetector,
+};
+
+class EmojiModelAdapter {
+    /**
+     * @param {string} backend - Key in DETECTOR_BACKENDS (MOCK_MODE forces 'mock')
+     * @param {Object} [options] - Passed to the backend, e.g. getAudioLevels for MindARDetector
+     */
+    constructor(backend = CONFIG.MOCK_MODE ? 'mock' : CONFIG.DETECTOR, options = {}) {
+        const Backend = DETECTOR_BACKENDS[backend];
+        if (!Backend) {
+            throw new Error(`Unknown detector "${backend}" (expected ${Object.keys(DETECTOR_BACKENDS).join(', ')})`);
+        }
+        this.backend = backend;
+        this.detector = new Backend(options);
+    }
+
+    /**
+     * Listen to the backend's events (error, targetevent)
+     * @returns {Function} Removes the listener again
+     */
+    on(type, listener) {
+        return this.detector.on(type, listener);
+    }
+
+    get isLoaded() {
+        return this.detector.isLoaded;
+    }
+
+    /**
+     * @returns {AppError|null} Why the detector did not load
+     */
+    get loadError() {
+        return this.detector.loadError;
+    }
+
+    /**
+     * Load the selected detector backend
+     */
+    async loadModel() {
+        logger.info(`Loading detector backend: ${this.backend}`);
+        return this.detector.load();
+    }
+
+    getDetections() {
+        return this.detector.getDetections();
+    }
+
+    setLowPower(enabled) {
+        this.detector.setLowPower(enabled);
+    }
+
+    pauseTracking() {
+        this.detector.pauseTracking();
+    }
+
+    resumeTracking() {
+        this.detector.resumeTracking();
+    }
+}
+
+// ============================================================================
+// Detection State Manager
+// ============================================================================
+
+class DetectionState {
+    constructor() {
+        this.cubeMoods = new Map(); // cubeId -> stable mood, only for cubes with a stable mood
+        this.smoothingBuffer = []; // Last N frames, each a Map of cubeId -> mood
+        this.frameCount = 0;
+        this.isHolding = false; // cubeMoods were restored and stay until a cube locks in
+    }
+
+    /**
+     * Update detection state with smoothing
+     * Only one face per cube counts, so two faces of the same cube never form a combo
+     * @param {Array<{label: string, confidence: number, cubeId: string}>} predictions - Current predictions
+     * @returns {boolean} True if the stable moods changed
+     */
+    update(predictions) {
+        this.frameCount++;
+
+        // Keep the most confident face of each cube above the confidence threshold
+        // (ties keep the first one, i.e. the face that was found first)
+        const frame = new Map();
+        const confidences = new Map();
+        predictions.forEach((prediction, index) => {
+            if (prediction.confidence < CONFIG.CONFIDENCE_THRESHOLD) return;
+            // Predictions without a cube are treated as separate cubes
+            const cubeId = prediction.cubeId !== undefined ? prediction.cubeId : `#${index}`;
+            if (!frame.has(cubeId) || prediction.confidence > confidences.get(cubeId)) {
+                frame.set(cubeId, prediction.label);
+                confidences.set(cubeId, prediction.confidence);
+            }
+        });
+
+        // Add to smoothing buffer
+        this.smoothingBuffer.push(frame);
+
+        // Keep only last N frames (N can shrink from the settings sheet)
+        while (this.smoothingBuffer.length > CONFIG.SMOOTHING_FRAMES) {
+            this.smoothingBuffer.shift();
+        }
+
+        // Check if we have enough frames for stable detection
+        if (this.smoothingBuffer.length < CONFIG.SMOOTHING_FRAMES) {
+            return false;
+        }
+
+        // Get most common value in buffer for every cube seen in it
+        const cubeIds = new Set();
+        this.smoothingBuffer.forEach(f => f.forEach((mood, cubeId) => cubeIds.add(cubeId)));
+
+        const stableMoods = new Map();
+        cubeIds.forEach(cubeId => {
+            const stable = this.getStableValue(this.smoothingBuffer.map(f => f.has(cubeId) ? f.get(cubeId) : null));
+            if (stable !== null) {
+                stableMoods.set(cubeId, stable);
+            }
+        });
+
+        // Resumed or picked moods stay until a scanned cube locks in a mood of its own
+        if (this.isHolding) {
+            if (stableMoods.size === 0) return false;
+            this.isHolding = false;
+        }
+
+        // Update state only if changed
+        const changed = stableMoods.size !== this.cubeMoods.size ||
+            Array.from(stableMoods).some(([cubeId, mood]) => this.cubeMoods.get(cubeId) !== mood);
+        if (changed) {
+            this.cubeMoods = stableMoods;
+            return true; // State changed
+        }
+
+        return false; // State unchanged
+    }
+
+    /**
+     * Get most common value in array (for smoothing)
+     */
+    getStableValue(arr) {
+        const counts = {};
+        let maxCount = 0;
+        let maxValue = null;
+
+        arr.forEach(val => {
+            if (val === null) return;
+            counts[val] = (counts[val] || 0) + 1;
+            if (counts[val] > maxCount) {
+                maxCount = counts[val];
+                maxValue = val;
+            }
+        });
+
+        // Require STABLE_AGREEMENT of the frames to agree
+        return maxCount >= CONFIG.SMOOTHING_FRAMES * CONFIG.STABLE_AGREEMENT ? maxValue : null;
+    }
+
+    /**
+     * How far each cube in the latest frame is towards locking in its mood
+     * A mood locks in once the buffer is full and enough of its frames agree (see update())
+     * @returns {Array<{cubeId: string, mood: string, progress: number, isStable: boolean}>}
+     *   Progress from 0 to 1, in the order the cubes were found
+     */
+    getLockProgress() {
+        const latest = this.smoothingBuffer[this.smoothingBuffer.length - 1];
+        if (!latest) return [];
+
+        const required = Math.ceil(CONFIG.SMOOTHING_FRAMES * CONFIG.STABLE_AGREEMENT);
+        const filled = this.smoothingBuffer.length / CONFIG.SMOOTHING_FRAMES;
+        return Array.from(latest, ([cubeId, mood]) => {
+            const isStable = this.cubeMoods.get(cubeId) === mood;
+            const agreeing = this.smoothingBuffer.filter(frame => frame.get(cubeId) === mood).length;
+            return { cubeId, mood, isStable, progress: isStable ? 1 : Math.min(1, filled, agreeing / required) };
+        });
+    }
+
+    /**
+     * Get normalized combo key (order-independent)
+     */
+    getComboKey() {
+        return DetectionState.toComboKey(this.cubeMoods);
+    }
+
+    /**
+     * Normalized combo key of cube moods
+     * @param {Map<string, string>} cubeMoods - cubeId -> mood
+     */
+    static toComboKey(cubeMoods) {
+        // Two cubes showing the same mood count as that mood alone
+        const moods = Array.from(new Set(cubeMoods.values())).slice(0, MAX_CUBES);
+        if (moods.length === 0) return 'DEFAULT';
+        if (moods.length === 1) return `${moods[0]}|${SINGLE_MOOD_PLACEHOLDER}`;
+        
+        // Sort alphabetically for order independence
+        const sorted = moods.sort();
+        return sorted.join('|');
+    }
+
+    /**
+     * Stable mood per cube, for the saved state
+     */
+    getState() {
+        return { cubeMoods: Object.fromEntries(this.cubeMoods) };
+    }
+
+    /**
+     * Bring back saved or picked moods, dropping moods the manifest no longer has
+     * The moods stay while nothing is in view, until a scanned cube locks in
+     * @param {Object} state - getState() output
+     */
+    restoreState(state) {
+        const moods = new Set(Object.values(TARGET_LABELS));
+        this.reset();
+        Object.entries((state && state.cubeMoods) || {}).forEach(([cubeId, mood]) => {
+            if (moods.has(mood)) {
+                this.cubeMoods.set(cubeId, mood);
+            }
+        });
+        this.isHolding = this.cubeMoods.size > 0;
+    }
+
+    /**
+     * Reset state
+     */
+    reset() {
+        this.cubeMoods = new Map();
+        this.smoothingBuffer = [];
+        this.frameCount = 0;
+        this.isHolding = false;
+    }
+}
+
+// ============================================================================
+// Switching Policy
+// ============================================================================
+
+// Decides when the stable moods from DetectionState switch the music:
+//   LOSS_GRACE_PERIOD - a cube that loses its stable mood (out of view, covered by a
+//     hand, turning) keeps it this long, so the combo does not drop on the way
+//   COMBO_DWELL_TIME - a new combo has to hold this long before it is accepted
+//   KEEP_LAST_COMBO - with every cube gone, the last combo stays instead of DEFAULT
+// Resumed or picked moods (restore()) stay until a scanned cube locks in a mood
+// SWITCH_AT_TRACK_END is up to AppController, which queues the accepted combo on
+// the player (see MusicPlayer.queueSwitch())
+
+class SwitchingPolicy {
+    constructor() {
+        this.cubeMoods = new Map(); // cubeId -> mood, including cubes in their grace period
+        this.lostSince = new Map(); // cubeId -> time the cube lost its stable mood
+        this.combo = 'DEFAULT'; // Accepted combo
+        this.pendingCombo = null; // Combo waiting for COMBO_DWELL_TIME
+        this.pendingSince = 0;
+        this.restoredCubes = new Set(); // Resumed or picked cubes, which have no grace period
+        this.isHolding = false; // The resumed or picked combo stays until a scanned cube locks in
+    }
+
+    /**
+     * Follow the stable moods of a detection frame
+     * @param {Map<string, string>} stableMoods - DetectionState.cubeMoods
+     * @param {number} time - Frame time in milliseconds
+     * @returns {string|null} Combo key to switch to once it is accepted, otherwise null
+     */
+    update(stableMoods, time) {
+        stableMoods.forEach((mood, cubeId) => {
+            if (!this.restoredCubes.has(cubeId)) this.isHolding = false;
+            this.cubeMoods.set(cubeId, mood);
+            this.lostSince.delete(cubeId);
+        });
+        Array.from(this.cubeMoods.keys()).forEach(cubeId => {
+            if (stableMoods.has(cubeId)) return;
+            if (this.restoredCubes.has(cubeId)) {
+                // Replaced by a scanned cube, not out of view
+                this.cubeMoods.delete(cubeId);
+                this.restoredCubes.delete(cubeId);
+                this.isHolding = false;
+            } else if (!this.lostSince.has(cubeId)) {
+                this.lostSince.set(cubeId, time);
+            } else if (time - this.lostSince.get(cubeId) >= CONFIG.LOSS_GRACE_PERIOD * 1000) {
+                this.cubeMoods.delete(cubeId);
+                this.lostSince.delete(cubeId);
+            }
+        });
+
+        let comboKey = DetectionState.toComboKey(this.cubeMoods);
+        if (comboKey === 'DEFAULT' && (CONFIG.KEEP_LAST_COMBO || this.isHolding)) {
+            comboKey = this.combo;
+        }
+
+        if (comboKey === this.combo) {
+            this.pendingCombo = null;
+            return null;
+        }
+        if (comboKey !== this.pendingCombo) {
+            this.pendingCombo = comboKey;
+            this.pendingSince = time;
+        }
+        if (time - this.pendingSince < CONFIG.COMBO_DWELL_TIME * 1000) {
+            return null;
+        }
+
+        this.combo = comboKey;
+        this.pendingCombo = null;
+        return comboKey;
+    }
+
+    /**
+     * Whether a cube is in its grace period
+     */
+    isLosing() {
+        return this.lostSince.size > 0;
+    }
+
+    /**
+     * Take over moods that were resumed or picked, as the accepted combo
+     * @param {Map<string, string>} cubeMoods - cubeId -> mood
+     * @param {string} [combo] - Combo that plays, if it is not the one of cubeMoods (resumed music)
+     */
+    restore(cubeMoods, combo = DetectionState.toComboKey(cubeMoods)) {
+        this.reset();
+        this.cubeMoods = new Map(cubeMoods);
+        this.restoredCubes = new Set(cubeMoods.keys());
+        this.combo = combo;
+        this.isHolding = true;
+    }
+
+    reset() {
+        this.cubeMoods = new Map();
+        this.lostSince = new Map();
+        this.combo = 'DEFAULT';
+        this.pendingCombo = null;
+        this.restoredCubes = new Set();
+        this.isHolding = false;
+    }
+}
+
+// ============================================================================
+// Playback Queue
+// ============================================================================
+
+const REPEAT_MODES = ['off', 'all', 'one'];
+const PREV_RESTART_THRESHOLD = 3; // Seconds into a track after which "previous" restarts it
+
+// Play order of one playlist
+// Shuffled queues play every track once before any track repeats
+class PlaybackQueue {
+    /**
+     * @param {Array<{title: string, artist: string, src: string}>} tracks
+     * @param {boolean} shuffle
+     */
+    constructor(tracks, shuffle = false) {
+        this.tracks = tracks;
+        this.shuffle = shuffle;
+        this.order = this.createOrder(); // Track indices in play order
+        this.position = -1; // Position of the current track in order (-1 before the first track)
+        this.resumeTime = 0; // Where to continue the current track when its combo comes back
+    }
+
+    /**
+     * Index of the current track in tracks (-1 before the first track)
+     */
+    get currentIndex() {
+        return this.position >= 0 ? this.order[this.position] : -1;
+    }
+
+    /**
+     * @param {number} avoidFirst - Track that must not start the new order (the one that just played)
+     * @returns {Array<number>} Track indices, shuffled if shuffle is on
+     */
+    createOrder(avoidFirst = -1) {
+        const order = this.tracks.map((track, i) => i);
+        if (!this.shuffle) return order;
+
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        if (order.length > 1 && order[0] === avoidFirst) {
+            [order[0], order[1]] = [order[1], order[0]];
+        }
+        return order;
+    }
+
+    /**
+     * Move to the next track
+     * @param {boolean} wrap - Start a new round after the last track
+     * @returns {number} Track index, or -1 at the end of the queue without wrap
+     */
+    next(wrap = true) {
+        if (this.tracks.length === 0) return -1;
+
+        if (this.position + 1 < this.order.length) {
+            this.position++;
+        } else if (wrap) {
+            this.order = this.createOrder(this.currentIndex);
+            this.position = 0;
+        } else {
+            return -1;
+        }
+        this.resumeTime = 0;
+        return this.currentIndex;
+    }
+
+    /**
+     * Move to the previous track, wrapping to the end of the round
+     * @returns {number} Track index
+     */
+    prev() {
+        if (this.tracks.length === 0) return -1;
+
+        this.position = this.position > 0 ? this.position - 1 : this.order.length - 1;
+        this.resumeTime = 0;
+        return this.currentIndex;
+    }
+
+    /**
+     * Turn shuffle on or off, keeping the current track
+     * @param {boolean} shuffle
+     */
+    setShuffle(shuffle) {
+        if (shuffle === this.shuffle) return;
+
+        const current = this.currentIndex;
+        this.shuffle = shuffle;
+        this.order = this.createOrder();
+        if (current >= 0) {
+            // The current track goes first, so the rest of the round is still to come
+            this.order.splice(this.order.indexOf(current), 1);
+            this.position = shuffle ? 0 : current;
+            this.order.splice(this.position, 0, current);
+        }
+    }
+
+    /**
+     * Tracks coming up after the current one
+     * @param {number} count - Maximum number of tracks
+     * @param {boolean} wrap - Continue into the next round (only known in advance when not shuffled)
+     * @returns {Array<Object>} Tracks in play order
+     */
+    upcoming(count, wrap = true) {
+        const indices = this.order.slice(this.position + 1);
+        if (wrap && !this.shuffle) {
+            indices.push(...this.order.slice(0, this.position + 1));
+        }
+        return indices.slice(0, count).map(index => this.tracks[index]);
+    }
+
+    /**
+     * Queue position for the saved state
+     * @param {number} resumeTime - Where to continue the current track
+     */
+    getState(resumeTime = this.resumeTime) {
+        return {
+            fingerprint: PlaybackQueue.fingerprint(this.tracks),
+            shuffle: this.shuffle,
+            order: this.order.slice(),
+            position: this.position,
+            resumeTime,
+        };
+    }
+
+    /**
+     * Rebuild a queue from getState() output
+     * @param {Array<Object>} tracks - The playlist as it is now
+     * @param {Object} state - Saved queue state
+     * @returns {PlaybackQueue|null} Null if the state is invalid or the playlist changed since it was saved
+     */
+    static fromState(tracks, state) {
+        if (!state || !Array.isArray(tracks) || state.fingerprint !== PlaybackQueue.fingerprint(tracks)) {
+            return null;
+        }
+
+        const { order, position } = state;
+        const isPermutation = Array.isArray(order) && order.length === tracks.length &&
+            order.slice().sort((a, b) => a - b).every((index, i) => index === i);
+        if (!isPermutation || !Number.isInteger(position) || position < 0 || position >= order.length) {
+            return null;
+        }
+
+        const queue = new PlaybackQueue(tracks, state.shuffle === true);
+        queue.order = order.slice();
+        queue.position = position;
+        queue.resumeTime = state.resumeTime > 0 ? state.resumeTime : 0;
+        return queue;
+    }
+
+    /**
+     * Short hash of the tracks, so saved positions are only reused for the same playlist
+     * Catalogue tracks are identified by id, their preview URLs change
+     * @param {Array<{src: string, id?: string}>} tracks
+     * @returns {string}
+     */
+    static fingerprint(tracks) {
+        const text = tracks.map(track => track.id || track.src).join('\n');
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return `${tracks.length}:${(hash >>> 0).toString(36)}`;
+    }
+}
+
+// ============================================================================
+// Track Tags
+// ============================================================================
+//
+// Reads title, artist, album, duration and cover art from the track files: ID3v2 in
+// MP3 files, MP4/M4A metadata atoms, and Vorbis comments in FLAC and Ogg (Vorbis or
+// Opus) files. Only the start of a file is downloaded, using Range requests.
+// Values in the manifest always win over tags (see MusicPlayer.describeTrack()).
+
+const TAG_READ_BYTES = 128 * 1024; // First request per file, enough for most tags with cover art
+const TAG_MAX_BYTES = 4 * 1024 * 1024; // Larger tags (or MP4 "moov" atoms) are not read
+const ID3_ENCODINGS = ['iso-8859-1', 'utf-16', 'utf-16be', 'utf-8']; // By the ID3v2 text encoding byte
+const ID3_TEXT_FRAMES = {
+    TIT2: 'title', TT2: 'title',
+    TPE1: 'artist', TP1: 'artist',
+    TALB: 'album', TAL: 'album',
+    TLEN: 'duration', TLE: 'duration', // Milliseconds
+};
+const MP4_TEXT_ATOMS = { '©nam': 'title', '©ART': 'artist', '©alb': 'album' };
+const VORBIS_FIELDS = { TITLE: 'title', ARTIST: 'artist', ALBUM: 'album' };
+const FRONT_COVER = 3; // ID3v2 and FLAC picture type of the front cover
+
+class TagReader {
+    constructor() {
+        this.tags = new Map(); // src -> tags ({} for files without tags or that could not be read)
+        this.pending = new Map(); // src -> Promise while the file is being read
+    }
+
+    /**
+     * Tags of a file that has been read
+     * @param {string} src
+     * @returns {{title?: string, artist?: string, album?: string, duration?: number, artwork?: string}|null}
+     *   null until load() has finished; artwork is an object URL of the cover art
+     */
+    get(src) {
+        return this.tags.get(src) || null;
+    }
+
+    /**
+     * Read the tags of a file, once
+     * Failures are logged and count as a file without tags
+     * @param {string} src
+     * @returns {Promise<Object>} Same as get()
+     */
+    load(src) {
+        if (this.tags.has(src)) {
+            return Promise.resolve(this.tags.get(src));
+        }
+        if (!this.pending.has(src)) {
+            const reading = this.read(src)
+                .catch(error => {
+                    logger.warn(`Could not read tags of ${src}:`, error.message);
+                    return {};
+                })
+                .then(tags => {
+                    this.pending.delete(src);
+                    this.tags.set(src, tags);
+                    return tags;
+                });
+            this.pending.set(src, reading);
+        }
+        return this.pending.get(src);
+    }
+
+    /**
+     * @param {string} src
+     * @returns {Promise<Object>}
+     */
+    async read(src) {
+        const file = { src, head: null, whole: null, size: null };
+        file.head = await this.readBytes(file, 0, TAG_READ_BYTES);
+        if (file.head.length < TAG_READ_BYTES) {
+            file.whole = file.head; // Small file, nothing more to download
+        }
+
+        const head = file.head;
+        let tags = {};
+        if (latin1(head, 0, 3) === 'ID3') {
+            tags = await this.readID3(file);
+        } else if (latin1(head, 4, 8) === 'ftyp') {
+            tags = await this.readMP4(file);
+        } else if (latin1(head, 0, 4) === 'fLaC') {
+            tags = await this.readFLAC(file);
+        } else if (latin1(head, 0, 4) === 'OggS') {
+            tags = await this.readOgg(file);
+        }
+
+        const result = {};
+        ['title', 'artist', 'album'].forEach(key => {
+            if (typeof tags[key] === 'string' && tags[key].trim() !== '') {
+                result[key] = tags[key].trim();
+            }
+        });
+        if (isFinite(tags.duration) && tags.duration > 0) {
+            result.duration = tags.duration;
+        }
+        if (tags.picture && tags.picture.data.length > 0) {
+            result.artwork = URL.createObjectURL(new Blob([tags.picture.data], { type: tags.picture.type }));
+        }
+        return result;
+    }
+
+    /**
+     * Bytes of a file, from what was downloaded already or with a Range request
+     * @param {Object} file - {src, head, whole, size} of the file being read
+     * @returns {Promise<Uint8Array>} Fewer bytes than asked for at the end of the file
+     */
+    async readBytes(file, start, length) {
+        const end = start + length;
+        if (file.whole) {
+            return file.whole.subarray(start, end);
+        }
+        if (file.head && end <= file.head.length) {
+            return file.head.subarray(start, end);
+        }
+        if (file.size !== null && start >= file.size) {
+            return new Uint8Array(0);
+        }
+
+        const response = await fetch(file.src, { headers: { Range: `bytes=${start}-${end - 1}` } });
+        if (response.status === 416) {
+            return new Uint8Array(0); // Starts after the end of the file
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        if (response.status !== 206) {
+            // The server ignored the range and sent the whole file
+            file.whole = bytes;
+            return bytes.subarray(start, end);
+        }
+        const range = /\/(\d+)$/.exec(response.headers.get('Content-Range') || '');
+        if (range) {
+            file.size = Number(range[1]);
+        }
+        return bytes;
+    }
+
+    /**
+     * ID3v2.2, 2.3 and 2.4 (MP3)
+     */
+    async readID3(file) {
+        const version = file.head[3];
+        const flags = file.head[5];
+        if (version < 2 || version > 4) return {};
+
+        const size = synchsafe(file.head, 6);
+        let tag = await this.readBytes(file, 10, Math.min(size, TAG_MAX_BYTES));
+        if (flags & 0x80 && version < 4) {
+            tag = removeUnsynchronisation(tag); // ID3v2.4 flags this per frame
+        }
+
+        let offset = 0;
+        if (flags & 0x40 && version > 2) {
+            // Extended header
+            offset = version === 3 ? readUint32(tag, 0) + 4 : synchsafe(tag, 0);
+        }
+
+        const idLength = version === 2 ? 3 : 4;
+        const headerLength = version === 2 ? 6 : 10;
+        const values = {};
+        const pictures = [];
+        while (offset + headerLength <= tag.length) {
+            const id = latin1(tag, offset, offset + idLength);
+            if (!/^[A-Z0-9]+$/.test(id)) break; // Padding
+
+            const frameSize = version === 2 ? readUint24(tag, offset + 3)
+                : version === 4 ? synchsafe(tag, offset + 4) : readUint32(tag, offset + 4);
+            const format = version === 2 ? 0 : tag[offset + 9];
+            let data = tag.subarray(offset + headerLength, offset + headerLength + frameSize);
+            offset += headerLength + frameSize;
+
+            if (version === 3) {
+                if (format & 0xC0) continue; // Compressed or encrypted
+                if (format & 0x20) data = data.subarray(1); // Group id
+            } else if (version === 4) {
+                if (format & 0x0C) continue; // Compressed or encrypted
+                if (format & 0x40) data = data.subarray(1); // Group id
+                if (format & 0x01) data = data.subarray(4); // Data length indicator
+                if (format & 0x02 || flags & 0x80) data = removeUnsynchronisation(data);
+            }
+
+            if (ID3_TEXT_FRAMES[id] && data.length > 1) {
+                const key = ID3_TEXT_FRAMES[id];
+                // ID3v2.4 separates multiple values with null characters
+                const texts = decodeText(data.subarray(1), data[0]).split('\u0000').filter(Boolean);
+                values[key] = (values[key] || []).concat(texts);
+            } else if (id === 'APIC' || id === 'PIC') {
+                pictures.push(this.parseID3Picture(data, id === 'PIC'));
+            }
+        }
+
+        const tags = TagReader.joinValues(values);
+        if (values.duration) {
+            tags.duration = Number(values.duration[0]) / 1000;
+        }
+        tags.picture = TagReader.pickCover(pictures);
+        return tags;
+    }
+
+    /**
+     * APIC frame, or PIC in ID3v2.2 (three letter image format instead of a MIME type)
+     */
+    parseID3Picture(data, isV22) {
+        const encoding = data[0];
+        let type;
+        let offset;
+        if (isV22) {
+            type = latin1(data, 1, 4).toUpperCase() === 'PNG' ? 'image/png' : 'image/jpeg';
+            offset = 4;
+        } else {
+            const end = data.indexOf(0, 1);
+            type = latin1(data, 1, end) || 'image/jpeg';
+            offset = end + 1;
+        }
+        const pictureType = data[offset];
+        offset = skipTerminatedText(data, offset + 1, encoding); // Description
+        return { pictureType, type, data: data.subarray(offset) };
+    }
+
+    /**
+     * MP4/M4A: "mvhd" for the duration, iTunes-style "ilst" items for the rest
+     */
+    async readMP4(file) {
+        // "moov" can come after the media data, so walk the top-level atoms to it
+        let offset = 0;
+        let moov = null;
+        while (!moov) {
+            const header = await this.readBytes(file, offset, 16);
+            if (header.length < 8) break;
+
+            let size = readUint32(header, 0);
+            let headerLength = 8;
+            if (size === 1) {
+                size = readUint32(header, 8) * 2 ** 32 + readUint32(header, 12);
+                headerLength = 16;
+            }
+            if (size < headerLength) break; // 0 (up to the end of the file) or broken
+
+            if (latin1(header, 4, 8) === 'moov') {
+                if (size > TAG_MAX_BYTES) return {};
+                moov = await this.readBytes(file, offset + headerLength, size - headerLength);
+            }
+            offset += size;
+        }
+        if (!moov) return {};
+
+        const tags = {};
+        const children = mp4Atoms(moov);
+        const mvhd = children.find(atom => atom.type === 'mvhd');
+        if (mvhd) {
+            const isV1 = mvhd.data[0] === 1;
+            const timescale = readUint32(mvhd.data, isV1 ? 20 : 12);
+            const duration = isV1
+                ? readUint32(mvhd.data, 24) * 2 ** 32 + readUint32(mvhd.data, 28)
+                : readUint32(mvhd.data, 16);
+            if (timescale > 0) {
+                tags.duration = duration / timescale;
+            }
+        }
+
+        const udta = children.find(atom => atom.type === 'udta');
+        const meta = udta && mp4Atoms(udta.data).find(atom => atom.type === 'meta');
+        if (!meta) return tags;
+
+        // "meta" starts with version and flags, except in some QuickTime files
+        const metaChildren = mp4Atoms(latin1(meta.data, 4, 8) === 'hdlr' ? meta.data : meta.data.subarray(4));
+        const ilst = metaChildren.find(atom => atom.type === 'ilst');
+        if (!ilst) return tags;
+
+        mp4Atoms(ilst.data).forEach(item => {
+            const data = mp4Atoms(item.data).find(atom => atom.type === 'data');
+            if (!data || data.data.length < 8) return;
+            const dataType = readUint32(data.data, 0) & 0xFFFFFF; // 1 UTF-8, 13 JPEG, 14 PNG
+            const value = data.data.subarray(8);
+            if (MP4_TEXT_ATOMS[item.type]) {
+                tags[MP4_TEXT_ATOMS[item.type]] = decodeText(value, 3);
+            } else if (item.type === 'covr') {
+                tags.picture = { type: dataType === 14 ? 'image/png' : 'image/jpeg', data: value };
+            }
+        });
+        return tags;
+    }
+
+    /**
+     * FLAC: STREAMINFO for the duration, VORBIS_COMMENT and PICTURE metadata blocks
+     */
+    async readFLAC(file) {
+        let tags = {};
+        let duration = 0;
+        const pictures = [];
+        let offset = 4;
+        let isLast = false;
+
+        while (!isLast && offset < TAG_MAX_BYTES) {
+            const header = await this.readBytes(file, offset, 4);
+            if (header.length < 4) break;
+            isLast = (header[0] & 0x80) !== 0;
+            const type = header[0] & 0x7F;
+            const length = readUint24(header, 1);
+
+            if (type === 0 || type === 4 || type === 6) {
+                const block = await this.readBytes(file, offset + 4, length);
+                if (type === 0 && block.length >= 18) {
+                    // 20 bits sample rate, 3 bits channels, 5 bits sample size, 36 bits total samples
+                    const sampleRate = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+                    const samples = (block[13] & 0x0F) * 2 ** 32 + readUint32(block, 14);
+                    duration = sampleRate > 0 ? samples / sampleRate : 0;
+                } else if (type === 4) {
+                    tags = this.parseVorbisComment(block, pictures);
+                } else if (type === 6) {
+                    pictures.push(this.parseFLACPicture(block));
+                }
+            }
+            offset += 4 + length;
+        }
+
+        tags.duration = duration;
+        tags.picture = TagReader.pickCover(pictures);
+        return tags;
+    }
+
+    /**
+     * Ogg Vorbis and Opus: the comment header is the second packet of the stream
+     */
+    async readOgg(file) {
+        const packets = [];
+        let segments = [];
+        let offset = 0;
+
+        // A comment header with cover art usually spans several pages
+        while (packets.length < 2 && offset < TAG_MAX_BYTES) {
+            const header = await this.readBytes(file, offset, 27);
+            if (header.length < 27 || latin1(header, 0, 4) !== 'OggS') break;
+
+            const lacing = await this.readBytes(file, offset + 27, header[26]);
+            const bodyLength = lacing.reduce((sum, length) => sum + length, 0);
+            const body = await this.readBytes(file, offset + 27 + lacing.length, bodyLength);
+
+            let position = 0;
+            lacing.forEach(length => {
+                segments.push(body.subarray(position, position + length));
+                position += length;
+                if (length < 255) {
+                    // A segment shorter than 255 bytes ends the packet
+                    packets.push(concatBytes(segments));
+                    segments = [];
+                }
+            });
+            offset += 27 + lacing.length + bodyLength;
+        }
+
+        const comments = packets[1];
+        if (!comments) return {};
+
+        const pictures = [];
+        let tags = {};
+        if (latin1(comments, 0, 7) === '\u0003vorbis') {
+            tags = this.parseVorbisComment(comments.subarray(7), pictures);
+        } else if (latin1(comments, 0, 8) === 'OpusTags') {
+            tags = this.parseVorbisComment(comments.subarray(8), pictures);
+        }
+        tags.picture = TagReader.pickCover(pictures);
+        return tags;
+    }
+
+    /**
+     * Vorbis comment block (little endian lengths): vendor, then "KEY=value" comments
+     * Cover art is a base64 FLAC picture block in METADATA_BLOCK_PICTURE
+     * @param {Uint8Array} bytes
+     * @param {Array<Object>} pictures - Pictures found are added here
+     */
+    parseVorbisComment(bytes, pictures) {
+        const values = {};
+        let offset = 4 + readUint32LE(bytes, 0); // Vendor string
+        const count = readUint32LE(bytes, offset);
+        offset += 4;
+
+        for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+            const length = readUint32LE(bytes, offset);
+            const comment = decodeText(bytes.subarray(offset + 4, offset + 4 + length), 3);
+            offset += 4 + length;
+
+            const separator = comment.indexOf('=');
+            const key = comment.slice(0, separator).toUpperCase();
+            const value = comment.slice(separator + 1);
+            if (key === 'METADATA_BLOCK_PICTURE') {
+                try {
+                    pictures.push(this.parseFLACPicture(Uint8Array.from(atob(value), c => c.charCodeAt(0))));
+                } catch (error) {
+                    // Not valid base64, ignore the picture
+                }
+            } else if (VORBIS_FIELDS[key] && value) {
+                const field = VORBIS_FIELDS[key];
+                values[field] = (values[field] || []).concat(value);
+            }
+        }
+        return TagReader.joinValues(values);
+    }
+
+    /**
+     * FLAC PICTURE block (big endian lengths)
+     */
+    parseFLACPicture(block) {
+        const pictureType = readUint32(block, 0);
+        const typeLength = readUint32(block, 4);
+        const type = latin1(block, 8, 8 + typeLength) || 'image/jpeg';
+        let offset = 8 + typeLength;
+        offset += 4 + readUint32(block, offset); // Description
+        offset += 16; // Width, height, color depth and palette size
+        const length = readUint32(block, offset);
+        return { pictureType, type, data: block.subarray(offset + 4, offset + 4 + length) };
+    }
+
+    /**
+     * First title and album, all artists
+     * @param {Object<string, Array<string>>} values - Tag values by field
+     */
+    static joinValues(values) {
+        const tags = {};
+        if (values.title) tags.title = values.title[0];
+        if (values.artist) tags.artist = values.artist.join(', ');
+        if (values.album) tags.album = values.album[0];
+        return tags;
+    }
+
+    /**
+     * The front cover, else the first picture
+     */
+    static pickCover(pictures) {
+        const picture = pictures.find(p => p.pictureType === FRONT_COVER) || pictures[0];
+        return picture ? { type: picture.type, data: picture.data } : null;
+    }
+
+    /**
+     * Title for a track without one: its file name without the extension
+     * @param {string} src
+     */
+    static titleFromSrc(src) {
+        const name = String(src).split(/[?#]/)[0].split('/').pop();
+        try {
+            return decodeURIComponent(name).replace(/\.[^.]+$/, '');
+        } catch (error) {
+            return name.replace(/\.[^.]+$/, '');
+        }
+    }
+}
+
+function latin1(bytes, start, end) {
+    return String.fromCharCode(...bytes.subarray(start, end));
+}
+
+function readUint32(bytes, offset) {
+    return ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+}
+
+function readUint24(bytes, offset) {
+    return (bytes[offset] << 16) + (bytes[offset + 1] << 8) + bytes[offset + 2];
+}
+
+function readUint32LE(bytes, offset) {
+    return bytes[offset] + (bytes[offset + 1] << 8) + (bytes[offset + 2] << 16) + ((bytes[offset + 3] << 24) >>> 0);
+}
+
+/**
+ * ID3v2 sizes use 7 bits per byte
+ */
+function synchsafe(bytes, offset) {
+    return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+}
+
+/**
+ * Undo ID3v2 unsynchronisation (0xFF 0x00 -> 0xFF)
+ */
+function removeUnsynchronisation(bytes) {
+    const result = [];
+    for (let i = 0; i < bytes.length; i++) {
+        result.push(bytes[i]);
+        if (bytes[i] === 0xFF && bytes[i + 1] === 0x00) i++;
+    }
+    return Uint8Array.from(result);
+}
+
+function concatBytes(chunks) {
+    const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return result;
+}
+
+/**
+ * Decode ID3v2 text by its encoding byte (3 is UTF-8, also used for MP4 and Vorbis comments)
+ */
+function decodeText(bytes, encoding) {
+    let label = ID3_ENCODINGS[encoding] || ID3_ENCODINGS[0];
+    if (encoding === 1 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        label = 'utf-16be'; // Byte order mark says big endian
+    }
+    return new TextDecoder(label).decode(bytes).replace(/\uFEFF/g, '').replace(/\u0000+$/, '');
+}
+
+/**
+ * Offset after a null-terminated ID3v2 string (two null bytes in UTF-16)
+ */
+function skipTerminatedText(bytes, offset, encoding) {
+    if (encoding === 1 || encoding === 2) {
+        for (let i = offset; i + 1 < bytes.length; i += 2) {
+            if (bytes[i] === 0 && bytes[i + 1] === 0) return i + 2;
+        }
+        return bytes.length;
+    }
+    const end = bytes.indexOf(0, offset);
+    return end < 0 ? bytes.length : end + 1;
+}
+
+/**
+ * Atoms inside an MP4 atom's data
+ * @returns {Array<{type: string, data: Uint8Array}>}
+ */
+function mp4Atoms(bytes) {
+    const atoms = [];
+    let offset = 0;
+    while (offset + 8 <= bytes.length) {
+        let size = readUint32(bytes, offset);
+        let headerLength = 8;
+        if (size === 1) {
+            size = readUint32(bytes, offset + 8) * 2 ** 32 + readUint32(bytes, offset + 12);
+            headerLength = 16;
+        } else if (size === 0) {
+            size = bytes.length - offset;
+        }
+        if (size < headerLength) break;
+        atoms.push({ type: latin1(bytes, offset + 4, offset + 8), data: bytes.subarray(offset + headerLength, offset + size) });
+        offset += size;
+    }
+    return atoms;
+}
+
+// ============================================================================
+// Music Player Class
+// ============================================================================
+
+const ANALYSER_FFT_SIZE = 512; // Frequency bins of about 90 Hz for the AR visuals
+const SPECTRUM_BANDS = 8; // Log-spaced bands from SPECTRUM_RANGE, e.g. one equalizer bar each
+const SPECTRUM_RANGE = [40, 12000]; // Hz
+const MEDIA_ERROR_NAMES = ['', 'aborted', 'network error', 'decode error', 'source not supported']; // By MediaError.code
+
+// Tells the app about changes through events instead of calling it:
+//   trackinfo {title, artist, artwork}, playstate {isPlaying}, queuechange,
+//   durationchange, statechange (something worth saving), action {action, ...details}
+//   for the session recording, error (AppError), queuedswitch {combo} (a switch from
+//   queueSwitch() is about to happen)
+class MusicPlayer extends EventEmitter {
+    constructor() {
+        super();
+        // Two decks so the outgoing track can fade out while the next one fades in
+        this.decks = [this.createDeck(), this.createDeck()];
+        this.activeDeck = 0;
+        this.audioContext = null; // Created in unlock(), from the Tap to Start gesture
+        this.masterGain = null;
+        this.analyser = null; // Taps the master output for getAudioLevels()
+        this.frequencyData = null;
+
+        this.currentPlaylist = [];
+        this.currentTrackIndex = -1;
+        this.currentCombo = null;
+        this.currentPlaylistKey = null; // Key the current combo resolved to (see resolvePlaylist())
+        this.nextCombo = null; // Combo to switch to when the current track ends, see queueSwitch()
+        this.isPlaying = false;
+        this.playRequested = false; // Set by play() and pause(), isPlaying only once playback started
+        this.failedTracks = 0; // Tracks that failed to load in a row, see handleTrackError()
+        this.volume = 1.0;
+
+        // One queue per playlist, so coming back to a mood continues where it left off
+        this.queues = new Map(); // playlist key -> PlaybackQueue
+        this.queue = null;
+        this.shuffle = false;
+        this.repeat = 'all'; // One of REPEAT_MODES
+
+        this.tagReader = new TagReader();
+
+        this.setupAudioListeners();
+        this.mediaSession = new MediaSessionManager(this);
+    }
+
+    /**
+     * Audio element of the active deck
+     */
+    get audio() {
+        return this.decks[this.activeDeck].audio;
+    }
+
+    createDeck() {
+        const audio = new Audio();
+        audio.crossOrigin = 'anonymous'; // Needed to route remote files through Web Audio
+        audio.preload = 'auto';
+        return { audio, source: null, gain: null, stopTimer: null };
+    }
+
+    setupAudioListeners() {
+        this.decks.forEach(deck => {
+            const isActive = () => deck === this.decks[this.activeDeck];
+
+            deck.audio.addEventListener('loadedmetadata', () => {
+                if (!isActive()) return;
+                this.failedTracks = 0;
+                this.updateProgress();
+            });
+
+            // Lock screen position only needs updating when playback jumps or changes speed
+            ['loadedmetadata', 'play', 'pause', 'seeked', 'ratechange'].forEach(type => {
+                deck.audio.addEventListener(type, () => {
+                    if (isActive()) this.mediaSession.updatePositionState(deck.audio);
+                });
+            });
+
+            deck.audio.addEventListener('timeupdate', () => {
+                if (isActive()) this.updateProgress();
+            });
+
+            deck.audio.addEventListener('ended', () => {
+                if (isActive()) this.handleTrackEnded();
+            });
+
+            deck.audio.addEventListener('error', () => {
+                if (isActive()) this.handleTrackError(deck.audio.error);
+            });
+        });
+    }
+
+    /**
+     * Create the Web Audio graph (deck gains -> master gain -> speakers, and the analyser)
+     * Must be called from a user gesture so iOS Safari allows audio
+     * Without Web Audio support, playback falls back to plain audio elements without fades
+     */
+    unlock() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            logger.warn('Web Audio not supported, crossfades disabled');
+            return;
+        }
+
+        if (!this.audioContext) {
+            this.audioContext = new AudioContextClass();
+            this.masterGain = this.audioContext.createGain();
+            this.masterGain.gain.value = this.volume;
+            this.masterGain.connect(this.audioContext.destination);
+
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = ANALYSER_FFT_SIZE;
+            this.masterGain.connect(this.analyser);
+            this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+
+            this.decks.forEach((deck, index) => {
+                deck.source = this.audioContext.createMediaElementSource(deck.audio);
+                deck.gain = this.audioContext.createGain();
+                deck.gain.gain.value = index === this.activeDeck ? 1 : 0;
+                deck.source.connect(deck.gain);
+                deck.gain.connect(this.masterGain);
+            });
+        }
+
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+    }
+
+    /**
+     * Current loudness of the music, for the AR visuals
+     * Taken after the master gain, so the volume setting affects it
+     * @returns {{level: number, bass: number, mid: number, treble: number, bands: number[]}|null}
+     *   Values from 0 to 1, bands has SPECTRUM_BANDS entries; null without Web Audio or before unlock()
+     */
+    getAudioLevels() {
+        if (!this.analyser) return null;
+
+        const data = this.frequencyData;
+        this.analyser.getByteFrequencyData(data);
+        const binWidth = this.audioContext.sampleRate / this.analyser.fftSize;
+        const average = (fromHz, toHz) => {
+            const from = Math.min(Math.floor(fromHz / binWidth), data.length - 1);
+            const to = Math.min(Math.max(Math.ceil(toHz / binWidth), from + 1), data.length);
+            let sum = 0;
+            for (let i = from; i < to; i++) sum += data[i];
+            return sum / (to - from) / 255;
+        };
+
+        const [low, high] = SPECTRUM_RANGE;
+        const ratio = Math.pow(high / low, 1 / SPECTRUM_BANDS);
+        return {
+            level: average(low, high),
+            bass: average(low, 250),
+            mid: average(250, 2000),
+            treble: average(2000, high),
+            bands: Array.from({ length: SPECTRUM_BANDS }, (_, i) => average(low * Math.pow(ratio, i), low * Math.pow(ratio, i + 1))),
+        };
+    }
+
+    /**
+     * Ramp a gain node from its current value to a target value
+     * @param {GainNode} gainNode
+     * @param {number} target - Target gain
+     * @param {number} duration - Ramp duration in seconds
+     */
+    rampGain(gainNode, target, duration) {
+        const now = this.audioContext.currentTime;
+        gainNode.gain.cancelScheduledValues(now);
+        gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+        gainNode.gain.linearRampToValueAtTime(target, now + duration);
+    }
+
+    /**
+     * Start a track on the idle deck and crossfade to it
+     * @param {{src: string}} track - Incoming track
+     * @param {number} duration - Crossfade duration in seconds
+     * @param {number} startTime - Position to start the track at, in seconds
+     */
+    crossfadeTo(track, duration, startTime = 0) {
+        const outgoing = this.decks[this.activeDeck];
+        this.activeDeck = 1 - this.activeDeck;
+        const incoming = this.decks[this.activeDeck];
+
+        // The idle deck may still be fading out from a previous switch
+        clearTimeout(incoming.stopTimer);
+        incoming.stopTimer = null;
+
+        incoming.gain.gain.cancelScheduledValues(this.audioContext.currentTime);
+        incoming.gain.gain.value = 0;
+        incoming.audio.src = track.src;
+        this.startAt(incoming.audio, startTime);
+        incoming.audio.play().catch(error => {
+            logger.error('Play error:', error);
+        });
+
+        this.rampGain(incoming.gain, 1, duration);
+        this.rampGain(outgoing.gain, 0, duration);
+
+        clearTimeout(outgoing.stopTimer);
+        outgoing.stopTimer = setTimeout(() => {
+            outgoing.audio.pause();
+            outgoing.stopTimer = null;
+        }, duration * 1000);
+    }
+
+    /**
+     * Load a track from the current playlist
+     * Crossfades when playing through Web Audio, otherwise swaps the source directly
+     * @param {number} index - Track index in the current playlist
+     * @param {number} fadeDuration - Fade duration in seconds (0 for a hard cut)
+     * @param {number} startTime - Position to start the track at, in seconds
+     */
+    loadTrack(index, fadeDuration, startTime = 0) {
+        this.currentTrackIndex = index;
+        const track = this.currentPlaylist[index];
+        this.showTrack(track);
+        this.recordAction('loadTrack', { index, title: track.title, fadeDuration, startTime });
+        this.updateQueueDisplay();
+        this.stateChanged();
+
+        if (this.isPlaying && this.audioContext && fadeDuration > 0) {
+            this.crossfadeTo(track, fadeDuration, startTime);
+        } else {
+            this.stopIdleDeck();
+            if (this.audioContext) {
+                const gain = this.decks[this.activeDeck].gain;
+                gain.gain.cancelScheduledValues(this.audioContext.currentTime);
+                gain.gain.value = 1;
+            }
+            this.audio.src = track.src;
+            this.startAt(this.audio, startTime);
+            if (this.isPlaying) {
+                this.play();
+            }
+        }
+        this.readTags(track);
+    }
+
+    /**
+     * Show a track in the player bar and on the lock screen
+     * @param {Object} track - Playlist track
+     */
+    showTrack(track) {
+        const described = this.describeTrack(track);
+        this.updateTrackInfo(described.title, described.artist, described.artwork);
+        this.mediaSession.setTrack(described, this.currentCombo);
+    }
+
+    /**
+     * A track with what its file tags add: manifest values win, tags fill in the rest, and
+     * the file name stands in for a missing title
+     * @param {Object} track - Playlist track (not changed)
+     * @returns {{title: string, artist?: string, album?: string, duration?: number, artwork?: string, src: string}}
+     */
+    describeTrack(track) {
+        const described = { ...(this.tagReader.get(track.src) || {}) };
+        Object.entries(track).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                described[key] = value;
+            }
+        });
+        if (!described.title) {
+            described.title = TagReader.titleFromSrc(track.src);
+        }
+        return described;
+    }
+
+    /**
+     * Read the tags of a track that was just loaded and of the next one (for "Up next"),
+     * and show what they add once they are read
+     * Tracks that already have a title, artist and artwork (e.g. from Deezer) are skipped
+     * @param {Object} track - Loaded track
+     */
+    readTags(track) {
+        if (!CONFIG.READ_TAGS) return;
+
+        const [next] = this.getUpcoming(1);
+        [track, next].forEach(candidate => {
+            if (!candidate || this.tagReader.get(candidate.src)) return;
+            if (candidate.title && candidate.artist && candidate.artwork) return;
+
+            this.tagReader.load(candidate.src).then(() => {
+                if (candidate === track && this.currentPlaylist[this.currentTrackIndex] === track) {
+                    this.showTrack(track);
+                }
+                this.updateQueueDisplay();
+            });
+        });
+        // Load metadata to get duration
+        this.audio.addEventListener('loadedmetadata', () => this.emit('durationchange'), { once: true });
+    }
+
+    /**
+     * Seek a freshly loaded audio element once it knows its duration
+     * @param {HTMLAudioElement} audio
+     * @param {number} time - Position in seconds (0 leaves the element at the start)
+     */
+    startAt(audio, time) {
+        if (!(time > 0)) return;
+        audio.addEventListener('loadedmetadata', () => {
+            if (time < audio.duration) {
+                audio.currentTime = time;
+            }
+        }, { once: true });
+    }
+
+    /**
+     * Stop the deck that is not active (e.g. one still fading out)
+     */
+    stopIdleDeck() {
+        const idle = this.decks[1 - this.activeDeck];
+        clearTimeout(idle.stopTimer);
+        idle.stopTimer = null;
+        idle.audio.pause();
+        if (idle.gain) {
+            idle.gain.gain.cancelScheduledValues(this.audioContext.currentTime);
+            idle.gain.gain.value = 0;
+        }
+    }
+
+    /**
+     * Find the playlist for a combo: its own playlist from the manifest, else tracks picked by
+     * mood (MoodMatcher), else DEFAULT
+     * @param {string} comboKey - Combo key, in either mood order
+     * @returns {{key: string, playlist: Array<Object>}} Playlist and the key its queue is kept under ('DEFAULT' for fallbacks)
+     */
+    resolvePlaylist(comboKey) {
+        // Get playlist for combo (normalize order)
+        let playlist = COMBO_PLAYLISTS[comboKey];
+        
+        // Try reverse order if not found
+        if (!playlist && comboKey.includes('|')) {
+            const parts = comboKey.split('|');
+            if (parts.length === 2) {
+                const reversed = `${parts[1]}|${parts[0]}`;
+                playlist = COMBO_PLAYLISTS[reversed];
+            }
+        }
+
+        if (!playlist || playlist.length === 0) {
+            playlist = MoodMatcher.playlistFor(comboKey);
+        }
+
+        // Fallback to default
+        if (!playlist || playlist.length === 0) {
+            return { key: 'DEFAULT', playlist: COMBO_PLAYLISTS['DEFAULT'] || [] };
+        }
+        return { key: comboKey, playlist };
+    }
+
+    /**
+     * Switch to a new playlist based on emoji combo
+     * @param {string} comboKey - Normalized combo key
+     * @param {number} fadeDuration - Crossfade in seconds if playing (defaults to CROSSFADE_DURATION)
+     */
+    switchPlaylist(comboKey, fadeDuration = CONFIG.CROSSFADE_DURATION) {
+        this.nextCombo = null; // Switching now replaces a queued switch
+        if (comboKey === this.currentCombo) {
+            return; // Already playing this combo
+        }
+
+        const { key: playlistKey, playlist } = this.resolvePlaylist(comboKey);
+        if (playlistKey !== comboKey && comboKey !== 'DEFAULT') {
+            logger.info(`No playlist for combo ${comboKey}, using DEFAULT`);
+        }
+
+        let queue = this.queues.get(playlistKey);
+        if (!queue || queue.tracks !== playlist) {
+            queue = new PlaybackQueue(playlist, this.shuffle);
+            this.queues.set(playlistKey, queue);
+        }
+        queue.setShuffle(this.shuffle);
+
+        // Another combo falling back to the playlist that is already playing
+        if (queue === this.queue && this.currentTrackIndex >= 0) {
+            this.currentCombo = comboKey;
+            this.currentPlaylistKey = playlistKey;
+            this.recordAction('switchPlaylist', { combo: comboKey, tracks: playlist.length });
+            this.stateChanged();
+            return;
+        }
+
+        // Remember where the outgoing playlist was, to continue there later
+        if (this.queue && this.currentTrackIndex >= 0) {
+            this.queue.resumeTime = this.audio.currentTime || 0;
+        }
+
+        this.queue = queue;
+        this.currentPlaylist = playlist;
+        this.currentCombo = comboKey;
+        this.currentPlaylistKey = playlistKey;
+        this.currentTrackIndex = -1;
+        this.failedTracks = 0;
+        this.recordAction('switchPlaylist', { combo: comboKey, tracks: playlist.length });
+
+        if (playlist.length === 0) {
+            this.updateQueueDisplay();
+            this.stateChanged();
+            return;
+        }
+
+        // Continue the playlist where it was left, or start it on first visit
+        // Crossfades if playing, otherwise just preloads the track
+        const index = queue.currentIndex >= 0 ? queue.currentIndex : queue.next();
+        this.loadTrack(index, fadeDuration, queue.resumeTime);
+    }
+
+    /**
+     * Name of the playlist that is playing: its "name" in the manifest, otherwise
+     * its moods, "mood mix" for playlists picked by mood, or "Default playlist"
+     * @returns {string|null} null before the first switchPlaylist()
+     */
+    getPlaylistName() {
+        const key = this.currentPlaylistKey;
+        if (key === null) return null;
+        if (PLAYLIST_NAMES[key]) return PLAYLIST_NAMES[key];
+        if (key === 'DEFAULT') return 'Default playlist';
+
+        const moods = MediaSessionManager.describeCombo(key);
+        return MOOD_PLAYLISTS[key] === this.currentPlaylist ? `${moods} mood mix` : moods;
+    }
+
+    /**
+     * Pick up changed playlist contents (e.g. Deezer tracks that finished loading)
+     * Switches right away only if the current combo is on the fallback playlist or nothing
+     * is loaded; a playlist that is playing gets the new tracks on its next visit
+     */
+    refreshPlaylist() {
+        if (this.currentCombo === null) return;
+
+        const { key, playlist } = this.resolvePlaylist(this.currentCombo);
+        if (playlist === this.currentPlaylist) return;
+
+        const onFallback = key !== 'DEFAULT' && this.queue === this.queues.get('DEFAULT');
+        if (onFallback || this.currentTrackIndex < 0) {
+            const combo = this.currentCombo;
+            this.currentCombo = null;
+            this.switchPlaylist(combo);
+        }
+    }
+
+    /**
+     * Play current track
+     */
+    async play() {
+        if (this.currentTrackIndex < 0 || this.currentPlaylist.length === 0) {
+            return;
+        }
+
+        const track = this.currentPlaylist[this.currentTrackIndex];
+        // Compare the attribute, audio.src is resolved to an absolute URL
+        if (this.audio.getAttribute('src') !== track.src) {
+            this.audio.src = track.src;
+        }
+
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+
+        this.playRequested = true;
+        try {
+            await this.audio.play();
+            this.isPlaying = true;
+            this.recordAction('play', { index: this.currentTrackIndex });
+            this.updatePlayButton();
+            this.stateChanged();
+        } catch (error) {
+            logger.error('Play error:', error);
+            this.recordAction('playFailed', { index: this.currentTrackIndex, error: error.message });
+        }
+    }
+
+    /**
+     * Pause current track
+     */
+    pause() {
+        this.audio.pause();
+        this.stopIdleDeck();
+        this.isPlaying = false;
+        this.playRequested = false;
+        this.recordAction('pause', { index: this.currentTrackIndex });
+        this.updatePlayButton();
+        this.stateChanged();
+    }
+
+    /**
+     * Toggle play/pause
+     */
+    togglePlayPause() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Next track
+     * @param {number} fadeDuration - Fade duration in seconds (defaults to the short skip fade)
+     */
+    next(fadeDuration = CONFIG.SKIP_FADE_DURATION) {
+        if (this.playQueuedSwitch(fadeDuration)) return;
+        if (!this.queue || this.currentPlaylist.length === 0) return;
+
+        this.loadTrack(this.queue.next(), fadeDuration);
+    }
+
+    /**
+     * Previous track, or back to the start of the track once it has played for a few seconds
+     * @param {number} fadeDuration - Fade duration in seconds (defaults to the short skip fade)
+     */
+    prev(fadeDuration = CONFIG.SKIP_FADE_DURATION) {
+        if (!this.queue || this.currentPlaylist.length === 0) return;
+
+        if (this.audio.currentTime > PREV_RESTART_THRESHOLD) {
+            this.seek(0);
+            return;
+        }
+        this.loadTrack(this.queue.prev(), fadeDuration);
+    }
+
+    /**
+     * Move on when a track ends, following the repeat mode
+     * The track already faded out, so there is no fade
+     */
+    handleTrackEnded() {
+        if (this.playQueuedSwitch(0)) return;
+        if (!this.queue) return;
+
+        if (this.repeat === 'one') {
+            this.seek(0);
+            this.play();
+            return;
+        }
+
+        const index = this.queue.next(this.repeat === 'all');
+        if (index >= 0) {
+            this.loadTrack(index, 0);
+            return;
+        }
+
+        // End of the queue with repeat off: stop and get the first track ready
+        this.pause();
+        this.loadTrack(this.queue.next(), 0);
+    }
+
+    /**
+     * Switch to a combo's playlist once the current track ends or is skipped, instead of right away
+     * @param {string|null} comboKey - Normalized combo key, null to cancel a queued switch
+     */
+    queueSwitch(comboKey) {
+        if (comboKey === this.nextCombo) return;
+        this.nextCombo = comboKey;
+        if (comboKey !== null) {
+            logger.info(`Switching to ${comboKey} after this track`);
+        }
+    }
+
+    /**
+     * Play the switch from queueSwitch(), if there is one
+     * @param {number} fadeDuration - Fade duration in seconds
+     * @returns {boolean} True if it switched
+     */
+    playQueuedSwitch(fadeDuration) {
+        const comboKey = this.nextCombo;
+        if (comboKey === null) return false;
+
+        this.nextCombo = null;
+        this.emit('queuedswitch', { combo: comboKey });
+        this.switchPlaylist(comboKey, fadeDuration);
+        return true;
+    }
+
+    /**
+     * Skip a track that fails to load (missing file, expired Deezer preview, no network)
+     * Gives up with a trackFailed error once every track of the playlist failed in a row
+     * @param {MediaError|null} mediaError - The audio element's error
+     */
+    handleTrackError(mediaError) {
+        const track = this.currentPlaylist[this.currentTrackIndex];
+        if (!track) return;
+
+        const reason = mediaError ? MEDIA_ERROR_NAMES[mediaError.code] || `code ${mediaError.code}` : 'unknown error';
+        this.failedTracks++;
+        logger.warn(`Could not play ${track.src} (${reason})`);
+        this.recordAction('trackFailed', { index: this.currentTrackIndex, reason });
+
+        if (this.failedTracks < this.currentPlaylist.length) {
+            const resume = this.playRequested;
+            this.loadTrack(this.queue.next(), 0);
+            if (resume && !this.isPlaying) this.play();
+            return;
+        }
+
+        this.pause();
+        this.updateTrackInfo('Error loading track', '');
+        const count = this.currentPlaylist.length;
+        const error = new AppError('trackFailed', `No track of ${this.currentPlaylistKey} could be played (${count} tried, last: ${reason})`);
+        logger.error(error.message);
+        this.emit('error', error);
+    }
+
+    /**
+     * Try the current track again after every track failed
+     */
+    retryTrack() {
+        if (this.currentTrackIndex < 0) return;
+
+        this.failedTracks = 0;
+        this.loadTrack(this.currentTrackIndex, 0);
+        this.play();
+    }
+
+    /**
+     * Turn shuffle on or off for every playlist
+     * @param {boolean} shuffle
+     */
+    setShuffle(shuffle) {
+        this.shuffle = shuffle;
+        this.queues.forEach(queue => queue.setShuffle(shuffle));
+        this.recordAction('shuffle', { shuffle });
+        this.updateQueueDisplay();
+        this.stateChanged();
+    }
+
+    toggleShuffle() {
+        this.setShuffle(!this.shuffle);
+    }
+
+    /**
+     * @param {string} mode - One of REPEAT_MODES
+     */
+    setRepeat(mode) {
+        if (!REPEAT_MODES.includes(mode)) {
+            throw new Error(`Unknown repeat mode "${mode}" (expected ${REPEAT_MODES.join(', ')})`);
+        }
+        this.repeat = mode;
+        this.recordAction('repeat', { mode });
+        this.updateQueueDisplay();
+        this.stateChanged();
+    }
+
+    /**
+     * Switch to the next repeat mode: off -> all -> one -> off
+     */
+    cycleRepeat() {
+        this.setRepeat(REPEAT_MODES[(REPEAT_MODES.indexOf(this.repeat) + 1) % REPEAT_MODES.length]);
+    }
+
+    /**
+     * Tracks that will play after the current one
+     * @param {number} count - Maximum number of tracks
+     */
+    getUpcoming(count = 5) {
+        if (!this.queue) return [];
+        return this.queue.upcoming(count, this.repeat === 'all');
+    }
+
+    /**
+     * Jump to a position in the current track
+     * @param {number} time - Position in seconds (clamped to the track)
+     * @param {boolean} fast - Allow a faster, less precise seek
+     */
+    seek(time, fast = false) {
+        const audio = this.audio;
+        if (!isFinite(audio.duration)) return;
+
+        const position = Math.min(Math.max(time, 0), audio.duration);
+        if (fast && typeof audio.fastSeek === 'function') {
+            audio.fastSeek(position);
+        } else {
+            audio.currentTime = position;
+        }
+    }
+
+    /**
+     * Set volume (0-1)
+     * Goes through the master gain node when available, iOS Safari ignores audio.volume
+     */
+    setVolume(volume) {
+        this.volume = volume;
+        if (this.masterGain) {
+            this.rampGain(this.masterGain, volume, 0.05);
+        } else {
+            this.decks.forEach(deck => {
+                deck.audio.volume = volume;
+            });
+        }
+        this.stateChanged();
+    }
+
+    /**
+     * Current combo, queue positions and settings, for the saved state
+     */
+    getState() {
+        const queues = {};
+        this.queues.forEach((queue, key) => {
+            if (queue.position < 0) return;
+            // The playing queue's resumeTime is only set when switching away from it
+            queues[key] = queue.getState(queue === this.queue ? this.audio.currentTime || 0 : queue.resumeTime);
+        });
+
+        return {
+            combo: this.currentCombo,
+            volume: this.volume,
+            shuffle: this.shuffle,
+            repeat: this.repeat,
+            queues,
+        };
+    }
+
+    /**
+     * Apply saved volume, shuffle and repeat, ignoring invalid values
+     * @param {Object} state - getState() output
+     */
+    restoreSettings(state) {
+        if (typeof state.volume === 'number' && state.volume >= 0 && state.volume <= 1) {
+            this.setVolume(state.volume);
+        }
+        if (typeof state.shuffle === 'boolean') {
+            this.shuffle = state.shuffle;
+        }
+        if (REPEAT_MODES.includes(state.repeat)) {
+            this.repeat = state.repeat;
+        }
+        this.updateQueueDisplay();
+    }
+
+    /**
+     * Bring back saved queues, so switching to their combo continues where it was left
+     * Queues whose playlist changed in the manifest since they were saved start over
+     * @param {Object<string, Object>} queues - getState().queues
+     * @returns {number} Number of queues restored
+     */
+    restoreQueues(queues = {}) {
+        let restored = 0;
+        Object.entries(queues).forEach(([key, state]) => {
+            const { key: playlistKey, playlist } = this.resolvePlaylist(key);
+            const queue = playlistKey === key ? PlaybackQueue.fromState(playlist, state) : null;
+            if (!queue) {
+                logger.info(`Playlist ${key} changed since it was saved, starting it over`);
+                return;
+            }
+            queue.setShuffle(this.shuffle);
+            this.queues.set(key, queue);
+            restored++;
+        });
+        return restored;
+    }
+
+    /**
+     * Update UI elements
+     */
+    updateTrackInfo(title, artist, artwork) {
+        this.emit('trackinfo', { title, artist, artwork });
+    }
+
+    updateQueueDisplay() {
+        this.emit('queuechange');
+    }
+
+    stateChanged() {
+        this.emit('statechange');
+    }
+
+    updatePlayButton() {
+        this.mediaSession.updatePlaybackState(this.isPlaying);
+        this.emit('playstate', { isPlaying: this.isPlaying });
+    }
+
+    updateProgress() {
+        // Progress is updated via timeupdate event listener in AppController
+    }
+
+    recordAction(action, details = {}) {
+        this.emit('action', { action, ...details });
+    }
+
+    formatTime(seconds) {
+        if (!isFinite(seconds)) return '0:00';
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    }
+}
+
+// ============================================================================
+// Media Session (lock screen, notification and headphone controls)
+// ============================================================================
+
+const SEEK_OFFSET = 10; // Seconds for seek backward/forward when the OS does not say
+const ARTWORK_SIZE = 512; // Lock screen artwork is drawn at this size (square)
+
+class MediaSessionManager {
+    /**
+     * @param {MusicPlayer} player - Player the OS controls act on
+     */
+    constructor(player) {
+        this.player = player;
+        this.session = navigator.mediaSession || null;
+        this.track = null;
+        this.artworkCache = new Map(); // combo key -> Promise of a composed artwork URL (or null)
+
+        if (this.session) {
+            this.setupActionHandlers();
+        }
+    }
+
+    setupActionHandlers() {
+        const handlers = {
+            play: () => this.player.play(),
+            pause: () => this.player.pause(),
+            stop: () => this.player.pause(),
+            nexttrack: () => this.player.next(),
+            previoustrack: () => this.player.prev(),
+            seekto: details => this.player.seek(details.seekTime, details.fastSeek),
+            seekbackward: details => this.player.seek(this.player.audio.currentTime - (details.seekOffset || SEEK_OFFSET)),
+            seekforward: details => this.player.seek(this.player.audio.currentTime + (details.seekOffset || SEEK_OFFSET)),
+        };
+
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                this.session.setActionHandler(action, handler);
+            } catch (error) {
+                // Older browsers throw for actions they do not know
+                logger.warn(`Media Session action "${action}" not supported`);
+            }
+        });
+    }
+
+    /**
+     * Show a track on the lock screen
+     * Artwork is the track's cover art if it has one, else the mood image (or both mood
+     * images side by side for a combo), replaced by a smaller composed image once that is ready
+     * @param {{title: string, artist: string, artwork?: string}} track - See MusicPlayer.describeTrack()
+     * @param {string} comboKey - Combo the track was picked for
+     */
+    setTrack(track, comboKey) {
+        if (!this.session || typeof MediaMetadata === 'undefined') return;
+
+        this.track = track;
+
+        // Cover art from the catalogue, the manifest or the file's tags
+        if (track.artwork) {
+            this.setMetadata(track, comboKey, [{ src: track.artwork }]);
+            return;
+        }
+
+        const sources = MediaSessionManager.getArtworkSources(comboKey);
+        this.setMetadata(track, comboKey, sources.slice(0, 1).map(src => ({ src })));
+
+        if (sources.length === 0) return;
+        this.getComposedArtwork(comboKey, sources).then(src => {
+            if (src && this.track === track) {
+                this.setMetadata(track, comboKey, [{ src, sizes: `${ARTWORK_SIZE}x${ARTWORK_SIZE}`, type: 'image/jpeg' }]);
+            }
+        });
+    }
+
+    setMetadata(track, comboKey, artwork) {
+        this.session.metadata = new MediaMetadata({
+            title: track.title || 'Unknown track',
+            artist: track.artist || '',
+            album: MediaSessionManager.describeCombo(comboKey),
+            artwork,
+        });
+    }
+
+    /**
+     * @param {boolean} isPlaying
+     */
+    updatePlaybackState(isPlaying) {
+        if (!this.session) return;
+        this.session.playbackState = isPlaying ? 'playing' : 'paused';
+    }
+
+    /**
+     * Report duration and position of the active deck, so the lock screen can show and seek it
+     * @param {HTMLAudioElement} audio
+     */
+    updatePositionState(audio) {
+        if (!this.session || typeof this.session.setPositionState !== 'function') return;
+        if (!isFinite(audio.duration) || audio.duration <= 0) return;
+
+        try {
+            this.session.setPositionState({
+                duration: audio.duration,
+                playbackRate: audio.playbackRate || 1,
+                position: Math.min(Math.max(audio.currentTime, 0), audio.duration),
+            });
+        } catch (error) {
+            logger.warn('Could not update media position:', error.message);
+        }
+    }
+
+    /**
+     * Album line for a combo: "Happy + Sad", "Happy" or "Mood Cubes"
+     * @param {string} comboKey
+     */
+    static describeCombo(comboKey) {
+        if (!comboKey || comboKey === 'DEFAULT') return 'Mood Cubes';
+        return comboKey.split('|').filter(mood => mood !== SINGLE_MOOD_PLACEHOLDER).join(' + ');
+    }
+
+    /**
+     * Artwork images for a combo: its own image, else one image per mood, else the DEFAULT image
+     * @param {string} comboKey
+     * @returns {Array<string>} Image URLs (at most two)
+     */
+    static getArtworkSources(comboKey) {
+        if (comboKey && MOOD_ARTWORK[comboKey]) {
+            return [MOOD_ARTWORK[comboKey]];
+        }
+
+        const moods = comboKey && comboKey !== 'DEFAULT'
+            ? comboKey.split('|').filter(mood => mood !== SINGLE_MOOD_PLACEHOLDER)
+            : [];
+        const sources = moods.map(mood => MOOD_ARTWORK[mood]).filter(Boolean);
+        if (sources.length > 0) {
+            return sources;
+        }
+        return MOOD_ARTWORK.DEFAULT ? [MOOD_ARTWORK.DEFAULT] : [];
+    }
+
+    getComposedArtwork(comboKey, sources) {
+        if (!this.artworkCache.has(comboKey)) {
+            this.artworkCache.set(comboKey, MediaSessionManager.composeArtwork(sources).catch(error => {
+                logger.warn(`Could not create artwork for ${comboKey}:`, error.message);
+                return null;
+            }));
+        }
+        return this.artworkCache.get(comboKey);
+    }
+
+    /**
+     * Draw images side by side into one square JPEG, each cropped to fill its half
+     * Keeps the lock screen image small even when the mood images are camera photos
+     * @param {Array<string>} sources - Image URLs
+     * @returns {Promise<string>} Data URL
+     */
+    static async composeArtwork(sources) {
+        const images = await Promise.all(sources.map(src => new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`Failed to load ${src}`));
+            image.src = src;
+        })));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = ARTWORK_SIZE;
+        canvas.height = ARTWORK_SIZE;
+        const ctx = canvas.getContext('2d');
+        const sliceWidth = ARTWORK_SIZE / images.length;
+
+        images.forEach((image, i) => {
+            const scale = Math.max(sliceWidth / image.naturalWidth, ARTWORK_SIZE / image.naturalHeight);
+            const cropWidth = sliceWidth / scale;
+            const cropHeight = ARTWORK_SIZE / scale;
+            ctx.drawImage(image,
+                (image.naturalWidth - cropWidth) / 2, (image.naturalHeight - cropHeight) / 2, cropWidth, cropHeight,
+                i * sliceWidth, 0, sliceWidth, ARTWORK_SIZE);
+        });
+
+        return canvas.toDataURL('image/jpeg', 0.85);
+    }
+}
+
+// ============================================================================
+// Mock Mode Control Panel
+// ============================================================================
+
+// Scripted mock scenarios: "Mood[+Mood] <duration>" steps separated by ';' or new lines
+// Use "none" to lose all cubes, durations accept "s" or "ms". Scenarios with more
+// cubes than the manifest has are not offered (see MockControlPanel.getScenarios())
+const MOCK_SCENARIOS = {
+    'Single mood': 'Happy 5s; none 2s',
+    'Add second cube': 'Happy 5s; Happy+Sad 5s; none 3s',
+    'Swap combos': 'Chill+Dreamy 5s; Energy+Happy 5s; none 3s',
+    'Flicker (smoothing)': 'Happy 100ms; none 100ms; Happy 100ms; none 100ms; Happy 3s; none 2s',
+};
+
+class MockControlPanel {
+    /**
+     * @param {MockDetector} detector - Detector that receives the faked target events
+     */
+    constructor(detector) {
+        this.detector = detector;
+        this.panel = document.getElementById('mockPanel');
+        this.cubeSelects = [
+            document.getElementById('mockCubeA'),
+            document.getElementById('mockCubeB'),
+        ];
+        this.scenarioSelect = document.getElementById('mockScenarioSelect');
+        this.scenarioInput = document.getElementById('mockScenarioInput');
+        this.runButton = document.getElementById('mockRunButton');
+        this.stopButton = document.getElementById('mockStopButton');
+        this.loseAllButton = document.getElementById('mockLoseAllButton');
+        this.statusEl = document.getElementById('mockStatus');
+
+        this.activeTargets = new Set(); // Target indices currently faked as found
+        this.scenarioTimer = null;
+    }
+
+    /**
+     * Fill the controls and show the panel
+     */
+    show() {
+        if (!this.panel) {
+            logger.warn('Mock panel element not found');
+            return;
+        }
+
+        // One dropdown per cube in the manifest, listing that cube's faces
+        const cubeIds = MockControlPanel.getCubeIds();
+        this.cubeSelects.forEach((select, i) => {
+            if (!select) return;
+            const row = select.closest('.mock-row');
+            if (i >= cubeIds.length) {
+                if (row) row.classList.add('hidden');
+                return;
+            }
+            const label = row && row.querySelector('label');
+            if (label) label.textContent = cubeIds[i];
+
+            const moods = MockControlPanel.getCubeTargets(cubeIds[i]).map(targetIndex => TARGET_LABELS[targetIndex]);
+            select.replaceChildren(new Option('— none —', ''), ...moods.map(mood => new Option(mood, mood)));
+            select.addEventListener('change', () => {
+                this.stopScenario();
+                this.setCubes(this.cubeSelects.map(s => s && s.value));
+            });
+        });
+
+        if (this.scenarioSelect) {
+            const scenarios = MockControlPanel.getScenarios();
+            this.scenarioSelect.replaceChildren(...Object.keys(scenarios).map(name => new Option(name, name)));
+            this.scenarioSelect.addEventListener('change', () => {
+                this.scenarioInput.value = scenarios[this.scenarioSelect.value] || '';
+            });
+            this.scenarioInput.value = scenarios[this.scenarioSelect.value] || '';
+        }
+
+        if (this.runButton) {
+            this.runButton.addEventListener('click', () => {
+                try {
+                    this.runScenario(MockControlPanel.parseScenario(this.scenarioInput.value));
+                } catch (error) {
+                    this.setStatus(error.message);
+                }
+            });
+        }
+        if (this.stopButton) {
+            this.stopButton.addEventListener('click', () => this.stopScenario());
+        }
+        if (this.loseAllButton) {
+            this.loseAllButton.addEventListener('click', () => {
+                this.stopScenario();
+                this.setCubes([]);
+            });
+        }
+
+        this.panel.classList.remove('hidden');
+        this.setStatus('Pick a mood for each cube or run a scenario');
+    }
+
+    /**
+     * Fake the cubes showing the given moods
+     * Fires targetLost for targets no longer shown and targetFound for new ones
+     * @param {Array<string|null>} moods - Mood per cube, in manifest cube order (empty or null for no cube)
+     */
+    setCubes(moods) {
+        const cubeIds = MockControlPanel.getCubeIds();
+        const wanted = new Set();
+        moods.forEach((mood, i) => {
+            if (!mood) return;
+            const targetIndex = MockControlPanel.getTargetIndex(mood, cubeIds[i]);
+            if (targetIndex === null) {
+                throw new Error(`Cube ${i + 1} has no "${mood}" face`);
+            }
+            wanted.add(targetIndex);
+        });
+
+        this.activeTargets.forEach(targetIndex => {
+            if (!wanted.has(targetIndex)) {
+                logger.debug(`🧪 Mock targetLost: ${TARGET_LABELS[targetIndex]}`);
+                this.detector.handleTargetLost(targetIndex);
+            }
+        });
+        wanted.forEach(targetIndex => {
+            if (!this.activeTargets.has(targetIndex)) {
+                logger.debug(`🧪 Mock targetFound: ${TARGET_LABELS[targetIndex]}`);
+                this.detector.handleTargetFound(targetIndex);
+            }
+        });
+        this.activeTargets = wanted;
+
+        // Keep the dropdowns in sync when a scenario drives the cubes
+        this.cubeSelects.forEach((select, i) => {
+            if (select) select.value = moods[i] || '';
+        });
+    }
+
+    /**
+     * Cube ids in manifest order
+     */
+    static getCubeIds() {
+        return Array.from(new Set(Object.values(TARGET_CUBES)));
+    }
+
+    /**
+     * Built-in scenarios that fit the cubes in the manifest
+     * @returns {Object<string, string>} Name -> scenario script
+     */
+    static getScenarios() {
+        const cubeCount = MockControlPanel.getCubeIds().length;
+        const cubesOf = text => Math.max(...text.split(/[;\n]/).map(step => step.trim().split(/\s+/)[0].split('+').length));
+        return Object.fromEntries(Object.entries(MOCK_SCENARIOS).filter(([, text]) => cubesOf(text) <= cubeCount));
+    }
+
+    static getCubeTargets(cubeId) {
+        return Object.keys(TARGET_CUBES).map(Number).filter(targetIndex => TARGET_CUBES[targetIndex] === cubeId);
+    }
+
+    /**
+     * Find the target index of a cube face by mood
+     * @returns {number|null}
+     */
+    static getTargetIndex(mood, cubeId) {
+        const targetIndex = MockControlPanel.getCubeTargets(cubeId).find(index => TARGET_LABELS[index] === mood);
+        return targetIndex !== undefined ? targetIndex : null;
+    }
+
+    /**
+     * Parse a scenario script like "Happy 5s; Happy+Sad 5s; none 2s"
+     * The first mood of a step is shown on the first cube, the second on the second cube
+     * @param {string} text
+     * @returns {Array<{moods: Array<string>, duration: number}>} Steps, duration in ms
+     */
+    static parseScenario(text) {
+        const cubeIds = MockControlPanel.getCubeIds();
+        const steps = text.split(/[;\n]/)
+            .map(line => line.trim())
+            .filter(line => line !== '')
+            .map(line => {
+                const match = line.match(/^(\S+)\s+(\d+(?:\.\d+)?)(ms|s)$/);
+                if (!match) {
+                    throw new Error(`Invalid step "${line}" (expected e.g. "Happy+Sad 5s")`);
+                }
+                const moods = match[1].toLowerCase() === 'none' ? [] : match[1].split('+');
+                if (moods.length > MAX_CUBES) {
+                    throw new Error(`Step "${line}" uses more than ${MAX_CUBES} cubes`);
+                }
+                moods.forEach((mood, i) => {
+                    if (MockControlPanel.getTargetIndex(mood, cubeIds[i]) === null) {
+                        throw new Error(`Cube ${i + 1} has no "${mood}" face in step "${line}"`);
+                    }
+                });
+                const duration = parseFloat(match[2]) * (match[3] === 's' ? 1000 : 1);
+                return { moods, duration };
+            });
+
+        if (steps.length === 0) {
+            throw new Error('Scenario is empty');
+        }
+        return steps;
+    }
+
+    /**
+     * Run scenario steps one after another, then lose all cubes
+     * @param {Array<{moods: Array<string>, duration: number}>} steps
+     */
+    runScenario(steps) {
+        this.stopScenario();
+
+        const runStep = (index) => {
+            if (index >= steps.length) {
+                this.scenarioTimer = null;
+                this.setCubes([]);
+                this.setStatus('Scenario finished');
+                return;
+            }
+            const step = steps[index];
+            this.setCubes(step.moods);
+            this.setStatus(`Step ${index + 1}/${steps.length}: ${step.moods.join(' + ') || 'none'} (${step.duration}ms)`);
+            this.scenarioTimer = setTimeout(() => runStep(index + 1), step.duration);
+        };
+
+        runStep(0);
+    }
+
+    stopScenario() {
+        if (this.scenarioTimer) {
+            clearTimeout(this.scenarioTimer);
+            this.scenarioTimer = null;
+            this.setStatus('Scenario stopped');
+        }
+    }
+
+    setStatus(text) {
+        if (this.statusEl) {
+            this.statusEl.textContent = text;
+        }
+    }
+}
+
+// ============================================================================
+// Power Manager
+// ============================================================================
+
+class PowerManager {
+    /**
+     * @param {Function} onChange - Called with {isLowPower, isHidden} whenever either changes
+     */
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.userPreference = null; // true/false once the user toggles, overrides the battery
+        this.batteryLow = false;
+        this.isHidden = document.hidden;
+    }
+
+    /**
+     * Low power mode is on if the user turned it on, or the battery is low and the user did not turn it off
+     */
+    get isLowPower() {
+        return this.userPreference !== null ? this.userPreference : this.batteryLow;
+    }
+
+    init() {
+        document.addEventListener('visibilitychange', () => {
+            this.isHidden = document.hidden;
+            this.notify();
+        });
+        this.watchBattery();
+    }
+
+    /**
+     * Turn low power mode on automatically on low battery, where the Battery Status API exists
+     */
+    async watchBattery() {
+        if (typeof navigator.getBattery !== 'function') {
+            return;
+        }
+
+        try {
+            const battery = await navigator.getBattery();
+            const check = () => {
+                const batteryLow = !battery.charging && battery.level <= CONFIG.LOW_POWER_BATTERY_LEVEL;
+                if (batteryLow !== this.batteryLow) {
+                    this.batteryLow = batteryLow;
+                    logger.info(`🔋 Battery ${Math.round(battery.level * 100)}%${battery.charging ? ' (charging)' : ''}, low: ${batteryLow}`);
+                    this.notify();
+                }
+            };
+            battery.addEventListener('levelchange', check);
+            battery.addEventListener('chargingchange', check);
+            check();
+        } catch (error) {
+            logger.warn('Battery status not available:', error.message);
+        }
+    }
+
+    toggle() {
+        this.userPreference = !this.isLowPower;
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange({ isLowPower: this.isLowPower, isHidden: this.isHidden });
+        }
+    }
+}
+
+// ============================================================================
+// Offline Support
+// ============================================================================
+
+// Registers the service worker, shows when the device is offline and offers to
+// reload when a new version of the app has been downloaded
+class OfflineManager {
+    constructor() {
+        this.indicator = document.getElementById('offlineIndicator');
+        this.updateBanner = document.getElementById('updateBanner');
+        this.updateButton = document.getElementById('updateButton');
+        this.registration = null;
+        this.updateRequested = false; // Only reload for a controller change we asked for
+    }
+
+    get isOnline() {
+        return navigator.onLine !== false;
+    }
+
+    /**
+     * @returns {Promise<boolean>} True if the service worker was registered
+     */
+    init() {
+        window.addEventListener('online', () => this.updateIndicator());
+        window.addEventListener('offline', () => this.updateIndicator());
+        this.updateIndicator();
+
+        if (this.updateButton) {
+            this.updateButton.addEventListener('click', () => this.applyUpdate());
+        }
+
+        return this.register();
+    }
+
+    updateIndicator() {
+        if (this.indicator) {
+            this.indicator.classList.toggle('hidden', this.isOnline);
+        }
+    }
+
+    async register() {
+        const container = navigator.serviceWorker;
+        if (!CONFIG.SERVICE_WORKER_FILE || !container) {
+            return false;
+        }
+
+        try {
+            this.registration = await container.register(CONFIG.SERVICE_WORKER_FILE);
+        } catch (error) {
+            logger.warn('Service worker registration failed, the app will not work offline:', error.message);
+            return false;
+        }
+        logger.info('✓ Service worker registered');
+
+        // Downloaded on an earlier visit and still waiting
+        if (this.registration.waiting && container.controller) {
+            this.showUpdate();
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const worker = this.registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && container.controller) {
+                    this.showUpdate();
+                }
+            });
+        });
+
+        // The first install also changes the controller (clients.claim), which must not reload
+        container.addEventListener('controllerchange', () => {
+            if (this.updateRequested) {
+                window.location.reload();
+            }
+        });
+
+        return true;
+    }
+
+    showUpdate() {
+        logger.info('New app version downloaded');
+        if (this.updateBanner) {
+            this.updateBanner.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Let the waiting service worker take over, the page reloads once it has
+     * The saved state (pagehide) lets the reloaded page resume the music
+     */
+    applyUpdate() {
+        const waiting = this.registration && this.registration.waiting;
+        if (!waiting) return;
+
+        this.updateRequested = true;
+        if (this.updateButton) this.updateButton.disabled = true;
+        waiting.postMessage({ type: 'SKIP_WAITING' });
+    }
+}
+
+// ============================================================================
+// Saved State
+// ============================================================================
+
+const SAVED_STATE_KEY = 'moodCubes.savedState';
+const SAVED_STATE_VERSION = 1; // Bump when the saved format changes, older states are ignored
+
+// Keeps the player, detection and settings state in local storage, so a reload or an
+// evicted tab can pick up where it left off
+// Format: {version, savedAt, player: MusicPlayer.getState(), detection: DetectionState.getState(), settings}
+class SavedStateStore {
+    constructor(key = SAVED_STATE_KEY) {
+        this.key = key;
+        this.storage = SavedStateStore.getStorage();
+    }
+
+    /**
+     * Local storage, or null where it is missing or blocked (e.g. some private browsing modes)
+     */
+    static getStorage() {
+        try {
+            const storage = window.localStorage;
+            if (!storage) return null;
+            storage.getItem(SAVED_STATE_KEY);
+            return storage;
+        } catch (error) {
+            logger.warn('Local storage not available, state will not be saved:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Object|null} Saved state, or null if there is none or it is unreadable or from another version
+     */
+    load() {
+        if (!this.storage) return null;
+
+        let state;
+        try {
+            state = JSON.parse(this.storage.getItem(this.key));
+        } catch (error) {
+            logger.warn('Ignoring unreadable saved state:', error.message);
+            return null;
+        }
+
+        if (!state || typeof state !== 'object') return null;
+        if (state.version !== SAVED_STATE_VERSION) {
+            logger.info(`Ignoring saved state version ${state.version} (expected ${SAVED_STATE_VERSION})`);
+            return null;
+        }
+        return state;
+    }
+
+    /**
+     * @param {Object} state - {player, detection, settings}
+     * @returns {boolean} True if the state was written
+     */
+    save(state) {
+        if (!this.storage) return false;
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify({
+                version: SAVED_STATE_VERSION,
+                savedAt: new Date().toISOString(),
+                ...state,
+            }));
+            return true;
+        } catch (error) {
+            // Quota exceeded or storage blocked, not worth interrupting the music for
+            logger.warn('Could not save state:', error.message);
+            return false;
+        }
+    }
+
+    clear() {
+        if (this.storage) {
+            this.storage.removeItem(this.key);
+        }
+    }
+}
+
+// ============================================================================
+// Settings
+// ============================================================================
+
+// CONFIG entries that can be changed at a venue without editing app.js. Each value
+// comes from, in order of precedence: a URL parameter (for the visit only), a
+// preference saved from the settings sheet, then CONFIG in app.js.
+//   param - URL query parameter, e.g. ?mock=1&smoothing=12&targets=./alt.mind
+//   type - 'number', 'integer' (with min and max), 'boolean', 'choice' (one of choices)
+//          or 'path' (a relative path ending in extension)
+//   live - Takes effect right away; other settings change the detector, which is
+//          replaced before Tap to Start and needs a reload afterwards
+
+const SETTINGS_KEY = 'moodCubes.settings';
+
+const SETTINGS = {
+    CONFIDENCE_THRESHOLD: { param: 'confidence', label: 'Confidence threshold', type: 'number', min: 0, max: 1, step: 0.05, live: true },
+    SMOOTHING_FRAMES: { param: 'smoothing', label: 'Smoothing frames', type: 'integer', min: 1, max: 60, live: true },
+    DETECTION_FPS: { param: 'fps', label: 'Detection rate (fps)', type: 'integer', min: 1, max: 60, live: true },
+    CROSSFADE_DURATION: { param: 'crossfade', label: 'Crossfade (seconds)', type: 'number', min: 0, max: 10, step: 0.5, live: true },
+    STABLE_AGREEMENT: { param: 'agreement', label: 'Frames that agree (share)', type: 'number', min: 0.5, max: 1, step: 0.05, live: true },
+    COMBO_DWELL_TIME: { param: 'dwell', label: 'Dwell time (seconds)', type: 'number', min: 0, max: 5, step: 0.25, live: true },
+    LOSS_GRACE_PERIOD: { param: 'grace', label: 'Grace period after loss (seconds)', type: 'number', min: 0, max: 10, step: 0.5, live: true },
+    KEEP_LAST_COMBO: { param: 'keep', label: 'Keep the mood with no cube in view', type: 'boolean', live: true },
+    SWITCH_AT_TRACK_END: { param: 'trackend', label: 'Switch at the end of the track', type: 'boolean', live: true },
+    MOCK_MODE: { param: 'mock', label: 'Mock mode (no camera)', type: 'boolean', live: false },
+    DETECTOR: { param: 'detector', label: 'Detector', type: 'choice', choices: Object.keys(DETECTOR_BACKENDS), live: false },
+    TARGETS_FILE: { param: 'targets', label: 'Targets file', type: 'path', extension: '.mind', live: false },
+};
+
+// URL parameter values for booleans; a parameter without a value (?mock) is on
+const SETTING_BOOLEANS = { '': true, 1: true, true: true, yes: true, on: true, 0: false, false: false, no: false, off: false };
+
+class Settings {
+    /**
+     * @param {Storage|null} storage - Where preferences are saved, null to keep them for the visit
+     */
+    constructor(storage = SavedStateStore.getStorage()) {
+        this.storage = storage;
+        this.defaults = {}; // CONFIG values from app.js
+        this.saved = {}; // Preferences saved from the settings sheet
+        this.fromUrl = {}; // URL parameters of this visit
+    }
+
+    /**
+     * Merge saved preferences and URL parameters into CONFIG; invalid values are
+     * logged and left out
+     */
+    load() {
+        Object.keys(SETTINGS).forEach(key => {
+            this.defaults[key] = CONFIG[key];
+        });
+        this.saved = this.readSaved();
+        this.fromUrl = this.readUrl();
+        Object.assign(CONFIG, this.saved, this.fromUrl);
+
+        const changed = Object.keys({ ...this.saved, ...this.fromUrl });
+        if (changed.length > 0) {
+            logger.info(`Settings: ${changed.map(key => `${key}=${CONFIG[key]} (${this.getSource(key)})`).join(', ')}`);
+        }
+    }
+
+    readSaved() {
+        if (!this.storage) return {};
+
+        let saved;
+        try {
+            saved = JSON.parse(this.storage.getItem(SETTINGS_KEY));
+        } catch (error) {
+            logger.warn('Ignoring unreadable saved settings:', error.message);
+            return {};
+        }
+
+        const values = {};
+        Object.entries(saved && typeof saved === 'object' ? saved : {}).forEach(([key, value]) => {
+            const error = SETTINGS[key] ? Settings.validate(key, value) : 'not a setting';
+            if (error) {
+                logger.warn(`Ignoring saved setting ${key}: ${error}`);
+            } else {
+                values[key] = value;
+            }
+        });
+        return values;
+    }
+
+    readUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const values = {};
+        Object.entries(SETTINGS).forEach(([key, { param }]) => {
+            if (!params.has(param)) return;
+
+            const text = params.get(param);
+            const value = Settings.parse(key, text);
+            const error = Settings.validate(key, value);
+            if (error) {
+                logger.warn(`Ignoring ?${param}=${text}: ${error}`);
+            } else {
+                values[key] = value;
+            }
+        });
+        return values;
+    }
+
+    /**
+     * @param {string} key - Key of SETTINGS
+     * @returns {string} 'url', 'saved' or 'default'
+     */
+    getSource(key) {
+        if (key in this.fromUrl) return 'url';
+        if (key in this.saved) return 'saved';
+        return 'default';
+    }
+
+    /**
+     * A value as typed in a URL parameter or a settings field
+     * @param {string} key - Key of SETTINGS
+     * @param {string} text
+     */
+    static parse(key, text) {
+        const { type } = SETTINGS[key];
+        if (type === 'boolean') {
+            const normalized = text.trim().toLowerCase();
+            return normalized in SETTING_BOOLEANS ? SETTING_BOOLEANS[normalized] : text;
+        }
+        if (type === 'number' || type === 'integer') {
+            return text.trim() === '' ? NaN : Number(text);
+        }
+        return text.trim();
+    }
+
+    /**
+     * Whether a path resolves to a URL on the page's own origin
+     * @param {string} path
+     */
+    static isSameOrigin(path) {
+        try {
+            return new URL(path, window.location.href).origin === window.location.origin;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * @param {string} key - Key of SETTINGS
+     * @param {*} value
+     * @returns {string|null} What is wrong with the value, null if it is valid
+     */
+    static validate(key, value) {
+        const spec = SETTINGS[key];
+        switch (spec.type) {
+            case 'number':
+            case 'integer': {
+                const isNumber = typeof value === 'number' && Number.isFinite(value)
+                    && (spec.type === 'number' || Number.isInteger(value));
+                if (!isNumber || value < spec.min || value > spec.max) {
+                    return `must be ${spec.type === 'integer' ? 'a whole number' : 'a number'} from ${spec.min} to ${spec.max}`;
+                }
+                return null;
+            }
+            case 'boolean':
+                return typeof value === 'boolean' ? null : 'must be on or off (1 or 0)';
+            case 'choice':
+                return spec.choices.includes(value) ? null : `must be one of ${spec.choices.join(', ')}`;
+            case 'path':
+                // No other sites: browsers read "\\host" and "/\host" like "//host", so check
+                // where the path resolves to rather than how it is written
+                return typeof value === 'string' && Settings.isSameOrigin(value) && value.endsWith(spec.extension)
+                    ? null
+                    : `must be a path on this site ending in ${spec.extension}`;
+            default:
+                return `has an unknown type "${spec.type}"`;
+        }
+    }
+
+    /**
+     * Change a setting and save it as a preference; a URL parameter for it is dropped
+     * from the address, so a reload keeps the new value
+     * @param {string} key - Key of SETTINGS
+     * @param {*} value
+     * @returns {string|null} Why the value was refused, null if it is set
+     */
+    set(key, value) {
+        const error = Settings.validate(key, value);
+        if (error) return error;
+
+        CONFIG[key] = value;
+        if (value === this.defaults[key]) {
+            delete this.saved[key];
+        } else {
+            this.saved[key] = value;
+        }
+        if (key in this.fromUrl) {
+            delete this.fromUrl[key];
+            Settings.removeUrlParam(SETTINGS[key].param);
+        }
+        this.write();
+        return null;
+    }
+
+    /**
+     * Go back to CONFIG in app.js, forgetting preferences and URL parameters
+     * @returns {string[]} Keys whose value changed
+     */
+    reset() {
+        const changed = Object.keys(SETTINGS).filter(key => CONFIG[key] !== this.defaults[key]);
+        Object.keys(this.fromUrl).forEach(key => Settings.removeUrlParam(SETTINGS[key].param));
+        this.saved = {};
+        this.fromUrl = {};
+        Object.assign(CONFIG, this.defaults);
+        this.write();
+        return changed;
+    }
+
+    write() {
+        if (!this.storage) return;
+
+        try {
+            if (Object.keys(this.saved).length > 0) {
+                this.storage.setItem(SETTINGS_KEY, JSON.stringify(this.saved));
+            } else {
+                this.storage.removeItem(SETTINGS_KEY);
+            }
+        } catch (error) {
+            logger.warn('Could not save settings:', error.message);
+        }
+    }
+
+    static removeUrlParam(param) {
+        if (!window.history || typeof window.history.replaceState !== 'function') return;
+
+        const url = new URL(window.location.href);
+        url.searchParams.delete(param);
+        window.history.replaceState(window.history.state, '', url.toString());
+    }
+}
+
+// ============================================================================
+// Screen Reader Announcements
+// ============================================================================
+
+const ANNOUNCE_DELAY = 150; // ms to collect messages into one announcement
+
+// Polite live region for mood and track changes. Messages that come in together
+// are read as one, so a new track does not cut off the mood change that caused it.
+class LiveAnnouncer {
+    constructor() {
+        this.region = document.getElementById('liveAnnouncer');
+        this.pending = [];
+        this.timer = null;
+    }
+
+    /**
+     * @param {string} message - Read by screen readers after ANNOUNCE_DELAY
+     */
+    announce(message) {
+        if (!this.region || this.pending.includes(message)) return;
+
+        this.pending.push(message);
+        if (this.timer === null) {
+            // Emptying the region first makes screen readers repeat an unchanged message
+            this.region.textContent = '';
+            this.timer = setTimeout(() => this.flush(), ANNOUNCE_DELAY);
+        }
+    }
+
+    flush() {
+        this.timer = null;
+        this.region.textContent = this.pending.join('. ');
+        this.pending = [];
+    }
+}
+
+// ============================================================================
+// Mood Picker
+// ============================================================================
+
+// Picks one or two moods by hand instead of scanning cubes, for users who cannot
+// hold the camera steady, grant camera access or see the screen. Every mood is a
+// toggle button; arrow keys, Home and End move between them (roving tabindex),
+// Tab stays inside the picker and Escape closes it.
+
+const MOOD_PICKER_STEPS = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+
+class MoodPicker {
+    /**
+     * @param {AppController} controller - App that plays the picked moods
+     */
+    constructor(controller) {
+        this.controller = controller;
+        this.panel = document.getElementById('moodPicker');
+        this.optionList = document.getElementById('moodOptions');
+        this.statusEl = document.getElementById('moodPickerStatus');
+        this.openButton = document.getElementById('moodPickerButton');
+        this.clearButton = document.getElementById('moodClearButton');
+        this.doneButton = document.getElementById('moodDoneButton');
+
+        this.options = []; // Mood buttons, in target order
+        this.selected = []; // Picked moods, in the order they were picked
+        this.returnFocus = null; // Element that had focus before open()
+    }
+
+    get isOpen() {
+        return Boolean(this.panel) && !this.panel.classList.contains('hidden');
+    }
+
+    /**
+     * Every mood in TARGET_LABELS once
+     * @returns {string[]}
+     */
+    static getMoods() {
+        return Array.from(new Set(Object.values(TARGET_LABELS)));
+    }
+
+    init() {
+        if (!this.panel) return;
+
+        if (this.openButton) {
+            this.openButton.addEventListener('click', () => this.open());
+        }
+        if (this.clearButton) {
+            this.clearButton.addEventListener('click', () => this.pick([]));
+        }
+        if (this.doneButton) {
+            this.doneButton.addEventListener('click', () => this.close());
+        }
+        this.panel.addEventListener('keydown', event => this.handleKeydown(event));
+    }
+
+    /**
+     * Show the moods with the ones playing now picked, and focus the first picked mood
+     */
+    open() {
+        if (!this.panel || this.isOpen) return;
+
+        this.returnFocus = document.activeElement;
+        this.selected = PlaylistManifest.comboMoods(this.controller.musicPlayer.currentCombo);
+
+        this.options = MoodPicker.getMoods().map(mood => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'mood-option';
+            button.dataset.mood = mood;
+            button.textContent = mood;
+            button.addEventListener('click', () => this.toggle(mood));
+            return button;
+        });
+        this.optionList.replaceChildren(...this.options);
+        this.update();
+
+        this.panel.classList.remove('hidden');
+        if (this.openButton) this.openButton.setAttribute('aria-expanded', 'true');
+        const first = this.options.findIndex(button => this.selected.includes(button.dataset.mood));
+        this.focusOption(Math.max(first, 0));
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.panel.classList.add('hidden');
+        if (this.openButton) this.openButton.setAttribute('aria-expanded', 'false');
+        if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    /**
+     * Pick or unpick a mood; with MAX_CUBES picked, others have to wait for an unpick
+     * @param {string} mood
+     */
+    toggle(mood) {
+        if (this.selected.includes(mood)) {
+            this.pick(this.selected.filter(picked => picked !== mood));
+        } else if (this.selected.length < MAX_CUBES) {
+            this.pick([...this.selected, mood]);
+        } else {
+            this.controller.announcer.announce(`${MAX_CUBES} moods are picked, unpick one first`);
+        }
+    }
+
+    /**
+     * @param {string[]} moods - Up to MAX_CUBES moods
+     */
+    pick(moods) {
+        this.selected = moods;
+        this.update();
+        this.controller.pickMoods(moods);
+    }
+
+    update() {
+        const isFull = this.selected.length >= MAX_CUBES;
+        this.options.forEach(button => {
+            const isPicked = this.selected.includes(button.dataset.mood);
+            button.setAttribute('aria-pressed', String(isPicked));
+            button.setAttribute('aria-disabled', String(isFull && !isPicked));
+        });
+        if (this.statusEl) {
+            this.statusEl.textContent = this.selected.length > 0
+                ? `Playing ${this.selected.join(' + ')}`
+                : 'No mood picked, the default playlist plays';
+        }
+    }
+
+    /**
+     * @param {number} index - Option that gets focus and the one tab stop of the moods
+     */
+    focusOption(index) {
+        this.options.forEach((button, i) => button.setAttribute('tabindex', i === index ? '0' : '-1'));
+        if (this.options[index]) this.options[index].focus();
+    }
+
+    handleKeydown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.close();
+            return;
+        }
+        if (event.key === 'Tab') {
+            this.keepFocusInside(event);
+            return;
+        }
+
+        const index = this.options.indexOf(event.target);
+        if (index < 0) return;
+
+        const count = this.options.length;
+        let next = null;
+        if (event.key in MOOD_PICKER_STEPS) {
+            next = (index + MOOD_PICKER_STEPS[event.key] + count) % count;
+        } else if (event.key === 'Home') {
+            next = 0;
+        } else if (event.key === 'End') {
+            next = count - 1;
+        }
+        if (next !== null) {
+            event.preventDefault();
+            this.focusOption(next);
+        }
+    }
+
+    /**
+     * Wrap Tab and Shift+Tab around the picker's tab stops
+     */
+    keepFocusInside(event) {
+        const stops = [
+            this.options.find(button => button.getAttribute('tabindex') === '0'),
+            this.clearButton,
+            this.doneButton,
+        ].filter(Boolean);
+        const first = stops[0];
+        const last = stops[stops.length - 1];
+
+        if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+// ============================================================================
+// Error Screens
+// ============================================================================
+
+// Recovery screen of each AppError type. steps are the same everywhere or differ by
+// platform (see detectPlatform()); retry is what "Try again" does:
+//   reload - reload the page (scripts, camera permission and targets are read again)
+//   secure - open the https:// address of the page
+//   track  - play the current track again
+const ERROR_SCREENS = {
+    permissionDenied: {
+        title: 'Camera access is blocked',
+        message: 'Mood Cubes needs the camera to see your cubes.',
+        steps: {
+            ios: [
+                'Tap "aA" in the address bar, then Website Settings',
+                'Set Camera to "Allow"',
+                'Tap Try again and allow the camera',
+            ],
+            android: [
+                'Tap the icon left of the address, then Permissions',
+                'Turn Camera on',
+                'Tap Try again',
+            ],
+            desktop: [
+                'Click the camera or lock icon in the address bar',
+                'Allow the camera for this site',
+                'Click Try again',
+            ],
+        },
+        retry: 'reload',
+    },
+    noCamera: {
+        title: 'No camera available',
+        message: 'The camera could not be started.',
+        steps: {
+            ios: [
+                'Close other apps that use the camera',
+                'Check that Camera is allowed in Settings → Screen Time → Content & Privacy Restrictions',
+                'Tap Try again',
+            ],
+            android: [
+                'Close other apps that use the camera',
+                'Restart the browser if the camera stays busy',
+                'Tap Try again',
+            ],
+            desktop: [
+                'Connect a camera, or close other apps and tabs that use it',
+                'Click Try again',
+            ],
+        },
+        retry: 'reload',
+    },
+    insecureContext: {
+        title: 'Open the secure page',
+        message: 'Browsers only allow the camera on https:// pages.',
+        steps: [
+            'Open this page with https:// instead of http://',
+            'When testing locally, use http://localhost',
+        ],
+        retry: 'secure',
+        retryLabel: 'Open secure page',
+    },
+    targetsFailed: {
+        title: 'Cube data did not load',
+        message: 'The images that identify the cube faces could not be downloaded.',
+        steps: [
+            'Check your internet connection',
+            'Try again; once loaded, they stay available offline',
+        ],
+        retry: 'reload',
+    },
+    libraryMissing: {
+        title: 'AR could not start',
+        message: 'The AR libraries did not load.',
+        steps: [
+            'Check your internet connection, the libraries come from a CDN the first time',
+            'Turn off content blockers for this site',
+            'Try again',
+        ],
+        retry: 'reload',
+    },
+    trackFailed: {
+        title: 'Music could not be played',
+        message: 'None of the tracks in this playlist could be loaded.',
+        steps: [
+            'Check your internet connection',
+            'Deezer previews expire after a while, reloading the page gets new ones',
+        ],
+        retry: 'track',
+        dismissLabel: 'Close',
+    },
+};
+
+/**
+ * @returns {string} 'ios', 'android' or 'desktop', for platform-specific recovery steps
+ */
+function detectPlatform() {
+    const userAgent = navigator.userAgent || '';
+    // iPadOS reports itself as a Mac
+    if (/iPhone|iPad|iPod/.test(userAgent) || (/Macintosh/.test(userAgent) && navigator.maxTouchPoints > 1)) {
+        return 'ios';
+    }
+    return /Android/.test(userAgent) ? 'android' : 'desktop';
+}
+
+// Full screen explanation of an AppError with recovery steps, Try again and a way to
+// carry on without it (the app keeps running underneath)
+class ErrorScreen {
+    /**
+     * @param {AppController} controller - App whose music player retries failed tracks
+     */
+    constructor(controller) {
+        this.controller = controller;
+        this.overlay = document.getElementById('errorOverlay');
+        this.title = document.getElementById('errorTitle');
+        this.message = document.getElementById('errorMessage');
+        this.steps = document.getElementById('errorSteps');
+        this.details = document.getElementById('errorDetails');
+        this.retryButton = document.getElementById('errorRetryButton');
+        this.dismissButton = document.getElementById('errorDismissButton');
+
+        this.error = null; // AppError on screen
+        this.pending = []; // AppErrors that came in while another one was shown
+    }
+
+    get isOpen() {
+        return this.error !== null;
+    }
+
+    init() {
+        if (this.retryButton) {
+            this.retryButton.addEventListener('click', () => this.retry());
+        }
+        if (this.dismissButton) {
+            this.dismissButton.addEventListener('click', () => this.dismiss());
+        }
+    }
+
+    /**
+     * Show the recovery screen of an error, or queue it behind the one on screen
+     * @param {AppError} error
+     */
+    show(error) {
+        if (!this.overlay) return;
+        if (this.isOpen) {
+            if (error.type !== this.error.type && !this.pending.some(pending => pending.type === error.type)) {
+                this.pending.push(error);
+            }
+            return;
+        }
+
+        const screen = ERROR_SCREENS[error.type] || ERROR_SCREENS.libraryMissing;
+        const steps = Array.isArray(screen.steps) ? screen.steps : screen.steps[detectPlatform()];
+        this.error = error;
+
+        this.title.textContent = screen.title;
+        this.message.textContent = screen.message;
+        this.steps.replaceChildren(...steps.map(step => {
+            const item = document.createElement('li');
+            item.textContent = step;
+            return item;
+        }));
+        this.details.textContent = error.message;
+        this.retryButton.textContent = screen.retryLabel || 'Try again';
+        this.dismissButton.textContent = screen.dismissLabel || 'Continue without camera';
+
+        this.overlay.dataset.error = error.type;
+        this.overlay.classList.remove('hidden');
+        this.retryButton.focus();
+    }
+
+    /**
+     * Hide the screen and show the next queued error, if any
+     */
+    dismiss() {
+        this.error = null;
+        this.overlay.classList.add('hidden');
+        const next = this.pending.shift();
+        if (next) this.show(next);
+    }
+
+    retry() {
+        const error = this.error;
+        if (!error) return;
+        const screen = ERROR_SCREENS[error.type] || ERROR_SCREENS.libraryMissing;
+        logger.info(`Retrying after ${error.type}`);
+        this.dismiss();
+
+        if (screen.retry === 'track') {
+            this.controller.musicPlayer.retryTrack();
+        } else if (screen.retry === 'secure') {
+            window.location.href = window.location.href.replace(/^http:/, 'https:');
+        } else {
+            window.location.reload();
+        }
+    }
+}
+
+// ============================================================================
+// Diagnostics Panel
+// ============================================================================
+
+// Hidden panel with what a bug report needs: detector and scene state, tracked
+// targets, detection frame rate, audio state and recent errors. Opens with
+// ?debug in the URL or DIAGNOSTICS_TAPS quick taps on the track info.
+
+const DIAGNOSTICS_TAPS = 5;
+const DIAGNOSTICS_TAP_WINDOW = 2000; // ms for all DIAGNOSTICS_TAPS taps
+const DIAGNOSTICS_REFRESH_INTERVAL = 1000; // ms between refreshes while open
+const DIAGNOSTICS_RECENT_ERRORS = 10; // Warnings and errors listed in the panel
+
+// Names for HTMLMediaElement.readyState and networkState
+const MEDIA_READY_STATES = ['nothing', 'metadata', 'current data', 'future data', 'enough data'];
+const MEDIA_NETWORK_STATES = ['empty', 'idle', 'loading', 'no source'];
+
+class DiagnosticsPanel {
+    /**
+     * @param {AppController} controller - App to report on
+     */
+    constructor(controller) {
+        this.controller = controller;
+        this.panel = document.getElementById('diagnosticsPanel');
+        this.content = document.getElementById('diagnosticsContent');
+        this.errorList = document.getElementById('diagnosticsErrors');
+        this.exportButton = document.getElementById('diagnosticsExportButton');
+        this.closeButton = document.getElementById('diagnosticsCloseButton');
+        this.trigger = document.getElementById('trackInfo');
+
+        this.refreshTimer = null;
+        this.taps = []; // Times of the latest taps on the trigger
+        this.lastFrame = null; // {frameCount, time} at the previous refresh, for the frame rate
+    }
+
+    get isOpen() {
+        return Boolean(this.panel) && !this.panel.classList.contains('hidden');
+    }
+
+    init() {
+        // Uncaught errors belong in the recent errors and the export too
+        window.addEventListener('error', event => logger.error('Uncaught error:', event.error || event.message));
+        window.addEventListener('unhandledrejection', event => logger.error('Unhandled promise rejection:', event.reason));
+
+        if (!this.panel) return;
+
+        if (this.trigger) {
+            this.trigger.addEventListener('click', () => this.handleTap());
+        }
+        if (this.closeButton) {
+            this.closeButton.addEventListener('click', () => this.close());
+        }
+        if (this.exportButton) {
+            this.exportButton.addEventListener('click', () => this.exportLog());
+        }
+
+        if (hasUrlFlag('debug')) {
+            this.open();
+        }
+    }
+
+    /**
+     * Toggle the panel after DIAGNOSTICS_TAPS taps within DIAGNOSTICS_TAP_WINDOW
+     */
+    handleTap() {
+        const now = performance.now();
+        this.taps = this.taps.filter(time => now - time < DIAGNOSTICS_TAP_WINDOW);
+        this.taps.push(now);
+        if (this.taps.length >= DIAGNOSTICS_TAPS) {
+            this.taps = [];
+            if (this.isOpen) this.close(); else this.open();
+        }
+    }
+
+    open() {
+        if (this.isOpen) return;
+        this.panel.classList.remove('hidden');
+        this.lastFrame = null;
+        this.refresh();
+        this.refreshTimer = setInterval(() => this.refresh(), DIAGNOSTICS_REFRESH_INTERVAL);
+        logger.info('Diagnostics panel opened');
+    }
+
+    close() {
+        this.panel.classList.add('hidden');
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    /**
+     * Current state of the app, by section
+     * @returns {Object<string, Object<string, string>>} Section title -> label -> value
+     */
+    collect() {
+        return {
+            Detector: this.describeDetector(),
+            'Tracked targets': this.describeTargets(),
+            Audio: this.describeAudio(),
+        };
+    }
+
+    describeDetector() {
+        const { modelAdapter, detectionState, powerManager } = this.controller;
+        const detector = modelAdapter.detector;
+        const info = {
+            Backend: modelAdapter.backend,
+            Loaded: yesNo(modelAdapter.isLoaded),
+            'Detection FPS': this.measureFrameRate(),
+            'Low power': yesNo(powerManager.isLowPower),
+            'Stable combo': detectionState.getComboKey(),
+            'Log level': logger.level,
+        };
+
+        if (detector instanceof MindARDetector) {
+            const scene = detector.scene;
+            Object.assign(info, {
+                'Scene loaded': yesNo(Boolean(scene && scene.hasLoaded)),
+                'Scene systems': scene && scene.systems ? Object.keys(scene.systems).join(', ') || 'none' : 'no scene',
+                'MindAR system': detector.mindarSystem ? 'found' : 'missing',
+                'MindAR controller': yesNo(Boolean(detector.mindarSystem && detector.mindarSystem.controller)),
+                'Targets created': yesNo(detector.targetsCreated),
+                Tracking: detector.trackingPaused ? 'paused' : 'running',
             });
-            
-            // Add target entity to scene
-            this.scene.appendChild(targetEl);
-            console.log(`✓ Created target entity ${targetIndex} (${labelText}) with floating label`);
         }
-        
-        // Verify all 6 targets were created
-        const allTargets = this.scene.querySelectorAll('a-mindar-image-target');
-        console.log(`✓ All ${allTargets.length} target entities created and added to scene`);
+        return info;
+    }
+
+    describeTargets() {
+        const detections = this.controller.modelAdapter.getDetections();
+        if (detections.length === 0) return { None: '' };
+
+        return Object.fromEntries(detections.map((detection, i) => [
+            detection.label,
+            [
+                detection.targetIndex !== undefined ? `target ${detection.targetIndex}` : `#${i}`,
+                detection.cubeId !== undefined ? `cube ${detection.cubeId}` : null,
+                `${Math.round(detection.confidence * 100)}%`,
+            ].filter(Boolean).join(', '),
+        ]));
+    }
+
+    describeAudio() {
+        const player = this.controller.musicPlayer;
+        const audio = player.audio;
+        const duration = Number.isFinite(audio.duration) ? audio.duration.toFixed(1) : '?';
+        return {
+            Source: audio.getAttribute('src') || 'none',
+            State: player.isPlaying ? (audio.paused ? 'should play, but paused' : 'playing') : 'paused',
+            Position: `${(audio.currentTime || 0).toFixed(1)} / ${duration} s`,
+            Ready: MEDIA_READY_STATES[audio.readyState] || String(audio.readyState),
+            Network: MEDIA_NETWORK_STATES[audio.networkState] || String(audio.networkState),
+            Error: audio.error ? `${MEDIA_ERROR_NAMES[audio.error.code] || `code ${audio.error.code}`}${audio.error.message ? ` (${audio.error.message})` : ''}` : 'none',
+            'Web Audio': player.audioContext ? player.audioContext.state : 'off',
+            Playlist: `${player.getPlaylistName() || 'none'} (${player.currentCombo || 'no combo'})`,
+        };
     }
 
     /**
-     * Get current detections from MindAR
-     * This method is kept for compatibility but labels are now handled by A-Frame text entities
-     * @returns {Array} Empty array - labels are displayed via A-Frame entities, not this method
+     * Detection frames per second since the previous refresh
      */
-    getDetections() {
-        // Labels are now displayed directly via A-Frame text entities attached to targets
-        // No need to return detections here - the text labels show/hide automatically
-        return [];
+    measureFrameRate() {
+        const now = performance.now();
+        const frameCount = this.controller.detectionState.frameCount;
+        const previous = this.lastFrame;
+        this.lastFrame = { frameCount, time: now };
+
+        if (!previous || now <= previous.time || frameCount < previous.frameCount) return '…';
+        return ((frameCount - previous.frameCount) * 1000 / (now - previous.time)).toFixed(1);
+    }
+
+    refresh() {
+        if (this.content) {
+            this.content.replaceChildren(...Object.entries(this.collect()).map(([title, rows]) => {
+                const section = document.createElement('div');
+                section.className = 'diagnostics-section';
+                const heading = document.createElement('div');
+                heading.className = 'diagnostics-subtitle';
+                heading.textContent = title;
+                section.appendChild(heading);
+
+                Object.entries(rows).forEach(([label, value]) => {
+                    const row = document.createElement('div');
+                    row.className = 'diagnostics-row';
+                    const labelEl = document.createElement('span');
+                    labelEl.textContent = label;
+                    const valueEl = document.createElement('span');
+                    valueEl.textContent = value;
+                    row.append(labelEl, valueEl);
+                    section.appendChild(row);
+                });
+                return section;
+            }));
+        }
+
+        if (this.errorList) {
+            const errors = logger.entries.filter(entry => entry.level === 'warn' || entry.level === 'error');
+            const recent = errors.slice(-DIAGNOSTICS_RECENT_ERRORS).reverse();
+            this.errorList.replaceChildren(...recent.map(({ time, level, message }) => {
+                const item = document.createElement('li');
+                item.className = `diagnostics-${level}`;
+                item.textContent = `${new Date(time).toISOString().slice(11, 19)} ${message}`;
+                return item;
+            }));
+            if (recent.length === 0) {
+                const item = document.createElement('li');
+                item.textContent = 'No errors';
+                this.errorList.appendChild(item);
+            }
+        }
     }
 
+    /**
+     * Diagnostics and the whole log buffer as text, for bug reports
+     */
+    toText() {
+        const sections = Object.entries(this.collect()).map(([title, rows]) => [
+            `## ${title}`,
+            ...Object.entries(rows).map(([label, value]) => `${label}: ${value}`),
+        ].join('\n'));
+
+        return [
+            `# Mood Cubes diagnostics, ${new Date().toISOString()}`,
+            `URL: ${window.location.href}`,
+            `User agent: ${navigator.userAgent}`,
+            ...sections,
+            `## Log (last ${logger.entries.length} messages)`,
+            logger.toText(),
+        ].join('\n\n') + '\n';
+    }
+
+    exportLog() {
+        const filename = `mood-cubes-log-${new Date().toISOString().replace(/[:.]/g, '-')}.txt`;
+        downloadFile(filename, this.toText(), 'text/plain');
+        logger.info(`Exported ${logger.entries.length} log messages`);
+    }
+}
+
+function yesNo(value) {
+    return value ? 'yes' : 'no';
 }
 
 // ============================================================================
-// Detection State Manager
+// Settings Sheet
 // ============================================================================
 
-class DetectionState {
-    constructor() {
-        this.emojiA = null;
-        this.emojiB = null;
-        this.smoothingBuffer = {
-            emojiA: [],
-            emojiB: []
-        };
-        this.frameCount = 0;
-    }
+// Form for SETTINGS, opened from the diagnostics panel or with ?settings in the URL.
+// A valid change applies and is saved right away; an invalid one is explained next
+// to its field and leaves the setting as it was.
 
+const SETTING_SOURCES = { url: 'from URL', saved: 'saved', default: '' };
+
+class SettingsSheet {
     /**
-     * Update detection state with smoothing
-     * @param {Array<{label: string, confidence: number}>} predictions - Top predictions
+     * @param {AppController} controller - App whose settings are changed
      */
-    update(predictions) {
-        this.frameCount++;
-        
-        // Get top two predictions
-        const topTwo = predictions.slice(0, 2);
-        const predA = topTwo[0] || null;
-        const predB = topTwo[1] || null;
+    constructor(controller) {
+        this.controller = controller;
+        this.sheet = document.getElementById('settingsSheet');
+        this.form = document.getElementById('settingsForm');
+        this.notice = document.getElementById('settingsNotice');
+        this.openButton = document.getElementById('diagnosticsSettingsButton');
+        this.closeButton = document.getElementById('settingsCloseButton');
+        this.resetButton = document.getElementById('settingsResetButton');
+        this.reloadButton = document.getElementById('settingsReloadButton');
+        this.fields = {}; // SETTINGS key -> {input, source, error}
+    }
 
-        // Add to smoothing buffer
-        this.smoothingBuffer.emojiA.push(predA?.label || null);
-        this.smoothingBuffer.emojiB.push(predB?.label || null);
+    get isOpen() {
+        return Boolean(this.sheet) && !this.sheet.classList.contains('hidden');
+    }
 
-        // Keep only last N frames
-        if (this.smoothingBuffer.emojiA.length > CONFIG.SMOOTHING_FRAMES) {
-            this.smoothingBuffer.emojiA.shift();
-            this.smoothingBuffer.emojiB.shift();
-        }
+    init() {
+        if (!this.sheet) return;
 
-        // Check if we have enough frames for stable detection
-        if (this.smoothingBuffer.emojiA.length >= CONFIG.SMOOTHING_FRAMES) {
-            // Get most common value in buffer
-            const stableA = this.getStableValue(this.smoothingBuffer.emojiA);
-            const stableB = this.getStableValue(this.smoothingBuffer.emojiB);
+        if (this.openButton) {
+            this.openButton.addEventListener('click', () => this.open());
+        }
+        if (this.closeButton) {
+            this.closeButton.addEventListener('click', () => this.close());
+        }
+        if (this.resetButton) {
+            this.resetButton.addEventListener('click', () => {
+                this.controller.resetSettings();
+                this.refresh();
+            });
+        }
+        if (this.reloadButton) {
+            this.reloadButton.addEventListener('click', () => window.location.reload());
+        }
+        // Enter in a field would submit the form and reload the page
+        this.form.addEventListener('submit', event => event.preventDefault());
 
-            // Update state only if changed
-            if (stableA !== this.emojiA || stableB !== this.emojiB) {
-                this.emojiA = stableA;
-                this.emojiB = stableB;
-                return true; // State changed
-            }
+        this.build();
+        if (hasUrlFlag('settings')) {
+            this.open();
         }
+    }
 
-        return false; // State unchanged
+    open() {
+        if (this.isOpen) return;
+        this.refresh();
+        this.sheet.classList.remove('hidden');
+        const first = this.fields[Object.keys(SETTINGS)[0]];
+        if (first) first.input.focus();
+    }
+
+    close() {
+        this.sheet.classList.add('hidden');
     }
 
     /**
-     * Get most common value in array (for smoothing)
+     * One labelled field per setting, with its source and a place for errors
      */
-    getStableValue(arr) {
-        const counts = {};
-        let maxCount = 0;
-        let maxValue = null;
+    build() {
+        this.fields = {};
+        this.form.replaceChildren(...Object.entries(SETTINGS).map(([key, spec]) => {
+            const id = `setting-${key}`;
+            let input;
+            if (spec.type === 'choice') {
+                input = document.createElement('select');
+                spec.choices.forEach(choice => input.appendChild(new Option(choice, choice)));
+            } else {
+                input = document.createElement('input');
+                if (spec.type === 'boolean') {
+                    input.type = 'checkbox';
+                } else if (spec.type === 'path') {
+                    input.type = 'text';
+                    input.setAttribute('spellcheck', 'false');
+                } else {
+                    input.type = 'number';
+                    input.setAttribute('min', spec.min);
+                    input.setAttribute('max', spec.max);
+                    input.setAttribute('step', spec.step || 1);
+                }
+            }
+            input.id = id;
+            input.setAttribute('aria-describedby', `${id}-error`);
+            input.addEventListener('change', () => this.change(key));
 
-        arr.forEach(val => {
-            if (val === null) return;
-            counts[val] = (counts[val] || 0) + 1;
-            if (counts[val] > maxCount) {
-                maxCount = counts[val];
-                maxValue = val;
+            const label = document.createElement('label');
+            label.htmlFor = id;
+            label.textContent = spec.label;
+            const source = document.createElement('span');
+            source.className = 'settings-source';
+            const error = document.createElement('span');
+            error.id = `${id}-error`;
+            error.className = 'settings-error';
+
+            const row = document.createElement('div');
+            row.className = 'settings-row';
+            row.append(label, input, source, error);
+            this.fields[key] = { input, source, error };
+            return row;
+        }));
+    }
+
+    /**
+     * Show the current values and where they come from
+     */
+    refresh() {
+        Object.entries(this.fields).forEach(([key, field]) => {
+            if (SETTINGS[key].type === 'boolean') {
+                field.input.checked = CONFIG[key];
+            } else {
+                field.input.value = String(CONFIG[key]);
             }
+            this.showResult(key, null);
         });
-
-        // Require at least 60% of frames to agree
-        return maxCount >= CONFIG.SMOOTHING_FRAMES * 0.6 ? maxValue : null;
     }
 
     /**
-     * Get normalized combo key (order-independent)
+     * @param {string} key - Key of SETTINGS whose field changed
      */
-    getComboKey() {
-        const emojis = [this.emojiA, this.emojiB].filter(e => e !== null);
-        if (emojis.length === 0) return 'DEFAULT';
-        if (emojis.length === 1) return `${emojis[0]}|—`;
-        
-        // Sort alphabetically for order independence
-        const sorted = emojis.sort();
-        return sorted.join('|');
+    change(key) {
+        const { input } = this.fields[key];
+        const value = SETTINGS[key].type === 'boolean' ? input.checked : Settings.parse(key, input.value);
+        this.showResult(key, this.controller.changeSetting(key, value));
+    }
+
+    showResult(key, error) {
+        const field = this.fields[key];
+        field.input.setAttribute('aria-invalid', String(Boolean(error)));
+        field.error.textContent = error ? `${SETTINGS[key].label} ${error}` : '';
+        field.source.textContent = SETTING_SOURCES[this.controller.settings.getSource(key)];
     }
 
     /**
-     * Reset state
+     * Detector settings changed after the detector loaded
      */
-    reset() {
-        this.emojiA = null;
-        this.emojiB = null;
-        this.smoothingBuffer = { emojiA: [], emojiB: [] };
-        this.frameCount = 0;
+    showReloadNotice() {
+        if (!this.notice) return;
+        this.notice.textContent = 'Reload to load the detector with the new settings';
+        this.notice.classList.remove('hidden');
+        if (this.reloadButton) this.reloadButton.classList.remove('hidden');
     }
 }
 
 // ============================================================================
-// Music Player Class
+// Embed Bridge
 // ============================================================================
 
-class MusicPlayer {
-    constructor() {
-        this.audio = new Audio();
-        this.currentPlaylist = [];
-        this.currentTrackIndex = -1;
-        this.currentCombo = null;
-        this.isPlaying = false;
-        this.volume = 1.0;
+// Lets a partner page that embeds the app in an iframe follow it and control it
+// with postMessage. Only pages from CONFIG.EMBED_ORIGINS are answered, and events
+// are only posted to them (the browser drops messages for any other origin).
+//
+// From the parent page:
+//   {type: 'deezer-scanner:command', id, command, args}, command from EMBED_COMMANDS
+//   -> {type: 'deezer-scanner:result', id, ok, result} or {..., ok: false, error}
+// To the parent page:
+//   {type: 'deezer-scanner:ready', state} once the app is loaded
+//   {type: 'deezer-scanner:event', event, detail} for every APP_EVENTS event
 
-        this.setupAudioListeners();
+const EMBED_MESSAGE_PREFIX = 'deezer-scanner:';
+const APP_EVENTS = ['moodchange', 'combochange', 'trackchange', 'playstate', 'error'];
+const EMBED_COMMANDS = ['play', 'pause', 'next', 'previous', 'setMood', 'getState'];
+
+class EmbedBridge {
+    /**
+     * @param {AppController} controller - App the parent page follows and controls
+     */
+    constructor(controller) {
+        this.controller = controller;
+        this.origins = CONFIG.EMBED_ORIGINS;
+        this.parent = window.parent && window.parent !== window ? window.parent : null;
     }
 
-    setupAudioListeners() {
-        this.audio.addEventListener('loadedmetadata', () => {
-            this.updateProgress();
-        });
+    get isEnabled() {
+        return this.parent !== null && this.origins.length > 0;
+    }
 
-        this.audio.addEventListener('timeupdate', () => {
-            this.updateProgress();
-        });
+    init() {
+        if (!this.isEnabled) return;
 
-        this.audio.addEventListener('ended', () => {
-            this.next();
+        window.addEventListener('message', event => this.handleMessage(event));
+        APP_EVENTS.forEach(type => {
+            this.controller.on(type, detail => this.post({ type: `${EMBED_MESSAGE_PREFIX}event`, event: type, detail }));
         });
+        this.post({ type: `${EMBED_MESSAGE_PREFIX}ready`, state: this.controller.getState() });
+        logger.info(`Embed bridge open for ${this.origins.join(', ')}`);
+    }
 
-        this.audio.addEventListener('error', (e) => {
-            console.error('Audio error:', e);
-            this.updateTrackInfo('Error loading track', '');
-        });
+    /**
+     * Post to the parent page, whichever allowed origin it has
+     * @param {Object} message
+     */
+    post(message) {
+        this.origins.forEach(origin => this.parent.postMessage(message, origin));
     }
 
     /**
-     * Switch to a new playlist based on emoji combo
+     * Run a command from the parent page and answer with its result or error
+     * @param {MessageEvent} event
      */
-    switchPlaylist(comboKey) {
-        if (comboKey === this.currentCombo) {
-            return; // Already playing this combo
+    async handleMessage(event) {
+        const data = event.data || {};
+        if (data.type !== `${EMBED_MESSAGE_PREFIX}command`) return;
+        if (event.source !== this.parent || !this.origins.includes(event.origin)) {
+            logger.warn(`Ignored embed command from ${event.origin}, not in EMBED_ORIGINS`);
+            return;
         }
 
-        // Get playlist for combo (normalize order)
-        let playlist = COMBO_PLAYLISTS[comboKey];
+        const reply = result => event.source.postMessage({ type: `${EMBED_MESSAGE_PREFIX}result`, id: data.id, ...result }, event.origin);
+        try {
+            if (!EMBED_COMMANDS.includes(data.command)) {
+                throw new Error(`Unknown command "${data.command}"`);
+            }
+            const args = data.args === undefined ? [] : [].concat(data.args);
+            const result = await this.controller[data.command](...args);
+            reply({ ok: true, result });
+        } catch (error) {
+            reply({ ok: false, error: error.message });
+        }
+    }
+}
+
+// ============================================================================
+// Main App Controller
+// ============================================================================
+
+// Guidance line at the bottom of the detection HUD, by what the camera sees
+const HUD_GUIDANCE = {
+    searching: 'Move camera towards Mood Cubes',
+    lost: 'Cube lost, bring it back into view',
+    lockingIn: 'Hold steady…',
+    addCube: 'Add a second cube to mix moods',
+    locked: 'Turn a cube to change the mood',
+    queued: 'New mood plays after this track',
+};
+
+// Emits the APP_EVENTS events for pages that build on the app (directly through
+// window.appController or from a parent page through EmbedBridge):
+//   moodchange {moods, cubes, source} - the moods behind a new combo, scanned or picked ('camera' or 'picker')
+//   combochange {combo, moods} - the combo the music follows
+//   trackchange {combo, playlist, track} - a new track is loaded
+//   playstate {isPlaying, track} - playback started or stopped
+//   error {type, message} - an AppError is shown
+class AppController extends EventEmitter {
+    constructor() {
+        super();
+        // Before anything reads CONFIG
+        this.settings = new Settings();
+        this.settings.load();
+
+        this.modelAdapter = this.createModelAdapter();
+        this.detectionState = new DetectionState();
+        this.switchingPolicy = new SwitchingPolicy();
+        this.musicPlayer = new MusicPlayer();
         
-        // Try reverse order if not found
-        if (!playlist && comboKey.includes('|')) {
-            const parts = comboKey.split('|');
-            if (parts.length === 2) {
-                const reversed = `${parts[1]}|${parts[0]}`;
-                playlist = COMBO_PLAYLISTS[reversed];
+        this.overlayCanvas = document.getElementById('overlayCanvas');
+        this.scene = null;
+        
+        // Media player bar elements
+        this.mediaPlayerBar = document.getElementById('mediaPlayerBar');
+        this.playPauseButton = document.getElementById('playPauseButton');
+        this.nextButton = document.getElementById('nextButton');
+        this.prevButton = document.getElementById('prevButton');
+        this.trackTitle = document.getElementById('trackTitle');
+        this.trackArtist = document.getElementById('trackArtist');
+        this.trackArtwork = document.getElementById('trackArtwork');
+        this.progressFilled = document.getElementById('progressFilled');
+        this.currentTimeEl = document.getElementById('currentTime');
+        this.durationEl = document.getElementById('duration');
+        this.shuffleButton = document.getElementById('shuffleButton');
+        this.repeatButton = document.getElementById('repeatButton');
+        this.upNextButton = document.getElementById('upNextButton');
+        this.upNextTrack = document.getElementById('upNextTrack');
+        this.queueList = document.getElementById('queueList');
+        
+        if (!this.overlayCanvas) {
+            logger.error('Overlay canvas not found!');
+            return;
+        }
+        
+        this.overlayCtx = this.overlayCanvas.getContext('2d');
+        this.isDetecting = false;
+        this.isStarted = false;
+        this.startRequested = false; // Set as startApp() begins, the detector may be loading from then on
+        this.detectionFrame = null; // Pending requestAnimationFrame id
+        this.lastDetectionTime = 0;
+        this.lastHudKey = null; // Overlay is only redrawn when this changes
+        this.mockPanel = null;
+
+        this.lowPowerButton = document.getElementById('lowPowerButton');
+        this.powerManager = new PowerManager(state => this.applyPowerState(state));
+
+        this.recorder = new SessionRecorder();
+        this.recordButton = document.getElementById('recordButton');
+
+        this.offlineManager = new OfflineManager();
+        this.catalogue = new DeezerCatalogue();
+
+        this.stateStore = new SavedStateStore();
+        this.savedState = null; // State saved by the previous visit, read in init()
+        this.stateSaveEnabled = false; // Nothing is saved until the app is started
+        this.stateSaveTimer = null;
+        this.lastStateSave = 0;
+        this.resumeOffer = document.getElementById('resumeOffer');
+        this.resumeDetails = document.getElementById('resumeDetails');
+
+        this.diagnostics = new DiagnosticsPanel(this);
+        this.errorScreen = new ErrorScreen(this);
+        this.announcer = new LiveAnnouncer();
+        this.moodPicker = new MoodPicker(this);
+        this.moodPickerButton = document.getElementById('moodPickerButton');
+        this.lastTrackKey = null; // Playlist key and index of the track last shown
+        this.lastPlayState = false; // isPlaying of the last playstate event
+        this.embedBridge = new EmbedBridge(this);
+        this.settingsSheet = new SettingsSheet(this);
+        
+        this.init();
+    }
+
+    async init() {
+        this.setupEventListeners();
+        this.setupMediaPlayerControls();
+        this.powerManager.init();
+        this.offlineManager.init();
+        this.diagnostics.init();
+        this.errorScreen.init();
+        this.moodPicker.init();
+        this.settingsSheet.init();
+
+        if (CONFIG.SAVE_STATE) {
+            this.savedState = this.stateStore.load();
+            if (this.savedState) {
+                this.restoreSettings(this.savedState);
             }
         }
 
-        // Fallback to default
-        if (!playlist || playlist.length === 0) {
-            playlist = COMBO_PLAYLISTS['DEFAULT'] || [];
+        if (await this.loadPlaylistManifest()) {
+            this.showResumeOffer();
+            this.embedBridge.init();
+            await this.loadCatalogue();
         }
+    }
 
-        this.currentPlaylist = playlist;
-        this.currentCombo = comboKey;
-        this.currentTrackIndex = -1;
+    /**
+     * Add Deezer tracks to the playlists with a "deezer" source
+     * Runs in the background, local tracks (or DEFAULT) play until a playlist has loaded,
+     * and stay on their own if it fails
+     */
+    async loadCatalogue() {
+        const sources = Object.entries(CATALOGUE_SOURCES);
+        if (sources.length === 0 || !this.catalogue.isEnabled) return;
 
-        // If playing, switch to new playlist
-        if (this.isPlaying) {
-            this.pause();
-            this.next();
-        } else {
-            // Preload first track
-            this.next();
+        logger.info(`Loading ${sources.length} Deezer playlist source${sources.length === 1 ? '' : 's'}...`);
+        const results = await Promise.all(sources.map(async ([key, source]) => {
+            try {
+                const tracks = await this.catalogue.resolve(source);
+                // Catalogue tracks first, local files are the fallback
+                COMBO_PLAYLISTS[key] = [...tracks, ...COMBO_PLAYLISTS[key]];
+                return tracks.length;
+            } catch (error) {
+                logger.warn(`Could not load Deezer tracks for ${key}:`, error.message);
+                return -1;
+            }
+        }));
+
+        const loaded = results.filter(count => count >= 0).length;
+        const tracks = results.reduce((sum, count) => sum + Math.max(count, 0), 0);
+        logger.info(`✓ Deezer catalogue: ${tracks} tracks for ${loaded}/${sources.length} playlists`);
+
+        this.musicPlayer.refreshPlaylist();
+        if (!this.isStarted) {
+            // Saved queues of Deezer playlists can only be matched now
+            this.showResumeOffer();
+        }
+    }
+
+    setupEventListeners() {
+        // Start button
+        const startButton = document.getElementById('startButton');
+        if (startButton) {
+            startButton.addEventListener('click', () => {
+                this.startApp();
+            });
+        }
+
+        // Resume the last mood and track
+        const resumeButton = document.getElementById('resumeButton');
+        if (resumeButton) {
+            resumeButton.addEventListener('click', () => {
+                this.startApp({ resume: true });
+            });
+        }
+
+        // Start without the camera and pick moods by hand
+        const pickMoodsButton = document.getElementById('pickMoodsButton');
+        if (pickMoodsButton) {
+            pickMoodsButton.addEventListener('click', () => {
+                this.startApp({ manual: true });
+            });
+        }
+
+        // Low power toggle
+        if (this.lowPowerButton) {
+            this.lowPowerButton.addEventListener('click', () => {
+                this.powerManager.toggle();
+                this.scheduleStateSave();
+            });
+        }
+
+        // Save right away when the page goes away, iOS can evict a background tab without unloading it
+        window.addEventListener('pagehide', () => this.saveState());
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.saveState();
+        });
+
+        // Save session recording
+        if (this.recordButton) {
+            this.recordButton.addEventListener('click', () => {
+                this.recorder.download();
+            });
         }
     }
 
     /**
-     * Play current track
+     * Show the recovery screen of a failure; the app keeps running behind it
+     * @param {AppError} error
      */
-    async play() {
-        if (this.currentTrackIndex < 0 || this.currentPlaylist.length === 0) {
-            return;
+    handleError(error) {
+        this.recordEvent('error', { type: error.type, message: error.message });
+        this.emit('error', { type: error.type, message: error.message });
+        this.errorScreen.show(error);
+    }
+
+    /**
+     * Change a setting from the settings sheet and apply it
+     * @param {string} key - Key of SETTINGS
+     * @param {*} value
+     * @returns {string|null} Why the value was refused, null if it is applied
+     */
+    changeSetting(key, value) {
+        const previous = CONFIG[key];
+        const error = this.settings.set(key, value);
+        if (!error && value !== previous) {
+            this.applySettings([key]);
         }
+        return error;
+    }
 
-        const track = this.currentPlaylist[this.currentTrackIndex];
-        if (this.audio.src !== track.src) {
-            this.audio.src = track.src;
+    resetSettings() {
+        this.applySettings(this.settings.reset());
+    }
+
+    /**
+     * Apply changed settings without a reload where possible: detection, switching and
+     * crossfade settings are read from CONFIG as they are used (a switch waiting for the
+     * end of the track happens once SWITCH_AT_TRACK_END is off), and the detector is
+     * replaced until Tap to Start
+     * @param {string[]} keys - Changed keys of SETTINGS
+     */
+    applySettings(keys) {
+        keys.forEach(key => logger.info(`Setting ${key} changed to ${CONFIG[key]}`));
+        if (!CONFIG.SWITCH_AT_TRACK_END) {
+            this.musicPlayer.playQueuedSwitch(CONFIG.CROSSFADE_DURATION);
         }
+        if (keys.every(key => SETTINGS[key].live)) return;
 
-        try {
-            await this.audio.play();
-            this.isPlaying = true;
-            this.updatePlayButton();
-        } catch (error) {
-            console.error('Play error:', error);
+        if (this.startRequested) {
+            this.settingsSheet.showReloadNotice();
+            return;
         }
+        const backend = CONFIG.MOCK_MODE ? 'mock' : CONFIG.DETECTOR;
+        if (backend !== this.modelAdapter.backend) {
+            this.modelAdapter = this.createModelAdapter(backend);
+        }
+    }
+
+    /**
+     * Create the detector adapter and follow its backend's errors and target events
+     * @param {string} [backend] - Key in DETECTOR_BACKENDS, defaults to the configured one
+     * @returns {EmojiModelAdapter}
+     */
+    createModelAdapter(backend) {
+        const adapter = new EmojiModelAdapter(backend, {
+            getAudioLevels: () => this.musicPlayer.getAudioLevels(),
+        });
+        adapter.on('error', error => this.handleError(error));
+        adapter.on('targetevent', ({ type, ...data }) => this.recordEvent(type, data));
+        return adapter;
+    }
+
+    /**
+     * Add an event to the session recording (no-op unless RECORD_SESSION is on)
+     * @param {string} type - Event type
+     * @param {Object} data - Event data
+     */
+    recordEvent(type, data) {
+        this.recorder.record(type, data);
     }
 
     /**
-     * Pause current track
+     * Save the state shortly, so a burst of changes (e.g. switching combo and loading its track) is saved once
      */
-    pause() {
-        this.audio.pause();
-        this.isPlaying = false;
-        this.updatePlayButton();
+    scheduleStateSave() {
+        if (!this.stateSaveEnabled) return;
+
+        clearTimeout(this.stateSaveTimer);
+        this.stateSaveTimer = setTimeout(() => this.saveState(), 500);
     }
 
     /**
-     * Toggle play/pause
+     * Save the player, detection and settings state now
      */
-    togglePlayPause() {
-        if (this.isPlaying) {
-            this.pause();
-        } else {
-            this.play();
-        }
+    saveState() {
+        if (!this.stateSaveEnabled) return;
+
+        clearTimeout(this.stateSaveTimer);
+        this.stateSaveTimer = null;
+        this.lastStateSave = performance.now();
+        this.stateStore.save({
+            player: this.musicPlayer.getState(),
+            detection: this.detectionState.getState(),
+            settings: { lowPower: this.powerManager.userPreference },
+        });
     }
 
     /**
-     * Next track
+     * Apply saved volume, shuffle, repeat and low power mode before the app starts
+     * @param {Object} saved - Saved state
      */
-    next() {
-        if (this.currentPlaylist.length === 0) return;
+    restoreSettings(saved) {
+        if (saved.player) {
+            this.musicPlayer.restoreSettings(saved.player);
+        }
 
-        this.currentTrackIndex = (this.currentTrackIndex + 1) % this.currentPlaylist.length;
-        const track = this.currentPlaylist[this.currentTrackIndex];
-        
-        this.audio.src = track.src;
-        this.updateTrackInfo(track.title, track.artist);
-        
-        // Load metadata to get duration
-        this.audio.addEventListener('loadedmetadata', () => {
-            if (window.appController) {
-                window.appController.updateMediaPlayerUI();
-            }
-        }, { once: true });
-        
-        if (this.isPlaying) {
-            this.play();
+        const lowPower = saved.settings && saved.settings.lowPower;
+        if (typeof lowPower === 'boolean') {
+            this.powerManager.userPreference = lowPower;
+            this.powerManager.notify();
         }
     }
 
     /**
-     * Previous track
+     * Saved mood and track that can be resumed with the current manifest
+     * @param {Object} saved - Saved state
+     * @returns {{combo: string, track: Object, time: number}|null} Null if there is nothing to resume
      */
-    prev() {
-        if (this.currentPlaylist.length === 0) return;
+    getResumeOffer(saved) {
+        const player = saved && saved.player;
+        if (!player || typeof player.combo !== 'string' || !player.queues) return null;
 
-        this.currentTrackIndex = this.currentTrackIndex <= 0 
-            ? this.currentPlaylist.length - 1 
-            : this.currentTrackIndex - 1;
-        
-        const track = this.currentPlaylist[this.currentTrackIndex];
-        this.audio.src = track.src;
-        this.updateTrackInfo(track.title, track.artist);
-        
-        if (this.isPlaying) {
-            this.play();
-        }
+        const { key, playlist } = this.musicPlayer.resolvePlaylist(player.combo);
+        const queue = PlaybackQueue.fromState(playlist, player.queues[key]);
+        if (!queue) return null;
+
+        return { combo: player.combo, track: playlist[queue.currentIndex], time: queue.resumeTime };
     }
 
     /**
-     * Set volume (0-1)
+     * Offer to resume the saved mood and track on the start overlay
      */
-    setVolume(volume) {
-        this.volume = volume;
-        this.audio.volume = volume;
+    showResumeOffer() {
+        const offer = this.getResumeOffer(this.savedState);
+        if (!offer || !this.resumeOffer) return;
+
+        if (this.resumeDetails) {
+            const mood = MediaSessionManager.describeCombo(offer.combo);
+            const title = offer.track.title || 'Unknown track';
+            this.resumeDetails.textContent = `${mood} · ${title} at ${this.musicPlayer.formatTime(offer.time)}`;
+        }
+        this.resumeOffer.classList.remove('hidden');
     }
 
     /**
-     * Update UI elements
+     * Restore the saved queues and moods and play the saved track
+     * Must run inside the resume tap, so iOS lets playback start
+     * @param {Object} saved - Saved state
      */
-    updateTrackInfo(title, artist) {
-        // This will be called from AppController to update the media player bar
-        if (window.appController) {
-            window.appController.updateTrackDisplay(title, artist);
-        }
+    resumeSavedState(saved) {
+        const player = saved.player || {};
+        const restored = this.musicPlayer.restoreQueues(player.queues);
+        this.detectionState.restoreState(saved.detection);
+        const combo = typeof player.combo === 'string' ? player.combo : this.detectionState.getComboKey();
+        this.switchingPolicy.restore(this.detectionState.cubeMoods, combo);
+
+        logger.info(`↺ Resuming ${combo} (${restored} saved playlist${restored === 1 ? '' : 's'})`);
+        this.emit('combochange', { combo, moods: PlaylistManifest.comboMoods(combo) });
+        this.musicPlayer.switchPlaylist(combo);
+        this.musicPlayer.play();
     }
 
-    updatePlayButton() {
-        // This will be called from AppController to update play/pause button
-        if (window.appController) {
-            window.appController.updatePlayPauseButton();
+    /**
+     * Apply low power mode and page visibility to tracking, rendering and the detection loop
+     * @param {{isLowPower: boolean, isHidden: boolean}} state
+     */
+    applyPowerState({ isLowPower, isHidden }) {
+        if (this.lowPowerButton) {
+            this.lowPowerButton.setAttribute('aria-pressed', String(isLowPower));
         }
-    }
 
-    updateProgress() {
-        // Progress is updated via timeupdate event listener in AppController
-    }
+        this.modelAdapter.setLowPower(isLowPower);
 
-    formatTime(seconds) {
-        if (!isFinite(seconds)) return '0:00';
-        const mins = Math.floor(seconds / 60);
-        const secs = Math.floor(seconds % 60);
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
+        if (!this.isStarted) return;
+
+        if (isHidden) {
+            this.stopDetection();
+            this.modelAdapter.pauseTracking();
+        } else {
+            this.modelAdapter.resumeTracking();
+            this.startDetection();
+        }
     }
-}
 
-// ============================================================================
-// Main App Controller
-// ============================================================================
+    /**
+     * Load the playlist manifest, blocking start and showing errors if it is invalid
+     * @returns {Promise<boolean>} True if the manifest was loaded and applied
+     */
+    async loadPlaylistManifest() {
+        const startButton = document.getElementById('startButton');
+        if (startButton) startButton.disabled = true;
 
-class AppController {
-    constructor() {
-        this.modelAdapter = new EmojiModelAdapter();
-        this.detectionState = new DetectionState();
-        this.musicPlayer = new MusicPlayer();
-        
-        this.overlayCanvas = document.getElementById('overlayCanvas');
-        this.scene = null;
-        
-        // Media player bar elements
-        this.mediaPlayerBar = document.getElementById('mediaPlayerBar');
-        this.playPauseButton = document.getElementById('playPauseButton');
-        this.nextButton = document.getElementById('nextButton');
-        this.prevButton = document.getElementById('prevButton');
-        this.trackTitle = document.getElementById('trackTitle');
-        this.trackArtist = document.getElementById('trackArtist');
-        this.progressFilled = document.getElementById('progressFilled');
-        this.currentTimeEl = document.getElementById('currentTime');
-        this.durationEl = document.getElementById('duration');
-        
-        if (!this.overlayCanvas) {
-            console.error('Overlay canvas not found!');
-            return;
+        const manifest = await PlaylistManifest.load(CONFIG.PLAYLISTS_FILE);
+        if (!manifest.isValid) {
+            logger.error('Invalid playlist manifest:', manifest.errors);
+            this.showManifestErrors(manifest.errors);
+            return false;
         }
-        
-        this.overlayCtx = this.overlayCanvas.getContext('2d');
-        this.isDetecting = false;
-        
-        this.init();
-    }
 
-    async init() {
-        this.setupEventListeners();
-        this.setupMediaPlayerControls();
+        manifest.apply();
+        logger.info(`✓ Playlist manifest loaded: ${Object.keys(TARGET_LABELS).length} targets, ${Object.keys(COMBO_PLAYLISTS).length} playlists`);
+        if (startButton) startButton.disabled = false;
+        return true;
     }
 
-    setupEventListeners() {
-        // Start button
-        const startButton = document.getElementById('startButton');
-        if (startButton) {
-            startButton.addEventListener('click', () => {
-                this.startApp();
-            });
-        }
+    /**
+     * Show manifest validation errors on the start overlay
+     * @param {Array<string>} errors
+     */
+    showManifestErrors(errors) {
+        const errorsEl = document.getElementById('manifestErrors');
+        if (!errorsEl) return;
+
+        const title = document.createElement('p');
+        title.className = 'manifest-errors-title';
+        title.textContent = `${CONFIG.PLAYLISTS_FILE} has ${errors.length} problem${errors.length === 1 ? '' : 's'}:`;
+
+        const list = document.createElement('ul');
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            list.appendChild(item);
+        });
+
+        errorsEl.replaceChildren(title, list);
+        errorsEl.classList.remove('hidden');
     }
     
     /**
@@ -672,6 +6431,28 @@ class AppController {
             });
         }
         
+        // Shuffle and repeat
+        if (this.shuffleButton) {
+            this.shuffleButton.addEventListener('click', () => {
+                this.musicPlayer.toggleShuffle();
+            });
+        }
+        if (this.repeatButton) {
+            this.repeatButton.addEventListener('click', () => {
+                this.musicPlayer.cycleRepeat();
+            });
+        }
+
+        // Up next line expands to the full queue
+        if (this.upNextButton && this.queueList) {
+            this.upNextButton.addEventListener('click', () => {
+                const expanded = this.upNextButton.getAttribute('aria-expanded') !== 'true';
+                this.upNextButton.setAttribute('aria-expanded', String(expanded));
+                this.queueList.classList.toggle('hidden', !expanded);
+                this.updateQueueDisplay();
+            });
+        }
+        
         // Progress bar click to seek
         const progressBar = document.querySelector('.progress-bar');
         if (progressBar) {
@@ -679,16 +6460,42 @@ class AppController {
                 const rect = progressBar.getBoundingClientRect();
                 const clickX = e.clientX - rect.left;
                 const percentage = clickX / rect.width;
-                const audio = this.musicPlayer.audio;
-                if (audio.duration) {
-                    audio.currentTime = percentage * audio.duration;
-                }
+                this.musicPlayer.seek(percentage * this.musicPlayer.audio.duration);
             });
         }
         
-        // Update progress and time regularly
-        this.musicPlayer.audio.addEventListener('timeupdate', () => {
-            this.updateMediaPlayerUI();
+        // Follow the player
+        const player = this.musicPlayer;
+        player.on('trackinfo', ({ title, artist, artwork }) => this.updateTrackDisplay(title, artist, artwork));
+        player.on('queuechange', () => this.updateQueueDisplay());
+        player.on('durationchange', () => this.updateMediaPlayerUI());
+        player.on('statechange', () => this.scheduleStateSave());
+        player.on('action', details => this.recordEvent('player', details));
+        player.on('error', error => this.handleError(error));
+        player.on('queuedswitch', ({ combo }) => {
+            this.announceCombo(combo);
+            this.emit('combochange', { combo, moods: PlaylistManifest.comboMoods(combo) });
+        });
+        player.on('playstate', ({ isPlaying }) => {
+            this.updatePlayPauseButton();
+            if (isPlaying !== this.lastPlayState) {
+                this.lastPlayState = isPlaying;
+                this.emit('playstate', { isPlaying, track: this.getState().track });
+            }
+        });
+
+        // Update progress and time regularly (only for the active deck)
+        this.musicPlayer.decks.forEach(deck => {
+            deck.audio.addEventListener('timeupdate', () => {
+                if (deck.audio === this.musicPlayer.audio) {
+                    this.updateMediaPlayerUI();
+
+                    // Keep the saved position close to where playback is
+                    if (this.musicPlayer.isPlaying && performance.now() - this.lastStateSave >= CONFIG.STATE_SAVE_INTERVAL * 1000) {
+                        this.saveState();
+                    }
+                }
+            });
         });
     }
     
@@ -734,20 +6541,97 @@ class AppController {
         }
     }
     
+    /**
+     * Update shuffle/repeat buttons, the up next line and the queue list
+     */
+    updateQueueDisplay() {
+        const player = this.musicPlayer;
+
+        if (this.shuffleButton) {
+            this.shuffleButton.setAttribute('aria-pressed', String(player.shuffle));
+        }
+        if (this.repeatButton) {
+            this.repeatButton.dataset.mode = player.repeat;
+            this.repeatButton.setAttribute('aria-label', `Repeat: ${player.repeat}`);
+        }
+
+        const upcoming = player.getUpcoming(CONFIG.QUEUE_LENGTH).map(track => player.describeTrack(track));
+        if (this.upNextTrack) {
+            this.upNextTrack.textContent = upcoming.length > 0
+                ? `${upcoming[0].title || 'Unknown track'} · ${upcoming[0].artist || ''}`
+                : 'End of queue';
+        }
+
+        if (this.queueList && !this.queueList.classList.contains('hidden')) {
+            this.queueList.replaceChildren(...upcoming.map(track => {
+                const item = document.createElement('li');
+                const title = document.createElement('span');
+                title.textContent = track.title || 'Unknown track';
+                const artist = document.createElement('span');
+                artist.className = 'queue-artist';
+                artist.textContent = ` · ${track.artist || ''}`;
+                if (track.duration) {
+                    artist.textContent += ` · ${player.formatTime(track.duration)}`;
+                }
+                item.append(title, artist);
+                return item;
+            }));
+        }
+    }
+
     /**
      * Update track display in media player bar
      */
-    updateTrackDisplay(title, artist) {
+    updateTrackDisplay(title, artist, artwork) {
+        // Tell about new tracks, not tags filling in the one that is showing
+        const trackKey = `${this.musicPlayer.currentPlaylistKey}:${this.musicPlayer.currentTrackIndex}`;
+        if (title && this.musicPlayer.currentTrackIndex >= 0 && trackKey !== this.lastTrackKey) {
+            this.lastTrackKey = trackKey;
+            const { combo, playlist, track } = this.getState();
+            this.emit('trackchange', { combo, playlist, track });
+            if (this.isStarted) {
+                this.announcer.announce(`Track: ${title}${artist ? ` by ${artist}` : ''}`);
+            }
+        }
+
         if (this.trackTitle) {
             this.trackTitle.textContent = title || 'No track';
         }
         if (this.trackArtist) {
             this.trackArtist.textContent = artist || 'No artist';
         }
+        if (this.trackArtwork) {
+            if (artwork) {
+                this.trackArtwork.setAttribute('src', artwork);
+            } else {
+                this.trackArtwork.removeAttribute('src');
+            }
+            this.trackArtwork.classList.toggle('hidden', !artwork);
+        }
     }
 
-    async startApp() {
-        console.log('startApp called, MOCK_MODE:', CONFIG.MOCK_MODE);
+    /**
+     * @param {Object} options
+     * @param {boolean} options.resume - Continue the saved mood and track (from the resume button)
+     * @param {boolean} options.manual - Leave the camera off and open the mood picker
+     */
+    async startApp({ resume = false, manual = false } = {}) {
+        logger.debug('startApp called, detector:', this.modelAdapter.backend);
+        this.startRequested = true;
+
+        // Set up Web Audio while we are still inside the tap gesture
+        this.musicPlayer.unlock();
+
+        this.stateSaveEnabled = CONFIG.SAVE_STATE;
+        const resumed = resume && this.savedState !== null;
+        if (resumed) {
+            this.resumeSavedState(this.savedState);
+        }
+
+        if (CONFIG.RECORD_SESSION) {
+            this.recorder.start();
+            if (this.recordButton) this.recordButton.classList.remove('hidden');
+        }
         
         // Step 1: Show app container FIRST (scene must be visible for camera)
         const startOverlay = document.getElementById('startOverlay');
@@ -755,15 +6639,21 @@ class AppController {
         if (startOverlay) startOverlay.classList.add('hidden');
         if (app) {
             app.classList.remove('hidden');
-            console.log('App container is now visible');
+            logger.debug('App container is now visible');
             // Force reflow to ensure visibility
             void app.offsetHeight;
         }
         
-        // Show media player bar
+        // Show media player bar, low power toggle and mood picker button
         if (this.mediaPlayerBar) {
             this.mediaPlayerBar.classList.remove('hidden');
         }
+        if (this.lowPowerButton) {
+            this.lowPowerButton.classList.remove('hidden');
+        }
+        if (this.moodPickerButton) {
+            this.moodPickerButton.classList.remove('hidden');
+        }
 
         // Set overlay canvas size
         this.overlayCanvas.width = window.innerWidth;
@@ -772,63 +6662,271 @@ class AppController {
         // Wait a moment for DOM to update and scene to become visible
         await new Promise(resolve => setTimeout(resolve, 200));
 
-        if (!CONFIG.MOCK_MODE) {
-            // Step 2: Now initialize MindAR (scene is visible, so camera can be requested)
-            console.log('Loading MindAR tracking (scene is visible)...');
-            const loaded = await this.modelAdapter.loadModel();
-            if (loaded) {
-                console.log('MindAR model loaded successfully');
-            } else {
-                console.error('Failed to load MindAR model');
-                // Don't block - continue anyway
-                console.log('Continuing without AR tracking');
+        // Preload the fallback playlist until a mood is detected
+        if (!resumed) {
+            this.musicPlayer.switchPlaylist(this.detectionState.getComboKey());
+        }
+
+        if (manual) {
+            logger.info('Started with the mood picker, camera off');
+            this.isStarted = true;
+            this.moodPicker.open();
+            return;
+        }
+
+        // Step 2: Now initialize the detector (scene is visible, so camera can be requested)
+        logger.debug('Loading detector (scene is visible)...');
+        const loaded = await this.modelAdapter.loadModel();
+        if (loaded) {
+            logger.info('Detector loaded successfully');
+        } else {
+            logger.error('Failed to load detector');
+            // Don't block - the music plays on behind the recovery screen
+            logger.info('Continuing without detection');
+            if (this.modelAdapter.loadError) {
+                this.handleError(this.modelAdapter.loadError);
             }
         }
 
+        if (this.modelAdapter.detector instanceof MockDetector) {
+            // Mock mode: fake target events from the developer panel
+            this.mockPanel = new MockControlPanel(this.modelAdapter.detector);
+            this.mockPanel.show();
+        }
+
         // Start detection loop
+        this.isStarted = true;
         this.startDetection();
     }
 
 
     startDetection() {
+        if (this.isDetecting) return;
         this.isDetecting = true;
-        this.detectionLoop();
+        this.detectionLoop(performance.now());
+    }
+
+    stopDetection() {
+        this.isDetecting = false;
+        if (this.detectionFrame !== null) {
+            cancelAnimationFrame(this.detectionFrame);
+            this.detectionFrame = null;
+        }
     }
 
-    async detectionLoop() {
+    /**
+     * Detection loop, runs at DETECTION_FPS (LOW_POWER_FPS in low power mode)
+     * @param {number} time - requestAnimationFrame timestamp
+     */
+    detectionLoop(time) {
         if (!this.isDetecting) return;
+        this.detectionFrame = requestAnimationFrame(t => this.detectionLoop(t));
 
-        if (!CONFIG.MOCK_MODE) {
-            // Check if model is loaded
-            if (!this.modelAdapter.isLoaded) {
-                requestAnimationFrame(() => this.detectionLoop());
-                return;
-            }
+        // Check if model is loaded
+        if (!this.modelAdapter.isLoaded) {
+            return;
+        }
+
+        const fps = this.powerManager.isLowPower ? CONFIG.LOW_POWER_FPS : CONFIG.DETECTION_FPS;
+        if (time - this.lastDetectionTime < 1000 / fps) {
+            return;
+        }
+        this.lastDetectionTime = time;
+
+        // Feed currently tracked targets through the smoothing buffer
+        const detections = this.modelAdapter.getDetections();
+        const changed = this.detectionState.update(detections);
+        this.recorder.recordDetections(this.detectionState.frameCount, detections);
+        if (changed) {
+            this.recordEvent('stable', {
+                f: this.detectionState.frameCount,
+                moods: Object.fromEntries(this.detectionState.cubeMoods),
+                combo: this.detectionState.getComboKey()
+            });
+        }
+
+        // The switching policy decides when the stable moods switch the music
+        const comboKey = this.switchingPolicy.update(this.detectionState.cubeMoods, time);
+        if (comboKey !== null) {
+            this.emitMoodChange('camera');
+            this.handleComboChange(comboKey);
+        }
+
+        // Only redraw when the HUD or the window size changed
+        const hud = this.getHudState();
+        const hudKey = `${JSON.stringify(hud)}|${window.innerWidth}x${window.innerHeight}`;
+        if (hudKey !== this.lastHudKey) {
+            this.lastHudKey = hudKey;
+            this.drawHud(hud);
+        }
+    }
+
+    /**
+     * What the detection HUD shows
+     * @returns {{moods: Array<{mood: string, progress: number, isStable: boolean}>, combo: string|null,
+     *   playlist: string|null, guidance: string}} combo is the accepted combo, null for DEFAULT
+     */
+    getHudState() {
+        const moods = this.detectionState.getLockProgress().map(({ mood, progress, isStable }) => ({ mood, progress, isStable }));
+        const comboKey = this.switchingPolicy.combo;
+        const stableCubes = this.switchingPolicy.cubeMoods.size; // Including cubes in their grace period
+
+        let guidance;
+        if (moods.length === 0) {
+            // Resumed or picked moods are not lost cubes, they wait for a cube to be scanned
+            guidance = stableCubes > 0 && !this.detectionState.isHolding ? HUD_GUIDANCE.lost : HUD_GUIDANCE.searching;
+        } else if (moods.some(mood => !mood.isStable) || this.switchingPolicy.pendingCombo !== null) {
+            guidance = HUD_GUIDANCE.lockingIn;
+        } else if (this.musicPlayer.nextCombo !== null) {
+            guidance = HUD_GUIDANCE.queued;
+        } else {
+            guidance = stableCubes < MAX_CUBES ? HUD_GUIDANCE.addCube : HUD_GUIDANCE.locked;
+        }
+
+        return {
+            moods,
+            combo: comboKey === 'DEFAULT' ? null : MediaSessionManager.describeCombo(comboKey),
+            playlist: this.musicPlayer.getPlaylistName(),
+            guidance,
+        };
+    }
 
-            // Labels are now displayed via A-Frame text entities, not through detection loop
-            // Just draw the status message
-            this.overlayCtx.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
-            this.drawDetectionStatus(0);
+    /**
+     * Switch music when the switching policy accepts a new mood combo
+     * Starts playback when a mood is detected, so scanning a cube is enough to get music
+     * @param {string} comboKey - Normalized combo key ('Happy|Sad', 'Happy|—' or 'DEFAULT')
+     * @param {boolean} immediate - Switch even with SWITCH_AT_TRACK_END, for picked moods
+     */
+    handleComboChange(comboKey, immediate = false) {
+        logger.info(`🎵 Mood combo changed: ${comboKey}`);
+
+        const player = this.musicPlayer;
+        if (CONFIG.SWITCH_AT_TRACK_END && !immediate && player.isPlaying && comboKey !== player.currentCombo) {
+            this.announcer.announce(comboKey === 'DEFAULT'
+                ? 'No mood, the default playlist plays after this track'
+                : `Mood: ${MediaSessionManager.describeCombo(comboKey)}, plays after this track`);
+            player.queueSwitch(comboKey);
+            return;
+        }
+
+        this.announceCombo(comboKey);
+        if (comboKey !== player.currentCombo) {
+            this.emit('combochange', { combo: comboKey, moods: PlaylistManifest.comboMoods(comboKey) });
+        }
+        player.switchPlaylist(comboKey);
+
+        if (comboKey !== 'DEFAULT' && !player.isPlaying) {
+            player.play();
+        }
+    }
+
+    /**
+     * @param {string} comboKey - Combo that starts playing
+     */
+    announceCombo(comboKey) {
+        this.announcer.announce(comboKey === 'DEFAULT'
+            ? 'No mood, playing the default playlist'
+            : `Mood: ${MediaSessionManager.describeCombo(comboKey)}`);
+    }
+
+    /**
+     * Play moods picked in the mood picker, through the same combo path as scanned cubes
+     * Like resumed music, the picked moods stay until a cube is scanned
+     * @param {string[]} moods - Up to MAX_CUBES moods
+     */
+    pickMoods(moods) {
+        const cubeMoods = Object.fromEntries(moods.map((mood, i) => [`picked-${i + 1}`, mood]));
+        this.detectionState.restoreState({ cubeMoods });
+        this.switchingPolicy.restore(this.detectionState.cubeMoods);
+        const comboKey = this.detectionState.getComboKey();
+        this.recordEvent('picked', { moods, combo: comboKey });
+        this.emitMoodChange('picker');
+        this.handleComboChange(comboKey, true);
+    }
+
+    /**
+     * @param {string} source - 'camera' or 'picker'
+     */
+    emitMoodChange(source) {
+        const cubes = Object.fromEntries(this.switchingPolicy.cubeMoods);
+        this.emit('moodchange', { moods: [...new Set(Object.values(cubes))], cubes, source });
+    }
+
+    // Commands, for pages that build on the app; EmbedBridge runs them for a parent page
+
+    play() {
+        return this.musicPlayer.play();
+    }
+
+    pause() {
+        this.musicPlayer.pause();
+    }
+
+    next() {
+        this.musicPlayer.next();
+    }
+
+    previous() {
+        this.musicPlayer.prev();
+    }
+
+    /**
+     * Play moods like the mood picker does: setMood('Happy'), setMood('Happy', 'Sad'),
+     * or setMood() for the default playlist
+     * @param {...(string|string[])} moods - Moods from TARGET_LABELS, at most MAX_CUBES
+     * @returns {Object} getState() afterwards
+     */
+    setMood(...moods) {
+        const picked = [...new Set(moods.flat())];
+        const known = MoodPicker.getMoods();
+        const unknown = picked.find(mood => !known.includes(mood));
+        if (unknown !== undefined) {
+            throw new Error(`Unknown mood "${unknown}", expected one of ${known.join(', ')}`);
         }
+        if (picked.length > MAX_CUBES) {
+            throw new Error(`At most ${MAX_CUBES} moods play together, got ${picked.length}`);
+        }
+
+        this.moodPicker.pick(picked);
+        return this.getState();
+    }
 
-        requestAnimationFrame(() => this.detectionLoop());
+    /**
+     * What is playing, as plain data
+     * @returns {{combo: string|null, moods: string[], playlist: string|null, track: Object|null, isPlaying: boolean}}
+     */
+    getState() {
+        const player = this.musicPlayer;
+        const current = player.currentPlaylist[player.currentTrackIndex];
+        let track = null;
+        if (current) {
+            const { title, artist = null, album = null, artwork = null, src } = player.describeTrack(current);
+            track = { title, artist, album, artwork, src };
+        }
+        return {
+            combo: player.currentCombo,
+            moods: PlaylistManifest.comboMoods(player.currentCombo),
+            playlist: player.getPlaylistName(),
+            track,
+            isPlaying: player.isPlaying,
+        };
     }
 
     /**
-     * Draw detection status indicator
-     * @param {number} detectionCount - Number of currently detected targets
+     * Redraw the overlay canvas: tracked moods at the top, combo and guidance at the bottom
+     * @param {Object} hud - getHudState() output
      */
-    drawDetectionStatus(detectionCount) {
+    drawHud(hud) {
         if (!this.overlayCanvas) {
-            console.warn('Cannot draw status: missing overlayCanvas element');
+            logger.warn('Cannot draw HUD: missing overlayCanvas element');
             return;
         }
         
         if (!this.overlayCtx) {
-            console.warn('Cannot draw status: missing overlayCtx, reinitializing...');
+            logger.warn('Cannot draw HUD: missing overlayCtx, reinitializing...');
             this.overlayCtx = this.overlayCanvas.getContext('2d');
             if (!this.overlayCtx) {
-                console.error('Failed to get canvas context');
+                logger.error('Failed to get canvas context');
                 return;
             }
         }
@@ -839,113 +6937,120 @@ class AppController {
             this.overlayCanvas.height = window.innerHeight;
         }
 
-        // Always show "Move camera towards Mood Cubes" message
-        const statusText = 'Move camera towards Mood Cubes';
-        
-        // Set font - use system font as fallback if Deezer font doesn't load
-        this.overlayCtx.font = 'bold 28px "Deezer Product", -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif';
-        this.overlayCtx.textAlign = 'center';
-        this.overlayCtx.textBaseline = 'middle';
-        
+        this.overlayCtx.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
+        this.drawMindARDetections(hud.moods);
+        this.drawDetectionStatus(hud);
+    }
+
+    /**
+     * Draw the combo and playlist line and the guidance message at the bottom
+     * @param {{combo: string|null, playlist: string|null, guidance: string}} hud
+     */
+    drawDetectionStatus({ combo, playlist, guidance }) {
+        const ctx = this.overlayCtx;
         const margin = 40;
         
         // Center horizontally, position at bottom
         const x = this.overlayCanvas.width / 2;
         const y = this.overlayCanvas.height - margin;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        // Set font - use system font as fallback if Deezer font doesn't load
+        ctx.font = 'bold 28px "Deezer Product", -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif';
         
         // Draw status text in purple (#A238FF) with shadow for visibility
-        this.overlayCtx.fillStyle = '#A238FF';
+        ctx.fillStyle = '#A238FF';
         // Add white shadow/outline for better visibility against camera background
-        this.overlayCtx.shadowColor = 'rgba(255, 255, 255, 0.8)';
-        this.overlayCtx.shadowBlur = 8;
-        this.overlayCtx.shadowOffsetX = 0;
-        this.overlayCtx.shadowOffsetY = 0;
-        this.overlayCtx.fillText(statusText, x, y);
+        ctx.shadowColor = 'rgba(255, 255, 255, 0.8)';
+        ctx.shadowBlur = 8;
+        ctx.shadowOffsetX = 0;
+        ctx.shadowOffsetY = 0;
+        ctx.fillText(guidance, x, y);
+
+        // Combo and the playlist it plays, above the guidance
+        if (combo) {
+            ctx.font = '18px "Deezer Product", -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif';
+            ctx.fillStyle = '#FFFFFF';
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+            ctx.shadowBlur = 4;
+            ctx.fillText(playlist && playlist !== combo ? `${combo} · ${playlist}` : combo, x, y - 30); // Below the player bar on mobile
+        }
         
         // Reset shadow
-        this.overlayCtx.shadowColor = 'transparent';
-        this.overlayCtx.shadowBlur = 0;
+        ctx.shadowColor = 'transparent';
+        ctx.shadowBlur = 0;
     }
 
     /**
-     * Draw labels for MindAR detected targets
-     * @param {Array<{label: string, confidence: number, targetIndex: number}>} detections
-     * @param {number} detectionCount - Number of detections (for status)
+     * Draw a label per tracked mood at the top, with a lock-in bar that fills
+     * while DetectionState collects SMOOTHING_FRAMES frames
+     * @param {Array<{mood: string, progress: number, isStable: boolean}>} moods - One per tracked cube
      */
-    drawMindARDetections(detections, detectionCount = 0) {
-        if (!this.overlayCanvas || !this.overlayCtx) {
-            console.warn('Cannot draw detections: missing overlay canvas');
-            return;
-        }
-
-        // Always clear canvas first
-        this.overlayCtx.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
+    drawMindARDetections(moods) {
+        const ctx = this.overlayCtx;
 
-        if (!detections || detections.length === 0) {
-            // Draw status only if no detections
-            this.drawDetectionStatus(0);
-            return;
-        }
-        
-        console.log('Drawing detections:', detections.map(d => `${d.label} (${d.targetIndex})`));
-
-        // Draw labels for each detection
-        // Position labels at top of screen, staggered for multiple detections
-        detections.forEach((detection, index) => {
-            const labelText = `${detection.label}`;
-            const confidenceText = `${Math.round(detection.confidence * 100)}%`;
-            const fullText = `${labelText} ${confidenceText}`;
+        // Draw labels for each tracked cube
+        // Position labels at top of screen, staggered for multiple cubes
+        moods.forEach(({ mood, progress, isStable }, index) => {
+            const fullText = isStable ? `${mood} ✓` : mood;
             
-            // Use larger, bolder font for better visibility with Deezer font
-            this.overlayCtx.font = 'bold 48px "Deezer Product", -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
-            const textMetrics = this.overlayCtx.measureText(fullText);
-            const textWidth = textMetrics.width;
-            const textHeight = 50;
-            const padding = 20;
+            ctx.font = 'bold 36px "Deezer Product", -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'alphabetic';
+            const textWidth = ctx.measureText(fullText).width;
+            const textHeight = 38;
+            const padding = 16;
+            const barHeight = 6;
             const borderRadius = 12;
             
             // Position labels at top center, staggered
             const x = (this.overlayCanvas.width - textWidth) / 2;
-            const y = 100 + (index * (textHeight + padding + 30));
+            const y = 100 + (index * (textHeight + padding * 2 + barHeight + 16));
             
             // Draw label background rectangle
             const rectX = x - padding;
             const rectY = y - textHeight - padding;
             const rectWidth = textWidth + (padding * 2);
-            const rectHeight = textHeight + (padding * 2);
+            const rectHeight = textHeight + (padding * 2) + barHeight;
             
             // Use modern roundRect if available, otherwise use regular rectangle
-            this.overlayCtx.fillStyle = 'rgba(162, 56, 255, 0.9)'; // Purple with transparency
-            if (typeof this.overlayCtx.roundRect === 'function') {
-                this.overlayCtx.roundRect(rectX, rectY, rectWidth, rectHeight, borderRadius);
-                this.overlayCtx.fill();
+            ctx.fillStyle = isStable ? 'rgba(162, 56, 255, 0.9)' : 'rgba(25, 25, 34, 0.75)';
+            ctx.beginPath();
+            if (typeof ctx.roundRect === 'function') {
+                ctx.roundRect(rectX, rectY, rectWidth, rectHeight, borderRadius);
+                ctx.fill();
             } else {
                 // Fallback: simple rectangle
-                this.overlayCtx.fillRect(rectX, rectY, rectWidth, rectHeight);
+                ctx.fillRect(rectX, rectY, rectWidth, rectHeight);
             }
             
             // Add subtle border
-            this.overlayCtx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-            this.overlayCtx.lineWidth = 2;
-            this.overlayCtx.stroke();
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+
+            // Lock-in bar along the bottom of the label
+            const barY = rectY + rectHeight - padding / 2 - barHeight;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+            ctx.fillRect(x, barY, textWidth, barHeight);
+            ctx.fillStyle = isStable ? '#FFFFFF' : '#A238FF';
+            ctx.fillRect(x, barY, textWidth * progress, barHeight);
 
             // Draw label text with shadow for better visibility
-            this.overlayCtx.shadowColor = 'rgba(0, 0, 0, 0.5)';
-            this.overlayCtx.shadowBlur = 4;
-            this.overlayCtx.shadowOffsetX = 2;
-            this.overlayCtx.shadowOffsetY = 2;
-            this.overlayCtx.fillStyle = '#FFFFFF';
-            this.overlayCtx.fillText(fullText, x, y);
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+            ctx.shadowBlur = 4;
+            ctx.shadowOffsetX = 2;
+            ctx.shadowOffsetY = 2;
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillText(fullText, x, y);
             
             // Reset shadow
-            this.overlayCtx.shadowColor = 'transparent';
-            this.overlayCtx.shadowBlur = 0;
-            this.overlayCtx.shadowOffsetX = 0;
-            this.overlayCtx.shadowOffsetY = 0;
+            ctx.shadowColor = 'transparent';
+            ctx.shadowBlur = 0;
+            ctx.shadowOffsetX = 0;
+            ctx.shadowOffsetY = 0;
         });
-        
-        // Draw status indicator after labels (so it appears at bottom)
-        this.drawDetectionStatus(detectionCount || detections.length);
     }
 
 }
@@ -958,7 +7063,7 @@ let app;
 
 document.addEventListener('DOMContentLoaded', () => {
     app = new AppController();
-    // Make app controller accessible globally for MusicPlayer callbacks
+    // For the detectors, and for pages that use the app's events and commands
     window.appController = app;
 });
 
@@ -0,0 +1,293 @@
+// ============================================================================
+// Service Worker - Offline Support
+// ============================================================================
+//
+// Precaches the app shell, fonts, target.mind and the AR libraries on install and
+// serves them cache first, so the app starts without a connection. playlists.json
+// comes from the network when there is one. The app's own audio files are cached the
+// first time a track is played, and a short list of other assets the first time they load.
+//
+// Bump CACHE_VERSION whenever a precached file changes. The new worker installs in
+// the background and waits until the app asks it to take over (update banner).
+
+const CACHE_VERSION = 1;
+const AUDIO_CACHE_VERSION = 1; // Separate, so app updates do not download the music again
+const CACHE_PREFIX = 'mood-cubes-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-v${CACHE_VERSION}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-v${CACHE_VERSION}`; // Artwork, A-Frame fonts, classifier model
+const AUDIO_CACHE = `${CACHE_PREFIX}audio-v${AUDIO_CACHE_VERSION}`;
+
+// Same-origin files, relative to the worker's scope
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './app.js',
+    './styles.css',
+    './playlists.json',
+    './target.mind',
+    './manifest.webmanifest',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './deezer-corporate-typeface/DeezerProduct-Regular.woff2',
+    './deezer-corporate-typeface/DeezerProduct-Medium.woff2',
+    './deezer-corporate-typeface/DeezerProduct-Bold.woff2',
+];
+
+// AR libraries from index.html (keep the versions in sync)
+const LIBRARY_URLS = [
+    'https://cdn.jsdelivr.net/npm/mind-ar@1.1.4/dist/mindar-image.prod.js',
+    'https://aframe.io/releases/1.4.2/aframe.min.js',
+    'https://cdn.jsdelivr.net/npm/mind-ar@1.1.4/dist/mindar-image-aframe.prod.js',
+];
+
+// Served network first, so playlist edits show up without a CACHE_VERSION bump
+const NETWORK_FIRST_FILES = ['./playlists.json'];
+
+// Other files cached the first time they load: same-origin folders (relative to the
+// scope) and cross-origin URL prefixes. Everything else, like the Deezer API, is
+// network only
+const RUNTIME_PATHS = ['./assets/', './Emojis/', './emoji-model/', './icons/'];
+const RUNTIME_URLS = [
+    'https://cdn.aframe.io/fonts/', // A-Frame text fonts
+    'https://cdn.jsdelivr.net/npm/@tensorflow/', // TF.js for the classifier
+];
+const RUNTIME_HOSTS = /^[a-z0-9-]+\.dzcdn\.net$/; // Deezer cover art
+const RUNTIME_CACHE_LIMIT = 100; // Oldest entries are dropped beyond this
+
+const AUDIO_EXTENSIONS = /\.(mp3|m4a|aac|ogg|oga|opus|wav|flac)$/i;
+
+const audioDownloads = new Map(); // URL -> pending download, so a track is only fetched once
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(removeOldCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || !request.url.startsWith('http')) return;
+
+    if (isAudio(request)) {
+        // Tracks from other sites (Deezer previews) have expiring tokens in their URLs
+        // and are not kept, so they go straight to the network
+        if (new URL(request.url).origin === self.location.origin) {
+            event.respondWith(audioResponse(request, event));
+        }
+    } else if (NETWORK_FIRST_FILES.some(file => request.url === scopeUrl(file))) {
+        event.respondWith(networkFirstResponse(request));
+    } else {
+        event.respondWith(cachedResponse(request));
+    }
+});
+
+/**
+ * Download the shell and the libraries
+ * Any failure fails the install, so a half-cached version never takes over
+ */
+async function precache() {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_FILES);
+
+    // Script tags load the libraries without CORS, so they are stored as opaque responses
+    // (cache.addAll() rejects those)
+    await Promise.all(LIBRARY_URLS.map(async (url) => {
+        const response = await fetch(url, { mode: 'no-cors' });
+        if (!response.ok && response.type !== 'opaque') {
+            throw new Error(`Could not download ${url}: ${response.status}`);
+        }
+        await cache.put(url, response);
+    }));
+}
+
+/**
+ * Delete caches of earlier versions
+ */
+async function removeOldCaches() {
+    const current = [SHELL_CACHE, RUNTIME_CACHE, AUDIO_CACHE];
+    const keys = await caches.keys();
+    await Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && !current.includes(key))
+        .map(key => caches.delete(key)));
+}
+
+/**
+ * @param {Request} request
+ */
+function isAudio(request) {
+    return request.destination === 'audio' || AUDIO_EXTENSIONS.test(new URL(request.url).pathname);
+}
+
+/**
+ * Absolute URL of a path relative to the worker's scope
+ * @param {string} file
+ */
+function scopeUrl(file) {
+    return new URL(file, self.location.href).href;
+}
+
+/**
+ * Whether a file not in the shell is kept in the runtime cache
+ * @param {Request} request
+ */
+function isRuntimeAsset(request) {
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        return RUNTIME_PATHS.some(folder => request.url.startsWith(scopeUrl(folder)));
+    }
+    return RUNTIME_URLS.some(prefix => request.url.startsWith(prefix))
+        || (url.protocol === 'https:' && RUNTIME_HOSTS.test(url.hostname));
+}
+
+/**
+ * Cache first, then the network (storing runtime assets in the runtime cache)
+ * Pages are matched without their query string, so URL flags still work offline, and
+ * other pages get the app when the network is unreachable
+ * @param {Request} request
+ */
+async function cachedResponse(request) {
+    const isPage = request.mode === 'navigate';
+    const cached = await caches.match(request, { ignoreSearch: isPage });
+    if (cached) return cached;
+
+    let response;
+    try {
+        response = await fetch(request);
+    } catch (error) {
+        const page = isPage ? await caches.match(scopeUrl('./index.html')) : null;
+        return page || Response.error();
+    }
+    if ((response.ok || response.type === 'opaque') && isRuntimeAsset(request)) {
+        const cache = await caches.open(RUNTIME_CACHE);
+        await cache.put(request, response.clone());
+        await trimCache(cache, RUNTIME_CACHE_LIMIT);
+    }
+    return response;
+}
+
+/**
+ * Drop the oldest entries of a cache beyond a number of entries
+ * Opaque cross-origin responses count several MB each against the storage quota
+ * @param {Cache} cache
+ * @param {number} limit
+ */
+async function trimCache(cache, limit) {
+    const keys = await cache.keys(); // In the order they were added
+    await Promise.all(keys.slice(0, Math.max(keys.length - limit, 0)).map(key => cache.delete(key)));
+}
+
+/**
+ * The network, updating the shell cache, or the cached copy when offline or the
+ * server fails
+ * @param {Request} request
+ */
+async function networkFirstResponse(request) {
+    let response = null;
+    try {
+        response = await fetch(request);
+    } catch (error) {
+        // Offline, fall back to the cache
+    }
+
+    const cache = await caches.open(SHELL_CACHE);
+    if (response && response.ok) {
+        await cache.put(request, response.clone());
+        return response;
+    }
+    const cached = await cache.match(request);
+    return cached || response || Response.error();
+}
+
+/**
+ * Serve audio from the cache, or stream it from the network and cache the whole file
+ * for next time
+ * @param {Request} request
+ * @param {FetchEvent} event
+ */
+async function audioResponse(request, event) {
+    const cache = await caches.open(AUDIO_CACHE);
+    const cached = await cache.match(request.url);
+    if (cached) {
+        return rangeResponse(cached, request.headers.get('range'));
+    }
+
+    // Audio elements ask for byte ranges, which cannot be cached, so the full file is
+    // downloaded separately while the track plays
+    event.waitUntil(cacheAudio(cache, request.url));
+    return fetch(request);
+}
+
+/**
+ * @param {Cache} cache
+ * @param {string} url
+ */
+function cacheAudio(cache, url) {
+    if (!audioDownloads.has(url)) {
+        const download = fetch(url, { mode: 'cors', credentials: 'same-origin' })
+            .then(response => {
+                if (response.status === 200) {
+                    return cache.put(url, response);
+                }
+                return undefined;
+            })
+            .catch(() => {
+                // Offline or out of storage: the track still streams, and the next play tries again
+            })
+            .finally(() => {
+                audioDownloads.delete(url);
+            });
+        audioDownloads.set(url, download);
+    }
+    return audioDownloads.get(url);
+}
+
+/**
+ * Answer a Range request from a complete cached file
+ * Safari will not play audio that does not come back as 206 Partial Content
+ * @param {Response} response - Complete cached response
+ * @param {string|null} range - Range header ("bytes=start-end")
+ */
+async function rangeResponse(response, range) {
+    if (!range) return response;
+
+    const blob = await response.blob();
+    const size = blob.size;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+
+    let start = NaN;
+    let end = size - 1;
+    if (match && match[1] !== '') {
+        start = Number(match[1]);
+        if (match[2] !== '') end = Math.min(Number(match[2]), size - 1);
+    } else if (match && match[2] !== '') {
+        // Suffix range: the last N bytes
+        start = Math.max(size - Number(match[2]), 0);
+    }
+
+    if (!(start >= 0) || start >= size || start > end) {
+        return new Response(null, {
+            status: 416,
+            statusText: 'Range Not Satisfiable',
+            headers: { 'Content-Range': `bytes */${size}` },
+        });
+    }
+
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || blob.type || 'audio/mpeg',
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Content-Length': String(end - start + 1),
+            'Accept-Ranges': 'bytes',
+        },
+    });
+}
@@ -0,0 +1,245 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain, twoCubeManifest } = require('./helpers/load-app');
+
+// Targets in the two-cube test manifest
+const HAPPY_CUBE_A = 4;
+const SAD_CUBE_B = 11;
+const TWO_CUBES = { 'playlists.json': twoCubeManifest() };
+
+describe('AppController', () => {
+    describe('startup', () => {
+        test('loads the manifest and enables the start button', async () => {
+            const harness = loadApp();
+            harness.installFakeScene();
+            const controller = await harness.createController();
+
+            assert.ok(controller);
+            assert.equal(harness.document.getElementById('startButton').disabled, false);
+            assert.equal(harness.app.TARGET_LABELS[HAPPY_CUBE_A], 'Happy');
+            assert.deepEqual(harness.fetch.requests, ['./playlists.json']);
+        });
+
+        test('keeps the start button disabled and lists errors for an invalid manifest', async () => {
+            const harness = loadApp({ files: { 'playlists.json': { version: 2, moods: [] } } });
+            await harness.createController();
+
+            const errors = harness.document.getElementById('manifestErrors');
+            assert.equal(harness.document.getElementById('startButton').disabled, true);
+            assert.equal(errors.classList.contains('hidden'), false);
+            assert.ok(errors.querySelectorAll('li').length > 0);
+        });
+
+        test('startApp() shows the app, preloads DEFAULT and starts MindAR once', async () => {
+            const { harness, controller, system } = await loadApp({ files: TWO_CUBES }).startApp();
+
+            assert.equal(controller.modelAdapter.isLoaded, true);
+            assert.equal(harness.document.getElementById('startOverlay').classList.contains('hidden'), true);
+            assert.equal(harness.document.getElementById('app').classList.contains('hidden'), false);
+            assert.equal(controller.musicPlayer.currentCombo, 'DEFAULT');
+            assert.equal(controller.musicPlayer.isPlaying, false);
+            assert.equal(system.startCount, 1);
+            assert.equal(controller.modelAdapter.isLoaded, true);
+            assert.equal(controller.isStarted, true);
+            assert.equal(controller.isDetecting, true);
+        });
+
+        test('creates one target entity per manifest target on arReady', async () => {
+            const { harness } = await loadApp({ files: TWO_CUBES }).startApp();
+            const scene = harness.document.getElementById('arScene');
+            const targets = scene.querySelectorAll('[mindar-image-target]');
+
+            assert.equal(targets.length, Object.keys(harness.app.TARGET_LABELS).length);
+            assert.equal(targets[HAPPY_CUBE_A].getAttribute('mindar-image-target'), `targetIndex: ${HAPPY_CUBE_A}`);
+        });
+    });
+
+    describe('detection flow', () => {
+        test('a found target switches the playlist and starts playback after smoothing', async () => {
+            const { harness, controller, system } = await loadApp({ files: TWO_CUBES }).startApp();
+
+            system.findTarget(HAPPY_CUBE_A);
+            await harness.clock.tick(100); // Fewer than SMOOTHING_FRAMES detection frames
+            assert.equal(controller.musicPlayer.currentCombo, 'DEFAULT');
+
+            await harness.clock.tick(1000);
+            assert.equal(controller.musicPlayer.currentCombo, 'Happy|—');
+            assert.equal(controller.musicPlayer.isPlaying, true);
+            assert.equal(controller.musicPlayer.audio.getAttribute('src'), harness.app.COMBO_PLAYLISTS['Happy|—'][0].src);
+        });
+
+        test('two cubes form a combo and losing both goes back to DEFAULT', async () => {
+            const { harness, controller, system } = await loadApp({ files: TWO_CUBES }).startApp();
+
+            system.findTarget(HAPPY_CUBE_A);
+            system.findTarget(SAD_CUBE_B);
+            await harness.clock.tick(1000);
+            assert.equal(controller.musicPlayer.currentCombo, 'Happy|Sad');
+
+            system.loseTarget(HAPPY_CUBE_A);
+            system.loseTarget(SAD_CUBE_B);
+            await harness.clock.tick(1000); // Within LOSS_GRACE_PERIOD
+            assert.equal(controller.musicPlayer.currentCombo, 'Happy|Sad');
+            await harness.clock.tick(1500); // Past LOSS_GRACE_PERIOD and COMBO_DWELL_TIME
+            assert.equal(controller.musicPlayer.currentCombo, 'DEFAULT');
+            assert.equal(controller.musicPlayer.isPlaying, true); // Music keeps going
+        });
+
+        test('detection runs at DETECTION_FPS', async () => {
+            const { harness, controller } = await loadApp({ files: TWO_CUBES }).startApp();
+            const before = controller.detectionState.frameCount;
+            await harness.clock.tick(1000);
+            const frames = controller.detectionState.frameCount - before;
+            assert.ok(frames <= harness.app.CONFIG.DETECTION_FPS && frames >= harness.app.CONFIG.DETECTION_FPS * 0.6,
+                `${frames} detection frames in one second`);
+        });
+
+        test('a hidden page stops detection and reports tracked targets as lost', async () => {
+            const { harness, controller, system } = await loadApp({ files: TWO_CUBES }).startApp();
+            system.findTarget(HAPPY_CUBE_A);
+            await harness.clock.tick(1000);
+
+            controller.applyPowerState({ isLowPower: false, isHidden: true });
+            assert.equal(controller.isDetecting, false);
+            assert.equal(system.isPaused, true);
+
+            const frames = controller.detectionState.frameCount;
+            await harness.clock.tick(1000);
+            assert.equal(controller.detectionState.frameCount, frames);
+        });
+    });
+
+    describe('detection HUD', () => {
+        test('guides from searching through locking in to a combo', async () => {
+            const { harness, controller, system } = await loadApp({ files: TWO_CUBES }).startApp();
+            const { HUD_GUIDANCE } = harness.app;
+            const hud = () => plain(controller.getHudState());
+
+            await harness.clock.tick(100);
+            assert.deepEqual(hud(), { moods: [], combo: null, playlist: 'Default playlist', guidance: HUD_GUIDANCE.searching });
+
+            system.findTarget(HAPPY_CUBE_A);
+            await harness.clock.tick(100);
+            const [locking] = hud().moods;
+            assert.equal(locking.mood, 'Happy');
+            assert.ok(locking.progress > 0 && locking.progress < 1);
+            assert.equal(hud().guidance, HUD_GUIDANCE.lockingIn);
+
+            await harness.clock.tick(1000);
+            assert.deepEqual(hud(), {
+                moods: [{ mood: 'Happy', progress: 1, isStable: true }],
+                combo: 'Happy',
+                playlist: 'Happy',
+                guidance: HUD_GUIDANCE.addCube,
+            });
+
+            system.findTarget(SAD_CUBE_B);
+            await harness.clock.tick(1000);
+            assert.equal(hud().combo, 'Happy + Sad');
+            assert.equal(hud().guidance, HUD_GUIDANCE.locked);
+
+            system.loseTarget(HAPPY_CUBE_A);
+            system.loseTarget(SAD_CUBE_B);
+            await harness.clock.tick(34); // One detection frame
+            assert.equal(hud().guidance, HUD_GUIDANCE.lost);
+            await harness.clock.tick(2000); // Past LOSS_GRACE_PERIOD
+            assert.equal(hud().guidance, HUD_GUIDANCE.searching);
+        });
+
+        test('draws the tracked moods, combo and guidance, and only redraws on changes', async () => {
+            const { harness, controller, system } = await loadApp({ files: TWO_CUBES }).startApp();
+            const texts = [];
+            let draws = 0;
+            controller.overlayCtx.fillText = text => texts.push(text);
+            controller.overlayCtx.clearRect = () => draws++;
+
+            system.findTarget(HAPPY_CUBE_A);
+            system.findTarget(SAD_CUBE_B);
+            await harness.clock.tick(1000);
+            texts.length = 0;
+            controller.lastHudKey = null;
+            await harness.clock.tick(50);
+
+            assert.deepEqual(texts, ['Happy ✓', 'Sad ✓', harness.app.HUD_GUIDANCE.locked, 'Happy + Sad']);
+            const drawn = draws;
+            await harness.clock.tick(500);
+            assert.equal(draws, drawn);
+        });
+    });
+
+    describe('failure paths', () => {
+        test('a scene that never loads times out and the app continues without detection', async () => {
+            const { harness, controller } = await loadApp({ files: TWO_CUBES }).startApp({ sceneOptions: { hasLoaded: false } });
+
+            assert.ok(harness.console.has('error', 'Scene loaded timeout after 5 seconds'));
+            assert.ok(harness.console.has('log', 'Continuing without detection'));
+            assert.equal(controller.modelAdapter.isLoaded, false);
+            assert.equal(controller.isStarted, true);
+            assert.equal(controller.musicPlayer.currentCombo, 'DEFAULT');
+        });
+
+        test('a missing MindAR system fails the load and the app goes on without tracking', async () => {
+            const { harness, controller } = await loadApp({ files: TWO_CUBES }).startApp({ sceneOptions: { withSystem: false } });
+
+            assert.ok(harness.console.has('error', 'MindAR system not found after waiting'));
+            assert.equal(controller.modelAdapter.isLoaded, false);
+            assert.equal(controller.modelAdapter.loadError.type, 'libraryMissing');
+
+            const frames = controller.detectionState.frameCount;
+            await harness.clock.tick(1000);
+            assert.equal(controller.detectionState.frameCount, frames);
+        });
+
+        test('a classifier frame that throws is logged and classification goes on', async () => {
+            const { app, clock, console } = loadApp({ config: { CLASSIFIER_FPS: 10 } });
+            const detector = new app.TFJSClassifierDetector();
+            let frames = 0;
+            detector.classify = async () => {
+                frames++;
+                if (frames === 1) throw new Error('Frame not ready');
+            };
+
+            detector.scheduleClassification();
+            await clock.tick(350);
+            assert.equal(frames, 3);
+            assert.ok(console.has('error', 'Classification failed: Frame not ready'));
+            detector.pauseTracking();
+        });
+
+        test('a missing A-Frame fails the MindAR load', async () => {
+            const { harness, controller } = await loadApp({ files: TWO_CUBES, aframe: false }).startApp();
+
+            assert.equal(controller.modelAdapter.isLoaded, false);
+            assert.ok(harness.console.has('error', 'A-Frame is not defined'));
+        });
+    });
+
+    describe('mock detector', () => {
+        test('the mock panel drives the same pipeline without a camera', async () => {
+            const { harness, controller } = await loadApp({ files: TWO_CUBES, config: { MOCK_MODE: true } }).startApp();
+
+            assert.equal(controller.modelAdapter.backend, 'mock');
+            assert.ok(controller.mockPanel);
+            assert.equal(harness.document.getElementById('mockPanel').classList.contains('hidden'), false);
+
+            controller.mockPanel.setCubes(['Energy', 'Happy']);
+            await harness.clock.tick(1000);
+            assert.equal(controller.musicPlayer.currentCombo, 'Energy|Happy');
+        });
+
+        test('every scenario offered for the shipped playlists.json parses, two-cube ones only with two cubes', async () => {
+            const offered = async files => {
+                const { harness } = await loadApp({ files, config: { MOCK_MODE: true } }).startApp();
+                const { MockControlPanel } = harness.app;
+                Object.values(MockControlPanel.getScenarios()).forEach(text => MockControlPanel.parseScenario(text));
+                return plain(harness.document.getElementById('mockScenarioSelect').children.map(option => option.value));
+            };
+
+            assert.deepEqual(await offered({}), ['Single mood', 'Flicker (smoothing)']);
+            assert.deepEqual(await offered(TWO_CUBES), plain(Object.keys(loadApp().app.MOCK_SCENARIOS)));
+        });
+    });
+});
@@ -0,0 +1,261 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain, twoCubeManifest } = require('./helpers/load-app');
+
+// Targets in the two-cube test manifest
+const HAPPY_CUBE_A = 4;
+const SAD_CUBE_B = 11;
+const TWO_CUBES = { 'playlists.json': twoCubeManifest() };
+
+const PARTNER = 'https://partner.example';
+
+/**
+ * Collect the controller's APP_EVENTS as [type, detail] pairs
+ */
+function recordEvents(harness, controller) {
+    const events = [];
+    harness.app.APP_EVENTS.forEach(type => controller.on(type, detail => events.push([type, plain(detail)])));
+    return events;
+}
+
+describe('EventEmitter', () => {
+    test('calls listeners until they are removed', () => {
+        const { app } = loadApp();
+        const emitter = new app.EventEmitter();
+        const calls = [];
+        const off = emitter.on('change', detail => calls.push(detail));
+        emitter.on('other', () => calls.push('other'));
+
+        emitter.emit('change', 1);
+        off();
+        emitter.emit('change', 2);
+        emitter.emit('nobody', 3);
+        assert.deepEqual(calls, [1]);
+    });
+
+    test('a failing listener is logged and the others still run', () => {
+        const harness = loadApp();
+        const emitter = new harness.app.EventEmitter();
+        const calls = [];
+        emitter.on('change', () => {
+            throw new Error('Partner bug');
+        });
+        emitter.on('change', detail => calls.push(detail));
+
+        emitter.emit('change', 'ok');
+        assert.deepEqual(calls, ['ok']);
+        assert.ok(harness.console.has('error', 'change listener failed:'));
+    });
+
+    test('MusicPlayer tells about changes through events, without an app', async () => {
+        const harness = loadApp();
+        harness.applyManifest();
+        const player = new harness.app.MusicPlayer();
+        const events = [];
+        ['trackinfo', 'playstate', 'action'].forEach(type => player.on(type, detail => events.push([type, plain(detail)])));
+
+        player.switchPlaylist('Happy|—');
+        await player.play();
+        const track = harness.app.COMBO_PLAYLISTS['Happy|—'][0];
+        assert.deepEqual(events.find(([type]) => type === 'trackinfo')[1].title, track.title);
+        assert.deepEqual(events.find(([type]) => type === 'playstate'), ['playstate', { isPlaying: true }]);
+        assert.ok(events.some(([type, detail]) => type === 'action' && detail.action === 'play'));
+    });
+
+    test('detectors tell about targets and errors through events, without an app', () => {
+        const harness = loadApp();
+        harness.applyManifest();
+        const detector = new harness.app.MindARDetector({ getAudioLevels: () => ({ level: 0.5 }) });
+        const events = [];
+        ['targetevent', 'error'].forEach(type => detector.on(type, detail => events.push([type, plain(detail)])));
+
+        detector.handleTargetFound(0);
+        detector.handleTargetLost(0);
+        detector.reportError(new harness.app.AppError('noCamera', 'Camera stopped'));
+        const label = harness.app.TARGET_LABELS[0];
+        const cubeId = harness.app.TARGET_CUBES[0];
+        assert.deepEqual(events.slice(0, 2), [
+            ['targetevent', { type: 'targetFound', targetIndex: 0, label, cubeId }],
+            ['targetevent', { type: 'targetLost', targetIndex: 0, label, cubeId }],
+        ]);
+        assert.equal(events[2][0], 'error');
+        assert.equal(events[2][1].type, 'noCamera');
+        assert.deepEqual(plain(detector.visuals.getLevels()), { level: 0.5 });
+    });
+});
+
+describe('AppController events', () => {
+    test('a scanned cube emits moodchange, combochange, trackchange and playstate', async () => {
+        const { harness, controller, system } = await loadApp({ files: TWO_CUBES }).startApp();
+        const events = recordEvents(harness, controller);
+
+        system.findTarget(HAPPY_CUBE_A);
+        await harness.clock.tick(1000);
+
+        const track = harness.app.COMBO_PLAYLISTS['Happy|—'][0];
+        assert.deepEqual(events.map(([type]) => type), ['moodchange', 'combochange', 'trackchange', 'playstate']);
+        assert.deepEqual(events[0][1], { moods: ['Happy'], cubes: { 'Purple Cube': 'Happy' }, source: 'camera' });
+        assert.deepEqual(events[1][1], { combo: 'Happy|—', moods: ['Happy'] });
+        assert.equal(events[2][1].combo, 'Happy|—');
+        assert.equal(events[2][1].track.title, track.title);
+        assert.equal(events[2][1].track.src, track.src);
+        assert.equal(events[3][1].isPlaying, true);
+
+        events.length = 0;
+        system.findTarget(SAD_CUBE_B);
+        await harness.clock.tick(1000);
+        assert.deepEqual(events[0][1].cubes, { 'Purple Cube': 'Happy', 'Second Cube': 'Sad' });
+        assert.deepEqual(events[1][1], { combo: 'Happy|Sad', moods: ['Happy', 'Sad'] });
+    });
+
+    test('playstate is emitted when playback starts or stops, not on every update', async () => {
+        const { harness, controller } = await loadApp({ files: TWO_CUBES }).startApp();
+        const events = recordEvents(harness, controller);
+
+        await controller.play();
+        await controller.play();
+        controller.pause();
+        assert.deepEqual(events.filter(([type]) => type === 'playstate').map(([, detail]) => detail.isPlaying), [true, false]);
+    });
+
+    test('errors shown to the user are emitted as type and message', async () => {
+        const harness = loadApp({ camera: 'NotAllowedError' });
+        harness.installFakeScene();
+        const controller = await harness.createController();
+        const events = recordEvents(harness, controller);
+        await harness.clock.run(controller.startApp());
+
+        const [, detail] = events.find(([type]) => type === 'error');
+        assert.equal(detail.type, 'permissionDenied');
+        assert.match(detail.message, /NotAllowedError/);
+    });
+});
+
+describe('AppController commands', () => {
+    test('setMood() plays moods like the mood picker and returns the state', async () => {
+        const { harness, controller } = await loadApp({ files: TWO_CUBES }).startApp();
+        const events = recordEvents(harness, controller);
+
+        const state = plain(controller.setMood('Sad', 'Happy'));
+        await harness.clock.tick(0);
+        assert.equal(state.combo, 'Happy|Sad');
+        assert.deepEqual(state.moods, ['Happy', 'Sad']);
+        assert.equal(state.track.src, harness.app.COMBO_PLAYLISTS['Happy|Sad'][0].src);
+        assert.equal(controller.musicPlayer.isPlaying, true);
+        assert.deepEqual(events[0], ['moodchange', { moods: ['Sad', 'Happy'], cubes: { 'picked-1': 'Sad', 'picked-2': 'Happy' }, source: 'picker' }]);
+
+        assert.equal(controller.setMood(['Chill']).combo, 'Chill|—');
+        assert.equal(controller.setMood().combo, 'DEFAULT');
+    });
+
+    test('setMood() refuses unknown moods and more than MAX_CUBES', async () => {
+        const { controller } = await loadApp({ files: TWO_CUBES }).startApp();
+        assert.throws(() => controller.setMood('Grumpy'), /Unknown mood "Grumpy", expected one of/);
+        assert.throws(() => controller.setMood('Happy', 'Sad', 'Chill'), /At most 2 moods play together, got 3/);
+        assert.equal(controller.musicPlayer.currentCombo, 'DEFAULT');
+    });
+
+    test('play, pause, next and previous drive the player', async () => {
+        const { controller } = await loadApp({ files: TWO_CUBES }).startApp();
+        controller.setMood('Happy', 'Sad'); // Two tracks
+        const player = controller.musicPlayer;
+
+        controller.next();
+        assert.equal(player.currentTrackIndex, 1);
+        controller.previous();
+        assert.equal(player.currentTrackIndex, 0);
+        controller.pause();
+        assert.equal(controller.getState().isPlaying, false);
+        await controller.play();
+        assert.equal(controller.getState().isPlaying, true);
+    });
+});
+
+describe('EmbedBridge', () => {
+    async function embed(embedder = PARTNER) {
+        const harness = loadApp({ embedder, config: { EMBED_ORIGINS: [PARTNER] } });
+        const { controller } = await harness.startApp();
+        return { harness, controller, parent: harness.window.parent };
+    }
+
+    test('is off unless the app is embedded and EMBED_ORIGINS is set', async () => {
+        for (const options of [{ config: { EMBED_ORIGINS: [PARTNER] } }, { embedder: PARTNER }]) {
+            const { harness, controller } = await loadApp(options).startApp();
+            assert.equal(controller.embedBridge.isEnabled, false);
+            assert.equal(harness.window.listeners.message, undefined);
+        }
+    });
+
+    test('tells the parent page it is ready and forwards every event', async () => {
+        const { harness, controller, parent } = await embed();
+        assert.deepEqual(plain(parent.messages[0]), {
+            type: 'deezer-scanner:ready',
+            state: { combo: null, moods: [], playlist: null, track: null, isPlaying: false },
+        });
+
+        parent.messages.length = 0;
+        controller.setMood('Happy');
+        await harness.clock.tick(0);
+        assert.deepEqual(plain(parent.messages.map(message => message.event)), ['moodchange', 'combochange', 'trackchange', 'playstate']);
+        assert.deepEqual(plain(parent.messages[1]), {
+            type: 'deezer-scanner:event',
+            event: 'combochange',
+            detail: { combo: 'Happy|—', moods: ['Happy'] },
+        });
+    });
+
+    test('runs commands from the parent page and answers with the result', async () => {
+        const { harness, controller, parent } = await embed();
+        parent.messages.length = 0;
+
+        harness.postMessage({ type: 'deezer-scanner:command', id: 7, command: 'setMood', args: ['Happy', 'Sad'] });
+        await harness.clock.tick(0);
+        assert.equal(controller.musicPlayer.currentCombo, 'Happy|Sad');
+        const result = plain(parent.messages.find(message => message.type === 'deezer-scanner:result'));
+        assert.equal(result.id, 7);
+        assert.equal(result.ok, true);
+        assert.equal(result.result.combo, 'Happy|Sad');
+
+        harness.postMessage({ type: 'deezer-scanner:command', id: 8, command: 'pause' });
+        await harness.clock.tick(0);
+        assert.equal(controller.musicPlayer.isPlaying, false);
+    });
+
+    test('answers failed and unknown commands with the error', async () => {
+        const { harness, parent } = await embed();
+        parent.messages.length = 0;
+
+        harness.postMessage({ type: 'deezer-scanner:command', id: 1, command: 'setMood', args: 'Grumpy' });
+        harness.postMessage({ type: 'deezer-scanner:command', id: 2, command: 'handleError' });
+        await harness.clock.tick(0);
+        const results = plain(parent.messages);
+        assert.equal(results[0].ok, false);
+        assert.match(results[0].error, /Unknown mood "Grumpy"/);
+        assert.deepEqual(results[1], { type: 'deezer-scanner:result', id: 2, ok: false, error: 'Unknown command "handleError"' });
+    });
+
+    test('ignores commands from other origins and windows', async () => {
+        const { harness, controller, parent } = await embed();
+        const other = { messages: [], postMessage(message) { this.messages.push(message); } };
+        parent.messages.length = 0;
+
+        harness.postMessage({ type: 'deezer-scanner:command', id: 1, command: 'setMood', args: 'Happy' }, { origin: 'https://evil.example' });
+        harness.postMessage({ type: 'deezer-scanner:command', id: 2, command: 'setMood', args: 'Happy' }, { source: other });
+        harness.postMessage({ type: 'unrelated' });
+        await harness.clock.tick(0);
+
+        assert.equal(controller.musicPlayer.currentCombo, 'DEFAULT');
+        assert.deepEqual(parent.messages, []);
+        assert.deepEqual(other.messages, []);
+        assert.ok(harness.console.has('warn', 'Ignored embed command from https://evil.example, not in EMBED_ORIGINS'));
+    });
+
+    test('a page from an origin that is not allowed gets nothing', async () => {
+        const { controller, parent } = await embed('https://evil.example');
+        controller.setMood('Happy');
+        assert.deepEqual(parent.messages, []);
+    });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./helpers/load-app');
+
+// Targets in playlists.json
+const HAPPY_CUBE_A = 4;
+const SAD_CUBE_A = 5;
+
+function visualEl(harness, targetIndex) {
+    return harness.document.getElementById(`visual-${targetIndex}`);
+}
+
+function opacityOf(el) {
+    return Number(/opacity: ([\d.]+)/.exec(el.getAttribute('material'))[1]);
+}
+
+describe('MusicPlayer.getAudioLevels', () => {
+    test('reports bass, mid, treble and spectrum bands from the analyser', () => {
+        const { app } = loadApp();
+        const player = new app.MusicPlayer();
+        assert.equal(player.getAudioLevels(), null);
+
+        player.unlock();
+        assert.equal(player.masterGain.connections.includes(player.analyser), true);
+
+        // 48 kHz and 512 samples make bins of 93.75 Hz, so bins 0-2 are below 250 Hz
+        player.analyser.frequencyData = Uint8Array.from({ length: 256 }, (_, i) => (i < 3 ? 255 : 0));
+        const levels = plain(player.getAudioLevels());
+
+        assert.equal(levels.bass, 1);
+        assert.equal(levels.treble, 0);
+        assert.ok(levels.mid > 0 && levels.mid < 0.1);
+        assert.equal(levels.bands.length, 8);
+        assert.equal(levels.bands[0], 1);
+        assert.equal(levels.bands[7], 0);
+    });
+});
+
+describe('ARVisuals', () => {
+    test("every target gets its mood's visual, hidden until found", async () => {
+        const { harness, controller } = await loadApp().startApp();
+        const { visuals } = controller.modelAdapter.detector;
+
+        assert.equal(visualEl(harness, HAPPY_CUBE_A).dataset.visual, 'particles');
+        assert.equal(visualEl(harness, SAD_CUBE_A).dataset.visual, 'pulse');
+        assert.equal(visualEl(harness, HAPPY_CUBE_A).parentElement.id, `target-${HAPPY_CUBE_A}`);
+        assert.equal(visualEl(harness, HAPPY_CUBE_A).getAttribute('visible'), 'false');
+        assert.equal(visuals.frame, null);
+    });
+
+    test('fades in on targetFound and out on targetLost, then stops animating', async () => {
+        const { harness, controller, system } = await loadApp().startApp();
+        const { visuals } = controller.modelAdapter.detector;
+        const el = visualEl(harness, HAPPY_CUBE_A);
+        const particle = el.children[0];
+
+        system.findTarget(HAPPY_CUBE_A);
+        assert.equal(el.getAttribute('visible'), 'true');
+        await harness.clock.tick(200);
+        const fading = opacityOf(particle);
+        assert.ok(fading > 0.3 && fading < 0.6, `halfway through the fade, got ${fading}`);
+
+        await harness.clock.tick(300);
+        assert.equal(opacityOf(particle), 1);
+
+        system.loseTarget(HAPPY_CUBE_A);
+        await harness.clock.tick(200);
+        assert.equal(el.getAttribute('visible'), 'true');
+        await harness.clock.tick(300);
+        assert.equal(el.getAttribute('visible'), 'false');
+        assert.equal(visuals.frame, null);
+    });
+
+    test('animates with the music', async () => {
+        const { harness, controller, system } = await loadApp().startApp();
+        const [core, ring] = visualEl(harness, SAD_CUBE_A).children;
+
+        system.findTarget(SAD_CUBE_A);
+        await harness.clock.tick(100);
+        assert.equal(core.getAttribute('scale'), '1.000 1.000 1.000');
+
+        controller.musicPlayer.analyser.frequencyData = new Uint8Array(256).fill(255);
+        await harness.clock.tick(20);
+        assert.equal(core.getAttribute('scale'), '1.900 1.900 1.900');
+        assert.equal(ring.getAttribute('scale'), '1.600 1.600 1.600');
+    });
+
+    test('moods without an entry get DEFAULT and unknown types fall back to it', async () => {
+        const harness = loadApp();
+        delete harness.app.MOOD_VISUALS.Happy;
+        harness.app.MOOD_VISUALS.Sad = { type: 'fireworks', color: '#000000', accent: '#FFFFFF' };
+        await harness.startApp();
+
+        assert.equal(visualEl(harness, HAPPY_CUBE_A).dataset.visual, 'pulse');
+        assert.equal(visualEl(harness, SAD_CUBE_A).dataset.visual, 'pulse');
+        assert.ok(harness.console.has('warn', 'Unknown visual "fireworks" for Sad, using pulse'));
+    });
+
+    test('custom visual types are used like the built-in ones and slow down in low power mode', async () => {
+        const harness = loadApp();
+        const frames = [];
+        harness.app.VISUAL_TYPES.custom = {
+            build: root => ({ root }),
+            update: (parts, levels, seconds, opacity) => frames.push(opacity),
+        };
+        harness.app.MOOD_VISUALS.Happy = { type: 'custom', color: '#FFFFFF', accent: '#FFFFFF' };
+        const { controller, system } = await harness.startApp();
+
+        system.findTarget(HAPPY_CUBE_A);
+        await harness.clock.tick(1000);
+        assert.ok(frames.length > 50, `about 60 frames, got ${frames.length}`);
+
+        frames.length = 0;
+        controller.modelAdapter.setLowPower(true);
+        await harness.clock.tick(1000);
+        assert.ok(frames.length >= 4 && frames.length <= 6, `about LOW_POWER_FPS frames, got ${frames.length}`);
+    });
+});
@@ -0,0 +1,264 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./helpers/load-app');
+const { createMockDeezer } = require('./helpers/mock-deezer');
+
+const MANIFEST = {
+    version: 1,
+    moods: ['Happy', 'Sad'],
+    targets: { 0: 'Happy', 1: 'Sad' },
+    cubes: { A: [0], B: [1] },
+    playlists: [
+        { combo: 'DEFAULT', tracks: [{ title: 'Default', artist: 'Nobody', src: 'default.mp3' }] },
+        {
+            combo: 'Happy|—',
+            deezer: { search: 'happy' },
+            tracks: [{ title: 'Local Happy', artist: 'Local', src: 'happy.mp3' }],
+        },
+        { combo: 'Sad|—', deezer: { album: 7002 } },
+        { combo: 'Happy|Sad', deezer: { playlist: 404 } },
+    ],
+};
+
+function createCatalogue(mockOptions = {}) {
+    const deezer = createMockDeezer(mockOptions);
+    const harness = loadApp({ deezer });
+    return { harness, deezer, catalogue: new harness.app.DeezerCatalogue() };
+}
+
+describe('DeezerCatalogue', () => {
+    test('resolves a playlist to playable tracks with previews and covers', async () => {
+        const { catalogue, deezer } = createCatalogue();
+        const tracks = plain(await catalogue.resolve({ playlist: 9001 }));
+
+        assert.deepEqual(deezer.requests, ['/playlist/9001/tracks?limit=25']);
+        assert.deepEqual(tracks.map(track => track.title), ['Sunny Side', 'Bright Morning']); // 1003 is not readable
+        assert.deepEqual(tracks[0], {
+            id: 'deezer:1001',
+            title: 'Sunny Side',
+            artist: 'Mock Band',
+            album: 'Good Days',
+            artwork: 'https://cdn-images.dzcdn.net/images/cover/7001/1000x1000-000000-80-0-0.jpg',
+            src: 'https://cdnt-preview.dzcdn.net/api/1/1/mock/1001.mp3',
+            link: 'https://www.deezer.com/track/1001',
+        });
+    });
+
+    test('album tracks get the album cover and tracks without a preview are skipped', async () => {
+        const { catalogue } = createCatalogue();
+        const tracks = plain(await catalogue.resolve({ album: 7002, limit: 10 }));
+
+        assert.deepEqual(tracks.map(track => track.title), ['Rainy Window', 'Slow Goodbye']);
+        assert.equal(tracks[0].album, 'Grey Skies');
+        assert.match(tracks[0].artwork, /7002\/1000x1000/);
+    });
+
+    test('searches with the query and limit', async () => {
+        const { catalogue, deezer } = createCatalogue();
+        const tracks = await catalogue.resolve({ search: 'happy & sunny', limit: 5 });
+        assert.deepEqual(deezer.requests, ['/search?q=happy+%26+sunny&limit=5']);
+        assert.equal(tracks.length, 0);
+
+        const happy = await catalogue.resolve({ search: 'happy' });
+        assert.deepEqual(plain(happy).map(track => track.id), ['deezer:1002', 'deezer:1001']);
+    });
+
+    test('API errors are reported without retrying', async () => {
+        const { catalogue, deezer, harness } = createCatalogue();
+        const error = await catalogue.resolve({ playlist: 404 }).catch(e => e);
+
+        assert.ok(error instanceof harness.app.DeezerApiError);
+        assert.equal(error.code, 800);
+        assert.equal(error.type, 'DataException');
+        assert.equal(deezer.requests.length, 1);
+    });
+
+    test('waits for the quota window when the API says the quota is exceeded', async () => {
+        const { catalogue, deezer, harness } = createCatalogue();
+        deezer.failNext('quota');
+
+        const tracks = await harness.clock.run(catalogue.resolve({ playlist: 9001 }), 10000);
+        assert.equal(tracks.length, 2);
+        assert.equal(deezer.requests.length, 2);
+        assert.ok(harness.clock.now >= 5000);
+        assert.ok(harness.console.has('warn', /Quota limit exceeded, retrying/));
+    });
+
+    test('retries network failures with backoff, then gives up', async () => {
+        const { catalogue, deezer, harness } = createCatalogue();
+        ['network', 'network', 'network', 'network'].forEach(error => deezer.failNext(error));
+
+        const error = await harness.clock.run(catalogue.resolve({ playlist: 9001 }).catch(e => e), 20000);
+        assert.match(error.message, /Failed to fetch/);
+        assert.equal(deezer.requests.length, 4); // First try and 3 retries
+        assert.equal(harness.clock.now, 1000 + 2000 + 4000);
+    });
+
+    test('spaces requests to stay under the rate limit', async () => {
+        const { catalogue, deezer, harness } = createCatalogue();
+        const requests = Array.from({ length: 60 }, () => catalogue.request('/playlist/9001/tracks'));
+
+        await harness.clock.tick(0);
+        assert.equal(deezer.requests.length, 50);
+
+        const results = await harness.clock.run(Promise.all(requests), 10000);
+        assert.equal(deezer.requests.length, 60);
+        assert.ok(results.every(result => !result.error), 'no request went over the quota');
+    });
+
+    test('loads through a JSONP script by default', async () => {
+        const harness = loadApp({ config: { DEEZER_API_URL: 'https://api.deezer.com' } });
+        const catalogue = new harness.app.DeezerCatalogue();
+        const result = catalogue.resolve({ playlist: 9001 });
+        await harness.clock.tick(0);
+
+        const script = harness.document.head.querySelector('script');
+        const url = new URL(script.src);
+        assert.equal(url.pathname, '/playlist/9001/tracks');
+        assert.equal(url.searchParams.get('output'), 'jsonp');
+
+        const deezer = createMockDeezer();
+        harness.window[url.searchParams.get('callback')](deezer.route(url.pathname, url.searchParams));
+        assert.equal((await result).length, 2);
+        assert.equal(harness.document.head.querySelector('script'), null);
+    });
+
+    test('a JSONP request that times out removes its script and answers late calls with a no-op', async () => {
+        const harness = loadApp({ config: { DEEZER_API_URL: 'https://api.deezer.com' } });
+        const catalogue = new harness.app.DeezerCatalogue();
+        const result = catalogue.jsonp('https://api.deezer.com/playlist/9001/tracks');
+        const rejected = assert.rejects(result, /Deezer request timed out/);
+        const script = harness.document.head.querySelector('script');
+        const callback = new URL(script.src).searchParams.get('callback');
+
+        await harness.clock.tick(8000);
+        await rejected;
+        assert.equal(harness.document.head.querySelector('script'), null);
+        assert.doesNotThrow(() => harness.window[callback]({ data: [] }));
+
+        script.dispatchEvent({ type: 'load' });
+        assert.equal(harness.window[callback], undefined);
+        assert.equal(harness.clock.timers.length, 0);
+    });
+
+    test('a JSONP script that fails to load cleans up right away', async () => {
+        const harness = loadApp({ config: { DEEZER_API_URL: 'https://api.deezer.com' } });
+        const catalogue = new harness.app.DeezerCatalogue();
+        const result = catalogue.jsonp('https://api.deezer.com/playlist/9001/tracks');
+        const script = harness.document.head.querySelector('script');
+        const callback = new URL(script.src).searchParams.get('callback');
+
+        script.dispatchEvent({ type: 'error' });
+        await assert.rejects(result, /Deezer request failed/);
+        assert.equal(harness.document.head.querySelector('script'), null);
+        assert.equal(harness.window[callback], undefined);
+        assert.equal(harness.clock.timers.length, 0);
+    });
+
+    test('JSONP callback names are unique per page load', async () => {
+        const callbackOf = async harness => {
+            new harness.app.DeezerCatalogue().resolve({ playlist: 9001 });
+            await harness.clock.tick(0);
+            return new URL(harness.document.head.querySelector('script').src).searchParams.get('callback');
+        };
+        const config = { DEEZER_API_URL: 'https://api.deezer.com' };
+
+        const first = await callbackOf(loadApp({ config }));
+        const second = await callbackOf(loadApp({ config }));
+        assert.match(first, /^deezerCallback_\w+_1$/);
+        assert.notEqual(first, second);
+    });
+
+    test('is off without DEEZER_API_URL', async () => {
+        const harness = loadApp();
+        const catalogue = new harness.app.DeezerCatalogue();
+        assert.equal(catalogue.isEnabled, false);
+        await assert.rejects(catalogue.resolve({ search: 'happy' }), /turned off/);
+    });
+});
+
+describe('PlaylistManifest deezer sources', () => {
+    test('validates sources and allows playlists without local tracks', () => {
+        const { app } = loadApp();
+        const valid = new app.PlaylistManifest(MANIFEST);
+        assert.deepEqual(plain(valid.validate()), []);
+
+        const manifest = new app.PlaylistManifest({
+            ...MANIFEST,
+            playlists: [
+                ...MANIFEST.playlists.slice(0, 1),
+                { combo: 'Happy|—', deezer: { playlist: 1, search: 'happy' } },
+                { combo: 'Sad|—', deezer: { album: 'abc' } },
+                { combo: 'Happy|Sad', deezer: { search: 'both', limit: 500 } },
+            ],
+        });
+        assert.deepEqual(plain(manifest.validate()), [
+            'playlists[1].deezer: needs exactly one of "playlist", "album", "search"',
+            'playlists[2].deezer: "album" must be a Deezer id (positive integer)',
+            'playlists[3].deezer: "limit" must be an integer from 1 to 100',
+        ]);
+    });
+
+    test('apply() fills CATALOGUE_SOURCES under normalized keys', () => {
+        const harness = loadApp();
+        harness.applyManifest(MANIFEST);
+        assert.deepEqual(plain(harness.app.CATALOGUE_SOURCES), {
+            'Happy|—': { search: 'happy' },
+            'Sad|—': { album: 7002 },
+            'Happy|Sad': { playlist: 404 },
+        });
+        assert.deepEqual(plain(harness.app.COMBO_PLAYLISTS['Sad|—']), []);
+    });
+});
+
+describe('Catalogue playlists in the app', () => {
+    async function createController() {
+        const deezer = createMockDeezer();
+        const harness = loadApp({ deezer, files: { 'playlists.json': MANIFEST } });
+        harness.installFakeScene();
+        const controller = await harness.createController();
+        await harness.clock.tick(0);
+        return { harness, controller };
+    }
+
+    test('adds Deezer tracks before the local tracks and keeps local tracks when a source fails', async () => {
+        const { harness } = await createController();
+        const { COMBO_PLAYLISTS } = harness.app;
+
+        assert.deepEqual(plain(COMBO_PLAYLISTS['Happy|—'].map(track => track.title)), ['Bright Morning', 'Sunny Side', 'Local Happy']);
+        assert.equal(COMBO_PLAYLISTS['Sad|—'].length, 2);
+        assert.equal(COMBO_PLAYLISTS['Happy|Sad'].length, 0);
+        assert.ok(harness.console.has('warn', /Could not load Deezer tracks for Happy\|Sad: Deezer DataException 800/));
+        assert.ok(harness.console.has('log', '✓ Deezer catalogue: 4 tracks for 2/3 playlists'));
+    });
+
+    test('a combo on the fallback playlist switches once its tracks arrive', () => {
+        const harness = loadApp();
+        harness.applyManifest(MANIFEST);
+        const player = new harness.app.MusicPlayer();
+
+        player.switchPlaylist('Sad|—');
+        assert.equal(player.currentPlaylist, harness.app.COMBO_PLAYLISTS.DEFAULT);
+
+        harness.app.COMBO_PLAYLISTS['Sad|—'] = [{ id: 'deezer:1', title: 'Arrived', artist: 'Deezer', src: 'preview.mp3', artwork: 'cover.jpg' }];
+        player.refreshPlaylist();
+        assert.equal(player.currentCombo, 'Sad|—');
+        assert.equal(player.currentPlaylist[0].title, 'Arrived');
+        assert.deepEqual(plain(harness.mediaSession.metadata.artwork), [{ src: 'cover.jpg' }]);
+    });
+
+    test('a playlist that is playing keeps going when its tracks change', () => {
+        const harness = loadApp();
+        harness.applyManifest(MANIFEST);
+        const player = new harness.app.MusicPlayer();
+
+        player.switchPlaylist('Happy|—');
+        const playing = player.currentPlaylist;
+        harness.app.COMBO_PLAYLISTS['Happy|—'] = [{ id: 'deezer:1', title: 'New', src: 'new.mp3' }, ...playing];
+        player.refreshPlaylist();
+        assert.equal(player.currentPlaylist, playing);
+    });
+});
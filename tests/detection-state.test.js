@@ -0,0 +1,203 @@
+'use strict';
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./helpers/load-app');
+
+const CUBE_A = 'Purple Cube';
+const CUBE_B = 'Second Cube';
+
+function face(label, cubeId, confidence = 1.0) {
+    return { label, confidence, cubeId };
+}
+
+describe('DetectionState', () => {
+    let app;
+    let state;
+
+    beforeEach(() => {
+        ({ app } = loadApp());
+        state = new app.DetectionState();
+    });
+
+    /**
+     * Feed the same predictions for a number of frames
+     * @returns {number} Number of frames that reported a change
+     */
+    function feed(predictions, frames) {
+        let changes = 0;
+        for (let i = 0; i < frames; i++) {
+            if (state.update(predictions)) changes++;
+        }
+        return changes;
+    }
+
+    describe('smoothing', () => {
+        test('needs SMOOTHING_FRAMES frames before anything is stable', () => {
+            const frames = app.CONFIG.SMOOTHING_FRAMES;
+            assert.equal(feed([face('Happy', CUBE_A)], frames - 1), 0);
+            assert.equal(state.getComboKey(), 'DEFAULT');
+
+            assert.equal(state.update([face('Happy', CUBE_A)]), true);
+            assert.equal(state.getComboKey(), 'Happy|—');
+        });
+
+        test('reports a change only once while the mood stays the same', () => {
+            assert.equal(feed([face('Happy', CUBE_A)], 30), 1);
+        });
+
+        test('ignores predictions below CONFIDENCE_THRESHOLD', () => {
+            const below = app.CONFIG.CONFIDENCE_THRESHOLD - 0.01;
+            assert.equal(feed([face('Happy', CUBE_A, below)], 20), 0);
+            assert.equal(state.getComboKey(), 'DEFAULT');
+
+            feed([face('Happy', CUBE_A, app.CONFIG.CONFIDENCE_THRESHOLD)], 20);
+            assert.equal(state.getComboKey(), 'Happy|—');
+        });
+
+        test('getStableValue() needs 60% of SMOOTHING_FRAMES to agree', () => {
+            const frames = app.CONFIG.SMOOTHING_FRAMES; // 8 -> 4.8, so 5 frames are needed
+            const needed = Math.ceil(frames * 0.6);
+            const values = count => Array.from({ length: frames }, (_, i) => (i < count ? 'Happy' : null));
+
+            assert.equal(state.getStableValue(values(needed)), 'Happy');
+            assert.equal(state.getStableValue(values(needed - 1)), null);
+        });
+
+        test('getStableValue() picks the most common value and ignores empty frames', () => {
+            assert.equal(state.getStableValue(['Sad', 'Happy', 'Happy', null, 'Happy', 'Happy', 'Happy', 'Sad']), 'Happy');
+            assert.equal(state.getStableValue([null, null, null, null, null, null, null, null]), null);
+        });
+
+        test('a brief flicker does not change the stable mood', () => {
+            feed([face('Happy', CUBE_A)], 10);
+            assert.equal(feed([face('Sad', CUBE_A)], 2), 0);
+            assert.equal(feed([face('Happy', CUBE_A)], 10), 0);
+            assert.equal(state.getComboKey(), 'Happy|—');
+        });
+
+        test('a lost cube goes back to DEFAULT once most frames are empty', () => {
+            feed([face('Happy', CUBE_A)], 10);
+            assert.equal(feed([], 3), 0); // 5 of 8 frames still see Happy
+            assert.equal(feed([], 1), 1);
+            assert.equal(state.getComboKey(), 'DEFAULT');
+        });
+
+        test('only the most confident face of a cube counts', () => {
+            feed([face('Sad', CUBE_A, 0.8), face('Happy', CUBE_A, 0.95)], 10);
+            assert.deepEqual(Object.fromEntries(state.cubeMoods), { [CUBE_A]: 'Happy' });
+            assert.equal(state.getComboKey(), 'Happy|—');
+        });
+
+        test('predictions without a cube count as separate cubes', () => {
+            feed([{ label: 'Happy', confidence: 1 }, { label: 'Sad', confidence: 1 }], 10);
+            assert.equal(state.getComboKey(), 'Happy|Sad');
+        });
+
+        test('reset() clears the buffer and the stable moods', () => {
+            feed([face('Happy', CUBE_A)], 10);
+            state.reset();
+            assert.equal(state.frameCount, 0);
+            assert.equal(state.smoothingBuffer.length, 0);
+            assert.equal(state.getComboKey(), 'DEFAULT');
+        });
+    });
+
+    describe('getComboKey()', () => {
+        test('is DEFAULT without stable moods', () => {
+            assert.equal(state.getComboKey(), 'DEFAULT');
+        });
+
+        test('sorts moods so cube order does not matter', () => {
+            feed([face('Sad', CUBE_A), face('Happy', CUBE_B)], 10);
+            assert.equal(state.getComboKey(), 'Happy|Sad');
+
+            const other = new app.DetectionState();
+            for (let i = 0; i < 10; i++) other.update([face('Happy', CUBE_A), face('Sad', CUBE_B)]);
+            assert.equal(other.getComboKey(), 'Happy|Sad');
+        });
+
+        test('uses the placeholder for a single mood', () => {
+            feed([face('Chill', CUBE_B)], 10);
+            assert.equal(state.getComboKey(), `Chill|${app.SINGLE_MOOD_PLACEHOLDER}`);
+        });
+
+        test('two cubes with the same mood count as that mood alone', () => {
+            feed([face('Happy', CUBE_A), face('Happy', CUBE_B)], 10);
+            assert.equal(state.getComboKey(), 'Happy|—');
+        });
+    });
+
+    describe('getLockProgress()', () => {
+        test('fills up with the buffer until the mood is stable', () => {
+            assert.deepEqual(plain(state.getLockProgress()), []);
+
+            feed([face('Happy', CUBE_A)], 2);
+            assert.deepEqual(plain(state.getLockProgress()), [
+                { cubeId: CUBE_A, mood: 'Happy', isStable: false, progress: 2 / app.CONFIG.SMOOTHING_FRAMES },
+            ]);
+
+            feed([face('Happy', CUBE_A)], app.CONFIG.SMOOTHING_FRAMES - 2);
+            assert.deepEqual(plain(state.getLockProgress()), [{ cubeId: CUBE_A, mood: 'Happy', isStable: true, progress: 1 }]);
+        });
+
+        test('a turned cube counts the frames agreeing on its new mood', () => {
+            feed([face('Happy', CUBE_A)], 10);
+            feed([face('Sad', CUBE_A), face('Happy', CUBE_B)], 2);
+
+            // 60% of 8 frames is 5 frames
+            assert.deepEqual(plain(state.getLockProgress()), [
+                { cubeId: CUBE_A, mood: 'Sad', isStable: false, progress: 2 / 5 },
+                { cubeId: CUBE_B, mood: 'Happy', isStable: false, progress: 2 / 5 },
+            ]);
+        });
+    });
+});
+
+describe('PlaylistManifest.normalizeCombo()', () => {
+    test('sorts two moods and keeps the placeholder last', () => {
+        const { app } = loadApp();
+        assert.equal(app.PlaylistManifest.normalizeCombo(['Sad', 'Happy']), 'Happy|Sad');
+        assert.equal(app.PlaylistManifest.normalizeCombo(['Happy', 'Sad']), 'Happy|Sad');
+        assert.equal(app.PlaylistManifest.normalizeCombo(['Sad', '—']), 'Sad|—');
+    });
+
+    test('apply() stores combo playlists under normalized keys', () => {
+        const harness = loadApp();
+        harness.applyManifest({
+            version: 1,
+            moods: ['Happy', 'Sad'],
+            targets: { 0: 'Happy', 1: 'Sad' },
+            cubes: { A: [0, 1] },
+            playlists: [
+                { combo: 'DEFAULT', tracks: [{ title: 'Default', artist: 'A', src: 'default.mp3' }] },
+                { combo: 'Sad|Happy', tracks: [{ title: 'Mixed', artist: 'A', src: 'mixed.mp3' }] },
+            ],
+        });
+
+        assert.deepEqual(Object.keys(harness.app.COMBO_PLAYLISTS).sort(), ['DEFAULT', 'Happy|Sad']);
+        assert.deepEqual(plain(harness.app.TARGET_CUBES), { 0: 'A', 1: 'A' });
+    });
+
+    test('playlist names are optional and stored under normalized keys', () => {
+        const harness = loadApp();
+        const manifest = {
+            version: 1,
+            moods: ['Happy', 'Sad'],
+            targets: { 0: 'Happy', 1: 'Sad' },
+            cubes: { A: [0, 1] },
+            playlists: [
+                { combo: 'DEFAULT', tracks: [{ src: 'default.mp3' }] },
+                { combo: 'Sad|Happy', name: ' Bittersweet ', tracks: [{ src: 'mixed.mp3' }] },
+            ],
+        };
+        harness.applyManifest(manifest);
+        assert.deepEqual(plain(harness.app.PLAYLIST_NAMES), { 'Happy|Sad': 'Bittersweet' });
+
+        manifest.playlists[1].name = ' ';
+        assert.deepEqual(plain(new harness.app.PlaylistManifest(manifest).validate()), [
+            'playlists[1]: "name" must be a non-empty string',
+        ]);
+    });
+});
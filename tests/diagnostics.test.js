@@ -0,0 +1,135 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveObjectURL } = require('node:buffer');
+const vm = require('node:vm');
+
+const { loadApp, plain } = require('./helpers/load-app');
+
+// Targets in playlists.json
+const HAPPY_CUBE_A = 4;
+
+function panelText(harness) {
+    const text = [];
+    const visit = element => {
+        if (element.textContent) text.push(element.textContent);
+        element.children.forEach(visit);
+    };
+    visit(harness.document.getElementById('diagnosticsPanel'));
+    return text.join('\n');
+}
+
+async function tap(harness, times, interval = 100) {
+    for (let i = 0; i < times; i++) {
+        harness.document.getElementById('trackInfo').click();
+        await harness.clock.tick(interval);
+    }
+}
+
+describe('Logger', () => {
+    test('keeps every level and prints from LOG_LEVEL up', () => {
+        const harness = loadApp({ config: { LOG_LEVEL: 'warn' } });
+        const logger = new harness.app.Logger();
+
+        logger.debug('Step 1');
+        logger.info('Loaded', { targets: 12 });
+        logger.warn('Careful');
+        logger.error('Broken:', vm.runInContext("new Error('no camera')", harness.context));
+
+        assert.deepEqual(plain(logger.entries.map(entry => [entry.level, entry.message])), [
+            ['debug', 'Step 1'],
+            ['info', 'Loaded {"targets":12}'],
+            ['warn', 'Careful'],
+            ['error', 'Broken: Error: no camera'],
+        ]);
+        assert.deepEqual(plain(harness.console.messages.map(message => message.level)), ['warn', 'error']);
+    });
+
+    test('is quiet in production unless the URL has ?debug', () => {
+        const harness = loadApp();
+        const logger = new harness.app.Logger();
+        harness.window.location.hostname = 'xsandy03.github.io';
+        logger.info('Hidden');
+        assert.equal(logger.level, 'warn');
+        assert.equal(harness.console.has('log', 'Hidden'), false);
+
+        harness.window.location.search = '?debug';
+        logger.info('Shown');
+        assert.ok(harness.console.has('log', 'Shown'));
+    });
+
+    test('keeps the last LOG_BUFFER_SIZE messages and exports them as lines', () => {
+        const harness = loadApp({ config: { LOG_LEVEL: 'error' } });
+        const logger = new harness.app.Logger();
+        for (let i = 0; i < 510; i++) logger.debug(`message ${i}`);
+
+        assert.equal(logger.entries.length, 500);
+        assert.equal(logger.entries[0].message, 'message 10');
+        assert.match(logger.toText().split('\n')[0], /^\d{4}-\d\d-\d\dT[\d:.]+Z DEBUG message 10$/);
+    });
+});
+
+describe('DiagnosticsPanel', () => {
+    test('opens after five quick taps on the track info, not slow ones', async () => {
+        const { harness, controller } = await loadApp().startApp();
+        const panel = controller.diagnostics;
+
+        await tap(harness, 5, 600);
+        assert.equal(panel.isOpen, false);
+
+        await tap(harness, 5);
+        assert.equal(panel.isOpen, true);
+        await tap(harness, 5);
+        assert.equal(panel.isOpen, false);
+    });
+
+    test('opens on start with ?debug in the URL', async () => {
+        const harness = loadApp();
+        harness.window.location.search = '?mock=1&debug';
+        const { controller } = await harness.startApp();
+        const panel = controller.diagnostics;
+        assert.equal(panel.isOpen, true);
+    });
+
+    test('shows MindAR state, tracked targets, frame rate, audio and recent errors', async () => {
+        const { harness, controller, system } = await loadApp().startApp();
+        const panel = controller.diagnostics;
+        panel.open();
+        system.findTarget(HAPPY_CUBE_A);
+        harness.app.logger.error('Something broke');
+        await harness.clock.tick(2000);
+
+        const text = panelText(harness);
+        assert.match(text, /MindAR system\nfound/);
+        assert.match(text, /Scene systems\nmindar-image-system/);
+        assert.match(text, new RegExp(`Happy\ntarget ${HAPPY_CUBE_A}, cube`));
+        const fps = Number(/Detection FPS\n([\d.]+)/.exec(text)[1]);
+        assert.ok(fps > 15 && fps <= 30, `detection frame rate ${fps}`);
+        assert.match(text, new RegExp(`Source\n${controller.musicPlayer.audio.getAttribute('src')}`));
+        assert.match(text, /\d\d:\d\d:\d\d Something broke/);
+
+        panel.close();
+        assert.equal(panel.refreshTimer, null);
+    });
+
+    test('exports the diagnostics and the log as a text file', async () => {
+        const { harness, controller } = await loadApp().startApp();
+        const panel = controller.diagnostics;
+        const links = [];
+        const createElement = harness.document.createElement.bind(harness.document);
+        harness.document.createElement = tag => {
+            const element = createElement(tag);
+            if (tag === 'a') links.push(element);
+            return element;
+        };
+
+        harness.document.getElementById('diagnosticsExportButton').click();
+        assert.equal(links.length, 1);
+        assert.match(links[0].download, /^mood-cubes-log-.*\.txt$/);
+
+        const text = await resolveObjectURL(links[0].href).text();
+        assert.match(text, /## Detector\nBackend: mindar/);
+        assert.match(text, /INFO  ✓ MindAR loaded and started successfully/);
+    });
+});
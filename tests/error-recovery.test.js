@@ -0,0 +1,199 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./helpers/load-app');
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148';
+
+function track(title) {
+    return { title, artist: 'Test Artist', src: `${title.toLowerCase()}.mp3` };
+}
+
+const MANIFEST = {
+    version: 1,
+    moods: ['Happy', 'Sad'],
+    targets: { 0: 'Happy', 1: 'Sad' },
+    cubes: { A: [0], B: [1] },
+    playlists: [
+        { combo: 'DEFAULT', tracks: [track('One'), track('Two'), track('Three')] },
+    ],
+};
+const FILES = { 'playlists.json': MANIFEST };
+
+function errorScreen(harness) {
+    const $ = id => harness.document.getElementById(id);
+    return {
+        isShown: !$('errorOverlay').classList.contains('hidden'),
+        type: $('errorOverlay').dataset.error,
+        title: $('errorTitle').textContent,
+        steps: $('errorSteps').children.map(item => item.textContent),
+        details: $('errorDetails').textContent,
+        retry: $('errorRetryButton').textContent,
+        dismiss: $('errorDismissButton').textContent,
+    };
+}
+
+describe('Camera and AR errors', () => {
+    test('a denied camera shows the permission screen for the platform and keeps the music', async () => {
+        const harness = loadApp({ files: FILES, camera: 'NotAllowedError' });
+        harness.context.navigator.userAgent = IPHONE;
+        const { controller, system } = await harness.startApp();
+        const screen = errorScreen(harness);
+
+        assert.equal(screen.isShown, true);
+        assert.equal(screen.type, 'permissionDenied');
+        assert.equal(screen.title, 'Camera access is blocked');
+        assert.deepEqual(plain(screen.steps), plain(harness.app.ERROR_SCREENS.permissionDenied.steps.ios));
+        assert.match(screen.details, /NotAllowedError/);
+        assert.equal(harness.document.activeElement, harness.document.getElementById('errorRetryButton'));
+
+        assert.equal(system.startCount, 0);
+        assert.equal(controller.isStarted, true);
+        assert.equal(controller.musicPlayer.currentCombo, 'DEFAULT');
+    });
+
+    test('camera failures are told apart by their error name', async () => {
+        const types = {};
+        for (const name of ['NotFoundError', 'NotReadableError', 'SecurityError', 'TypeError']) {
+            const { controller } = await loadApp({ camera: name }).startApp();
+            types[name] = controller.modelAdapter.loadError.type;
+        }
+        assert.deepEqual(types, {
+            NotFoundError: 'noCamera',
+            NotReadableError: 'noCamera',
+            SecurityError: 'permissionDenied',
+            TypeError: 'noCamera',
+        });
+
+        const { harness } = await loadApp({ camera: false }).startApp();
+        assert.equal(errorScreen(harness).type, 'noCamera');
+        assert.deepEqual(plain(errorScreen(harness).steps), plain(harness.app.ERROR_SCREENS.noCamera.steps.desktop));
+    });
+
+    test('an http page gets the insecure context screen, which opens the https address', async () => {
+        const harness = loadApp();
+        harness.window.isSecureContext = false;
+        harness.window.location.href = 'http://cubes.example/app/?mock=0';
+        await harness.startApp();
+
+        assert.equal(errorScreen(harness).type, 'insecureContext');
+        assert.equal(errorScreen(harness).retry, 'Open secure page');
+        assert.equal(harness.context.navigator.mediaDevices.requests, 0);
+
+        harness.document.getElementById('errorRetryButton').click();
+        assert.equal(harness.window.location.href, 'https://cubes.example/app/?mock=0');
+    });
+
+    test('the camera check closes its stream and MindAR starts as before', async () => {
+        const { harness, controller, system } = await loadApp({ files: FILES }).startApp();
+
+        assert.equal(harness.context.navigator.mediaDevices.stoppedTracks, 1);
+        assert.equal(system.startCount, 1);
+        assert.equal(controller.modelAdapter.loadError, null);
+        assert.equal(errorScreen(harness).isShown, false);
+    });
+
+    test('a missing targets file shows its screen and Try again reloads the page', async () => {
+        const { harness, system } = await loadApp({ files: { 'target.mind': null } }).startApp();
+
+        assert.equal(errorScreen(harness).type, 'targetsFailed');
+        assert.equal(errorScreen(harness).details, 'Could not load ./target.mind (HTTP 404)');
+        assert.equal(system.startCount, 0);
+
+        harness.document.getElementById('errorRetryButton').click();
+        assert.equal(harness.window.location.reloadCount, 1);
+        assert.equal(errorScreen(harness).isShown, false);
+
+        // A second tap before the page reloads finds no error and does nothing
+        harness.document.getElementById('errorRetryButton').click();
+        assert.equal(harness.window.location.reloadCount, 1);
+    });
+
+    test('a scene that never loads shows the library screen, and it can be dismissed', async () => {
+        const { harness } = await loadApp({ files: FILES }).startApp({ sceneOptions: { hasLoaded: false } });
+
+        assert.equal(errorScreen(harness).type, 'libraryMissing');
+        assert.equal(errorScreen(harness).dismiss, 'Continue without camera');
+
+        harness.document.getElementById('errorDismissButton').click();
+        assert.equal(errorScreen(harness).isShown, false);
+        assert.equal(harness.window.location.reloadCount, 0);
+    });
+
+    test('a MindAR arError after start shows the camera screen', async () => {
+        const { harness, controller, scene } = await loadApp({ files: FILES }).startApp();
+        scene.dispatchEvent({ type: 'arError', detail: { error: 'VIDEO_FAIL' } });
+
+        assert.equal(errorScreen(harness).type, 'noCamera');
+        assert.equal(errorScreen(harness).details, 'MindAR error: {"error":"VIDEO_FAIL"}');
+        assert.equal(controller.modelAdapter.isLoaded, false);
+    });
+});
+
+describe('Track errors', () => {
+    test('a track that fails to load is skipped and the music keeps playing', async () => {
+        const { harness, controller } = await loadApp({ files: FILES }).startApp();
+        const player = controller.musicPlayer;
+        await player.play();
+        const failed = player.currentPlaylist[player.currentTrackIndex];
+
+        player.audio.fakeError();
+        await harness.clock.tick(0);
+
+        assert.notEqual(player.currentPlaylist[player.currentTrackIndex], failed);
+        assert.equal(player.audio.paused, false);
+        assert.ok(harness.console.has('warn', `Could not play ${failed.src} (source not supported)`));
+        assert.equal(errorScreen(harness).isShown, false);
+    });
+
+    test('a track that failed before it started playing still skips to a playing one', async () => {
+        const { harness, controller } = await loadApp({ files: FILES }).startApp();
+        const player = controller.musicPlayer;
+        player.play();
+        player.audio.fakeError(2);
+        await harness.clock.tick(0);
+
+        assert.equal(player.isPlaying, true);
+        assert.equal(player.audio.paused, false);
+    });
+
+    test('when every track fails the music stops with the track screen, and Try again plays again', async () => {
+        const { harness, controller } = await loadApp({ files: FILES }).startApp();
+        const player = controller.musicPlayer;
+        await player.play();
+
+        // A track that loads in between starts the count over
+        player.audio.fakeError();
+        player.audio.fakeLoadedMetadata();
+        for (let i = 0; i < player.currentPlaylist.length; i++) {
+            assert.equal(errorScreen(harness).isShown, false);
+            player.audio.fakeError(2);
+        }
+
+        assert.equal(player.isPlaying, false);
+        assert.equal(errorScreen(harness).type, 'trackFailed');
+        assert.equal(errorScreen(harness).dismiss, 'Close');
+        assert.equal(errorScreen(harness).details, 'No track of DEFAULT could be played (3 tried, last: network error)');
+
+        harness.document.getElementById('errorRetryButton').click();
+        await harness.clock.tick(0);
+        assert.equal(player.isPlaying, true);
+        assert.equal(player.failedTracks, 0);
+        assert.equal(harness.window.location.reloadCount, 0);
+    });
+
+    test('errors that come in while a screen is shown wait for it to be closed', async () => {
+        const { harness, controller } = await loadApp({ camera: 'NotAllowedError' }).startApp();
+        const { AppError } = harness.app;
+        controller.handleError(new AppError('trackFailed', 'No track'));
+        controller.handleError(new AppError('permissionDenied', 'Again'));
+
+        assert.equal(errorScreen(harness).type, 'permissionDenied');
+        harness.document.getElementById('errorDismissButton').click();
+        assert.equal(errorScreen(harness).type, 'trackFailed');
+        harness.document.getElementById('errorDismissButton').click();
+        assert.equal(errorScreen(harness).isShown, false);
+    });
+});
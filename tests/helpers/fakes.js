@@ -0,0 +1,888 @@
+// ============================================================================
+// Browser Fakes
+// ============================================================================
+//
+// Just enough of the DOM, Audio, Web Audio, A-Frame and MindAR for app.js to
+// run headless in Node. Time is driven by FakeClock, so timeouts and the
+// detection loop run instantly and in a fixed order.
+
+'use strict';
+
+// ============================================================================
+// Clock
+// ============================================================================
+
+// Let pending promise callbacks run (app.js shares the microtask queue with Node)
+function flushMicrotasks() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+class FakeClock {
+    constructor() {
+        this.now = 0;
+        this.timers = [];
+        this.nextId = 1;
+
+        // Bound so they can be handed to app.js as globals
+        this.setTimeout = this.setTimeout.bind(this);
+        this.clearTimeout = this.clearTimeout.bind(this);
+        this.setInterval = this.setInterval.bind(this);
+        this.clearInterval = this.clearTimeout;
+        this.requestAnimationFrame = this.requestAnimationFrame.bind(this);
+        this.cancelAnimationFrame = this.clearTimeout;
+    }
+
+    setTimeout(callback, delay = 0, ...args) {
+        const id = this.nextId++;
+        this.timers.push({ id, at: this.now + Math.max(0, Number(delay) || 0), callback, args, interval: null });
+        return id;
+    }
+
+    setInterval(callback, delay = 0, ...args) {
+        const id = this.setTimeout(callback, delay, ...args);
+        this.timers.find(timer => timer.id === id).interval = Math.max(1, Number(delay) || 0);
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    // 60 Hz animation frames
+    requestAnimationFrame(callback) {
+        return this.setTimeout(() => callback(this.now), 16);
+    }
+
+    /**
+     * Advance time, firing due timers in order and letting promises settle after each one
+     * @param {number} ms
+     */
+    async tick(ms) {
+        const end = this.now + ms;
+        await flushMicrotasks();
+
+        for (;;) {
+            const due = this.timers
+                .filter(timer => timer.at <= end)
+                .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+            if (!due) break;
+
+            this.now = due.at;
+            if (due.interval) {
+                due.at += due.interval;
+            } else {
+                this.clearTimeout(due.id);
+            }
+            due.callback(...due.args);
+            await flushMicrotasks();
+        }
+
+        this.now = end;
+        await flushMicrotasks();
+    }
+
+    /**
+     * Advance time until a promise settles (or give up after maxMs)
+     * @param {Promise} promise
+     * @param {number} maxMs
+     */
+    async run(promise, maxMs = 60000) {
+        let settled = false;
+        promise.then(() => { settled = true; }, () => { settled = true; });
+        for (let elapsed = 0; !settled && elapsed < maxMs; elapsed += 50) {
+            await this.tick(50);
+        }
+        if (!settled) {
+            throw new Error(`Promise still pending after ${maxMs}ms of fake time`);
+        }
+        return promise;
+    }
+}
+
+// ============================================================================
+// DOM
+// ============================================================================
+
+class FakeClassList {
+    constructor() {
+        this.names = new Set();
+    }
+
+    add(...names) {
+        names.forEach(name => this.names.add(name));
+    }
+
+    remove(...names) {
+        names.forEach(name => this.names.delete(name));
+    }
+
+    contains(name) {
+        return this.names.has(name);
+    }
+
+    toggle(name, force) {
+        const add = force === undefined ? !this.names.has(name) : Boolean(force);
+        if (add) this.names.add(name); else this.names.delete(name);
+        return add;
+    }
+
+    toString() {
+        return Array.from(this.names).join(' ');
+    }
+}
+
+// 2D context that accepts every drawing call
+function createCanvasContext() {
+    const state = {
+        measureText: text => ({ width: String(text).length * 10 }),
+    };
+    return new Proxy(state, {
+        get(target, prop) {
+            if (prop in target) return target[prop];
+            return () => {};
+        },
+        set(target, prop, value) {
+            target[prop] = value;
+            return true;
+        },
+    });
+}
+
+class FakeElement {
+    constructor(tagName, ownerDocument = null) {
+        this.tagName = tagName.toUpperCase();
+        this.ownerDocument = ownerDocument;
+        this.id = '';
+        this.children = [];
+        this.parentElement = null;
+        this.attributes = new Map();
+        this.listeners = new Map();
+        this.classList = new FakeClassList();
+        this.style = {};
+        this.dataset = {};
+        this.textContent = '';
+        this.value = '';
+        this.disabled = false;
+        this.hidden = false;
+        this.width = 300;
+        this.height = 150;
+        this.context2d = null;
+    }
+
+    get className() {
+        return this.classList.toString();
+    }
+
+    set className(value) {
+        this.classList = new FakeClassList();
+        this.classList.add(...String(value).split(/\s+/).filter(Boolean));
+    }
+
+    get offsetHeight() {
+        return 0;
+    }
+
+    setAttribute(name, value) {
+        value = String(value);
+        this.attributes.set(name, value);
+        if (name === 'id') this.id = value;
+        if (name === 'class') this.className = value;
+    }
+
+    getAttribute(name) {
+        if (name === 'id') return this.id || null;
+        if (name === 'class') return this.className || null;
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    hasAttribute(name) {
+        return this.getAttribute(name) !== null;
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+
+    appendChild(child) {
+        child.remove();
+        child.parentElement = this;
+        this.children.push(child);
+        return child;
+    }
+
+    append(...children) {
+        children.forEach(child => this.appendChild(child));
+    }
+
+    replaceChildren(...children) {
+        this.children.forEach(child => {
+            child.parentElement = null;
+        });
+        this.children = [];
+        this.append(...children);
+    }
+
+    remove() {
+        if (!this.parentElement) return;
+        const siblings = this.parentElement.children;
+        siblings.splice(siblings.indexOf(this), 1);
+        this.parentElement = null;
+    }
+
+    contains(element) {
+        for (let node = element; node; node = node.parentElement) {
+            if (node === this) return true;
+        }
+        return false;
+    }
+
+    addEventListener(type, listener, options = {}) {
+        if (!this.listeners.has(type)) this.listeners.set(type, []);
+        this.listeners.get(type).push({ listener, once: Boolean(options && options.once) });
+    }
+
+    removeEventListener(type, listener) {
+        const entries = this.listeners.get(type) || [];
+        this.listeners.set(type, entries.filter(entry => entry.listener !== listener));
+    }
+
+    /**
+     * @param {{type: string}} event - Plain object or event-like
+     */
+    dispatchEvent(event) {
+        if (!event.target) event.target = this;
+        if (!event.preventDefault) event.preventDefault = () => { event.defaultPrevented = true; };
+        const entries = (this.listeners.get(event.type) || []).slice();
+        entries.forEach(entry => {
+            if (entry.once) this.removeEventListener(event.type, entry.listener);
+            entry.listener.call(this, event);
+        });
+        return !event.defaultPrevented;
+    }
+
+    click() {
+        if (!this.disabled) this.dispatchEvent({ type: 'click' });
+    }
+
+    focus() {
+        if (this.ownerDocument) this.ownerDocument.activeElement = this;
+    }
+
+    blur() {
+        if (this.ownerDocument && this.ownerDocument.activeElement === this) {
+            this.ownerDocument.activeElement = this.ownerDocument.body;
+        }
+    }
+
+    getBoundingClientRect() {
+        return { left: 0, top: 0, width: 100, height: 10, right: 100, bottom: 10 };
+    }
+
+    getContext(type) {
+        if (type !== '2d') return null;
+        if (!this.context2d) this.context2d = createCanvasContext();
+        return this.context2d;
+    }
+
+    /**
+     * Supports '#id', '.class', 'tag' and '[attribute]' selectors, comma separated
+     */
+    matches(selector) {
+        return selector.split(',').map(part => part.trim()).some(part => {
+            if (part.startsWith('#')) return this.id === part.slice(1);
+            if (part.startsWith('.')) return this.classList.contains(part.slice(1));
+            const attribute = part.match(/^\[([\w-]+)\]$/);
+            if (attribute) return this.hasAttribute(attribute[1]);
+            return this.tagName === part.toUpperCase();
+        });
+    }
+
+    querySelectorAll(selector) {
+        const found = [];
+        const visit = element => {
+            element.children.forEach(child => {
+                if (child.matches(selector)) found.push(child);
+                visit(child);
+            });
+        };
+        visit(this);
+        return found;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    closest(selector) {
+        for (let node = this; node && node.matches; node = node.parentElement) {
+            if (node.matches(selector)) return node;
+        }
+        return null;
+    }
+}
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+class FakeDocument extends FakeElement {
+    constructor() {
+        super('#document');
+        this.ownerDocument = this;
+        this.readyState = 'complete';
+        this.hidden = false;
+        this.visibilityState = 'visible';
+        this.documentElement = this.createElement('html');
+        this.head = this.createElement('head');
+        this.body = this.createElement('body');
+        this.documentElement.append(this.head, this.body);
+        this.appendChild(this.documentElement);
+        this.activeElement = this.body;
+    }
+
+    createElement(tagName) {
+        if (tagName.toLowerCase() === 'audio') return new FakeAudio(this);
+        return new FakeElement(tagName, this);
+    }
+
+    // new Option(text, value)
+    createOption(text = '', value = text) {
+        const option = this.createElement('option');
+        option.textContent = text;
+        option.value = value;
+        return option;
+    }
+
+    getElementById(id) {
+        return this.querySelector(`#${id}`);
+    }
+
+    /**
+     * Build the body from an HTML page (tags and attributes only, text is ignored)
+     * @param {string} html
+     */
+    loadHTML(html) {
+        const body = html.replace(/<!--[\s\S]*?-->/g, '').match(/<body[^>]*>([\s\S]*)<\/body>/i);
+        const source = (body ? body[1] : html).replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1>/gi, '');
+        const stack = [this.body];
+        const tagPattern = /<(\/?)([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/g;
+        let match;
+        while ((match = tagPattern.exec(source))) {
+            const [, closing, tag, attributes, selfClosing] = match;
+            if (closing) {
+                const index = stack.map(el => el.tagName).lastIndexOf(tag.toUpperCase());
+                if (index > 0) stack.length = index;
+                continue;
+            }
+
+            const element = this.createElement(tag);
+            const attributePattern = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+            let attribute;
+            while ((attribute = attributePattern.exec(attributes))) {
+                const value = attribute[2] !== undefined ? attribute[2] : attribute[3] !== undefined ? attribute[3] : (attribute[4] || '');
+                element.setAttribute(attribute[1], value);
+            }
+            if (element.hasAttribute('disabled')) element.disabled = true;
+            stack[stack.length - 1].appendChild(element);
+
+            if (!selfClosing && !VOID_TAGS.has(tag.toLowerCase())) {
+                stack.push(element);
+            }
+        }
+    }
+}
+
+// ============================================================================
+// Audio
+// ============================================================================
+
+class FakeAudio extends FakeElement {
+    constructor(ownerDocument = null) {
+        super('audio', ownerDocument);
+        this.rawSrc = '';
+        this.paused = true;
+        this.currentTime = 0;
+        this.duration = NaN;
+        this.volume = 1;
+        this.crossOrigin = null;
+        this.preload = '';
+        this.playCount = 0;
+        this.error = null;
+    }
+
+    // Like browsers, src reads back as an absolute URL
+    get src() {
+        return this.rawSrc ? new URL(this.rawSrc, FakeAudio.baseURL).href : '';
+    }
+
+    set src(value) {
+        this.rawSrc = String(value);
+        this.attributes.set('src', this.rawSrc);
+        this.currentTime = 0;
+        this.duration = NaN;
+        this.error = null;
+    }
+
+    play() {
+        if (FakeAudio.failPlay) {
+            return Promise.reject(new Error('NotAllowedError: play() failed'));
+        }
+        this.paused = false;
+        this.playCount++;
+        this.dispatchEvent({ type: 'play' });
+        return Promise.resolve();
+    }
+
+    pause() {
+        this.paused = true;
+        this.dispatchEvent({ type: 'pause' });
+    }
+
+    // Test helper: pretend the file loaded
+    fakeLoadedMetadata(duration = 180) {
+        this.duration = duration;
+        this.dispatchEvent({ type: 'loadedmetadata' });
+    }
+
+    // Test helper: pretend the track played to the end
+    fakeEnded() {
+        this.currentTime = this.duration;
+        this.paused = true;
+        this.dispatchEvent({ type: 'ended' });
+    }
+
+    // Test helper: pretend the file failed to load (MediaError code, 4 = source not supported)
+    fakeError(code = 4) {
+        this.error = { code, message: '' };
+        this.paused = true;
+        this.dispatchEvent({ type: 'error' });
+    }
+}
+
+FakeAudio.baseURL = 'http://localhost/';
+FakeAudio.failPlay = false;
+
+class FakeAudioParam {
+    constructor(value) {
+        this.value = value;
+        this.target = value;
+    }
+
+    cancelScheduledValues() {}
+
+    setValueAtTime(value) {
+        this.value = value;
+    }
+
+    // Ramps jump straight to their end value, `target` keeps what was scheduled
+    linearRampToValueAtTime(value) {
+        this.value = value;
+        this.target = value;
+    }
+}
+
+class FakeAudioNode {
+    constructor(context) {
+        this.context = context;
+        this.connections = [];
+    }
+
+    connect(node) {
+        this.connections.push(node);
+        return node;
+    }
+
+    disconnect() {
+        this.connections = [];
+    }
+}
+
+// Set frequencyData to the byte spectrum getByteFrequencyData() should report
+class FakeAnalyserNode extends FakeAudioNode {
+    constructor(context) {
+        super(context);
+        this.fftSize = 2048;
+        this.frequencyData = null;
+    }
+
+    get frequencyBinCount() {
+        return this.fftSize / 2;
+    }
+
+    getByteFrequencyData(array) {
+        array.fill(0);
+        if (this.frequencyData) array.set(this.frequencyData.slice(0, array.length));
+    }
+}
+
+class FakeAudioContext {
+    constructor() {
+        this.state = 'running';
+        this.currentTime = 0;
+        this.sampleRate = 48000;
+        this.destination = new FakeAudioNode(this);
+    }
+
+    createGain() {
+        const node = new FakeAudioNode(this);
+        node.gain = new FakeAudioParam(1);
+        return node;
+    }
+
+    createAnalyser() {
+        return new FakeAnalyserNode(this);
+    }
+
+    createMediaElementSource(mediaElement) {
+        const node = new FakeAudioNode(this);
+        node.mediaElement = mediaElement;
+        return node;
+    }
+
+    resume() {
+        this.state = 'running';
+        return Promise.resolve();
+    }
+
+    suspend() {
+        this.state = 'suspended';
+        return Promise.resolve();
+    }
+}
+
+class FakeMediaMetadata {
+    constructor({ title = '', artist = '', album = '', artwork = [] } = {}) {
+        this.title = title;
+        this.artist = artist;
+        this.album = album;
+        this.artwork = artwork;
+    }
+}
+
+class FakeMediaSession {
+    constructor() {
+        this.metadata = null;
+        this.playbackState = 'none';
+        this.positionState = null;
+        this.handlers = {};
+    }
+
+    setActionHandler(action, handler) {
+        this.handlers[action] = handler;
+    }
+
+    setPositionState(state) {
+        if (state.position > state.duration) {
+            throw new TypeError('position is greater than duration');
+        }
+        this.positionState = state;
+    }
+
+    // Test helper: act like a lock screen or headphone button
+    trigger(action, details = {}) {
+        const handler = this.handlers[action];
+        if (!handler) throw new Error(`No handler for "${action}"`);
+        return handler({ action, ...details });
+    }
+}
+
+// ============================================================================
+// Storage and Service Worker
+// ============================================================================
+
+/**
+ * localStorage stand-in
+ * Share one instance between loadApp() calls to simulate a reload
+ */
+class FakeStorage {
+    constructor(entries = {}) {
+        this.items = new Map(Object.entries(entries));
+        this.blocked = false; // Throw on every access, like Safari with storage disabled
+    }
+
+    getItem(key) {
+        this.check();
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.check();
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.check();
+        this.items.delete(key);
+    }
+
+    check() {
+        if (this.blocked) {
+            throw new Error('SecurityError: storage is disabled');
+        }
+    }
+}
+
+class FakeEventTarget {
+    constructor() {
+        this.listeners = {};
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+    }
+
+    dispatchEvent(event) {
+        (this.listeners[event.type] || []).forEach(listener => listener(event));
+    }
+}
+
+class FakeServiceWorker extends FakeEventTarget {
+    constructor(state = 'installing') {
+        super();
+        this.state = state;
+        this.messages = [];
+    }
+
+    postMessage(message) {
+        this.messages.push(message);
+    }
+
+    // Test helper
+    setState(state) {
+        this.state = state;
+        this.dispatchEvent({ type: 'statechange' });
+    }
+}
+
+class FakeServiceWorkerRegistration extends FakeEventTarget {
+    constructor() {
+        super();
+        this.installing = null;
+        this.waiting = null;
+        this.active = null;
+    }
+
+    // Test helper: a new version was found, returns its worker
+    findUpdate() {
+        this.installing = new FakeServiceWorker();
+        this.dispatchEvent({ type: 'updatefound' });
+        return this.installing;
+    }
+}
+
+// navigator.serviceWorker
+class FakeServiceWorkerContainer extends FakeEventTarget {
+    /**
+     * @param {Object} options
+     * @param {boolean} [options.controlled] - Page already controlled by a worker (not the first visit)
+     * @param {Error} [options.failWith] - Make register() reject
+     */
+    constructor({ controlled = false, failWith = null } = {}) {
+        super();
+        this.controller = controlled ? new FakeServiceWorker('activated') : null;
+        this.failWith = failWith;
+        this.registration = new FakeServiceWorkerRegistration();
+        this.registeredURL = null;
+    }
+
+    async register(url) {
+        if (this.failWith) throw this.failWith;
+        this.registeredURL = url;
+        return this.registration;
+    }
+
+    // Test helper
+    changeController() {
+        this.controller = new FakeServiceWorker('activated');
+        this.dispatchEvent({ type: 'controllerchange' });
+    }
+}
+
+// Cache Storage for sw.js, keyed by absolute URL
+class FakeCache {
+    constructor(storage) {
+        this.storage = storage;
+        this.entries = new Map(); // URL -> Response
+    }
+
+    async match(request, { ignoreSearch = false } = {}) {
+        const url = this.storage.resolve(request);
+        let response = this.entries.get(url);
+        if (!response && ignoreSearch) {
+            const bare = url.split('?')[0];
+            const key = Array.from(this.entries.keys()).find(k => k.split('?')[0] === bare);
+            response = key && this.entries.get(key);
+        }
+        return response ? response.clone() : undefined;
+    }
+
+    async put(request, response) {
+        if (response.status === 206) {
+            throw new TypeError('Partial response (status code 206) is unsupported');
+        }
+        this.entries.set(this.storage.resolve(request), response.clone());
+    }
+
+    async addAll(requests) {
+        const responses = await Promise.all(requests.map(request => this.storage.fetch(this.storage.resolve(request))));
+        responses.forEach((response, i) => {
+            if (!response.ok) throw new TypeError(`Request for ${requests[i]} failed: ${response.status}`);
+        });
+        await Promise.all(requests.map((request, i) => this.put(request, responses[i])));
+    }
+
+    async delete(request) {
+        return this.entries.delete(this.storage.resolve(request));
+    }
+
+    keys() {
+        return Array.from(this.entries.keys());
+    }
+}
+
+class FakeCacheStorage {
+    /**
+     * @param {Function} fetch - Used by cache.addAll()
+     * @param {string} baseURL - Relative URLs resolve against this (the worker's scope)
+     */
+    constructor(fetch, baseURL) {
+        this.fetch = fetch;
+        this.baseURL = baseURL;
+        this.caches = new Map();
+    }
+
+    resolve(request) {
+        return new URL(typeof request === 'string' ? request : request.url, this.baseURL).href;
+    }
+
+    async open(name) {
+        if (!this.caches.has(name)) {
+            this.caches.set(name, new FakeCache(this));
+        }
+        return this.caches.get(name);
+    }
+
+    async match(request, options) {
+        for (const cache of this.caches.values()) {
+            const response = await cache.match(request, options);
+            if (response) return response;
+        }
+        return undefined;
+    }
+
+    async keys() {
+        return Array.from(this.caches.keys());
+    }
+
+    async delete(name) {
+        return this.caches.delete(name);
+    }
+}
+
+// ============================================================================
+// A-Frame and MindAR
+// ============================================================================
+
+function createFakeAFRAME() {
+    return {
+        components: {
+            'mindar-image': {},
+            'mindar-image-target': {},
+        },
+        systems: {},
+    };
+}
+
+// Stand-in for the mindar-image-system of MindAR 1.1.4
+class FakeMindARSystem {
+    constructor(scene, targetCount) {
+        this.scene = scene;
+        this.video = null;
+        this.startCount = 0;
+        this.isPaused = false;
+        this.controller = {
+            markerDimensions: Array.from({ length: targetCount }, () => [1, 1]),
+            onUpdate: null,
+            _detectAndMatch: async () => {},
+            _trackAndUpdate: async () => {},
+        };
+    }
+
+    async start() {
+        this.startCount++;
+        this.scene.dispatchEvent({ type: 'arReady' });
+    }
+
+    pause() {
+        this.isPaused = true;
+    }
+
+    unpause() {
+        this.isPaused = false;
+    }
+
+    targetEl(targetIndex) {
+        const el = this.scene.querySelector(`#target-${targetIndex}`);
+        if (!el) throw new Error(`Target entity ${targetIndex} was not created`);
+        return el;
+    }
+
+    // Test helpers: fire the events the mindar-image-target component would
+    findTarget(targetIndex) {
+        this.targetEl(targetIndex).dispatchEvent({ type: 'targetFound' });
+    }
+
+    loseTarget(targetIndex) {
+        this.targetEl(targetIndex).dispatchEvent({ type: 'targetLost' });
+    }
+}
+
+/**
+ * Turn the #arScene element into a fake A-Frame scene
+ * @param {FakeDocument} document
+ * @param {{hasLoaded?: boolean, withSystem?: boolean, targetCount?: number}} options
+ *   hasLoaded: false never fires 'loaded' (scene timeout path)
+ *   withSystem: false never registers the MindAR system (missing system path)
+ * @returns {{scene: FakeElement, system: FakeMindARSystem|null}}
+ */
+function installFakeScene(document, { hasLoaded = true, withSystem = true, targetCount = 12 } = {}) {
+    const scene = document.getElementById('arScene');
+    if (!scene) throw new Error('index.html has no #arScene');
+
+    scene.hasLoaded = hasLoaded;
+    scene.systems = {};
+    scene.renderStarted = true;
+    scene.render = () => {};
+    scene.renderer = {
+        animationLoop: null,
+        setAnimationLoop(callback) {
+            this.animationLoop = callback;
+        },
+    };
+
+    const system = withSystem ? new FakeMindARSystem(scene, targetCount) : null;
+    if (system) {
+        scene.systems['mindar-image-system'] = system;
+    }
+    return { scene, system };
+}
+
+module.exports = {
+    flushMicrotasks,
+    FakeClock,
+    FakeElement,
+    FakeDocument,
+    FakeAudio,
+    FakeAudioContext,
+    FakeMediaMetadata,
+    FakeMediaSession,
+    FakeStorage,
+    FakeServiceWorker,
+    FakeServiceWorkerContainer,
+    FakeCacheStorage,
+    FakeMindARSystem,
+    createFakeAFRAME,
+    installFakeScene,
+};
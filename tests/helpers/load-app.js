@@ -0,0 +1,448 @@
+// ============================================================================
+// App Loader
+// ============================================================================
+//
+// Runs app.js in a fresh vm context with the fakes from fakes.js as browser
+// globals. Every call gets its own copy of the app, so tests do not share
+// CONFIG, playlists or controller state.
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const {
+    FakeClock,
+    FakeDocument,
+    FakeAudio,
+    FakeAudioContext,
+    FakeMediaMetadata,
+    FakeMediaSession,
+    FakeStorage,
+    createFakeAFRAME,
+    installFakeScene,
+} = require('./fakes');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const APP_SOURCE = fs.readFileSync(path.join(ROOT, 'app.js'), 'utf8');
+const INDEX_HTML = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+// Top-level declarations of app.js made available to tests
+const APP_EXPORTS = [
+    'CONFIG',
+    'TARGET_LABELS',
+    'TARGET_CUBES',
+    'COMBO_PLAYLISTS',
+    'MOOD_ARTWORK',
+    'MOOD_VECTORS',
+    'TRACK_LIBRARY',
+    'MOOD_PLAYLISTS',
+    'CATALOGUE_SOURCES',
+    'PLAYLIST_NAMES',
+    'MAX_CUBES',
+    'SINGLE_MOOD_PLACEHOLDER',
+    'AppError',
+    'Logger',
+    'logger',
+    'EventEmitter',
+    'PlaylistManifest',
+    'MoodMatcher',
+    'TagReader',
+    'DeezerApiError',
+    'DeezerCatalogue',
+    'DetectorBackend',
+    'ImageTargetDetector',
+    'MindARDetector',
+    'VISUAL_TYPES',
+    'MOOD_VISUALS',
+    'ARVisuals',
+    'MockDetector',
+    'TFJSClassifierDetector',
+    'SessionRecorder',
+    'ReplayDetector',
+    'DETECTOR_BACKENDS',
+    'EmojiModelAdapter',
+    'DetectionState',
+    'SwitchingPolicy',
+    'PlaybackQueue',
+    'MusicPlayer',
+    'MediaSessionManager',
+    'MOCK_SCENARIOS',
+    'MockControlPanel',
+    'PowerManager',
+    'OfflineManager',
+    'SavedStateStore',
+    'SETTINGS',
+    'Settings',
+    'ERROR_SCREENS',
+    'ANNOUNCE_DELAY',
+    'LiveAnnouncer',
+    'MoodPicker',
+    'ErrorScreen',
+    'DiagnosticsPanel',
+    'SettingsSheet',
+    'APP_EVENTS',
+    'EmbedBridge',
+    'HUD_GUIDANCE',
+    'AppController',
+];
+
+/**
+ * Read a file from the repository
+ * @param {string} file - Path relative to the repository root
+ */
+function readRepoFile(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+/**
+ * playlists.json with a second cube on targets 6 to 11, its faces in the same order
+ * The shipped target.mind only holds the Purple Cube; tests that scan two cubes need this
+ */
+function twoCubeManifest() {
+    const manifest = JSON.parse(readRepoFile('playlists.json'));
+    const [cube] = Object.keys(manifest.cubes);
+    manifest.cubes['Second Cube'] = manifest.cubes[cube].map(index => {
+        const secondIndex = index + 6;
+        manifest.targets[secondIndex] = manifest.targets[index];
+        return secondIndex;
+    });
+    return manifest;
+}
+
+/**
+ * Console that keeps messages instead of printing them
+ */
+function createConsole() {
+    const messages = [];
+    const record = level => (...args) => {
+        messages.push({
+            level,
+            text: args.map(arg => (arg instanceof Error ? arg.message : typeof arg === 'string' ? arg : safeStringify(arg))).join(' '),
+        });
+    };
+    return {
+        messages,
+        log: record('log'),
+        info: record('info'),
+        debug: record('debug'),
+        warn: record('warn'),
+        error: record('error'),
+        /**
+         * @param {string} level
+         * @param {RegExp|string} pattern
+         */
+        has(level, pattern) {
+            return messages.some(message => message.level === level &&
+                (pattern instanceof RegExp ? pattern.test(message.text) : message.text.includes(pattern)));
+        },
+    };
+}
+
+function safeStringify(value) {
+    try {
+        return JSON.stringify(value);
+    } catch (error) {
+        return String(value);
+    }
+}
+
+/**
+ * fetch() serving repository files, with per-test overrides
+ * @param {Object<string, *>} files - URL -> body (objects are served as JSON, Buffers as binary files, null as 404)
+ * @param {Object} [deezer] - Deezer API mock (see mock-deezer.js), answers for its baseUrl
+ */
+function createFetch(files, deezer) {
+    const requests = [];
+    const fetch = async (url, init = {}) => {
+        url = String(url);
+        requests.push(url);
+        if (deezer && url.startsWith(deezer.baseUrl)) {
+            return deezer.fetch(url);
+        }
+        const key = url.replace(/^\.\//, '');
+
+        let body;
+        if (Object.prototype.hasOwnProperty.call(files, url)) {
+            body = files[url];
+        } else if (Object.prototype.hasOwnProperty.call(files, key)) {
+            body = files[key];
+        } else if (!/^[a-z]+:/i.test(key) && fs.existsSync(path.join(ROOT, key))) {
+            body = readRepoFile(key);
+        } else {
+            body = null;
+        }
+
+        if (body instanceof Error) {
+            throw body;
+        }
+        if (body instanceof Uint8Array) {
+            return binaryResponse(body, init.headers && init.headers.Range);
+        }
+        const ok = body !== null && body !== undefined;
+        const text = ok ? (typeof body === 'string' ? body : JSON.stringify(body)) : '';
+        return {
+            ok,
+            status: ok ? 200 : 404,
+            json: async () => JSON.parse(text),
+            text: async () => text,
+        };
+    };
+    fetch.requests = requests;
+    return fetch;
+}
+
+/**
+ * navigator.mediaDevices with a getUserMedia() that grants a fake stream or fails
+ * @param {boolean|string} camera - true, or the DOMException name to reject with
+ */
+function createMediaDevices(camera) {
+    const mediaDevices = {
+        requests: 0,
+        stoppedTracks: 0,
+        async getUserMedia() {
+            mediaDevices.requests++;
+            if (typeof camera === 'string') {
+                const error = new Error(`Fake ${camera}`);
+                error.name = camera;
+                throw error;
+            }
+            const track = { stop: () => mediaDevices.stoppedTracks++ };
+            return { getTracks: () => [track], getVideoTracks: () => [track] };
+        },
+    };
+    return mediaDevices;
+}
+
+/**
+ * Page that embeds the app in an iframe; like a browser, it only receives messages
+ * posted to its own origin (or '*')
+ * @param {string} origin - e.g. 'https://partner.example'
+ */
+function createParentWindow(origin) {
+    return {
+        origin,
+        messages: [], // Messages received, in order
+        postMessage(message, targetOrigin) {
+            if (targetOrigin === origin || targetOrigin === '*') {
+                this.messages.push(message);
+            }
+        },
+    };
+}
+
+/**
+ * Response for a binary file (Buffer), answering "bytes=start-end" ranges with 206 like a server
+ * @param {Uint8Array} bytes
+ * @param {string} [range] - Range request header
+ */
+function binaryResponse(bytes, range) {
+    const match = /^bytes=(\d+)-(\d*)$/.exec(range || '');
+    let status = 200;
+    let body = bytes;
+    const headers = {};
+    if (match) {
+        const start = Number(match[1]);
+        const end = match[2] ? Math.min(Number(match[2]), bytes.length - 1) : bytes.length - 1;
+        if (start >= bytes.length) {
+            status = 416;
+            body = new Uint8Array(0);
+        } else {
+            status = 206;
+            body = bytes.subarray(start, end + 1);
+            headers['content-range'] = `bytes ${start}-${end}/${bytes.length}`;
+        }
+    }
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: name => headers[name.toLowerCase()] || null },
+        arrayBuffer: async () => body.buffer.slice(body.byteOffset, body.byteOffset + body.length),
+    };
+}
+
+/**
+ * Load app.js into a fresh context
+ * @param {Object} options
+ * @param {Object<string, *>} [options.files] - fetch() overrides (see createFetch)
+ * @param {Object} [options.config] - CONFIG overrides, applied before anything runs
+ * @param {boolean} [options.aframe] - Define the AFRAME global (default true)
+ * @param {boolean} [options.mediaSession] - Define navigator.mediaSession and MediaMetadata (default true)
+ * @param {FakeStorage} [options.storage] - localStorage (pass the previous one to simulate a reload)
+ * @param {FakeServiceWorkerContainer} [options.serviceWorker] - navigator.serviceWorker (default none)
+ * @param {Object} [options.deezer] - Deezer API mock (createMockDeezer()), the catalogue is off without one
+ * @param {boolean|string} [options.camera] - getUserMedia() succeeds (true), rejects with this error name
+ *   (e.g. 'NotAllowedError'), or does not exist (false)
+ * @param {string} [options.embedder] - Origin of a page the app is embedded in (default none, window.parent is window)
+ * @param {Object} [options.globals] - Extra globals
+ * @returns {Object} Harness with app (top-level declarations), window, document, clock and console
+ */
+function loadApp({ files = {}, config = {}, aframe = true, mediaSession = true, storage = new FakeStorage(), serviceWorker, deezer, camera = true, embedder, globals = {} } = {}) {
+    const clock = new FakeClock();
+    const document = new FakeDocument();
+    document.loadHTML(INDEX_HTML);
+    const console = createConsole();
+    const fetch = createFetch(files, deezer);
+
+    const window = {
+        innerWidth: 390,
+        innerHeight: 844,
+        isSecureContext: true,
+        appController: null,
+        AudioContext: FakeAudioContext,
+        localStorage: storage,
+        location: {
+            href: 'http://localhost/',
+            origin: 'http://localhost',
+            protocol: 'http:',
+            hostname: 'localhost', // Logs every level, like a local server
+            search: '',
+            reloadCount: 0,
+            reload() {
+                this.reloadCount++;
+            },
+        },
+        history: {
+            state: null,
+            replaceState(state, title, url) {
+                const { href, search } = new URL(url, window.location.href);
+                Object.assign(window.location, { href, search });
+                this.state = state;
+            },
+        },
+        document,
+        listeners: {},
+        addEventListener(type, listener) {
+            (this.listeners[type] = this.listeners[type] || []).push(listener);
+        },
+        removeEventListener() {},
+        getComputedStyle: element => ({
+            display: element && element.classList.contains('hidden') ? 'none' : 'block',
+        }),
+    };
+    window.parent = embedder ? createParentWindow(embedder) : window;
+
+    const context = {
+        window,
+        document,
+        console,
+        fetch,
+        navigator: {
+            userAgent: 'node-test',
+            onLine: true,
+            mediaSession: mediaSession ? new FakeMediaSession() : undefined,
+            serviceWorker,
+            mediaDevices: camera ? createMediaDevices(camera) : undefined,
+        },
+        performance: { now: () => clock.now },
+        setTimeout: clock.setTimeout,
+        clearTimeout: clock.clearTimeout,
+        setInterval: clock.setInterval,
+        clearInterval: clock.clearInterval,
+        requestAnimationFrame: clock.requestAnimationFrame,
+        cancelAnimationFrame: clock.cancelAnimationFrame,
+        Audio: function Audio() {
+            return new FakeAudio(document);
+        },
+        Option: function Option(text, value) {
+            return document.createOption(text, value);
+        },
+        URL,
+        URLSearchParams,
+        Blob,
+        TextDecoder,
+        atob,
+        ...globals,
+    };
+    if (aframe) {
+        context.AFRAME = createFakeAFRAME();
+    }
+    if (mediaSession) {
+        context.MediaMetadata = FakeMediaMetadata;
+    }
+
+    vm.createContext(context);
+    vm.runInContext(APP_SOURCE, context, { filename: path.join(ROOT, 'app.js') });
+    const app = vm.runInContext(`({ ${APP_EXPORTS.join(', ')} })`, context);
+    if (deezer) {
+        deezer.now = () => clock.now;
+        Object.assign(app.CONFIG, { DEEZER_API_URL: deezer.baseUrl, DEEZER_TRANSPORT: 'fetch' });
+    } else {
+        app.CONFIG.DEEZER_API_URL = null; // Tests must not reach the real API
+    }
+    Object.assign(app.CONFIG, config);
+
+    return {
+        app,
+        context,
+        window,
+        document,
+        clock,
+        console,
+        fetch,
+        storage,
+        mediaSession: context.navigator.mediaSession,
+
+        /**
+         * Validate and apply a manifest, like AppController does on load
+         * @param {Object} data - Manifest (defaults to playlists.json)
+         */
+        applyManifest(data = JSON.parse(readRepoFile('playlists.json'))) {
+            const manifest = new app.PlaylistManifest(data);
+            const errors = manifest.validate();
+            if (errors.length > 0) {
+                throw new Error(`Invalid manifest: ${errors.join('; ')}`);
+            }
+            manifest.apply();
+            return manifest;
+        },
+
+        /**
+         * Fire DOMContentLoaded and wait for the controller to load the manifest
+         * @returns {Promise<Object>} window.appController
+         */
+        async createController() {
+            document.dispatchEvent({ type: 'DOMContentLoaded' });
+            await clock.tick(0);
+            return window.appController;
+        },
+
+        installFakeScene(options) {
+            return installFakeScene(document, options);
+        },
+
+        /**
+         * Install the fake scene, create the controller and tap Tap to Start
+         * @param {Object} [options]
+         * @param {Object} [options.sceneOptions] - installFakeScene() options
+         * @param {Object} [options.startOptions] - AppController.startApp() options, e.g. {resume: true}
+         * @returns {Promise<{harness: Object, controller: AppController, scene: Object, system: Object}>}
+         */
+        async startApp({ sceneOptions, startOptions } = {}) {
+            const { scene, system } = this.installFakeScene(sceneOptions);
+            const controller = await this.createController();
+            await clock.run(controller.startApp(startOptions));
+            return { harness: this, controller, scene, system };
+        },
+
+        /**
+         * Deliver a message event to the app, from the embedding page by default
+         * @param {*} data
+         * @param {Object} [from] - origin and source of the message
+         */
+        postMessage(data, { origin = embedder, source = window.parent } = {}) {
+            (window.listeners.message || []).forEach(listener => listener({ type: 'message', data, origin, source }));
+        },
+    };
+}
+
+/**
+ * Copy a value out of the app context (vm objects have their own prototypes,
+ * which deepStrictEqual would count as a difference)
+ */
+function plain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadApp, plain, readRepoFile, twoCubeManifest, FakeStorage };
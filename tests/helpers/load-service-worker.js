@@ -0,0 +1,165 @@
+// ============================================================================
+// Service Worker Loader
+// ============================================================================
+//
+// Runs sw.js in a fresh vm context with a fake Cache Storage and network, and
+// dispatches install/activate/fetch/message events to it like a browser would.
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const { FakeCacheStorage } = require('./fakes');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const SW_SOURCE = fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8');
+const SCOPE = 'http://localhost/';
+
+/**
+ * Network for the worker: serves repository files for same-origin URLs, plus overrides
+ * Cross-origin no-cors requests get opaque responses, like in a browser
+ * @param {Object<string, *>} files - Absolute URL -> body (Error to fail, null for 404)
+ */
+function createNetwork(files) {
+    const requests = [];
+    const fetch = async (input, init = {}) => {
+        const request = input instanceof Request ? input : new Request(input, init);
+        const url = request.url;
+        const mode = init.mode || request.mode;
+        requests.push({ url, mode, range: request.headers.get('range') });
+
+        let body;
+        if (fetch.offline) {
+            body = new TypeError('Failed to fetch');
+        } else if (Object.prototype.hasOwnProperty.call(files, url)) {
+            body = files[url];
+        } else if (url.startsWith(SCOPE)) {
+            const pathname = decodeURIComponent(new URL(url).pathname);
+            const file = path.join(ROOT, pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+            body = fs.existsSync(file) && fs.statSync(file).isFile() ? fs.readFileSync(file) : null;
+        } else {
+            body = new TypeError('Failed to fetch');
+        }
+
+        if (body instanceof Error) throw body;
+        if (body === null || body === undefined) {
+            return new Response('Not found', { status: 404 });
+        }
+
+        const range = /^bytes=(\d+)-(\d*)$/.exec(request.headers.get('range') || '');
+        if (range) {
+            const bytes = Buffer.from(body);
+            const end = range[2] ? Number(range[2]) : bytes.length - 1;
+            return new Response(bytes.subarray(Number(range[1]), end + 1), {
+                status: 206,
+                headers: { 'Content-Range': `bytes ${range[1]}-${end}/${bytes.length}` },
+            });
+        }
+
+        const response = new Response(body, { status: 200 });
+        if (mode === 'no-cors' && !url.startsWith(SCOPE)) {
+            // Opaque: status 0 and nothing readable
+            Object.defineProperties(response, {
+                type: { value: 'opaque' },
+                status: { value: 0 },
+                ok: { value: false },
+            });
+        }
+        return response;
+    };
+    fetch.requests = requests;
+    fetch.offline = false; // Set to fail every request
+    return fetch;
+}
+
+/**
+ * Load sw.js into a fresh context
+ * @param {Object} options
+ * @param {Object<string, *>} [options.files] - Network overrides (see createNetwork)
+ * @returns {Object} Harness with the worker's self, caches, fetch and a dispatch() helper
+ */
+function loadServiceWorker({ files = {} } = {}) {
+    const fetch = createNetwork(files);
+    const caches = new FakeCacheStorage(fetch, SCOPE);
+    const warnings = [];
+
+    const self = {
+        listeners: {},
+        skipWaitingCount: 0,
+        claimCount: 0,
+        location: new URL('sw.js', SCOPE),
+        addEventListener(type, listener) {
+            (this.listeners[type] = this.listeners[type] || []).push(listener);
+        },
+        skipWaiting() {
+            this.skipWaitingCount++;
+            return Promise.resolve();
+        },
+        clients: {
+            claim: async () => {
+                self.claimCount++;
+            },
+        },
+    };
+
+    const context = {
+        self,
+        caches,
+        fetch,
+        console: { log() {}, warn: (...args) => warnings.push(args.join(' ')), error() {} },
+        URL,
+        Request,
+        Response,
+        Headers,
+        Blob,
+    };
+    vm.createContext(context);
+    vm.runInContext(SW_SOURCE, context, { filename: path.join(ROOT, 'sw.js') });
+
+    return {
+        self,
+        caches,
+        fetch,
+        warnings,
+        context,
+
+        /**
+         * Dispatch an event and wait for its waitUntil() and respondWith() promises
+         * @param {string} type - 'install', 'activate', 'fetch' or 'message'
+         * @param {Object} props - Extra event properties
+         * @returns {Promise<Response|undefined>} What the worker responded with (fetch)
+         */
+        async dispatch(type, props = {}) {
+            const pending = [];
+            let response;
+            const event = {
+                type,
+                ...props,
+                waitUntil: promise => pending.push(promise),
+                respondWith: promise => {
+                    response = promise;
+                },
+            };
+            (self.listeners[type] || []).forEach(listener => listener(event));
+            const result = await response;
+            await Promise.all(pending);
+            return result;
+        },
+
+        /**
+         * Fetch through the worker
+         * @param {string} url - Relative to the scope
+         * @param {Object} init - Request options; mode 'navigate' is allowed, destination sets request.destination
+         */
+        request(url, { mode, destination = '', ...init } = {}) {
+            const request = new Request(new URL(url, SCOPE), init);
+            if (mode) Object.defineProperty(request, 'mode', { value: mode });
+            Object.defineProperty(request, 'destination', { value: destination });
+            return this.dispatch('fetch', { request });
+        },
+    };
+}
+
+module.exports = { loadServiceWorker, SCOPE };
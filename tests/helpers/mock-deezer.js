@@ -0,0 +1,171 @@
+// ============================================================================
+// Deezer API Mock
+// ============================================================================
+//
+// Answers like api.deezer.com from tests/fixtures/deezer-api.json: playlist,
+// album and search endpoints, error objects (HTTP 200 with "error"), the 50
+// requests per 5 seconds quota and output=jsonp.
+//
+// Tests pass it to loadApp({ deezer }). To try the app without the real API:
+//
+//   node tests/helpers/mock-deezer.js [port]
+//
+// then set DEEZER_API_URL: 'http://localhost:8787' in CONFIG (either transport works).
+
+'use strict';
+
+const http = require('node:http');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'deezer-api.json');
+const DEFAULT_PORT = 8787;
+
+const ERRORS = {
+    quota: { type: 'Exception', message: 'Quota limit exceeded', code: 4 },
+    notFound: { type: 'DataException', message: 'no data', code: 800 },
+    busy: { type: 'Exception', message: 'Service busy', code: 700 },
+    invalidQuery: { type: 'ParameterException', message: 'Wrong parameter', code: 500 },
+};
+
+/**
+ * @param {Object} options
+ * @param {string} [options.baseUrl] - URL prefix the mock answers for
+ * @param {Object} [options.fixtures] - Defaults to tests/fixtures/deezer-api.json
+ * @param {number} [options.quota] - Requests allowed per window
+ * @param {number} [options.window] - Quota window in ms
+ * @param {Function} [options.now] - Clock in ms (loadApp() sets it to the fake clock)
+ */
+function createMockDeezer({
+    baseUrl = 'http://deezer.mock',
+    fixtures = JSON.parse(fs.readFileSync(FIXTURES, 'utf8')),
+    quota = 50,
+    window = 5000,
+    now = () => Date.now(),
+} = {}) {
+    const mock = {
+        baseUrl,
+        fixtures,
+        now,
+        requests: [], // Paths with query, in order
+        requestTimes: [],
+        queuedErrors: [],
+
+        /**
+         * Answer the next request with an error instead
+         * @param {string|Object} error - Key of ERRORS or a Deezer error object, 'network' for a failed request
+         */
+        failNext(error) {
+            this.queuedErrors.push(typeof error === 'string' && error !== 'network' ? ERRORS[error] : error);
+        },
+
+        /**
+         * @param {string} url - Absolute URL under baseUrl
+         * @returns {{status: number, body: string, contentType: string}|Error}
+         */
+        handle(url) {
+            const { pathname, searchParams } = new URL(url);
+            this.requests.push(`${pathname}${searchParams.toString() ? `?${searchParams}` : ''}`);
+
+            const time = this.now();
+            this.requestTimes = this.requestTimes.filter(t => time - t < window);
+            this.requestTimes.push(time);
+
+            let data;
+            const queued = this.queuedErrors.shift();
+            if (queued === 'network') {
+                return new TypeError('Failed to fetch');
+            } else if (queued) {
+                data = { error: queued };
+            } else if (this.requestTimes.length > quota) {
+                data = { error: ERRORS.quota };
+            } else {
+                data = this.route(pathname, searchParams);
+            }
+
+            const callback = searchParams.get('callback');
+            if (searchParams.get('output') === 'jsonp' && callback) {
+                return { status: 200, body: `${callback}(${JSON.stringify(data)})`, contentType: 'application/javascript' };
+            }
+            return { status: 200, body: JSON.stringify(data), contentType: 'application/json' };
+        },
+
+        route(pathname, params) {
+            const limit = Number(params.get('limit')) || 25;
+            const index = Number(params.get('index')) || 0;
+            let match;
+
+            if ((match = /^\/playlist\/(\d+)\/tracks$/.exec(pathname))) {
+                const playlist = fixtures.playlists[match[1]];
+                return playlist ? this.page(playlist.tracks, index, limit) : { error: ERRORS.notFound };
+            }
+            if ((match = /^\/album\/(\d+)$/.exec(pathname))) {
+                const album = fixtures.albums[match[1]];
+                if (!album) return { error: ERRORS.notFound };
+                const { tracks, ...rest } = album;
+                // Tracks inside an album response do not repeat the album
+                const data = tracks.map(id => {
+                    const { album: _, ...track } = fixtures.tracks[id];
+                    return track;
+                });
+                return { id: Number(match[1]), ...rest, tracks: { data } };
+            }
+            if (pathname === '/search') {
+                const query = params.get('q');
+                if (!query) return { error: ERRORS.invalidQuery };
+                return this.page(fixtures.searches[query.toLowerCase()] || [], index, limit);
+            }
+            return { error: ERRORS.invalidQuery };
+        },
+
+        page(ids, index, limit) {
+            const data = ids.slice(index, index + limit).map(id => fixtures.tracks[id]);
+            return { data, total: ids.length };
+        },
+
+        /**
+         * fetch() stand-in for the mock's URLs
+         */
+        async fetch(url) {
+            const result = mock.handle(String(url));
+            if (result instanceof Error) throw result;
+            return {
+                ok: result.status >= 200 && result.status < 300,
+                status: result.status,
+                json: async () => JSON.parse(result.body),
+                text: async () => result.body,
+            };
+        },
+    };
+    return mock;
+}
+
+/**
+ * Serve the mock over HTTP with CORS, for manual testing
+ */
+function serve(port = DEFAULT_PORT) {
+    const mock = createMockDeezer({ baseUrl: `http://localhost:${port}` });
+    const server = http.createServer((req, res) => {
+        const result = mock.handle(`${mock.baseUrl}${req.url}`);
+        if (result instanceof Error) {
+            res.writeHead(500);
+            res.end();
+            return;
+        }
+        res.writeHead(result.status, {
+            'Content-Type': result.contentType,
+            'Access-Control-Allow-Origin': '*',
+        });
+        res.end(result.body);
+    });
+    server.listen(port, () => {
+        console.log(`Deezer API mock on ${mock.baseUrl} (Ctrl+C to stop)`);
+    });
+    return server;
+}
+
+if (require.main === module) {
+    serve(Number(process.argv[2]) || DEFAULT_PORT);
+}
+
+module.exports = { createMockDeezer, serve, ERRORS };
@@ -0,0 +1,131 @@
+'use strict';
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./helpers/load-app');
+
+const MANIFEST = {
+    version: 1,
+    moods: ['Happy', 'Sad'],
+    targets: { 0: 'Happy', 1: 'Sad' },
+    cubes: { A: [0], B: [1] },
+    artwork: { Happy: 'art/happy.jpg', Sad: 'art/sad.jpg', DEFAULT: 'art/default.jpg' },
+    playlists: [
+        { combo: 'DEFAULT', tracks: [{ title: 'Default', artist: 'Nobody', src: 'default.mp3' }] },
+        {
+            combo: 'Happy|Sad',
+            tracks: [
+                { title: 'First', artist: 'Artist 1', src: 'first.mp3' },
+                { title: 'Second', artist: 'Artist 2', src: 'second.mp3' },
+            ],
+        },
+    ],
+};
+
+describe('MediaSessionManager', () => {
+    let harness;
+    let player;
+    let session;
+
+    beforeEach(() => {
+        harness = loadApp();
+        harness.applyManifest(MANIFEST);
+        player = new harness.app.MusicPlayer();
+        session = harness.mediaSession;
+    });
+
+    test('shows the loaded track with its mood combo', () => {
+        player.switchPlaylist('Happy|Sad');
+        assert.equal(session.metadata.title, 'First');
+        assert.equal(session.metadata.artist, 'Artist 1');
+        assert.equal(session.metadata.album, 'Happy + Sad');
+        assert.deepEqual(plain(session.metadata.artwork), [{ src: 'art/happy.jpg' }]);
+
+        player.next();
+        assert.equal(session.metadata.title, 'Second');
+    });
+
+    test('picks combo artwork, then mood artwork, then DEFAULT', () => {
+        const { MediaSessionManager, MOOD_ARTWORK } = harness.app;
+        assert.deepEqual(plain(MediaSessionManager.getArtworkSources('Happy|Sad')), ['art/happy.jpg', 'art/sad.jpg']);
+        assert.deepEqual(plain(MediaSessionManager.getArtworkSources('Sad|—')), ['art/sad.jpg']);
+        assert.deepEqual(plain(MediaSessionManager.getArtworkSources('DEFAULT')), ['art/default.jpg']);
+
+        MOOD_ARTWORK['Happy|Sad'] = 'art/both.jpg';
+        assert.deepEqual(plain(MediaSessionManager.getArtworkSources('Happy|Sad')), ['art/both.jpg']);
+    });
+
+    test('describes combos for the album line', () => {
+        const { MediaSessionManager } = harness.app;
+        assert.equal(MediaSessionManager.describeCombo('Happy|—'), 'Happy');
+        assert.equal(MediaSessionManager.describeCombo('DEFAULT'), 'Mood Cubes');
+    });
+
+    test('keeps the playback state in sync', async () => {
+        player.switchPlaylist('Happy|Sad');
+        await player.play();
+        assert.equal(session.playbackState, 'playing');
+        player.pause();
+        assert.equal(session.playbackState, 'paused');
+    });
+
+    test('lock screen actions control the player', async () => {
+        player.switchPlaylist('Happy|Sad');
+
+        await session.trigger('play');
+        assert.equal(player.isPlaying, true);
+
+        session.trigger('nexttrack');
+        assert.equal(player.currentTrackIndex, 1);
+        session.trigger('previoustrack');
+        assert.equal(player.currentTrackIndex, 0);
+
+        session.trigger('pause');
+        assert.equal(player.isPlaying, false);
+    });
+
+    test('seek actions move within the track and report the position', () => {
+        player.switchPlaylist('Happy|Sad');
+        player.audio.fakeLoadedMetadata(200);
+        assert.deepEqual(plain(session.positionState), { duration: 200, playbackRate: 1, position: 0 });
+
+        session.trigger('seekto', { seekTime: 50 });
+        assert.equal(player.audio.currentTime, 50);
+        session.trigger('seekforward', {});
+        assert.equal(player.audio.currentTime, 60);
+        session.trigger('seekbackward', { seekOffset: 100 });
+        assert.equal(player.audio.currentTime, 0);
+        session.trigger('seekto', { seekTime: 500 });
+        assert.equal(player.audio.currentTime, 200);
+    });
+
+    test('does nothing without the Media Session API', async () => {
+        const bare = loadApp({ mediaSession: false });
+        bare.applyManifest(MANIFEST);
+        const barePlayer = new bare.app.MusicPlayer();
+        barePlayer.switchPlaylist('Happy|Sad');
+        await barePlayer.play();
+        assert.equal(barePlayer.isPlaying, true);
+    });
+});
+
+describe('PlaylistManifest artwork', () => {
+    test('rejects artwork for unknown moods and invalid combos', () => {
+        const { app } = loadApp();
+        const manifest = new app.PlaylistManifest({
+            ...MANIFEST,
+            artwork: { Angry: 'a.jpg', 'Happy|Happy': 'b.jpg', Sad: '' },
+        });
+        const errors = plain(manifest.validate());
+        assert.ok(errors.includes('artwork["Angry"]: unknown mood "Angry"'));
+        assert.ok(errors.some(error => error.startsWith('artwork["Happy|Happy"]')));
+        assert.ok(errors.includes('artwork["Sad"]: image URL must be a non-empty string'));
+    });
+
+    test('stores combo artwork under the normalized key', () => {
+        const harness = loadApp();
+        harness.applyManifest({ ...MANIFEST, artwork: { 'Sad|Happy': 'both.jpg' } });
+        assert.deepEqual(plain(harness.app.MOOD_ARTWORK), { 'Happy|Sad': 'both.jpg' });
+    });
+});
@@ -0,0 +1,244 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./helpers/load-app');
+
+// Targets in playlists.json
+const HAPPY_CUBE_A = 4;
+const SAD_CUBE_A = 5;
+
+function option(harness, mood) {
+    return harness.document.getElementById('moodOptions').children.find(button => button.dataset.mood === mood);
+}
+
+function press(harness, key, extra = {}) {
+    const event = { type: 'keydown', key, target: harness.document.activeElement, ...extra };
+    harness.document.getElementById('moodPicker').dispatchEvent(event);
+    return event;
+}
+
+describe('MoodPicker', () => {
+    test('shows every mood once as a toggle button', async () => {
+        const { harness, controller } = await loadApp().startApp();
+        const picker = controller.moodPicker;
+        picker.open();
+
+        const options = harness.document.getElementById('moodOptions').children;
+        assert.deepEqual(plain(options.map(button => button.textContent)), plain(harness.app.MoodPicker.getMoods()));
+        assert.deepEqual(plain([...new Set(options.map(button => button.textContent))].sort()),
+            ['Chill', 'Confused', 'Dreamy', 'Energy', 'Happy', 'Sad']);
+        assert.ok(options.every(button => button.getAttribute('aria-pressed') === 'false'));
+        assert.equal(harness.document.getElementById('moodPickerButton').getAttribute('aria-expanded'), 'true');
+    });
+
+    test('picking one and then two moods switches the combo and plays', async () => {
+        const { harness, controller } = await loadApp().startApp();
+        const picker = controller.moodPicker;
+        picker.open();
+
+        option(harness, 'Happy').click();
+        await harness.clock.tick(0);
+        assert.equal(controller.musicPlayer.currentCombo, 'Happy|—');
+        assert.equal(controller.musicPlayer.isPlaying, true);
+
+        option(harness, 'Sad').click();
+        assert.equal(controller.musicPlayer.currentCombo, 'Happy|Sad');
+        assert.equal(option(harness, 'Sad').getAttribute('aria-pressed'), 'true');
+        assert.equal(harness.document.getElementById('moodPickerStatus').textContent, 'Playing Happy + Sad');
+
+        option(harness, 'Happy').click();
+        assert.equal(controller.musicPlayer.currentCombo, 'Sad|—');
+    });
+
+    test('a third mood is refused and announced until one is unpicked', async () => {
+        const { harness, controller } = await loadApp().startApp();
+        const picker = controller.moodPicker;
+        picker.open();
+        option(harness, 'Happy').click();
+        option(harness, 'Sad').click();
+
+        assert.equal(option(harness, 'Chill').getAttribute('aria-disabled'), 'true');
+        option(harness, 'Chill').click();
+        assert.equal(controller.musicPlayer.currentCombo, 'Happy|Sad');
+
+        await harness.clock.tick(harness.app.ANNOUNCE_DELAY);
+        assert.match(harness.document.getElementById('liveAnnouncer').textContent, /2 moods are picked, unpick one first/);
+    });
+
+    test('Clear goes back to the default playlist', async () => {
+        const { harness, controller } = await loadApp().startApp();
+        const picker = controller.moodPicker;
+        picker.open();
+        option(harness, 'Happy').click();
+
+        harness.document.getElementById('moodClearButton').click();
+        assert.equal(controller.musicPlayer.currentCombo, 'DEFAULT');
+        assert.equal(harness.document.getElementById('moodPickerStatus').textContent, 'No mood picked, the default playlist plays');
+    });
+
+    test('arrow keys, Home and End move one tab stop between the moods', async () => {
+        const { harness, controller } = await loadApp().startApp();
+        const picker = controller.moodPicker;
+        const moods = harness.app.MoodPicker.getMoods();
+        const focusedMood = () => harness.document.activeElement.dataset.mood;
+        picker.open();
+        assert.equal(focusedMood(), moods[0]);
+
+        const event = press(harness, 'ArrowRight');
+        assert.equal(event.defaultPrevented, true);
+        assert.equal(focusedMood(), moods[1]);
+        press(harness, 'ArrowUp');
+        press(harness, 'ArrowLeft');
+        assert.equal(focusedMood(), moods[moods.length - 1]);
+        press(harness, 'ArrowDown');
+        assert.equal(focusedMood(), moods[0]);
+        press(harness, 'End');
+        assert.equal(focusedMood(), moods[moods.length - 1]);
+        press(harness, 'Home');
+        assert.equal(focusedMood(), moods[0]);
+
+        const tabStops = harness.document.getElementById('moodOptions').children.filter(button => button.getAttribute('tabindex') === '0');
+        assert.equal(tabStops.length, 1);
+    });
+
+    test('reopening focuses the first picked mood', async () => {
+        const { harness, controller } = await loadApp().startApp();
+        const picker = controller.moodPicker;
+        picker.open();
+        option(harness, 'Sad').click();
+        picker.close();
+
+        picker.open();
+        assert.equal(harness.document.activeElement, option(harness, 'Sad'));
+    });
+
+    test('Tab stays inside the picker and Escape closes it and restores focus', async () => {
+        const { harness, controller } = await loadApp().startApp();
+        const picker = controller.moodPicker;
+        const openButton = harness.document.getElementById('moodPickerButton');
+        const doneButton = harness.document.getElementById('moodDoneButton');
+        openButton.focus();
+        openButton.click();
+
+        doneButton.focus();
+        const tab = press(harness, 'Tab');
+        assert.equal(tab.defaultPrevented, true);
+        assert.equal(harness.document.activeElement.className, 'mood-option');
+
+        press(harness, 'Tab', { shiftKey: true });
+        assert.equal(harness.document.activeElement, doneButton);
+
+        press(harness, 'Escape');
+        assert.equal(picker.isOpen, false);
+        assert.equal(openButton.getAttribute('aria-expanded'), 'false');
+        assert.equal(harness.document.activeElement, openButton);
+    });
+
+    test('picked moods stay while no cube is in view and a scanned cube takes over', async () => {
+        const { harness, controller, system } = await loadApp().startApp();
+        const picker = controller.moodPicker;
+        picker.open();
+        option(harness, 'Happy').click();
+
+        await harness.clock.tick(2000);
+        assert.equal(controller.musicPlayer.currentCombo, 'Happy|—');
+
+        system.findTarget(SAD_CUBE_A);
+        await harness.clock.tick(2000);
+        assert.equal(controller.musicPlayer.currentCombo, 'Sad|—');
+    });
+
+    test('picked moods stay the current moods after the smoothing buffer fills with empty frames', async () => {
+        const { harness, controller, system } = await loadApp().startApp();
+        const picker = controller.moodPicker;
+        const moodChanges = [];
+        controller.on('moodchange', detail => moodChanges.push(plain(detail)));
+        picker.open();
+        option(harness, 'Happy').click();
+        option(harness, 'Sad').click();
+        moodChanges.length = 0;
+
+        // SMOOTHING_FRAMES empty frames take about 270ms, LOSS_GRACE_PERIOD another 1.5s
+        await harness.clock.tick(5000);
+        assert.deepEqual(plain(Object.fromEntries(controller.detectionState.cubeMoods)), { 'picked-1': 'Happy', 'picked-2': 'Sad' });
+        assert.equal(controller.switchingPolicy.combo, 'Happy|Sad');
+        assert.deepEqual(plain(controller.getHudState()), {
+            moods: [],
+            combo: 'Happy + Sad',
+            playlist: controller.musicPlayer.getPlaylistName(),
+            guidance: harness.app.HUD_GUIDANCE.searching,
+        });
+        assert.deepEqual(moodChanges, []);
+
+        system.findTarget(SAD_CUBE_A);
+        await harness.clock.tick(2000);
+        assert.deepEqual(plain(Object.fromEntries(controller.detectionState.cubeMoods)), { 'Purple Cube': 'Sad' });
+        assert.deepEqual(moodChanges, [{ moods: ['Sad'], cubes: { 'Purple Cube': 'Sad' }, source: 'camera' }]);
+    });
+});
+
+describe('Starting with the mood picker', () => {
+    test('leaves the camera off and opens the picker', async () => {
+        const harness = loadApp();
+        harness.installFakeScene();
+        const controller = await harness.createController();
+        harness.document.getElementById('pickMoodsButton').click();
+        await harness.clock.tick(1000);
+
+        assert.equal(harness.context.navigator.mediaDevices.requests, 0);
+        assert.equal(controller.modelAdapter.isLoaded, false);
+        assert.equal(controller.isStarted, true);
+        assert.equal(controller.moodPicker.isOpen, true);
+        assert.equal(harness.document.activeElement.className, 'mood-option');
+        assert.ok(harness.console.has('log', 'Started with the mood picker, camera off'));
+
+        option(harness, 'Happy').click();
+        await harness.clock.tick(0);
+        assert.equal(controller.musicPlayer.isPlaying, true);
+    });
+});
+
+describe('LiveAnnouncer', () => {
+    test('reads the new mood and track together once they settle', async () => {
+        const { harness, system } = await loadApp().startApp();
+        const region = harness.document.getElementById('liveAnnouncer');
+        assert.equal(region.getAttribute('aria-live'), 'polite');
+
+        system.findTarget(HAPPY_CUBE_A);
+        await harness.clock.tick(2000);
+        const title = harness.document.getElementById('trackTitle').textContent;
+        assert.match(region.textContent, new RegExp(`^Mood: Happy\\. Track: ${title}`));
+    });
+
+    test('repeats of a waiting message are read once', async () => {
+        const harness = loadApp();
+        const announcer = new harness.app.LiveAnnouncer();
+        announcer.announce('Mood: Happy');
+        announcer.announce('Mood: Happy');
+        assert.equal(announcer.region.textContent, '');
+
+        await harness.clock.tick(harness.app.ANNOUNCE_DELAY);
+        assert.equal(announcer.region.textContent, 'Mood: Happy');
+    });
+});
+
+describe('Reduced motion', () => {
+    test('visuals appear and disappear without a fade or animation', async () => {
+        const harness = loadApp();
+        harness.window.matchMedia = query => ({ media: query, matches: query === '(prefers-reduced-motion: reduce)' });
+        const { controller, system } = await harness.startApp();
+        const visuals = controller.modelAdapter.detector.visuals;
+        const el = harness.document.getElementById(`visual-${HAPPY_CUBE_A}`);
+
+        system.findTarget(HAPPY_CUBE_A);
+        await harness.clock.tick(20);
+        assert.match(el.children[0].getAttribute('material'), /opacity: 1\b/);
+        assert.equal(visuals.frame, null);
+
+        system.loseTarget(HAPPY_CUBE_A);
+        await harness.clock.tick(20);
+        assert.equal(el.getAttribute('visible'), 'false');
+    });
+});
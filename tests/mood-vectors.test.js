@@ -0,0 +1,199 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain, readRepoFile } = require('./helpers/load-app');
+
+function track(title, energy, valence, tempo) {
+    return { title, artist: 'Test Artist', src: `assets/audio/${title.toLowerCase()}.mp3`, energy, valence, tempo };
+}
+
+const MANIFEST = {
+    version: 1,
+    moods: ['Happy', 'Sad', 'Energy', 'Chill'],
+    targets: { 0: 'Happy', 1: 'Sad', 2: 'Energy', 3: 'Chill' },
+    cubes: { A: [0, 1, 2, 3] },
+    vectors: {
+        Happy: { energy: 0.7, valence: 0.9, tempo: [100, 130] },
+        Sad: { energy: 0.2, valence: 0.1, tempo: [60, 90] },
+        Energy: { energy: 0.9, valence: 0.7 },
+    },
+    library: [
+        track('Sunny', 0.7, 0.9, 115),
+        track('Rain', 0.2, 0.1, 70),
+        track('Middle', 0.45, 0.5, 95),
+        track('Sprint', 0.95, 0.7, 150),
+    ],
+    playlists: [
+        { combo: 'DEFAULT', tracks: [{ title: 'Default', artist: 'Nobody', src: 'default.mp3' }] },
+        { combo: 'Happy|Sad', tracks: [{ title: 'Explicit', artist: 'Nobody', src: 'explicit.mp3' }] },
+        { combo: 'Energy|—', tracks: [track('Sunny', 0.7, 0.9, 115), track('Pump', 0.9, 0.75, 140)] },
+    ],
+};
+
+function setup(manifest = MANIFEST) {
+    const harness = loadApp();
+    harness.applyManifest(manifest);
+    return { harness, app: harness.app };
+}
+
+describe('MoodMatcher', () => {
+    test('blends mood vectors by averaging them', () => {
+        const { app } = setup();
+        const blended = plain(app.MoodMatcher.blend(['Happy', 'Sad']));
+        assert.ok(Math.abs(blended.energy - 0.45) < 1e-9);
+        assert.equal(blended.valence, 0.5);
+        assert.deepEqual(blended.tempo, [80, 110]);
+        // A mood without a tempo range does not narrow it
+        assert.deepEqual(plain(app.MoodMatcher.blend(['Energy', 'Sad']).tempo), [60, 90]);
+        assert.equal(app.MoodMatcher.blend(['Chill']), null);
+    });
+
+    test('tempo only counts outside the range', () => {
+        const { app } = setup();
+        const vector = { energy: 0.5, valence: 0.5, tempo: [100, 120] };
+        const distance = tempo => app.MoodMatcher.distance({ energy: 0.5, valence: 0.5, tempo }, vector);
+
+        assert.equal(distance(110), 0);
+        assert.equal(distance(undefined), 0);
+        assert.equal(distance(140), 0.5); // 20 BPM over, TEMPO_TOLERANCE is 40
+        assert.equal(distance(300), 1); // Capped
+    });
+
+    test('ranks library tracks by distance to the blended moods', () => {
+        const { app } = setup();
+        const titles = combo => app.MoodMatcher.playlistFor(combo).map(t => t.title);
+
+        // Sprint is closer than Middle in energy and valence, but 20 BPM too fast
+        assert.deepEqual(plain(titles('Happy|—')), ['Sunny', 'Pump', 'Middle', 'Sprint', 'Rain']);
+        assert.deepEqual(plain(titles('Sad|—')).slice(0, 2), ['Rain', 'Middle']);
+        assert.equal(titles('Energy|Sad')[0], 'Middle');
+    });
+
+    test('playlist tracks with attributes join the library once', () => {
+        const { app } = setup();
+        assert.deepEqual(plain(app.TRACK_LIBRARY.map(t => t.title)), ['Sunny', 'Rain', 'Middle', 'Sprint', 'Pump']);
+    });
+
+    test('keeps at most MOOD_PLAYLIST_LENGTH tracks', () => {
+        const { app } = setup();
+        app.CONFIG.MOOD_PLAYLIST_LENGTH = 2;
+        assert.equal(app.MoodMatcher.playlistFor('Happy|—').length, 2);
+    });
+
+    test('returns the same playlist for either mood order until a manifest is applied', () => {
+        const { app, harness } = setup();
+        const playlist = app.MoodMatcher.playlistFor('Happy|Energy');
+        assert.equal(app.MoodMatcher.playlistFor('Energy|Happy'), playlist);
+        assert.ok(harness.console.has('log', 'Picked 5 tracks for Energy|Happy by mood'));
+
+        harness.applyManifest(MANIFEST);
+        assert.notEqual(app.MoodMatcher.playlistFor('Energy|Happy'), playlist);
+    });
+
+    test('has nothing for moods without a vector or an empty library', () => {
+        const { app } = setup({ ...MANIFEST, library: [], playlists: MANIFEST.playlists.slice(0, 2) });
+        assert.equal(app.MoodMatcher.playlistFor('Happy|—'), null);
+        assert.equal(app.MoodMatcher.playlistFor('DEFAULT'), null);
+    });
+});
+
+describe('MusicPlayer with mood vectors', () => {
+    test('combos without a playlist play tracks picked by mood', () => {
+        const { app } = setup();
+        const player = new app.MusicPlayer();
+        player.switchPlaylist('Happy|—');
+        assert.equal(player.currentPlaylist, app.MOOD_PLAYLISTS['Happy|—']);
+        assert.equal(player.audio.getAttribute('src'), 'assets/audio/sunny.mp3');
+    });
+
+    test('explicit combo playlists override the mood pick', () => {
+        const { app } = setup();
+        const player = new app.MusicPlayer();
+        player.switchPlaylist('Sad|Happy');
+        assert.equal(player.currentPlaylist, app.COMBO_PLAYLISTS['Happy|Sad']);
+
+        player.switchPlaylist('Energy|—');
+        assert.deepEqual(plain(player.currentPlaylist.map(t => t.title)), ['Sunny', 'Pump']);
+    });
+
+    test('moods without a vector still fall back to DEFAULT', () => {
+        const { app, harness } = setup();
+        const player = new app.MusicPlayer();
+        player.switchPlaylist('Chill|Happy');
+        assert.equal(player.currentPlaylist, app.COMBO_PLAYLISTS.DEFAULT);
+        assert.ok(harness.console.has('log', 'No playlist for combo Chill|Happy, using DEFAULT'));
+    });
+
+    test('getPlaylistName() tells picked, explicit, named and fallback playlists apart', () => {
+        const { app } = setup({
+            ...MANIFEST,
+            playlists: MANIFEST.playlists.map(entry => (entry.combo === 'Energy|—' ? { ...entry, name: 'Workout' } : entry)),
+        });
+        const player = new app.MusicPlayer();
+        const name = combo => {
+            player.switchPlaylist(combo);
+            return player.getPlaylistName();
+        };
+
+        assert.equal(player.getPlaylistName(), null);
+        assert.equal(name('Happy|—'), 'Happy mood mix');
+        assert.equal(name('Happy|Sad'), 'Happy + Sad');
+        assert.equal(name('Energy|—'), 'Workout');
+        assert.equal(name('Chill|Happy'), 'Default playlist');
+    });
+
+    test('a picked playlist continues its queue when its combo comes back', () => {
+        const { app } = setup();
+        const player = new app.MusicPlayer();
+        player.switchPlaylist('Happy|—');
+        player.next();
+        player.switchPlaylist('Sad|Happy');
+        player.switchPlaylist('Happy|—');
+        assert.equal(player.currentPlaylist[player.currentTrackIndex].title, 'Pump');
+    });
+});
+
+describe('PlaylistManifest vectors', () => {
+    test('reports invalid vectors and track attributes', () => {
+        const { app } = loadApp();
+        const manifest = new app.PlaylistManifest({
+            ...MANIFEST,
+            vectors: {
+                Happy: { energy: 2, valence: 0.5 },
+                Sad: { energy: 0.1, valence: 0.1, tempo: [90, 60] },
+                Grumpy: { energy: 0.1, valence: 0.1 },
+            },
+            library: [{ title: 'No attributes', src: 'a.mp3' }, track('Slow', 0.1, 0.1, -5)],
+            playlists: [
+                ...MANIFEST.playlists.slice(0, 2),
+                { combo: 'Energy|—', tracks: [{ title: 'Half', src: 'half.mp3', energy: 0.5 }] },
+            ],
+        });
+
+        assert.deepEqual(plain(manifest.validate()), [
+            'vectors["Happy"]: "energy" must be a number from 0 to 1',
+            'vectors["Sad"]: "tempo" must be a [min, max] range in BPM',
+            'vectors["Grumpy"]: unknown mood "Grumpy"',
+            'library[0]: "energy" must be a number from 0 to 1',
+            'library[0]: "valence" must be a number from 0 to 1',
+            'library[1]: "tempo" must be a positive number (BPM)',
+            'playlists[2].tracks[0]: "valence" must be a number from 0 to 1',
+        ]);
+    });
+
+    test('the shipped manifest has a vector for every mood and a playlist for every combo', () => {
+        const { app } = setup(JSON.parse(readRepoFile('playlists.json')));
+        const manifest = JSON.parse(readRepoFile('playlists.json'));
+        const player = new app.MusicPlayer();
+
+        assert.deepEqual(Object.keys(manifest.vectors).sort(), [...manifest.moods].sort());
+        manifest.moods.forEach((mood, i) => {
+            [app.SINGLE_MOOD_PLACEHOLDER, ...manifest.moods.slice(i + 1)].forEach(other => {
+                const combo = `${mood}|${other}`;
+                assert.notEqual(player.resolvePlaylist(combo).key, 'DEFAULT', combo);
+            });
+        });
+    });
+});
@@ -0,0 +1,280 @@
+'use strict';
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./helpers/load-app');
+const { FakeAudio } = require('./helpers/fakes');
+
+function tracks(prefix, count) {
+    return Array.from({ length: count }, (_, i) => ({
+        title: `${prefix} ${i + 1}`,
+        artist: 'Test Artist',
+        src: `assets/audio/${prefix.toLowerCase()}-${i + 1}.mp3`,
+    }));
+}
+
+const MANIFEST = {
+    version: 1,
+    moods: ['Happy', 'Sad', 'Chill'],
+    targets: { 0: 'Happy', 1: 'Sad', 2: 'Chill' },
+    cubes: { A: [0, 1, 2] },
+    playlists: [
+        { combo: 'DEFAULT', tracks: tracks('Default', 2) },
+        { combo: 'Happy|—', tracks: tracks('Happy', 3) },
+        { combo: 'Happy|Sad', tracks: tracks('Mixed', 2) },
+    ],
+};
+
+describe('MusicPlayer', () => {
+    let harness;
+    let app;
+    let player;
+
+    beforeEach(() => {
+        harness = loadApp();
+        app = harness.app;
+        harness.applyManifest(MANIFEST);
+        player = new app.MusicPlayer();
+    });
+
+    describe('switchPlaylist()', () => {
+        test('loads the first track of the combo playlist', () => {
+            player.switchPlaylist('Happy|—');
+            assert.equal(player.currentCombo, 'Happy|—');
+            assert.equal(player.currentTrackIndex, 0);
+            assert.equal(player.audio.getAttribute('src'), 'assets/audio/happy-1.mp3');
+        });
+
+        test('finds playlists stored under the reversed key', () => {
+            app.COMBO_PLAYLISTS['Sad|Chill'] = tracks('Reversed', 1);
+            player.switchPlaylist('Chill|Sad');
+            assert.equal(player.currentPlaylist[0].title, 'Reversed 1');
+        });
+
+        test('falls back to DEFAULT for combos without a playlist', () => {
+            player.switchPlaylist('Chill|—');
+            assert.equal(player.currentCombo, 'Chill|—');
+            assert.equal(player.currentPlaylist, app.COMBO_PLAYLISTS.DEFAULT);
+            assert.ok(harness.console.has('log', 'No playlist for combo Chill|—, using DEFAULT'));
+        });
+
+        test('falls back to DEFAULT for empty playlists', () => {
+            app.COMBO_PLAYLISTS['Chill|Happy'] = [];
+            player.switchPlaylist('Chill|Happy');
+            assert.equal(player.currentPlaylist, app.COMBO_PLAYLISTS.DEFAULT);
+        });
+
+        test('does nothing when the combo is already playing', () => {
+            player.switchPlaylist('Happy|—');
+            player.next();
+            player.switchPlaylist('Happy|—');
+            assert.equal(player.currentTrackIndex, 1);
+        });
+
+        test('keeps playing across a switch', async () => {
+            player.switchPlaylist('Happy|—');
+            await player.play();
+            player.switchPlaylist('Happy|Sad');
+            await harness.clock.tick(0);
+            assert.equal(player.isPlaying, true);
+            assert.equal(player.audio.paused, false);
+            assert.equal(player.audio.getAttribute('src'), 'assets/audio/mixed-1.mp3');
+        });
+    });
+
+    describe('next() and prev()', () => {
+        beforeEach(() => {
+            player.switchPlaylist('Happy|—'); // 3 tracks, starts at 0
+        });
+
+        test('next() wraps around to the first track', () => {
+            player.next();
+            player.next();
+            assert.equal(player.currentTrackIndex, 2);
+            player.next();
+            assert.equal(player.currentTrackIndex, 0);
+        });
+
+        test('prev() wraps around to the last track', () => {
+            player.prev();
+            assert.equal(player.currentTrackIndex, 2);
+            player.prev();
+            assert.equal(player.currentTrackIndex, 1);
+        });
+
+        test('do nothing without a playlist', () => {
+            const empty = new app.MusicPlayer();
+            empty.next();
+            empty.prev();
+            assert.equal(empty.currentTrackIndex, -1);
+        });
+
+        test('an ended track moves on to the next one', () => {
+            player.audio.fakeEnded();
+            assert.equal(player.currentTrackIndex, 1);
+        });
+    });
+
+    describe('play() and pause()', () => {
+        test('play() does nothing before a track is loaded', async () => {
+            await player.play();
+            assert.equal(player.isPlaying, false);
+        });
+
+        test('play() keeps the loaded source (relative src vs absolute audio.src)', async () => {
+            player.switchPlaylist('Happy|—');
+            player.audio.currentTime = 42;
+            await player.play();
+            assert.equal(player.isPlaying, true);
+            assert.equal(player.audio.currentTime, 42);
+        });
+
+        test('a rejected play() leaves the player paused', async () => {
+            player.switchPlaylist('Happy|—');
+            FakeAudio.failPlay = true;
+            try {
+                await player.play();
+            } finally {
+                FakeAudio.failPlay = false;
+            }
+            assert.equal(player.isPlaying, false);
+            assert.ok(harness.console.has('error', 'Play error'));
+        });
+
+        test('pause() stops both decks', async () => {
+            player.switchPlaylist('Happy|—');
+            await player.play();
+            player.pause();
+            assert.equal(player.isPlaying, false);
+            assert.ok(player.decks.every(deck => deck.audio.paused));
+        });
+    });
+
+    describe('queue, shuffle and repeat', () => {
+        test('coming back to a combo continues its playlist where it left off', () => {
+            player.switchPlaylist('Happy|—');
+            player.next(); // Happy 2
+            player.audio.currentTime = 30;
+
+            player.switchPlaylist('Happy|Sad');
+            assert.equal(player.currentPlaylist[player.currentTrackIndex].title, 'Mixed 1');
+
+            player.switchPlaylist('Happy|—');
+            assert.equal(player.currentPlaylist[player.currentTrackIndex].title, 'Happy 2');
+            player.audio.fakeLoadedMetadata(180);
+            assert.equal(player.audio.currentTime, 30);
+        });
+
+        test('combos falling back to DEFAULT share its queue and keep the track playing', async () => {
+            player.switchPlaylist('DEFAULT');
+            await player.play();
+            const src = player.audio.getAttribute('src');
+            player.switchPlaylist('Chill|—');
+            assert.equal(player.currentCombo, 'Chill|—');
+            assert.equal(player.audio.getAttribute('src'), src);
+        });
+
+        test('repeat one replays the track when it ends', async () => {
+            player.switchPlaylist('Happy|—');
+            await player.play();
+            player.setRepeat('one');
+            player.audio.fakeLoadedMetadata(180);
+            player.audio.currentTime = 180;
+            player.audio.fakeEnded();
+            await harness.clock.tick(0);
+            assert.equal(player.currentTrackIndex, 0);
+            assert.equal(player.audio.currentTime, 0);
+            assert.equal(player.audio.paused, false);
+        });
+
+        test('repeat off stops at the end of the queue with the first track ready', async () => {
+            player.switchPlaylist('Happy|—');
+            await player.play();
+            player.setRepeat('off');
+            player.next();
+            player.next();
+            player.audio.fakeEnded();
+            assert.equal(player.isPlaying, false);
+            assert.equal(player.currentTrackIndex, 0);
+        });
+
+        test('cycleRepeat() goes off -> all -> one -> off', () => {
+            assert.equal(player.repeat, 'all');
+            player.cycleRepeat();
+            assert.equal(player.repeat, 'one');
+            player.cycleRepeat();
+            assert.equal(player.repeat, 'off');
+            player.cycleRepeat();
+            assert.equal(player.repeat, 'all');
+            assert.throws(() => player.setRepeat('sometimes'), /Unknown repeat mode/);
+        });
+
+        test('prev() restarts a track that has played for a few seconds', () => {
+            player.switchPlaylist('Happy|—');
+            player.next();
+            player.audio.fakeLoadedMetadata(180);
+            player.audio.currentTime = 10;
+            player.prev();
+            assert.equal(player.currentTrackIndex, 1);
+            assert.equal(player.audio.currentTime, 0);
+        });
+
+        test('shuffle applies to every playlist and keeps the current track', () => {
+            player.switchPlaylist('Happy|—');
+            player.next();
+            player.setShuffle(true);
+            assert.equal(player.currentTrackIndex, 1);
+            assert.equal(player.getUpcoming(5).length, 2); // Rest of the shuffled round
+        });
+
+        test('the player bar shows what is up next', async () => {
+            const controller = await harness.createController();
+            harness.applyManifest(MANIFEST); // The controller loaded playlists.json
+            const upNext = harness.document.getElementById('upNextTrack');
+            const queueList = harness.document.getElementById('queueList');
+
+            controller.musicPlayer.switchPlaylist('Happy|—');
+            assert.equal(upNext.textContent, 'Happy 2 · Test Artist');
+
+            harness.document.getElementById('upNextButton').click();
+            assert.equal(queueList.classList.contains('hidden'), false);
+            assert.equal(queueList.children.length, 3);
+
+            harness.document.getElementById('shuffleButton').click();
+            assert.equal(harness.document.getElementById('shuffleButton').getAttribute('aria-pressed'), 'true');
+            harness.document.getElementById('repeatButton').click();
+            assert.equal(harness.document.getElementById('repeatButton').dataset.mode, 'one');
+        });
+    });
+
+    describe('crossfades', () => {
+        test('switching combos while playing crossfades to the idle deck', async () => {
+            player.unlock();
+            player.switchPlaylist('Happy|—');
+            await player.play();
+            const outgoing = player.decks[player.activeDeck];
+
+            player.switchPlaylist('Happy|Sad');
+            const incoming = player.decks[player.activeDeck];
+            assert.notEqual(incoming, outgoing);
+            assert.equal(incoming.gain.gain.target, 1);
+            assert.equal(outgoing.gain.gain.target, 0);
+
+            // The outgoing deck stops once the fade is over
+            assert.equal(outgoing.audio.paused, false);
+            await harness.clock.tick(app.CONFIG.CROSSFADE_DURATION * 1000);
+            assert.equal(outgoing.audio.paused, true);
+            assert.equal(incoming.audio.paused, false);
+        });
+
+        test('without Web Audio the source is swapped on the same deck', async () => {
+            player.switchPlaylist('Happy|—');
+            await player.play();
+            const deck = player.activeDeck;
+            player.switchPlaylist('Happy|Sad');
+            assert.equal(player.activeDeck, deck);
+            assert.equal(player.audio.getAttribute('src'), 'assets/audio/mixed-1.mp3');
+        });
+    });
+});
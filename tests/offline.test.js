@@ -0,0 +1,272 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./helpers/load-app');
+const { loadServiceWorker, SCOPE } = require('./helpers/load-service-worker');
+const { FakeServiceWorker, FakeServiceWorkerContainer } = require('./helpers/fakes');
+
+const AFRAME_URL = 'https://aframe.io/releases/1.4.2/aframe.min.js';
+const TRACK_URL = `${SCOPE}assets/audio/test.mp3`;
+const TRACK_BYTES = Buffer.from('0123456789abcdefghij'); // 20 bytes
+
+/**
+ * Worker with the CDN libraries reachable, installed and activated
+ */
+async function installedWorker(files = {}) {
+    const libraries = {
+        'https://cdn.jsdelivr.net/npm/mind-ar@1.1.4/dist/mindar-image.prod.js': '/* mindar */',
+        [AFRAME_URL]: '/* aframe */',
+        'https://cdn.jsdelivr.net/npm/mind-ar@1.1.4/dist/mindar-image-aframe.prod.js': '/* mindar-aframe */',
+    };
+    const sw = loadServiceWorker({ files: { ...libraries, [TRACK_URL]: TRACK_BYTES, ...files } });
+    await sw.dispatch('install');
+    await sw.dispatch('activate');
+    return sw;
+}
+
+describe('Service worker', () => {
+    test('install precaches the app shell, fonts, target.mind and the AR libraries', async () => {
+        const sw = await installedWorker();
+        const shell = await sw.caches.open('mood-cubes-shell-v1');
+        const cached = shell.keys();
+
+        ['index.html', 'app.js', 'styles.css', 'playlists.json', 'target.mind', 'manifest.webmanifest',
+            'deezer-corporate-typeface/DeezerProduct-Regular.woff2'].forEach(file => {
+            assert.ok(cached.includes(`${SCOPE}${file}`), `${file} is precached`);
+        });
+        assert.ok(cached.includes(AFRAME_URL));
+        assert.equal(sw.fetch.requests.find(request => request.url === AFRAME_URL).mode, 'no-cors');
+    });
+
+    test('install fails when a library cannot be downloaded', async () => {
+        const sw = loadServiceWorker({ files: {} });
+        await assert.rejects(sw.dispatch('install'), /Failed to fetch/);
+    });
+
+    test('activate removes caches of earlier versions only', async () => {
+        const sw = await installedWorker();
+        await sw.caches.open('mood-cubes-shell-v0');
+        await sw.caches.open('someone-elses-cache');
+        await sw.dispatch('activate');
+
+        const keys = await sw.caches.keys();
+        assert.ok(!keys.includes('mood-cubes-shell-v0'));
+        assert.ok(keys.includes('someone-elses-cache'));
+        assert.ok(keys.includes('mood-cubes-shell-v1'));
+        assert.equal(sw.self.claimCount, 2);
+    });
+
+    test('serves the app shell offline, pages with any query string', async () => {
+        const sw = await installedWorker();
+        const before = sw.fetch.requests.length;
+
+        const page = await sw.request('./?mock=1', { mode: 'navigate' });
+        assert.match(await page.text(), /<title>Emoji Music Player<\/title>/);
+        const script = await sw.request('app.js');
+        assert.match(await script.text(), /class AppController/);
+        assert.equal(sw.fetch.requests.length, before);
+    });
+
+    test('caches artwork, fonts and the classifier at runtime, and nothing else', async () => {
+        const COVER_URL = 'https://e-cdns-images.dzcdn.net/images/cover/abc/1000x1000.jpg';
+        const FONT_URL = 'https://cdn.aframe.io/fonts/Roboto-msdf.json';
+        const OTHER_URL = 'https://tracker.example/pixel.gif';
+        const sw = await installedWorker({
+            [`${SCOPE}assets/art.jpg`]: 'jpeg',
+            [`${SCOPE}notes.txt`]: 'text',
+            [COVER_URL]: 'cover',
+            [FONT_URL]: '{}',
+            [OTHER_URL]: 'gif',
+        });
+        for (const url of ['assets/art.jpg', 'notes.txt', COVER_URL, FONT_URL, OTHER_URL]) {
+            await sw.request(url);
+        }
+
+        const runtime = await sw.caches.open('mood-cubes-runtime-v1');
+        assert.deepEqual(runtime.keys(), [`${SCOPE}assets/art.jpg`, COVER_URL, FONT_URL]);
+    });
+
+    test('Deezer API requests always go to the network', async () => {
+        const API_URL = 'https://api.deezer.com/playlist/9001/tracks?limit=25&output=jsonp&callback=deezerCallback_abc_1';
+        const sw = await installedWorker({ [API_URL]: 'deezerCallback_abc_1({"data":[]})' });
+        await sw.request(API_URL);
+        await sw.request(API_URL);
+
+        assert.equal(sw.fetch.requests.filter(request => request.url === API_URL).length, 2);
+        assert.deepEqual((await sw.caches.open('mood-cubes-runtime-v1')).keys(), []);
+    });
+
+    test('the runtime cache keeps the newest 100 entries', async () => {
+        const files = {};
+        for (let i = 0; i < 105; i++) files[`${SCOPE}assets/art-${i}.jpg`] = 'jpeg';
+        const sw = await installedWorker(files);
+        for (let i = 0; i < 105; i++) await sw.request(`assets/art-${i}.jpg`);
+
+        const keys = (await sw.caches.open('mood-cubes-runtime-v1')).keys();
+        assert.equal(keys.length, 100);
+        assert.equal(keys[0], `${SCOPE}assets/art-5.jpg`);
+        assert.equal(keys[99], `${SCOPE}assets/art-104.jpg`);
+    });
+
+    test('playlists.json comes from the network first and from the cache offline', async () => {
+        const MANIFEST_URL = `${SCOPE}playlists.json`;
+        const edited = { version: 1, edited: true };
+        const sw = await installedWorker({ [MANIFEST_URL]: JSON.stringify(edited) });
+
+        const online = await sw.request('./playlists.json');
+        assert.deepEqual(await online.json(), edited);
+
+        sw.fetch.offline = true;
+        const offline = await sw.request('./playlists.json');
+        assert.deepEqual(await offline.json(), edited);
+    });
+
+    test('caches audio the first time it plays and answers range requests from the cache', async () => {
+        const sw = await installedWorker();
+
+        const first = await sw.request(TRACK_URL, { destination: 'audio', headers: { range: 'bytes=0-' } });
+        assert.equal(first.status, 206); // Straight from the network
+        const audio = await sw.caches.open('mood-cubes-audio-v1');
+        assert.ok(audio.keys().includes(TRACK_URL));
+
+        const requests = sw.fetch.requests.length;
+        const partial = await sw.request(TRACK_URL, { destination: 'audio', headers: { range: 'bytes=5-9' } });
+        assert.equal(partial.status, 206);
+        assert.equal(partial.headers.get('Content-Range'), 'bytes 5-9/20');
+        assert.equal(await partial.text(), '56789');
+
+        const suffix = await sw.request(TRACK_URL, { destination: 'audio', headers: { range: 'bytes=-4' } });
+        assert.equal(await suffix.text(), 'ghij');
+
+        const whole = await sw.request(TRACK_URL, { destination: 'audio' });
+        assert.equal(whole.status, 200);
+        assert.equal((await whole.arrayBuffer()).byteLength, 20);
+
+        const outside = await sw.request(TRACK_URL, { destination: 'audio', headers: { range: 'bytes=30-' } });
+        assert.equal(outside.status, 416);
+        assert.equal(sw.fetch.requests.length, requests);
+    });
+
+    test('audio that fails to download is not cached', async () => {
+        const url = `${SCOPE}assets/audio/missing.mp3`;
+        const sw = await installedWorker();
+        await sw.request(url, { destination: 'audio' });
+        const audio = await sw.caches.open('mood-cubes-audio-v1');
+        assert.equal(audio.keys().includes(url), false);
+    });
+
+    test('audio from other sites, like Deezer previews, is left to the network', async () => {
+        const PREVIEW_URL = 'https://cdnt-preview.dzcdn.net/api/1/1/a/b/c/0/abc.mp3?hdnea=exp=1760000000~acl=/api/1/1/a/b/c/0/abc.mp3*~hmac=123';
+        const sw = await installedWorker({ [PREVIEW_URL]: TRACK_BYTES });
+        const requests = sw.fetch.requests.length;
+
+        assert.equal(await sw.request(PREVIEW_URL, { destination: 'audio' }), undefined);
+        assert.equal(sw.fetch.requests.length, requests);
+        assert.deepEqual((await sw.caches.open('mood-cubes-audio-v1')).keys(), []);
+        assert.deepEqual((await sw.caches.open('mood-cubes-runtime-v1')).keys(), []);
+    });
+
+    test('an audio download that fails offline is dropped quietly', async () => {
+        const sw = await installedWorker();
+        sw.fetch.offline = true;
+        await assert.rejects(sw.request(TRACK_URL, { destination: 'audio' }), /Failed to fetch/);
+        assert.deepEqual((await sw.caches.open('mood-cubes-audio-v1')).keys(), []);
+        assert.deepEqual(sw.warnings, []);
+    });
+
+    test('offline, pages that are not cached get the app and other files a network error', async () => {
+        const sw = await installedWorker();
+        sw.fetch.offline = true;
+
+        const page = await sw.request('./moods/happy', { mode: 'navigate' });
+        assert.match(await page.text(), /<title>Emoji Music Player<\/title>/);
+        const file = await sw.request('./assets/art.jpg');
+        assert.equal(file.type, 'error');
+    });
+
+    test('takes over when the app asks', async () => {
+        const sw = await installedWorker();
+        await sw.dispatch('message', { data: { type: 'SKIP_WAITING' } });
+        assert.equal(sw.self.skipWaitingCount, 1);
+    });
+});
+
+describe('OfflineManager', () => {
+    async function createController(serviceWorker, options = {}) {
+        const harness = loadApp({ serviceWorker, ...options });
+        harness.installFakeScene();
+        const controller = await harness.createController();
+        return { harness, controller };
+    }
+
+    test('registers the service worker', async () => {
+        const container = new FakeServiceWorkerContainer();
+        const { harness } = await createController(container);
+        assert.equal(container.registeredURL, './sw.js');
+        assert.ok(harness.console.has('log', 'Service worker registered'));
+    });
+
+    test('a registration failure does not stop the app', async () => {
+        const container = new FakeServiceWorkerContainer({ failWith: new Error('insecure origin') });
+        const { harness } = await createController(container);
+        assert.ok(harness.console.has('warn', 'insecure origin'));
+        assert.equal(harness.document.getElementById('startButton').disabled, false);
+    });
+
+    test('the first install neither offers an update nor reloads', async () => {
+        const container = new FakeServiceWorkerContainer();
+        const { harness } = await createController(container);
+
+        const worker = container.registration.findUpdate();
+        worker.setState('installed');
+        container.changeController(); // clients.claim()
+
+        assert.equal(harness.document.getElementById('updateBanner').classList.contains('hidden'), true);
+        assert.equal(harness.window.location.reloadCount, 0);
+    });
+
+    test('a new version shows the update banner and reloads once it takes over', async () => {
+        const container = new FakeServiceWorkerContainer({ controlled: true });
+        const { harness } = await createController(container);
+
+        const worker = container.registration.findUpdate();
+        worker.setState('installed');
+        container.registration.waiting = worker;
+        assert.equal(harness.document.getElementById('updateBanner').classList.contains('hidden'), false);
+
+        harness.document.getElementById('updateButton').click();
+        assert.deepEqual(plain(worker.messages), [{ type: 'SKIP_WAITING' }]);
+        container.changeController();
+        assert.equal(harness.window.location.reloadCount, 1);
+    });
+
+    test('offers a version that was already waiting', async () => {
+        const container = new FakeServiceWorkerContainer({ controlled: true });
+        container.registration.waiting = new FakeServiceWorker('installed');
+        const { harness } = await createController(container);
+        assert.equal(harness.document.getElementById('updateBanner').classList.contains('hidden'), false);
+    });
+
+    test('shows the offline indicator while offline', async () => {
+        const { harness } = await createController(undefined);
+        const indicator = harness.document.getElementById('offlineIndicator');
+        const fire = type => harness.window.listeners[type].forEach(listener => listener({ type }));
+        assert.equal(indicator.classList.contains('hidden'), true);
+
+        harness.context.navigator.onLine = false;
+        fire('offline');
+        assert.equal(indicator.classList.contains('hidden'), false);
+
+        harness.context.navigator.onLine = true;
+        fire('online');
+        assert.equal(indicator.classList.contains('hidden'), true);
+    });
+
+    test('SERVICE_WORKER_FILE: null turns registration off', async () => {
+        const container = new FakeServiceWorkerContainer();
+        await createController(container, { config: { SERVICE_WORKER_FILE: null } });
+        assert.equal(container.registeredURL, null);
+    });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./helpers/load-app');
+
+function tracks(count) {
+    return Array.from({ length: count }, (_, i) => ({ title: `Track ${i}`, artist: 'Artist', src: `track-${i}.mp3` }));
+}
+
+describe('PlaybackQueue', () => {
+    let PlaybackQueue;
+
+    beforeEach(() => {
+        ({ PlaybackQueue } = loadApp().app);
+    });
+
+    test('plays in playlist order without shuffle', () => {
+        const queue = new PlaybackQueue(tracks(3));
+        assert.equal(queue.currentIndex, -1);
+        assert.deepEqual([queue.next(), queue.next(), queue.next(), queue.next()], [0, 1, 2, 0]);
+    });
+
+    test('next(false) stops at the end of the queue', () => {
+        const queue = new PlaybackQueue(tracks(2));
+        queue.next();
+        queue.next();
+        assert.equal(queue.next(false), -1);
+        assert.equal(queue.currentIndex, 1);
+    });
+
+    test('prev() wraps to the end of the round', () => {
+        const queue = new PlaybackQueue(tracks(3));
+        queue.next();
+        assert.equal(queue.prev(), 2);
+        assert.equal(queue.prev(), 1);
+    });
+
+    test('shuffle plays every track once per round', () => {
+        const queue = new PlaybackQueue(tracks(10), true);
+        for (let round = 0; round < 5; round++) {
+            const played = Array.from({ length: 10 }, () => queue.next());
+            assert.deepEqual(played.slice().sort((a, b) => a - b), [...Array(10).keys()], `round ${round}`);
+        }
+    });
+
+    test('a new shuffled round never starts with the track that just played', () => {
+        const queue = new PlaybackQueue(tracks(2), true);
+        let last = queue.next();
+        for (let i = 0; i < 50; i++) {
+            const index = queue.next();
+            assert.notEqual(index, last);
+            last = index;
+        }
+    });
+
+    test('setShuffle() keeps the current track', () => {
+        const queue = new PlaybackQueue(tracks(6));
+        queue.next();
+        queue.next(); // Track 1
+
+        queue.setShuffle(true);
+        assert.equal(queue.currentIndex, 1);
+        assert.equal(queue.position, 0);
+        assert.equal(queue.upcoming(10, false).length, 5);
+
+        queue.setShuffle(false);
+        assert.equal(queue.currentIndex, 1);
+        assert.deepEqual(plain(queue.order), [0, 1, 2, 3, 4, 5]);
+        assert.equal(queue.next(), 2);
+    });
+
+    test('upcoming() lists the next tracks, wrapping only when asked', () => {
+        const queue = new PlaybackQueue(tracks(3));
+        queue.next();
+        queue.next(); // Track 1
+        assert.deepEqual(queue.upcoming(5, true).map(track => track.title), ['Track 2', 'Track 0', 'Track 1']);
+        assert.deepEqual(queue.upcoming(5, false).map(track => track.title), ['Track 2']);
+        assert.deepEqual(queue.upcoming(1, true).map(track => track.title), ['Track 2']);
+    });
+
+    test('an empty queue has nothing to play', () => {
+        const queue = new PlaybackQueue([]);
+        assert.equal(queue.next(), -1);
+        assert.equal(queue.prev(), -1);
+        assert.deepEqual(plain(queue.upcoming(5)), []);
+    });
+});
@@ -0,0 +1,202 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain, readRepoFile, twoCubeManifest, FakeStorage } = require('./helpers/load-app');
+
+// Targets in the two-cube test manifest
+const HAPPY_CUBE_A = 4;
+const SAD_CUBE_B = 11;
+const TWO_CUBES = { 'playlists.json': twoCubeManifest() };
+
+const STATE_KEY = 'moodCubes.savedState';
+
+function tracks(count) {
+    return Array.from({ length: count }, (_, i) => ({ title: `Track ${i}`, artist: 'Artist', src: `track-${i}.mp3` }));
+}
+
+/**
+ * Start the app, play the second Happy + Sad track to 0:42, then leave the page
+ * @returns {Promise<FakeStorage>} Storage holding the saved state
+ */
+async function visitAndLeave() {
+    const harness = loadApp({ files: TWO_CUBES });
+    const { controller, system } = await harness.startApp();
+
+    system.findTarget(HAPPY_CUBE_A);
+    system.findTarget(SAD_CUBE_B);
+    await harness.clock.tick(1000);
+    controller.musicPlayer.next();
+    controller.musicPlayer.audio.fakeLoadedMetadata(200);
+    controller.musicPlayer.audio.currentTime = 42;
+    controller.musicPlayer.setRepeat('one');
+
+    harness.window.listeners.pagehide.forEach(listener => listener({ type: 'pagehide' }));
+    return harness.storage;
+}
+
+/**
+ * Load the app again with the given storage, like a reload
+ */
+async function reload(storage, loadOptions = {}) {
+    const harness = loadApp({ storage, ...loadOptions });
+    const { system } = harness.installFakeScene();
+    const controller = await harness.createController();
+    return { harness, controller, system };
+}
+
+describe('PlaybackQueue state', () => {
+    test('fromState() continues a queue where getState() left it', () => {
+        const { PlaybackQueue } = loadApp().app;
+        const list = tracks(5);
+        const queue = new PlaybackQueue(list, true);
+        queue.next();
+        queue.next();
+
+        const restored = PlaybackQueue.fromState(list, plain(queue.getState(42)));
+        assert.equal(restored.currentIndex, queue.currentIndex);
+        assert.equal(restored.resumeTime, 42);
+        assert.equal(restored.shuffle, true);
+        assert.deepEqual(plain(restored.order), plain(queue.order));
+    });
+
+    test('fromState() rejects a changed playlist and invalid positions', () => {
+        const { PlaybackQueue } = loadApp().app;
+        const list = tracks(3);
+        const queue = new PlaybackQueue(list);
+        queue.next();
+        const state = plain(queue.getState());
+
+        assert.equal(PlaybackQueue.fromState(tracks(4), state), null);
+        assert.equal(PlaybackQueue.fromState([...list].reverse(), state), null);
+        assert.equal(PlaybackQueue.fromState(list, { ...state, position: 3 }), null);
+        assert.equal(PlaybackQueue.fromState(list, { ...state, order: [0, 0, 1] }), null);
+        assert.equal(PlaybackQueue.fromState(list, undefined), null);
+    });
+});
+
+describe('SavedStateStore', () => {
+    test('round-trips state and ignores other versions and unreadable data', () => {
+        const harness = loadApp();
+        const store = new harness.app.SavedStateStore();
+
+        assert.equal(store.load(), null);
+        assert.equal(store.save({ player: { combo: 'Happy|Sad' } }), true);
+        assert.equal(store.load().player.combo, 'Happy|Sad');
+
+        harness.storage.setItem(STATE_KEY, JSON.stringify({ version: 0, player: {} }));
+        assert.equal(store.load(), null);
+        harness.storage.setItem(STATE_KEY, '{not json');
+        assert.equal(store.load(), null);
+
+        store.clear();
+        assert.equal(harness.storage.getItem(STATE_KEY), null);
+    });
+
+    test('works without storage', () => {
+        const storage = new FakeStorage();
+        storage.blocked = true;
+        const harness = loadApp({ storage });
+        const store = new harness.app.SavedStateStore();
+
+        assert.equal(store.storage, null);
+        assert.equal(store.load(), null);
+        assert.equal(store.save({}), false);
+        assert.ok(harness.console.has('warn', 'Local storage not available'));
+    });
+});
+
+describe('DetectionState state', () => {
+    test('restores saved moods that are still in the manifest', () => {
+        const harness = loadApp();
+        harness.applyManifest();
+        const state = new harness.app.DetectionState();
+
+        state.restoreState({ cubeMoods: { A: 'Happy', B: 'Grumpy' } });
+        assert.equal(state.getComboKey(), 'Happy|—');
+        assert.deepEqual(plain(state.getState()), { cubeMoods: { A: 'Happy' } });
+    });
+
+    test('restored moods stay through empty frames until a cube locks in', () => {
+        const harness = loadApp();
+        harness.applyManifest();
+        const state = new harness.app.DetectionState();
+        state.restoreState({ cubeMoods: { A: 'Happy' } });
+
+        for (let i = 0; i < 20; i++) assert.equal(state.update([]), false);
+        assert.equal(state.getComboKey(), 'Happy|—');
+
+        const sad = [{ label: 'Sad', confidence: 0.9, cubeId: 'Purple Cube' }];
+        for (let i = 0; i < 4; i++) state.update(sad);
+        assert.equal(state.getComboKey(), 'Happy|—'); // Not locked in yet
+        for (let i = 0; i < 4; i++) state.update(sad);
+        assert.equal(state.getComboKey(), 'Sad|—');
+        assert.equal(state.isHolding, false);
+    });
+});
+
+describe('Resume across reloads', () => {
+    test('saves on pagehide and offers the saved mood and track on the start overlay', async () => {
+        const storage = await visitAndLeave();
+        const saved = JSON.parse(storage.getItem(STATE_KEY));
+        assert.equal(saved.version, 1);
+        assert.equal(saved.player.combo, 'Happy|Sad');
+        assert.equal(saved.player.queues['Happy|Sad'].resumeTime, 42);
+
+        const { harness } = await reload(storage);
+        const title = harness.app.COMBO_PLAYLISTS['Happy|Sad'][1].title;
+        assert.equal(harness.document.getElementById('resumeOffer').classList.contains('hidden'), false);
+        assert.equal(harness.document.getElementById('resumeDetails').textContent, `Happy + Sad · ${title} at 0:42`);
+    });
+
+    test('resume plays the saved track from the saved position and keeps it with no cubes in view', async () => {
+        const storage = await visitAndLeave();
+        const { harness, controller, system } = await reload(storage);
+        const player = controller.musicPlayer;
+
+        await harness.clock.run(controller.startApp({ resume: true }));
+        assert.equal(player.currentCombo, 'Happy|Sad');
+        assert.equal(player.currentTrackIndex, 1);
+        assert.equal(player.isPlaying, true);
+        assert.equal(player.repeat, 'one');
+
+        player.audio.fakeLoadedMetadata(200);
+        assert.equal(player.audio.currentTime, 42);
+
+        await harness.clock.tick(2000); // Past LOSS_GRACE_PERIOD for the saved cubes
+        assert.equal(player.currentCombo, 'Happy|Sad');
+
+        system.findTarget(HAPPY_CUBE_A);
+        await harness.clock.tick(1000);
+        assert.equal(player.currentCombo, 'Happy|—');
+    });
+
+    test('Tap to Start starts fresh but keeps the saved settings', async () => {
+        const storage = await visitAndLeave();
+        const { harness, controller } = await reload(storage);
+
+        assert.equal(controller.musicPlayer.repeat, 'one');
+        await harness.clock.run(controller.startApp());
+        assert.equal(controller.musicPlayer.currentCombo, 'DEFAULT');
+        assert.equal(controller.musicPlayer.isPlaying, false);
+    });
+
+    test('a changed playlist is not offered for resume', async () => {
+        const storage = await visitAndLeave();
+        const manifest = JSON.parse(readRepoFile('playlists.json'));
+        manifest.playlists.find(playlist => playlist.combo === 'Happy|Sad').tracks.reverse();
+
+        const { harness } = await reload(storage, { files: { 'playlists.json': manifest } });
+        assert.equal(harness.document.getElementById('resumeOffer').classList.contains('hidden'), true);
+    });
+
+    test('nothing is saved before the app is started', async () => {
+        const harness = loadApp();
+        harness.installFakeScene();
+        await harness.createController();
+
+        harness.window.listeners.pagehide.forEach(listener => listener({ type: 'pagehide' }));
+        assert.equal(harness.storage.getItem(STATE_KEY), null);
+    });
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain } = require('./helpers/load-app');
+
+/**
+ * Record a session by feeding frames through DetectionState like the detection loop does
+ */
+function recordFrames(app, frames) {
+    const recorder = new app.SessionRecorder();
+    const state = new app.DetectionState();
+    recorder.start();
+    frames.forEach(detections => {
+        const changed = state.update(detections);
+        recorder.recordDetections(state.frameCount, detections);
+        if (changed) {
+            recorder.record('stable', {
+                f: state.frameCount,
+                moods: Object.fromEntries(state.cubeMoods),
+                combo: state.getComboKey(),
+            });
+        }
+    });
+    return plain(recorder.toJSON());
+}
+
+function repeat(detections, count) {
+    return Array.from({ length: count }, () => detections);
+}
+
+const HAPPY = { label: 'Happy', confidence: 1, cubeId: 'A', targetIndex: 4 };
+const SAD = { label: 'Sad', confidence: 1, cubeId: 'B', targetIndex: 11 };
+
+describe('SessionRecorder', () => {
+    test('stores detector output only when it changes', () => {
+        const { app } = loadApp();
+        const session = recordFrames(app, [...repeat([], 5), ...repeat([HAPPY], 20), ...repeat([HAPPY, SAD], 20)]);
+
+        const detections = session.events.filter(event => event.type === 'detections');
+        assert.deepEqual(detections.map(event => event.f), [1, 6, 26]);
+        assert.equal(session.version, 1);
+        assert.equal(session.config.SMOOTHING_FRAMES, app.CONFIG.SMOOTHING_FRAMES);
+    });
+
+    test('ignores events while not recording', () => {
+        const { app } = loadApp();
+        const recorder = new app.SessionRecorder();
+        recorder.record('player', { action: 'play' });
+        assert.equal(recorder.events.length, 0);
+    });
+
+    test('replay() reproduces the recorded smoothing output', () => {
+        const { app } = loadApp();
+        const session = recordFrames(app, [...repeat([], 5), ...repeat([HAPPY], 20), ...repeat([HAPPY, SAD], 20), ...repeat([], 10)]);
+
+        const { stable, mismatches } = app.SessionRecorder.replay(session);
+        assert.deepEqual(plain(mismatches), []);
+        assert.deepEqual(plain(stable).map(change => change.combo), ['Happy|—', 'Happy|Sad', 'DEFAULT']);
+    });
+
+    test('replay() uses the recorded smoothing settings and restores CONFIG', () => {
+        const { app } = loadApp();
+        const session = recordFrames(app, [...repeat([HAPPY], 20)]);
+        session.config.SMOOTHING_FRAMES = 4;
+
+        const { mismatches } = app.SessionRecorder.replay(session);
+        assert.equal(mismatches.length, 1);
+        assert.match(mismatches[0], /^Frame 8: .* at frame 4$/);
+        assert.equal(app.CONFIG.SMOOTHING_FRAMES, 8);
+    });
+
+    test('records the switching settings and replays with them', () => {
+        const { app } = loadApp({ config: { COMBO_DWELL_TIME: 2, LOSS_GRACE_PERIOD: 0.25 } });
+        const frames = [...repeat([HAPPY, SAD], 80), ...repeat([HAPPY], 80), []];
+        const session = JSON.parse(JSON.stringify(recordFrames(app, frames)));
+        assert.deepEqual(session.config, {
+            DETECTOR: 'mindar',
+            CONFIDENCE_THRESHOLD: 0.75,
+            SMOOTHING_FRAMES: 8,
+            DETECTION_FPS: 30,
+            STABLE_AGREEMENT: 0.6,
+            COMBO_DWELL_TIME: 2,
+            LOSS_GRACE_PERIOD: 0.25,
+            KEEP_LAST_COMBO: false,
+            SWITCH_AT_TRACK_END: false,
+        });
+
+        Object.assign(app.CONFIG, { COMBO_DWELL_TIME: 0.5, LOSS_GRACE_PERIOD: 1.5 });
+        const { stable, switches, mismatches } = app.SessionRecorder.replay(session);
+        assert.deepEqual(plain(mismatches), []);
+        assert.deepEqual(plain(stable).map(change => change.f), [8, 84]);
+        // Locked in at frame 8, held for 2s (60 frames); Sad lost at frame 84, dropped
+        // after 0.25s (8 frames), then Happy alone held for 2s
+        assert.deepEqual(plain(switches), [{ f: 68, combo: 'Happy|Sad' }, { f: 152, combo: 'Happy|—' }]);
+        assert.equal(app.CONFIG.COMBO_DWELL_TIME, 0.5);
+        assert.equal(app.CONFIG.LOSS_GRACE_PERIOD, 1.5);
+    });
+
+    test('the replay detector feeds recorded frames through the app', async () => {
+        const { app } = loadApp();
+        const session = recordFrames(app, [...repeat([], 3), ...repeat([HAPPY], 20)]);
+        const harness = loadApp({
+            config: { DETECTOR: 'replay', REPLAY_FILE: './sessions/test.json' },
+            files: { './sessions/test.json': session },
+        });
+        const { controller } = await harness.startApp();
+        assert.equal(controller.modelAdapter.backend, 'replay');
+        assert.ok(harness.console.has('log', '✓ Replay check'));
+
+        await harness.clock.tick(1000);
+        assert.equal(controller.musicPlayer.currentCombo, 'Happy|—');
+    });
+
+    test('a replay recording that is missing or not set shows the recovery screen', async () => {
+        const cases = [
+            [{ REPLAY_FILE: './sessions/missing.json' }, 'Could not load ./sessions/missing.json: HTTP 404'],
+            [{ REPLAY_FILE: null }, 'Replay detector needs CONFIG.REPLAY_FILE'],
+        ];
+        for (const [config, message] of cases) {
+            const harness = loadApp({ config: { DETECTOR: 'replay', ...config } });
+            const { controller } = await harness.startApp();
+
+            assert.equal(controller.modelAdapter.loadError.type, 'targetsFailed');
+            assert.equal(controller.modelAdapter.loadError.message, message);
+            assert.equal(harness.document.getElementById('errorOverlay').dataset.error, 'targetsFailed');
+        }
+    });
+});
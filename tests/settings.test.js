@@ -0,0 +1,234 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain, FakeStorage } = require('./helpers/load-app');
+
+// Target in playlists.json
+const HAPPY_CUBE_A = 4;
+
+const SETTINGS_KEY = 'moodCubes.settings';
+
+/**
+ * Load the app at a URL with a query string, with saved settings
+ */
+function loadAt(search = '', saved = null, options = {}) {
+    const storage = new FakeStorage(saved ? { [SETTINGS_KEY]: JSON.stringify(saved) } : {});
+    const harness = loadApp({ storage, ...options });
+    harness.window.location.search = search;
+    harness.window.location.href = `http://localhost/${search}`;
+    return harness;
+}
+
+async function createController(harness) {
+    harness.installFakeScene();
+    return harness.createController();
+}
+
+function field(harness, key) {
+    const $ = id => harness.document.getElementById(id);
+    return { input: $(`setting-${key}`), row: $(`setting-${key}`).parentElement };
+}
+
+function savedSettings(harness) {
+    return JSON.parse(harness.storage.getItem(SETTINGS_KEY));
+}
+
+describe('Settings', () => {
+    test('URL parameters win over saved preferences, which win over app.js', async () => {
+        const harness = loadAt('?smoothing=12&mock=1&targets=./alt.mind', { SMOOTHING_FRAMES: 10, CONFIDENCE_THRESHOLD: 0.5 });
+        const controller = await createController(harness);
+        const { CONFIG } = harness.app;
+
+        assert.equal(CONFIG.SMOOTHING_FRAMES, 12);
+        assert.equal(CONFIG.CONFIDENCE_THRESHOLD, 0.5);
+        assert.equal(CONFIG.MOCK_MODE, true);
+        assert.equal(CONFIG.TARGETS_FILE, './alt.mind');
+        assert.equal(CONFIG.DETECTION_FPS, 30);
+        assert.equal(controller.modelAdapter.backend, 'mock');
+
+        assert.deepEqual(['SMOOTHING_FRAMES', 'CONFIDENCE_THRESHOLD', 'DETECTION_FPS'].map(key => controller.settings.getSource(key)),
+            ['url', 'saved', 'default']);
+        assert.ok(harness.console.has('log', /Settings: .*SMOOTHING_FRAMES=12 \(url\)/));
+    });
+
+    test('invalid URL parameters and saved values are ignored with a warning', async () => {
+        const harness = loadAt(
+            '?smoothing=abc&confidence=2&fps=2.5&mock=maybe&detector=magic&targets=https://evil.example/x.mind',
+            { SMOOTHING_FRAMES: 0, NOT_A_SETTING: 1 },
+        );
+        await createController(harness);
+        const { CONFIG } = harness.app;
+
+        assert.equal(CONFIG.SMOOTHING_FRAMES, 8);
+        assert.equal(CONFIG.CONFIDENCE_THRESHOLD, 0.75);
+        assert.equal(CONFIG.MOCK_MODE, false);
+        assert.equal(CONFIG.TARGETS_FILE, './target.mind');
+        assert.ok(harness.console.has('warn', 'Ignoring ?smoothing=abc: must be a whole number from 1 to 60'));
+        assert.ok(harness.console.has('warn', 'Ignoring ?fps=2.5: must be a whole number from 1 to 60'));
+        assert.ok(harness.console.has('warn', 'Ignoring ?confidence=2: must be a number from 0 to 1'));
+        assert.ok(harness.console.has('warn', 'Ignoring ?mock=maybe: must be on or off (1 or 0)'));
+        assert.ok(harness.console.has('warn', /Ignoring \?detector=magic: must be one of mindar, /));
+        assert.ok(harness.console.has('warn', 'Ignoring ?targets=https://evil.example/x.mind: must be a path on this site ending in .mind'));
+        assert.ok(harness.console.has('warn', 'Ignoring saved setting SMOOTHING_FRAMES: must be a whole number from 1 to 60'));
+        assert.ok(harness.console.has('warn', 'Ignoring saved setting NOT_A_SETTING: not a setting'));
+    });
+
+    test('?targets with backslashes pointing at another site is ignored', async () => {
+        for (const search of ['?targets=/%5Cevil.example/a.mind', '?targets=%5C%5Cevil.example/a.mind']) {
+            const harness = loadAt(search);
+            await createController(harness);
+            assert.equal(harness.app.CONFIG.TARGETS_FILE, './target.mind');
+            assert.ok(harness.console.has('warn', /^Ignoring \?targets=.*evil\.example\/a\.mind: must be a path on this site/));
+        }
+    });
+
+    test('parses booleans and checks paths', () => {
+        const { app } = loadApp();
+        const parse = text => app.Settings.parse('MOCK_MODE', text);
+        assert.deepEqual([parse(''), parse('1'), parse('on'), parse('TRUE'), parse('0'), parse('off')], [true, true, true, true, false, false]);
+
+        const validate = value => app.Settings.validate('TARGETS_FILE', value);
+        assert.equal(validate('./cubes/alt.mind'), null);
+        assert.equal(validate('/cubes/alt.mind'), null);
+        assert.notEqual(validate('//evil.example/alt.mind'), null);
+        assert.notEqual(validate('javascript:alert(1)//.mind'), null);
+        assert.notEqual(validate('./alt.json'), null);
+        assert.notEqual(validate('/\\evil.example/alt.mind'), null);
+        assert.notEqual(validate('\\\\evil.example/alt.mind'), null);
+        assert.notEqual(validate('https://evil.example/alt.mind'), null);
+        assert.equal(validate('http://localhost/cubes/alt.mind'), null);
+    });
+});
+
+describe('SettingsSheet', () => {
+    test('opens with ?settings and shows the values and where they come from', async () => {
+        const harness = loadAt('?settings&smoothing=12', { CONFIDENCE_THRESHOLD: 0.5 });
+        const controller = await createController(harness);
+
+        assert.equal(controller.settingsSheet.isOpen, true);
+        assert.equal(harness.document.activeElement, field(harness, 'CONFIDENCE_THRESHOLD').input);
+        assert.equal(field(harness, 'SMOOTHING_FRAMES').input.value, '12');
+        assert.equal(field(harness, 'SMOOTHING_FRAMES').row.children[2].textContent, 'from URL');
+        assert.equal(field(harness, 'CONFIDENCE_THRESHOLD').row.children[2].textContent, 'saved');
+        assert.equal(field(harness, 'MOCK_MODE').input.checked, false);
+        assert.equal(field(harness, 'DETECTOR').input.value, 'mindar');
+    });
+
+    test('opens from the diagnostics panel', async () => {
+        const harness = loadAt();
+        const controller = await createController(harness);
+        harness.document.getElementById('diagnosticsSettingsButton').click();
+        assert.equal(controller.settingsSheet.isOpen, true);
+    });
+
+    test('a valid change applies and is saved, and drops its URL parameter', async () => {
+        const harness = loadAt('?settings&smoothing=12&fps=20');
+        await createController(harness);
+        const { input } = field(harness, 'SMOOTHING_FRAMES');
+
+        input.value = '4';
+        input.dispatchEvent({ type: 'change' });
+        assert.equal(harness.app.CONFIG.SMOOTHING_FRAMES, 4);
+        assert.deepEqual(savedSettings(harness), { SMOOTHING_FRAMES: 4 });
+        assert.equal(harness.window.location.search, '?settings=&fps=20');
+        assert.equal(field(harness, 'SMOOTHING_FRAMES').row.children[2].textContent, 'saved');
+        assert.ok(harness.console.has('log', 'Setting SMOOTHING_FRAMES changed to 4'));
+    });
+
+    test('an invalid change is explained and changes nothing', async () => {
+        const harness = loadAt('?settings');
+        await createController(harness);
+        const { input, row } = field(harness, 'CONFIDENCE_THRESHOLD');
+
+        input.value = '1.5';
+        input.dispatchEvent({ type: 'change' });
+        assert.equal(harness.app.CONFIG.CONFIDENCE_THRESHOLD, 0.75);
+        assert.equal(input.getAttribute('aria-invalid'), 'true');
+        assert.equal(row.children[3].textContent, 'Confidence threshold must be a number from 0 to 1');
+        assert.equal(savedSettings(harness), null);
+
+        input.value = '0.6';
+        input.dispatchEvent({ type: 'change' });
+        assert.equal(input.getAttribute('aria-invalid'), 'false');
+        assert.equal(row.children[3].textContent, '');
+    });
+
+    test('Reset to defaults forgets preferences and URL parameters', async () => {
+        const harness = loadAt('?settings&fps=20', { SMOOTHING_FRAMES: 10 });
+        await createController(harness);
+
+        harness.document.getElementById('settingsResetButton').click();
+        assert.equal(harness.app.CONFIG.SMOOTHING_FRAMES, 8);
+        assert.equal(harness.app.CONFIG.DETECTION_FPS, 30);
+        assert.equal(harness.storage.getItem(SETTINGS_KEY), null);
+        assert.equal(harness.window.location.search, '?settings=');
+        assert.equal(field(harness, 'SMOOTHING_FRAMES').input.value, '8');
+    });
+});
+
+describe('Applying settings', () => {
+    test('fewer smoothing frames apply on the next detection frame', async () => {
+        const harness = loadAt();
+        const { controller, system } = await harness.startApp();
+
+        system.findTarget(HAPPY_CUBE_A);
+        await harness.clock.tick(1000);
+        assert.equal(controller.detectionState.smoothingBuffer.length, 8);
+
+        assert.equal(controller.changeSetting('SMOOTHING_FRAMES', 3), null);
+        await harness.clock.tick(100);
+        assert.equal(controller.detectionState.smoothingBuffer.length, 3);
+        assert.equal(controller.musicPlayer.currentCombo, 'Happy|—');
+    });
+
+    test('detector settings replace the detector before Tap to Start', async () => {
+        const harness = loadAt();
+        const controller = await createController(harness);
+
+        controller.changeSetting('MOCK_MODE', true);
+        assert.equal(controller.modelAdapter.backend, 'mock');
+        await harness.clock.run(controller.startApp());
+
+        assert.equal(controller.modelAdapter.isLoaded, true);
+        assert.equal(harness.context.navigator.mediaDevices.requests, 0);
+        assert.ok(controller.mockPanel);
+    });
+
+    test('detector settings after Tap to Start ask for a reload', async () => {
+        const harness = loadAt('?settings');
+        const controller = await createController(harness);
+        await harness.clock.run(controller.startApp());
+        const notice = harness.document.getElementById('settingsNotice');
+        const reloadButton = harness.document.getElementById('settingsReloadButton');
+
+        controller.changeSetting('CONFIDENCE_THRESHOLD', 0.5);
+        assert.equal(notice.classList.contains('hidden'), true);
+
+        controller.changeSetting('MOCK_MODE', true);
+        assert.equal(controller.modelAdapter.backend, 'mindar');
+        assert.equal(notice.classList.contains('hidden'), false);
+        assert.deepEqual(savedSettings(harness), { CONFIDENCE_THRESHOLD: 0.5, MOCK_MODE: true });
+
+        reloadButton.click();
+        assert.equal(harness.window.location.reloadCount, 1);
+    });
+
+    test('MindAR loads the targets file from the settings', async () => {
+        const harness = loadAt('?targets=./cubes/alt.mind', null, { files: { 'cubes/alt.mind': 'alt targets' } });
+        const { controller, system } = await harness.startApp();
+
+        assert.ok(harness.fetch.requests.includes('./cubes/alt.mind'));
+        assert.equal(system.imageTargetSrc, './cubes/alt.mind');
+        assert.equal(controller.modelAdapter.isLoaded, true);
+    });
+
+    test('a missing targets file from the URL shows the targets screen', async () => {
+        const harness = loadAt('?targets=./missing.mind');
+        const { controller } = await harness.startApp();
+
+        assert.equal(plain(controller.modelAdapter.loadError.message), 'Could not load ./missing.mind (HTTP 404)');
+        assert.equal(harness.document.getElementById('errorOverlay').dataset.error, 'targetsFailed');
+    });
+});
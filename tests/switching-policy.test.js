@@ -0,0 +1,216 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, plain, twoCubeManifest } = require('./helpers/load-app');
+
+// Targets in the two-cube test manifest
+const HAPPY_CUBE_A = 4;
+const SAD_CUBE_B = 11;
+const TWO_CUBES = { 'playlists.json': twoCubeManifest() };
+
+function setup(config = {}) {
+    const { app } = loadApp({ config: { COMBO_DWELL_TIME: 0.5, LOSS_GRACE_PERIOD: 1.5, KEEP_LAST_COMBO: false, ...config } });
+    const policy = new app.SwitchingPolicy();
+    const moods = entries => new Map(Object.entries(entries));
+    return { app, policy, moods };
+}
+
+describe('SwitchingPolicy', () => {
+    test('accepts a new combo once it held for COMBO_DWELL_TIME', () => {
+        const { policy, moods } = setup();
+
+        assert.equal(policy.update(moods({ A: 'Happy' }), 0), null);
+        assert.equal(policy.pendingCombo, 'Happy|—');
+        assert.equal(policy.update(moods({ A: 'Happy' }), 499), null);
+        assert.equal(policy.update(moods({ A: 'Happy' }), 500), 'Happy|—');
+        assert.equal(policy.update(moods({ A: 'Happy' }), 600), null);
+        assert.equal(policy.combo, 'Happy|—');
+    });
+
+    test('a combo that changes again before COMBO_DWELL_TIME starts the wait over', () => {
+        const { policy, moods } = setup();
+        policy.update(moods({ A: 'Happy' }), 0);
+        policy.update(moods({ A: 'Happy' }), 500);
+
+        policy.update(moods({ A: 'Sad' }), 1000);
+        policy.update(moods({ A: 'Chill' }), 1300);
+        assert.equal(policy.update(moods({ A: 'Chill' }), 1700), null);
+        assert.equal(policy.update(moods({ A: 'Chill' }), 1800), 'Chill|—');
+
+        // Flicking back to the accepted combo drops the pending one
+        policy.update(moods({ A: 'Sad' }), 2000);
+        policy.update(moods({ A: 'Chill' }), 2100);
+        assert.equal(policy.pendingCombo, null);
+        assert.equal(policy.update(moods({ A: 'Sad' }), 2200), null);
+    });
+
+    test('a lost cube keeps its mood for LOSS_GRACE_PERIOD', () => {
+        const { policy, moods } = setup({ COMBO_DWELL_TIME: 0 });
+        policy.update(moods({ A: 'Happy', B: 'Sad' }), 0);
+
+        assert.equal(policy.update(moods({ A: 'Happy' }), 100), null);
+        assert.equal(policy.isLosing(), true);
+        assert.equal(policy.update(moods({ A: 'Happy' }), 1599), null);
+        assert.equal(policy.update(moods({ A: 'Happy' }), 1600), 'Happy|—');
+        assert.equal(policy.isLosing(), false);
+    });
+
+    test('a cube that comes back within LOSS_GRACE_PERIOD changes nothing', () => {
+        const { policy, moods } = setup({ COMBO_DWELL_TIME: 0 });
+        policy.update(moods({ A: 'Happy' }), 0);
+
+        policy.update(moods({}), 100);
+        assert.equal(policy.update(moods({ A: 'Happy' }), 1500), null);
+        assert.equal(policy.isLosing(), false);
+        // The grace period starts over on the next loss
+        policy.update(moods({}), 2000);
+        assert.equal(policy.update(moods({}), 3000), null);
+        assert.equal(policy.update(moods({}), 3500), 'DEFAULT');
+    });
+
+    test('KEEP_LAST_COMBO keeps the combo with every cube gone, until a new one is scanned', () => {
+        const { policy, moods } = setup({ COMBO_DWELL_TIME: 0, KEEP_LAST_COMBO: true });
+        policy.update(moods({ A: 'Happy' }), 0);
+
+        assert.equal(policy.update(moods({}), 100), null);
+        assert.equal(policy.update(moods({}), 10000), null);
+        assert.equal(policy.combo, 'Happy|—');
+        assert.equal(policy.cubeMoods.size, 0);
+        assert.equal(policy.update(moods({ B: 'Sad' }), 10100), 'Sad|—');
+    });
+
+    test('restore() takes over resumed or picked moods as the accepted combo', () => {
+        const { policy, moods } = setup();
+        policy.update(moods({ A: 'Chill' }), 0);
+
+        policy.restore(moods({ 'picked-1': 'Sad', 'picked-2': 'Happy' }));
+        assert.equal(policy.combo, 'Happy|Sad');
+        assert.equal(policy.pendingCombo, null);
+        assert.equal(policy.update(moods({ 'picked-1': 'Sad', 'picked-2': 'Happy' }), 100), null);
+    });
+
+    test('a restored combo holds with no cube in view until a scanned cube locks in', () => {
+        const { policy, moods } = setup();
+
+        // Resumed music whose moods were gone when it was saved
+        policy.restore(moods({}), 'Happy|—');
+        assert.equal(policy.isHolding, true);
+        assert.equal(policy.update(moods({}), 0), null);
+        assert.equal(policy.update(moods({}), 5000), null);
+        assert.equal(policy.combo, 'Happy|—');
+
+        policy.update(moods({ A: 'Sad' }), 6000);
+        assert.equal(policy.isHolding, false);
+        assert.equal(policy.update(moods({ A: 'Sad' }), 6500), 'Sad|—');
+    });
+});
+
+describe('Switching in the app', () => {
+    test('a cube covered for a moment keeps the music', async () => {
+        const { harness, controller, system } = await loadApp({ files: TWO_CUBES }).startApp();
+        const player = controller.musicPlayer;
+        system.findTarget(HAPPY_CUBE_A);
+        system.findTarget(SAD_CUBE_B);
+        await harness.clock.tick(1000);
+        assert.equal(player.currentCombo, 'Happy|Sad');
+        const combos = [];
+        controller.on('combochange', ({ combo }) => combos.push(combo));
+
+        system.loseTarget(SAD_CUBE_B);
+        await harness.clock.tick(800);
+        assert.equal(plain(controller.getHudState()).combo, 'Happy + Sad');
+        system.findTarget(SAD_CUBE_B);
+        await harness.clock.tick(2000);
+
+        assert.deepEqual(combos, []);
+        assert.equal(player.currentCombo, 'Happy|Sad');
+    });
+
+    test('KEEP_LAST_COMBO keeps playing the last combo with no cube in view', async () => {
+        const { harness, controller, system } = await loadApp({ files: TWO_CUBES, config: { KEEP_LAST_COMBO: true } }).startApp();
+        const player = controller.musicPlayer;
+        system.findTarget(HAPPY_CUBE_A);
+        await harness.clock.tick(1000);
+
+        system.loseTarget(HAPPY_CUBE_A);
+        await harness.clock.tick(5000);
+        assert.equal(player.currentCombo, 'Happy|—');
+    });
+
+    test('the 60% agreement comes from STABLE_AGREEMENT', () => {
+        const { app } = loadApp({ config: { STABLE_AGREEMENT: 1 } });
+        const state = new app.DetectionState();
+        assert.equal(state.getStableValue(['Happy', 'Happy', 'Happy', 'Happy', 'Happy', 'Happy', 'Happy', null]), null);
+        app.CONFIG.STABLE_AGREEMENT = 0.6;
+        assert.equal(state.getStableValue(['Happy', 'Happy', 'Happy', 'Happy', 'Happy', null, null, null]), 'Happy');
+    });
+});
+
+describe('SWITCH_AT_TRACK_END', () => {
+    async function playingHappy() {
+        const { harness, controller, system } = await loadApp({ files: TWO_CUBES, config: { SWITCH_AT_TRACK_END: true } }).startApp();
+        const player = controller.musicPlayer;
+        system.findTarget(HAPPY_CUBE_A);
+        await harness.clock.tick(1000);
+        assert.equal(player.isPlaying, true);
+        system.loseTarget(HAPPY_CUBE_A);
+        system.findTarget(SAD_CUBE_B);
+        await harness.clock.tick(3000);
+        return { harness, controller, system, player };
+    }
+
+    test('a new combo waits for the current track to end', async () => {
+        const { harness, controller, player } = await playingHappy();
+        const combos = [];
+        controller.on('combochange', ({ combo }) => combos.push(combo));
+        assert.equal(player.currentCombo, 'Happy|—');
+        assert.equal(player.nextCombo, 'Sad|—');
+        assert.equal(plain(controller.getHudState()).guidance, harness.app.HUD_GUIDANCE.queued);
+        await harness.clock.tick(harness.app.ANNOUNCE_DELAY);
+        assert.match(harness.document.getElementById('liveAnnouncer').textContent, /Mood: Sad, plays after this track/);
+
+        player.audio.fakeEnded();
+        assert.equal(player.currentCombo, 'Sad|—');
+        assert.equal(player.nextCombo, null);
+        assert.equal(player.audio.getAttribute('src'), harness.app.COMBO_PLAYLISTS['Sad|—'][0].src);
+        assert.deepEqual(combos, ['Sad|—']);
+    });
+
+    test('skipping the track switches right away', async () => {
+        const { player } = await playingHappy();
+        player.next();
+        assert.equal(player.currentCombo, 'Sad|—');
+    });
+
+    test('turning back to the playing combo cancels the switch', async () => {
+        const { harness, system, player } = await playingHappy();
+        system.loseTarget(SAD_CUBE_B);
+        system.findTarget(HAPPY_CUBE_A);
+        await harness.clock.tick(3000);
+        assert.equal(player.nextCombo, null);
+
+        player.audio.fakeEnded();
+        assert.equal(player.currentCombo, 'Happy|—');
+    });
+
+    test('picked moods and turning the setting off switch right away', async () => {
+        const { controller, player } = await playingHappy();
+        controller.changeSetting('SWITCH_AT_TRACK_END', false);
+        assert.equal(player.currentCombo, 'Sad|—');
+
+        controller.changeSetting('SWITCH_AT_TRACK_END', true);
+        controller.setMood('Chill');
+        assert.equal(player.currentCombo, 'Chill|—');
+    });
+
+    test('with nothing playing the switch is immediate', async () => {
+        const { harness, controller, system } = await loadApp({ files: TWO_CUBES, config: { SWITCH_AT_TRACK_END: true } }).startApp();
+        const player = controller.musicPlayer;
+        system.findTarget(HAPPY_CUBE_A);
+        await harness.clock.tick(1000);
+        assert.equal(player.currentCombo, 'Happy|—');
+        assert.equal(player.nextCombo, null);
+    });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { twoCubeManifest } = require('./helpers/load-app');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Run `compile-targets.mjs verify` from the repo root
+ */
+function verify(...args) {
+    const result = spawnSync(process.execPath, ['tools/compile-targets.mjs', 'verify', ...args], {
+        cwd: ROOT,
+        encoding: 'utf8',
+        timeout: 60000,
+    });
+    return { status: result.status, output: result.stdout + result.stderr };
+}
+
+function writeTempFile(name, content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'targets-'));
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(content));
+    return file;
+}
+
+describe('Compiled targets', () => {
+    test('target.mind matches target.labels.json and has what MindAR 1.1.4 reads', () => {
+        const { status, output } = verify('target.mind');
+        assert.equal(status, 0, output);
+        assert.match(output, /target\.mind: 6 targets/);
+        assert.match(output, /✓ Targets match/);
+    });
+
+    test('a label file with a different number of targets fails verify', () => {
+        const labels = JSON.parse(fs.readFileSync(path.join(ROOT, 'target.labels.json'), 'utf8'));
+        const labelsPath = writeTempFile('target.labels.json', { ...labels, targets: labels.targets.slice(0, 2) });
+
+        const { status, output } = verify('target.mind', '--labels', labelsPath);
+        assert.equal(status, 1);
+        assert.match(output, /lists 2 targets but target\.mind has 6/);
+        fs.rmSync(path.dirname(labelsPath), { recursive: true });
+    });
+
+    test('playlists.json maps exactly the targets in target.mind, with the same moods and cubes', () => {
+        const { status, output } = verify('target.mind', '--manifest', 'playlists.json');
+        assert.equal(status, 0, output);
+        assert.match(output, /✓ Targets match/);
+    });
+
+    test('a manifest with targets missing from target.mind fails verify', () => {
+        const manifestPath = writeTempFile('playlists.json', twoCubeManifest());
+
+        const { status, output } = verify('target.mind', '--manifest', manifestPath);
+        assert.equal(status, 1);
+        assert.match(output, /maps target 11 \("Sad"\) but target\.mind only has 6/);
+        fs.rmSync(path.dirname(manifestPath), { recursive: true });
+    });
+});
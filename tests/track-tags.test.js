@@ -0,0 +1,361 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveObjectURL } = require('node:buffer');
+
+const { loadApp, plain } = require('./helpers/load-app');
+
+const JPEG = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46]);
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// ----------------------------------------------------------------------------
+// Tag builders
+// ----------------------------------------------------------------------------
+
+function uint32(value) {
+    const bytes = Buffer.alloc(4);
+    bytes.writeUInt32BE(value);
+    return bytes;
+}
+
+function uint32LE(value) {
+    const bytes = Buffer.alloc(4);
+    bytes.writeUInt32LE(value);
+    return bytes;
+}
+
+function synchsafe(value) {
+    return Buffer.from([(value >> 21) & 0x7F, (value >> 14) & 0x7F, (value >> 7) & 0x7F, value & 0x7F]);
+}
+
+/**
+ * ID3v2 tag followed by some fake audio
+ * @param {number} version - 2, 3 or 4
+ * @param {Array<[string, Buffer]>} frames - Frame id and data
+ */
+function id3(version, frames, { flags = 0, audio = Buffer.alloc(64, 0xAA) } = {}) {
+    const body = Buffer.concat(frames.map(([id, data]) => {
+        if (version === 2) {
+            return Buffer.concat([Buffer.from(id), uint32(data.length).subarray(1), data]);
+        }
+        const size = version === 4 ? synchsafe(data.length) : uint32(data.length);
+        return Buffer.concat([Buffer.from(id), size, Buffer.from([0, 0]), data]);
+    }));
+    const padding = Buffer.alloc(32);
+    const header = Buffer.concat([Buffer.from('ID3'), Buffer.from([version, 0, flags]), synchsafe(body.length + padding.length)]);
+    return Buffer.concat([header, body, padding, audio]);
+}
+
+function textFrame(text, encoding = 3) {
+    const encoded = encoding === 1
+        ? Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(text, 'utf16le')])
+        : Buffer.from(text, encoding === 0 ? 'latin1' : 'utf8');
+    return Buffer.concat([Buffer.from([encoding]), encoded]);
+}
+
+function apicFrame(data, pictureType = 3, type = 'image/jpeg') {
+    return Buffer.concat([Buffer.from([0]), Buffer.from(`${type}\0`), Buffer.from([pictureType]), Buffer.from('Cover\0'), data]);
+}
+
+function atom(type, ...children) {
+    const content = Buffer.concat(children);
+    return Buffer.concat([uint32(content.length + 8), Buffer.from(type, 'latin1'), content]);
+}
+
+function dataAtom(type, value) {
+    return atom('data', uint32(type), uint32(0), value);
+}
+
+/**
+ * M4A file with "moov" after a large "mdat", so it is not in the first request
+ */
+function m4a({ title, artist, album, cover, duration }) {
+    const mvhd = Buffer.alloc(100);
+    mvhd.writeUInt32BE(1000, 12); // Timescale
+    mvhd.writeUInt32BE(duration * 1000, 16);
+    const ilst = atom('ilst',
+        atom('©nam', dataAtom(1, Buffer.from(title))),
+        atom('©ART', dataAtom(1, Buffer.from(artist))),
+        atom('©alb', dataAtom(1, Buffer.from(album))),
+        atom('covr', dataAtom(14, cover)));
+    const meta = atom('meta', Buffer.alloc(4), atom('hdlr', Buffer.alloc(25)), ilst);
+    return Buffer.concat([
+        atom('ftyp', Buffer.from('M4A \0\0\0\0isom')),
+        atom('mdat', Buffer.alloc(200 * 1024)),
+        atom('moov', atom('mvhd', mvhd), atom('udta', meta)),
+    ]);
+}
+
+function vorbisComment(comments) {
+    const vendor = Buffer.from('test');
+    return Buffer.concat([
+        uint32LE(vendor.length), vendor, uint32LE(comments.length),
+        ...comments.map(comment => Buffer.concat([uint32LE(Buffer.byteLength(comment)), Buffer.from(comment)])),
+    ]);
+}
+
+function flacPicture(data, pictureType = 3, type = 'image/png') {
+    return Buffer.concat([
+        uint32(pictureType), uint32(type.length), Buffer.from(type), uint32(0), Buffer.alloc(16), uint32(data.length), data,
+    ]);
+}
+
+function flac({ sampleRate, samples, comments, picture }) {
+    const streaminfo = Buffer.alloc(34);
+    const packed = (BigInt(sampleRate) << 44n) | (1n << 41n) | (15n << 36n) | BigInt(samples);
+    streaminfo.writeBigUInt64BE(packed, 10);
+    const block = (type, data, isLast = false) => Buffer.concat([
+        Buffer.from([(isLast ? 0x80 : 0) | type]), uint32(data.length).subarray(1), data,
+    ]);
+    return Buffer.concat([
+        Buffer.from('fLaC'),
+        block(0, streaminfo),
+        block(4, vorbisComment(comments)),
+        block(6, flacPicture(picture), true),
+        Buffer.alloc(64, 0xAA),
+    ]);
+}
+
+/**
+ * Ogg stream with at most segmentsPerPage lacing values per page, so packets span pages
+ */
+function ogg(packets, segmentsPerPage = 2) {
+    const segments = [];
+    packets.forEach(packet => {
+        for (let offset = 0; ; offset += 255) {
+            const segment = packet.subarray(offset, offset + 255);
+            segments.push(segment);
+            if (segment.length < 255) break;
+        }
+    });
+
+    const pages = [];
+    for (let i = 0; i < segments.length; i += segmentsPerPage) {
+        const pageSegments = segments.slice(i, i + segmentsPerPage);
+        const header = Buffer.alloc(27);
+        header.write('OggS');
+        header.writeUInt32LE(pages.length, 18);
+        header[26] = pageSegments.length;
+        pages.push(header, Buffer.from(pageSegments.map(segment => segment.length)), ...pageSegments);
+    }
+    return Buffer.concat(pages);
+}
+
+async function blobBytes(url) {
+    return Buffer.from(await resolveObjectURL(url).arrayBuffer());
+}
+
+async function readTags(file, options = {}) {
+    const harness = loadApp({ files: { 'song.mp3': file }, ...options });
+    const reader = new harness.app.TagReader();
+    const tags = await reader.load('song.mp3');
+    return { harness, reader, tags: plain(tags) };
+}
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+describe('TagReader', () => {
+    test('reads ID3v2.3 text frames and prefers the front cover', async () => {
+        const file = id3(3, [
+            ['TIT2', textFrame('Café Song', 0)],
+            ['TPE1', textFrame('Artïst', 1)],
+            ['TALB', textFrame('Album')],
+            ['TLEN', textFrame('185500', 0)],
+            ['APIC', apicFrame(PNG, 4, 'image/png')], // Back cover
+            ['APIC', apicFrame(JPEG)],
+        ]);
+        const { tags } = await readTags(file);
+
+        assert.equal(tags.title, 'Café Song');
+        assert.equal(tags.artist, 'Artïst');
+        assert.equal(tags.album, 'Album');
+        assert.equal(tags.duration, 185.5);
+        const blob = resolveObjectURL(tags.artwork);
+        assert.equal(blob.type, 'image/jpeg');
+        assert.deepEqual(await blobBytes(tags.artwork), JPEG);
+    });
+
+    test('reads ID3v2.4 with several artists and ID3v2.2', async () => {
+        const v24 = await readTags(id3(4, [['TIT2', textFrame('Four')], ['TPE1', textFrame('One\0Two')]]));
+        assert.deepEqual(v24.tags, { title: 'Four', artist: 'One, Two' });
+
+        const v22 = await readTags(id3(2, [
+            ['TT2', textFrame('Two', 0)],
+            ['PIC', Buffer.concat([Buffer.from([0]), Buffer.from('PNG'), Buffer.from([3]), Buffer.from('\0'), PNG])],
+        ]));
+        assert.equal(v22.tags.title, 'Two');
+        assert.equal(resolveObjectURL(v22.tags.artwork).type, 'image/png');
+    });
+
+    test('undoes ID3v2.3 unsynchronisation', async () => {
+        // The whole tag after the header is unsynchronised (a 0x00 after every 0xFF), frame sizes are not
+        const file = id3(3, [['APIC', apicFrame(JPEG)]], { flags: 0x80, audio: Buffer.alloc(0) });
+        const body = Buffer.from(file.subarray(10).toString('latin1').replace(/\xFF/g, '\xFF\x00'), 'latin1');
+        const header = Buffer.concat([file.subarray(0, 6), synchsafe(body.length)]);
+        const { tags } = await readTags(Buffer.concat([header, body]));
+        assert.deepEqual(await blobBytes(tags.artwork), JPEG);
+    });
+
+    test('reads the first part of a file only, with Range requests', async () => {
+        const file = id3(3, [['TIT2', textFrame('Big Tag')], ['APIC', apicFrame(Buffer.alloc(200 * 1024, 1))]]);
+        const { harness, tags } = await readTags(file);
+        assert.equal(tags.title, 'Big Tag');
+        assert.equal(harness.fetch.requests.length, 2); // First 128 KB, then the rest of the tag
+    });
+
+    test('reads MP4 metadata after the media data', async () => {
+        const { tags } = await readTags(m4a({ title: 'M4A Title', artist: 'M4A Artist', album: 'M4A Album', cover: PNG, duration: 42 }));
+        assert.equal(tags.title, 'M4A Title');
+        assert.equal(tags.artist, 'M4A Artist');
+        assert.equal(tags.album, 'M4A Album');
+        assert.equal(tags.duration, 42);
+        assert.deepEqual(await blobBytes(tags.artwork), PNG);
+    });
+
+    test('reads FLAC stream info, Vorbis comments and pictures', async () => {
+        const file = flac({
+            sampleRate: 44100,
+            samples: 44100 * 200,
+            comments: ['TITLE=Flac Title', 'artist=First', 'ARTIST=Second', 'ALBUM=Flac Album'],
+            picture: PNG,
+        });
+        const { tags } = await readTags(file);
+        assert.equal(tags.title, 'Flac Title');
+        assert.equal(tags.artist, 'First, Second');
+        assert.equal(tags.duration, 200);
+        assert.deepEqual(await blobBytes(tags.artwork), PNG);
+    });
+
+    test('reads Ogg Opus comments spanning pages, with cover art', async () => {
+        const picture = flacPicture(Buffer.concat([PNG, Buffer.alloc(600, 7)]));
+        const file = ogg([
+            Buffer.concat([Buffer.from('OpusHead'), Buffer.alloc(11)]),
+            Buffer.concat([Buffer.from('OpusTags'), vorbisComment([
+                'TITLE=Opus Title',
+                `METADATA_BLOCK_PICTURE=${picture.toString('base64')}`,
+            ])]),
+            Buffer.alloc(100, 0xAA),
+        ]);
+        const { tags } = await readTags(file);
+        assert.equal(tags.title, 'Opus Title');
+        assert.equal((await blobBytes(tags.artwork)).length, PNG.length + 600);
+    });
+
+    test('copes with servers that ignore Range requests', async () => {
+        const file = m4a({ title: 'Whole', artist: 'A', album: 'B', cover: PNG, duration: 1 });
+        const requests = [];
+        const fetch = async (url, init) => {
+            requests.push(init.headers.Range);
+            return { ok: true, status: 200, headers: { get: () => null }, arrayBuffer: async () => file.buffer.slice(file.byteOffset, file.byteOffset + file.length) };
+        };
+        const harness = loadApp({ globals: { fetch } });
+        const tags = await new harness.app.TagReader().load('whole.m4a');
+        assert.equal(tags.title, 'Whole');
+        assert.equal(requests.length, 1);
+    });
+
+    test('files without tags, and files that fail to load, have no tags', async () => {
+        const { tags } = await readTags(Buffer.from('RIFF....WAVEfmt '));
+        assert.deepEqual(tags, {});
+
+        const harness = loadApp();
+        const reader = new harness.app.TagReader();
+        assert.deepEqual(plain(await reader.load('missing.mp3')), {});
+        assert.ok(harness.console.has('warn', 'Could not read tags of missing.mp3: HTTP 404'));
+        assert.deepEqual(plain(reader.get('missing.mp3')), {});
+    });
+
+    test('reads a file once', async () => {
+        const { harness, reader } = await readTags(id3(3, [['TIT2', textFrame('Once')]]));
+        await Promise.all([reader.load('song.mp3'), reader.load('song.mp3')]);
+        assert.equal(harness.fetch.requests.length, 1);
+    });
+});
+
+describe('MusicPlayer track tags', () => {
+    const MANIFEST = {
+        version: 1,
+        moods: ['Happy'],
+        targets: { 0: 'Happy' },
+        cubes: { A: [0] },
+        playlists: [
+            { combo: 'DEFAULT', tracks: [{ title: 'Default', artist: 'Nobody', src: 'default.mp3' }] },
+            {
+                combo: 'Happy|—',
+                tracks: [
+                    { src: 'assets/audio/first%20song.mp3', artist: 'Manifest Artist' },
+                    { src: 'assets/audio/second.mp3' },
+                    { src: 'assets/audio/deezer.mp3', title: 'Deezer', artist: 'D', artwork: 'cover.jpg' },
+                ],
+            },
+        ],
+    };
+
+    function setup(config = {}) {
+        const harness = loadApp({
+            config,
+            files: {
+                'assets/audio/first%20song.mp3': id3(3, [
+                    ['TIT2', textFrame('Tagged Title')],
+                    ['TPE1', textFrame('Tagged Artist')],
+                    ['APIC', apicFrame(JPEG)],
+                ]),
+                'assets/audio/second.mp3': id3(3, [['TIT2', textFrame('Second Title')], ['TLEN', textFrame('61000')]]),
+                'playlists.json': MANIFEST,
+            },
+        });
+        harness.installFakeScene();
+        harness.applyManifest(MANIFEST);
+        return harness;
+    }
+
+    test('shows the file name until the tags are read, then the tags with manifest values winning', async () => {
+        const harness = setup();
+        const controller = await harness.createController();
+        const player = controller.musicPlayer;
+        const title = harness.document.getElementById('trackTitle');
+        const artwork = harness.document.getElementById('trackArtwork');
+
+        player.switchPlaylist('Happy|—');
+        assert.equal(title.textContent, 'first song');
+        assert.equal(artwork.classList.contains('hidden'), true);
+
+        await player.tagReader.load('assets/audio/first%20song.mp3');
+        assert.equal(title.textContent, 'Tagged Title');
+        assert.equal(harness.document.getElementById('trackArtist').textContent, 'Manifest Artist');
+        assert.match(artwork.getAttribute('src'), /^blob:/);
+        assert.equal(artwork.classList.contains('hidden'), false);
+        assert.equal(harness.mediaSession.metadata.title, 'Tagged Title');
+        assert.deepEqual(plain(harness.mediaSession.metadata.artwork), [{ src: artwork.getAttribute('src') }]);
+    });
+
+    test('reads the next track too, for "Up next"', async () => {
+        const harness = setup();
+        const controller = await harness.createController();
+        const player = controller.musicPlayer;
+
+        player.switchPlaylist('Happy|—');
+        await player.tagReader.load('assets/audio/second.mp3');
+        assert.match(harness.document.getElementById('upNextTrack').textContent, /^Second Title/);
+        assert.equal(player.describeTrack(MANIFEST.playlists[1].tracks[1]).duration, 61);
+    });
+
+    test('skips tracks that bring their own title, artist and artwork', async () => {
+        const harness = setup();
+        const player = new harness.app.MusicPlayer();
+        player.switchPlaylist('Happy|—');
+        player.loadTrack(2, 0);
+        assert.ok(!harness.fetch.requests.includes('assets/audio/deezer.mp3'));
+    });
+
+    test('READ_TAGS: false reads nothing', () => {
+        const harness = setup({ READ_TAGS: false });
+        const player = new harness.app.MusicPlayer();
+        player.switchPlaylist('Happy|—');
+        assert.equal(harness.fetch.requests.length, 0);
+        assert.equal(player.describeTrack(MANIFEST.playlists[1].tracks[0]).title, 'first song');
+    });
+});
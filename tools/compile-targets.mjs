@@ -0,0 +1,614 @@
+#!/usr/bin/env node
+// ============================================================================
+// MindAR Target Compiler
+// ============================================================================
+//
+// Builds a MindAR .mind file from a folder of cube face images and writes a
+// sidecar label file, so the target order in the .mind file and the target
+// indices in playlists.json always match.
+//
+// Usage:
+//   node compile-targets.mjs compile <images-dir> [--out target.mind] [--labels file]
+//                                    [--max-size 1024] [--update-manifest playlists.json]
+//   node compile-targets.mjs verify [target.mind] [--labels file] [--manifest playlists.json]
+//
+// <images-dir> is either one cube folder (e.g. "Emojis/Purple Cube") or a folder
+// of cube folders (e.g. "Emojis"). Each image file is one face, its file name
+// (without extension) is the mood id. Cubes and faces are sorted by name.
+//
+// Run `npm install` in this folder first for compile (needs mind-ar, jpeg-js and
+// pngjs). verify has no dependencies, so tests and CI can run it without an install.
+//
+// index.html runs MindAR 1.1.4, whose compiler needs WebGL and cannot run in Node,
+// so compile uses the CPU kernels of MindAR 1.2.5. Both write and read the same
+// .mind format (version 2, same target fields); verify checks every field the
+// 1.1.4 runtime reads, so a compile that drifts from it fails verify.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+const MIND_FILE_VERSION = 2; // .mind format version read by MindAR 1.1.x and 1.2.x
+const TRACKING_KEYFRAME = 1; // Tracking image the 1.1.4 tracker uses (0: 256px, 1: 128px)
+const LABELS_FILE_VERSION = 1;
+
+const DEFAULTS = {
+    out: 'target.mind',
+    maxSize: 1024,
+};
+
+// ============================================================================
+// Argument Parsing
+// ============================================================================
+
+/**
+ * Parse "command positional --option value" arguments
+ * @param {Array<string>} argv
+ * @returns {{command: string, positional: Array<string>, options: Object}}
+ */
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (arg.startsWith('--')) {
+            const name = arg.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+            const value = rest[i + 1];
+            if (value === undefined || value.startsWith('--')) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options[name] = value;
+            i++;
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    return { command, positional, options };
+}
+
+/**
+ * Default sidecar path: target.mind -> target.labels.json
+ */
+function defaultLabelsPath(mindPath) {
+    return mindPath.replace(/\.mind$/i, '') + '.labels.json';
+}
+
+// ============================================================================
+// Image Discovery
+// ============================================================================
+
+async function listImages(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries
+        .filter(entry => entry.isFile() && IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+        .map(entry => entry.name)
+        .sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Find cube faces in a cube folder or a folder of cube folders
+ * @param {string} dir
+ * @returns {Promise<Array<{index: number, mood: string, cube: string, image: string}>>} Targets in compile order
+ */
+async function findTargets(dir) {
+    const cubes = [];
+
+    const images = await listImages(dir);
+    if (images.length > 0) {
+        cubes.push({ name: path.basename(path.resolve(dir)), dir, images });
+    } else {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        const cubeDirs = entries
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name)
+            .sort((a, b) => a.localeCompare(b));
+        for (const name of cubeDirs) {
+            const cubeImages = await listImages(path.join(dir, name));
+            if (cubeImages.length > 0) {
+                cubes.push({ name, dir: path.join(dir, name), images: cubeImages });
+            }
+        }
+    }
+
+    if (cubes.length === 0) {
+        throw new Error(`No ${IMAGE_EXTENSIONS.join('/')} images found in ${dir}`);
+    }
+
+    const targets = [];
+    cubes.forEach(cube => {
+        const moods = new Set();
+        cube.images.forEach(image => {
+            const mood = path.basename(image, path.extname(image));
+            if (moods.has(mood)) {
+                throw new Error(`Cube "${cube.name}" has two images for mood "${mood}"`);
+            }
+            moods.add(mood);
+            targets.push({
+                index: targets.length,
+                mood,
+                cube: cube.name,
+                image: path.join(cube.dir, image),
+            });
+        });
+    });
+
+    return targets;
+}
+
+// ============================================================================
+// Compile
+// ============================================================================
+
+/**
+ * EXIF orientation of a JPEG (1 to 8), 1 if it has none
+ * Phone photos are usually stored sideways with an orientation tag
+ * @param {Buffer} buffer
+ */
+function readExifOrientation(buffer) {
+    let offset = 2;
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+        const marker = buffer[offset + 1];
+        const length = buffer.readUInt16BE(offset + 2);
+        if (marker === 0xE1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+            const tiff = offset + 10;
+            const little = buffer.toString('latin1', tiff, tiff + 2) === 'II';
+            const u16 = at => (little ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at));
+            const u32 = at => (little ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+            const ifd = tiff + u32(tiff + 4);
+            for (let i = 0; i < u16(ifd); i++) {
+                const entry = ifd + 2 + i * 12;
+                if (u16(entry) === 0x0112) return u16(entry + 8);
+            }
+            return 1;
+        }
+        if (marker === 0xDA) break; // Image data, no more headers
+        offset += 2 + length;
+    }
+    return 1;
+}
+
+/**
+ * Decode a JPEG or PNG into grey pixels, the way MindAR sees them ((r + g + b) / 3)
+ * @returns {Promise<{data: Uint8Array, width: number, height: number, orientation: number}>}
+ */
+async function decodeImage(file) {
+    const buffer = await fs.readFile(file);
+    let rgba;
+    let orientation = 1;
+    if (path.extname(file).toLowerCase() === '.png') {
+        const { PNG } = (await import('pngjs')).default;
+        rgba = PNG.sync.read(buffer);
+    } else {
+        const jpeg = (await import('jpeg-js')).default;
+        rgba = jpeg.decode(buffer, { useTArray: true, maxMemoryUsageInMB: 2048 });
+        orientation = readExifOrientation(buffer);
+    }
+
+    const data = new Uint8Array(rgba.width * rgba.height);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = Math.floor((rgba.data[i * 4] + rgba.data[i * 4 + 1] + rgba.data[i * 4 + 2]) / 3);
+    }
+    return { data, width: rgba.width, height: rgba.height, orientation };
+}
+
+/**
+ * Scale a grey image down by averaging, so its longest side is at most maxSize
+ * Large camera photos make compiling very slow without improving tracking
+ */
+function scaleDown(image, maxSize) {
+    const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+    if (scale === 1) return image;
+
+    const width = Math.round(image.width * scale);
+    const height = Math.round(image.height * scale);
+    const sums = new Float64Array(width * height);
+    const counts = new Uint32Array(width * height);
+    for (let y = 0; y < image.height; y++) {
+        const row = Math.min(height - 1, Math.floor(y * scale)) * width;
+        for (let x = 0; x < image.width; x++) {
+            const index = row + Math.min(width - 1, Math.floor(x * scale));
+            sums[index] += image.data[y * image.width + x];
+            counts[index]++;
+        }
+    }
+
+    const data = new Uint8Array(width * height);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = Math.round(sums[i] / counts[i]);
+    }
+    return { ...image, data, width, height };
+}
+
+/**
+ * Turn a grey image upright as its EXIF orientation says, like browsers show it
+ */
+function applyOrientation(image) {
+    const { data, width, height, orientation } = image;
+    if (orientation === 1 || orientation < 1 || orientation > 8) return image;
+
+    const swap = orientation >= 5;
+    const outWidth = swap ? height : width;
+    const outHeight = swap ? width : height;
+    const out = new Uint8Array(data.length);
+    for (let y = 0; y < outHeight; y++) {
+        for (let x = 0; x < outWidth; x++) {
+            // Source pixel for each output pixel, per EXIF orientation
+            const [sx, sy] = {
+                2: [width - 1 - x, y],
+                3: [width - 1 - x, height - 1 - y],
+                4: [x, height - 1 - y],
+                5: [y, x],
+                6: [y, height - 1 - x],
+                7: [width - 1 - y, height - 1 - x],
+                8: [width - 1 - y, x],
+            }[orientation];
+            out[y * outWidth + x] = data[sy * width + sx];
+        }
+    }
+    return { data: out, width: outWidth, height: outHeight, orientation: 1 };
+}
+
+/**
+ * Load a target image: grey, scaled down and upright
+ */
+async function loadTargetImage(file, maxSize) {
+    return applyOrientation(scaleDown(await decodeImage(file), maxSize));
+}
+
+/**
+ * MindAR's offline compiler, fed with grey images instead of node-canvas images
+ * MindAR reads pixels through a 2D canvas context, so each image gets a stand-in
+ * context that hands out its grey pixels as RGBA
+ */
+async function createCompiler() {
+    const tf = await import('@tensorflow/tfjs');
+    await import('mind-ar/src/image-target/detector/kernels/cpu/index.js');
+    const { CompilerBase } = await import('mind-ar/src/image-target/compiler-base.js');
+    const { buildTrackingImageList } = await import('mind-ar/src/image-target/image-list.js');
+    const { extractTrackingFeatures } = await import('mind-ar/src/image-target/tracker/extract-utils.js');
+    await tf.setBackend('cpu');
+
+    class GreyImageCompiler extends CompilerBase {
+        createProcessCanvas(image) {
+            const rgba = new Uint8ClampedArray(image.data.length * 4);
+            image.data.forEach((value, i) => rgba.fill(value, i * 4, i * 4 + 3));
+            return { getContext: () => ({ drawImage() {}, getImageData: () => ({ data: rgba }) }) };
+        }
+
+        // Same as MindAR's OfflineCompiler, which cannot be imported without node-canvas
+        async compileTrack({ progressCallback, targetImages, basePercent }) {
+            const percentPerImage = (100 - basePercent) / targetImages.length;
+            let percent = 0;
+            return targetImages.map(targetImage => {
+                const imageList = buildTrackingImageList(targetImage);
+                return extractTrackingFeatures(imageList, () => {
+                    percent += percentPerImage / imageList.length;
+                    progressCallback(basePercent + percent);
+                });
+            });
+        }
+    }
+
+    return new GreyImageCompiler();
+}
+
+async function compile({ positional, options }) {
+    const [imagesDir] = positional;
+    if (!imagesDir) {
+        throw new Error('Usage: compile <images-dir> [--out target.mind] [--labels file] [--max-size 1024] [--update-manifest playlists.json]');
+    }
+
+    const out = options.out || DEFAULTS.out;
+    const labelsPath = options.labels || defaultLabelsPath(out);
+    const maxSize = Number(options.maxSize || DEFAULTS.maxSize);
+    if (!Number.isFinite(maxSize) || maxSize <= 0) {
+        throw new Error(`Invalid --max-size "${options.maxSize}"`);
+    }
+
+    const targets = await findTargets(imagesDir);
+    console.log(`Found ${targets.length} targets:`);
+    targets.forEach(target => console.log(`  ${target.index}: ${target.cube} / ${target.mood} (${target.image})`));
+
+    // Image paths in the label file are relative to the label file
+    const labelTargets = targets.map(target => ({
+        ...target,
+        image: path.relative(path.dirname(labelsPath), target.image).split(path.sep).join('/'),
+    }));
+
+    const images = [];
+    for (const target of targets) {
+        images.push(await loadTargetImage(target.image, maxSize));
+    }
+
+    console.log('Compiling (this can take a few minutes)...');
+    const compiler = await createCompiler();
+    let lastPercent = -10;
+    await compiler.compileImageTargets(images, percent => {
+        if (percent - lastPercent >= 10) {
+            lastPercent = percent;
+            console.log(`  ${Math.round(percent)}%`);
+        }
+    });
+
+    const buffer = compiler.exportData();
+    await fs.writeFile(out, buffer);
+    console.log(`✓ Wrote ${out} (${targets.length} targets, ${Math.round(buffer.length / 1024)} KB)`);
+
+    const labels = {
+        version: LABELS_FILE_VERSION,
+        file: path.basename(out),
+        targets: labelTargets,
+    };
+    await fs.writeFile(labelsPath, JSON.stringify(labels, null, 4) + '\n');
+    console.log(`✓ Wrote ${labelsPath}`);
+
+    if (options.updateManifest) {
+        await updateManifest(options.updateManifest, targets);
+    }
+}
+
+/**
+ * Replace the targets and cubes of a playlist manifest with the compiled targets
+ * Moods that are not in the manifest yet are added to its mood list
+ */
+async function updateManifest(manifestPath, targets) {
+    const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+
+    manifest.moods = Array.isArray(manifest.moods) ? manifest.moods : [];
+    targets.forEach(target => {
+        if (!manifest.moods.includes(target.mood)) {
+            console.warn(`  Adding new mood "${target.mood}" to ${manifestPath}`);
+            manifest.moods.push(target.mood);
+        }
+    });
+
+    manifest.targets = {};
+    manifest.cubes = {};
+    targets.forEach(target => {
+        manifest.targets[target.index] = target.mood;
+        (manifest.cubes[target.cube] = manifest.cubes[target.cube] || []).push(target.index);
+    });
+
+    await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 4) + '\n');
+    console.log(`✓ Updated targets and cubes in ${manifestPath}`);
+}
+
+// ============================================================================
+// Verify
+// ============================================================================
+
+/**
+ * Decode MessagePack, the encoding of .mind files
+ * Covers every type MindAR writes (maps, arrays, strings, numbers, booleans, nil, binary)
+ * @param {Buffer} buffer
+ */
+function decodeMsgpack(buffer) {
+    let offset = 0;
+    const take = length => {
+        const start = offset;
+        offset += length;
+        if (offset > buffer.length) throw new Error('unexpected end of data');
+        return start;
+    };
+    const array = length => Array.from({ length }, () => read());
+    const map = length => {
+        const result = {};
+        for (let i = 0; i < length; i++) {
+            const key = read();
+            result[key] = read();
+        }
+        return result;
+    };
+    const str = length => buffer.toString('utf8', take(length), offset);
+    const bin = length => new Uint8Array(buffer.subarray(take(length), offset));
+
+    function read() {
+        const byte = buffer[take(1)];
+        if (byte <= 0x7F) return byte;
+        if (byte <= 0x8F) return map(byte & 0x0F);
+        if (byte <= 0x9F) return array(byte & 0x0F);
+        if (byte <= 0xBF) return str(byte & 0x1F);
+        if (byte >= 0xE0) return byte - 0x100;
+        switch (byte) {
+            case 0xC0: return null;
+            case 0xC2: return false;
+            case 0xC3: return true;
+            case 0xC4: return bin(buffer.readUInt8(take(1)));
+            case 0xC5: return bin(buffer.readUInt16BE(take(2)));
+            case 0xC6: return bin(buffer.readUInt32BE(take(4)));
+            case 0xCA: return buffer.readFloatBE(take(4));
+            case 0xCB: return buffer.readDoubleBE(take(8));
+            case 0xCC: return buffer.readUInt8(take(1));
+            case 0xCD: return buffer.readUInt16BE(take(2));
+            case 0xCE: return buffer.readUInt32BE(take(4));
+            case 0xCF: return Number(buffer.readBigUInt64BE(take(8)));
+            case 0xD0: return buffer.readInt8(take(1));
+            case 0xD1: return buffer.readInt16BE(take(2));
+            case 0xD2: return buffer.readInt32BE(take(4));
+            case 0xD3: return Number(buffer.readBigInt64BE(take(8)));
+            case 0xD9: return str(buffer.readUInt8(take(1)));
+            case 0xDA: return str(buffer.readUInt16BE(take(2)));
+            case 0xDB: return str(buffer.readUInt32BE(take(4)));
+            case 0xDC: return array(buffer.readUInt16BE(take(2)));
+            case 0xDD: return array(buffer.readUInt32BE(take(4)));
+            case 0xDE: return map(buffer.readUInt16BE(take(2)));
+            case 0xDF: return map(buffer.readUInt32BE(take(4)));
+            default: throw new Error(`unsupported type 0x${byte.toString(16)} at byte ${offset - 1}`);
+        }
+    }
+
+    const value = read();
+    if (offset !== buffer.length) throw new Error(`${buffer.length - offset} bytes after the data`);
+    return value;
+}
+
+/**
+ * Read a .mind file
+ * @returns {Promise<Array<Object>>} Compiled targets, in order
+ */
+async function readMindTargets(mindPath) {
+    let content;
+    try {
+        content = decodeMsgpack(await fs.readFile(mindPath));
+    } catch (error) {
+        throw new Error(`Cannot read ${mindPath}: ${error.message}`);
+    }
+
+    if (!content || content.v !== MIND_FILE_VERSION) {
+        throw new Error(`${mindPath} has format version ${content && content.v}, expected ${MIND_FILE_VERSION} (recompile it)`);
+    }
+    if (!Array.isArray(content.dataList)) {
+        throw new Error(`${mindPath} has no target list`);
+    }
+    return content.dataList;
+}
+
+/**
+ * Check that a compiled target has everything the MindAR 1.1.4 runtime reads
+ * @returns {Array<string>} Problems found
+ */
+function checkMindTarget(target, index) {
+    const problems = [];
+    const isSize = value => Number.isInteger(value) && value > 0;
+    const missing = what => problems.push(`Target ${index} has no ${what}`);
+
+    if (!target.targetImage || !isSize(target.targetImage.width) || !isSize(target.targetImage.height)) {
+        missing('target image size');
+    }
+
+    const tracking = Array.isArray(target.trackingData) && target.trackingData[TRACKING_KEYFRAME];
+    if (!tracking) {
+        missing(`tracking keyframe ${TRACKING_KEYFRAME}`);
+    } else {
+        if (!isSize(tracking.width) || !isSize(tracking.height) || typeof tracking.scale !== 'number') {
+            missing('tracking image size and scale');
+        }
+        if (!(tracking.data instanceof Uint8Array) || tracking.data.length !== tracking.width * tracking.height) {
+            missing('tracking image pixels');
+        }
+        if (!Array.isArray(tracking.points) || tracking.points.length === 0
+            || !tracking.points.every(point => typeof point.x === 'number' && typeof point.y === 'number')) {
+            missing('tracking points (too little detail in the image?)');
+        }
+    }
+
+    if (!Array.isArray(target.matchingData) || target.matchingData.length === 0) {
+        missing('matching keyframes');
+    } else {
+        target.matchingData.forEach((keyframe, i) => {
+            const hasPoints = ['maximaPoints', 'minimaPoints'].every(key => Array.isArray(keyframe[key]));
+            const hasClusters = ['maximaPointsCluster', 'minimaPointsCluster'].every(key => keyframe[key] && keyframe[key].rootNode);
+            if (!hasPoints || !hasClusters || !isSize(keyframe.width) || !isSize(keyframe.height) || typeof keyframe.scale !== 'number') {
+                missing(`complete matching keyframe ${i}`);
+            }
+        });
+        if (target.matchingData.every(keyframe => (keyframe.maximaPoints || []).length + (keyframe.minimaPoints || []).length === 0)) {
+            missing('matching points (too little detail in the image?)');
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Check a .mind file against its label file and, optionally, the playlist manifest
+ * @returns {Promise<Array<string>>} Problems found (empty if everything matches)
+ */
+async function verifyTargets(mindPath, labelsPath, manifestPath) {
+    const problems = [];
+
+    const mindTargets = await readMindTargets(mindPath);
+    const count = mindTargets.length;
+    console.log(`${mindPath}: ${count} target${count === 1 ? '' : 's'}`);
+    mindTargets.forEach((target, index) => problems.push(...checkMindTarget(target, index)));
+
+    let labels = null;
+    try {
+        labels = JSON.parse(await fs.readFile(labelsPath, 'utf8'));
+    } catch (error) {
+        problems.push(`Cannot read label file ${labelsPath}: ${error.message}`);
+    }
+
+    if (labels) {
+        if (!Array.isArray(labels.targets)) {
+            problems.push(`${labelsPath} has no "targets" array`);
+            labels = null;
+        } else if (labels.targets.length !== count) {
+            problems.push(`${labelsPath} lists ${labels.targets.length} targets but ${mindPath} has ${count}`);
+        }
+    }
+
+    if (manifestPath) {
+        const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+        const manifestTargets = manifest.targets || {};
+        const manifestCubes = {};
+        Object.entries(manifest.cubes || {}).forEach(([cube, indices]) => {
+            indices.forEach(index => {
+                manifestCubes[index] = cube;
+            });
+        });
+
+        Object.keys(manifestTargets).forEach(index => {
+            if (Number(index) >= count) {
+                problems.push(`${manifestPath} maps target ${index} ("${manifestTargets[index]}") but ${mindPath} only has ${count}`);
+            }
+        });
+
+        if (labels) {
+            labels.targets.forEach(target => {
+                const mood = manifestTargets[target.index];
+                if (mood === undefined) {
+                    problems.push(`${manifestPath} has no mood for target ${target.index} ("${target.mood}")`);
+                } else if (mood !== target.mood) {
+                    problems.push(`Target ${target.index} is "${target.mood}" in ${labelsPath} but "${mood}" in ${manifestPath}`);
+                }
+                if (manifestCubes[target.index] !== undefined && manifestCubes[target.index] !== target.cube) {
+                    problems.push(`Target ${target.index} is on cube "${target.cube}" in ${labelsPath} but "${manifestCubes[target.index]}" in ${manifestPath}`);
+                }
+            });
+        }
+    }
+
+    return problems;
+}
+
+async function verify({ positional, options }) {
+    const mindPath = positional[0] || DEFAULTS.out;
+    const labelsPath = options.labels || defaultLabelsPath(mindPath);
+
+    const problems = await verifyTargets(mindPath, labelsPath, options.manifest);
+    if (problems.length > 0) {
+        console.error(`❌ ${problems.length} problem${problems.length === 1 ? '' : 's'}:`);
+        problems.forEach(problem => console.error(`  - ${problem}`));
+        console.error('Recompile with: node compile-targets.mjs compile <images-dir>');
+        process.exitCode = 1;
+        return;
+    }
+    console.log('✓ Targets match');
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+const COMMANDS = { compile, verify };
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const run = COMMANDS[args.command];
+    if (!run) {
+        console.error('Usage: compile-targets.mjs <compile|verify> ... (see the header of this file)');
+        process.exitCode = 1;
+        return;
+    }
+    await run(args);
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});